@@ -46,7 +46,16 @@ function getImagesSheet() {
  * ⚠️ ВАЖНО: Изменение этой константы повлияет на весь проект!
  */
 const SHEET_NAMES = {
-  IMAGES: 'Обработка изображений'    // Единственный рабочий лист
+  IMAGES: 'Обработка изображений',   // Единственный рабочий лист
+  SUPPLIER_URLS: 'Ссылки поставщиков', // Скрытый служебный реестр карточек поставщиков
+  PRICE_CHANGES: 'Изменения цен',      // Журнал мониторинга цен и наличия
+  IMAGE_PROVENANCE: 'Происхождение фото', // Скрытый журнал источников фото поставщиков
+  JOB_QUEUE: 'Очередь задач',             // Скрытая очередь фоновой обработки
+  IMAGE_STORAGE: 'Хранилище фото',        // Скрытый журнал загруженных обработанных фото
+  PROCESSING_CACHE: 'Кэш обработки фото', // Скрытый кэш готовых результатов обработки фото
+  API_USAGE: 'Расходы API',               // Скрытый журнал платных вызовов внешних API
+  API_USAGE_REPORT: 'Сводка расходов API', // Итоги расходов по месяцам и запускам
+  SPEC_MAPPING: 'Сопоставление характеристик' // Правила сопоставления параметров поставщиков со справочником
 };
 
 // =============================================================================
@@ -89,7 +98,152 @@ const IMAGES_COLUMNS = {
   PACKAGE_CONTENTS: 25,         // Y - Комплектация
   MATCH_STATUS: 26,             // Z - Статус сопоставления (новый/существующий/дубль)
   MATCH_CONFIDENCE: 27,         // AA - Уверенность в совпадении (%)
-  IMPORT_STATUS: 28             // AB - Статус импорта
+  IMPORT_STATUS: 28,            // AB - Статус импорта
+  SPECIFICATIONS_DERIVED: 29,   // AC - Расчетные характеристики и расхождения (JSON)
+  PROCESSED_DIMENSIONS: 30      // AD - Размеры обработанных фото (строка на фото, как в H)
+};
+
+// =============================================================================
+// 🔗 КОНСТАНТЫ КОЛОНОК ЛИСТА "ССЫЛКИ ПОСТАВЩИКОВ"
+// =============================================================================
+
+/**
+ * РЕЕСТР НАЙДЕННЫХ КАРТОЧЕК: артикул магазина + поставщик → URL товара
+ *
+ * Лист создается автоматически и скрыт; повторный парсинг берет URL отсюда
+ * вместо поиска на сайте поставщика
+ */
+const SUPPLIER_URL_COLUMNS = {
+  SUPPLIER: 1,           // A - Ключ поставщика (VEBER, STURMAN, ...)
+  ARTICLE: 2,            // B - Артикул товара в магазине
+  URL: 3,                // C - URL карточки у поставщика
+  TITLE: 4,              // D - Название у поставщика
+  SOURCE: 5,             // E - Источник: поиск / вручную
+  DATE_UPDATED: 6        // F - Дата последнего обновления
+};
+
+// =============================================================================
+// 🧾 КОНСТАНТЫ КОЛОНОК ЛИСТА "ПРОИСХОЖДЕНИЕ ФОТО"
+// =============================================================================
+
+/**
+ * ИСТОЧНИК КАЖДОГО ФОТО ИЗ КОЛОНКИ SUPPLIER_IMAGES: одна строка на артикул + URL фото
+ *
+ * Нужен для проверки прав на изображения и повторной загрузки
+ * со страницы товара, если ссылка на CDN поставщика перестала работать
+ */
+const IMAGE_PROVENANCE_COLUMNS = {
+  ARTICLE: 1,            // A - Артикул товара в магазине
+  IMAGE_URL: 2,          // B - URL фото
+  SUPPLIER: 3,           // C - Ключ поставщика
+  SOURCE_URL: 4,         // D - Страница товара, с которой взято фото
+  PARSED_AT: 5,          // E - Когда выполнен парсинг
+  FILE_SIZE: 6,          // F - Размер исходного файла, байт
+  DATE_SAVED: 7          // G - Когда фото сохранено в таблицу
+};
+
+/**
+ * КОЛОНКИ СКРЫТОГО ЛИСТА "ОЧЕРЕДЬ ЗАДАЧ"
+ *
+ * Одна строка - один товар в фоновой задаче (обработка фото, парсинг,
+ * описания, создание в InSales). Статус строки - контрольная точка:
+ * после перезапуска триггер продолжает с первой строки "Ожидает"
+ */
+const JOB_QUEUE_COLUMNS = {
+  JOB_ID: 1,             // A - Идентификатор задачи (общий для всех ее строк)
+  JOB_TYPE: 2,           // B - Тип задачи (ключ JOB_TYPES)
+  ARTICLE: 3,            // C - Артикул товара
+  PAYLOAD: 4,            // D - Параметры строки (JSON)
+  STATUS: 5,             // E - STATUS_VALUES.JOB
+  ATTEMPTS: 6,           // F - Число запусков строки
+  RESULT: 7,             // G - Результат (JSON)
+  ERROR: 8,              // H - Текст ошибки
+  UPDATED_AT: 9          // I - Время последнего изменения
+};
+
+/**
+ * КОЛОНКИ СКРЫТОГО ЛИСТА "ХРАНИЛИЩЕ ФОТО"
+ *
+ * Одна строка - одно загруженное обработанное фото: где оно лежит
+ * и чем его удалить из хранилища
+ */
+const IMAGE_STORAGE_COLUMNS = {
+  ARTICLE: 1,            // A - Артикул товара
+  FILE_NAME: 2,          // B - Имя файла в хранилище
+  URL: 3,                // C - Публичный URL фото
+  BACKEND: 4,            // D - Хранилище (ключ IMAGE_STORAGE_BACKENDS)
+  DELETE_HANDLE: 5,      // E - Идентификатор для удаления (зависит от хранилища)
+  FILE_SIZE: 6,          // F - Размер файла, байт
+  UPLOADED_AT: 7,        // G - Когда фото загружено
+  WIDTH: 8,              // H - Ширина, px
+  HEIGHT: 9              // I - Высота, px
+};
+
+/**
+ * КОЛОНКИ СКРЫТОГО ЛИСТА "КЭШ ОБРАБОТКИ ФОТО"
+ *
+ * Одна строка - готовый результат обработки одного исходного фото
+ * при конкретных настройках конвейера
+ */
+const PROCESSING_CACHE_COLUMNS = {
+  CACHE_KEY: 1,          // A - Хеш (содержимое фото + настройки конвейера)
+  ARTICLE: 2,            // B - Артикул товара, для которого фото обработано
+  SOURCE_URL: 3,         // C - URL исходного фото
+  SOURCE_HASH: 4,        // D - SHA-256 содержимого исходного фото
+  PIPELINE: 5,           // E - Настройки конвейера (JSON)
+  ALT_TAG: 6,            // F - Alt-тег
+  SEO_FILENAME: 7,       // G - SEO имя файла
+  PROCESSED_URL: 8,      // H - URL обработанного фото в хранилище
+  WIDTH: 9,              // I - Ширина, px
+  HEIGHT: 10,            // J - Высота, px
+  CREATED_AT: 11         // K - Когда результат сохранен
+};
+
+/**
+ * КОЛОНКИ СКРЫТОГО ЛИСТА "РАСХОДЫ API"
+ *
+ * Одна строка - один платный вызов OpenAI, Replicate или TinyPNG
+ */
+const API_USAGE_COLUMNS = {
+  DATE: 1,               // A - Время вызова
+  RUN_ID: 2,             // B - Запуск (ID фоновой задачи или ручной запуск)
+  ARTICLE: 3,            // C - Артикул товара
+  SERVICE: 4,            // D - Сервис (ключ API_USAGE_SERVICES)
+  OPERATION: 5,          // E - Что вызывалось
+  UNITS: 6,              // F - Количество единиц (токены, секунды, компрессии)
+  UNIT: 7,               // G - Единица
+  COST: 8,               // H - Оценка стоимости, $
+  DETAILS: 9             // I - Модель и разбивка единиц
+};
+
+/**
+ * КОЛОНКИ ЛИСТА "СОПОСТАВЛЕНИЕ ХАРАКТЕРИСТИК"
+ *
+ * Одна строка - одно правило: параметр поставщика → параметр справочника
+ */
+const SPEC_MAPPING_COLUMNS = {
+  SUPPLIER: 1,           // A - Поставщик (ключ) или * для всех
+  RAW_KEY: 2,            // B - Название параметра у поставщика
+  REFERENCE_PARAM: 3,    // C - Параметр справочника (эталонное название)
+  TRANSFORM: 4           // D - Преобразование значения (ключ SPEC_VALUE_TRANSFORMS)
+};
+
+// =============================================================================
+// 📈 КОНСТАНТЫ КОЛОНОК ЛИСТА "ИЗМЕНЕНИЯ ЦЕН"
+// =============================================================================
+
+/**
+ * ЖУРНАЛ МОНИТОРИНГА: одна строка на каждое изменение цены или наличия
+ */
+const PRICE_CHANGE_COLUMNS = {
+  DATE: 1,               // A - Дата проверки
+  ARTICLE: 2,            // B - Артикул товара
+  SUPPLIER: 3,           // C - Поставщик
+  FIELD: 4,              // D - Что изменилось: Цена / Наличие
+  OLD_VALUE: 5,          // E - Было
+  NEW_VALUE: 6,          // F - Стало
+  DELTA_PERCENT: 7,      // G - Изменение цены, %
+  URL: 8                 // H - Карточка у поставщика
 };
 
 // =============================================================================
@@ -162,8 +316,27 @@ const SCRIPT_PROPERTIES_KEYS = {
   REPLICATE_TOKEN: 'replicateToken',
   REPLICATE_SCALE: 'replicateScale',
   REPLICATE_MODEL: 'replicateModel',
+  BACKGROUND_PADDING: 'backgroundPadding', // Отступ вокруг товара на белом фоне, % от большей стороны
+  FRAME_MODE: 'frameMode',                 // Кадр галереи: pad (поля) / crop (обрезка) / off
+  FRAME_ASPECT_RATIO: 'frameAspectRatio',  // Соотношение сторон кадра, например 1:1 или 4:3
+  FRAME_SIZE: 'frameSize',                 // Большая сторона кадра, px
+  FRAME_MARGIN: 'frameMargin',             // Поле вокруг товара, % от меньшей стороны кадра
+  API_BUDGET_RUN: 'apiBudgetRun',          // Лимит расходов API на один запуск, $ (0 - без лимита)
+  API_BUDGET_MONTHLY: 'apiBudgetMonthly',  // Лимит расходов API за месяц, $ (0 - без лимита)
+  SPEC_REFERENCE_FILE_ID: 'specReferenceFileId', // JSON-справочник характеристик на Google Drive (пусто - встроенный)
   TINYPNG_KEY: 'tinypngKey',
   IMGBB_KEY: 'imgbbKey',
+
+  // Хранилище обработанных фото (ключ IMAGE_STORAGE_BACKENDS) и его параметры
+  IMAGE_STORAGE_BACKEND: 'imageStorageBackend',
+  STORAGE_WORKER_URL: 'storageWorkerUrl',
+  STORAGE_DRIVE_FOLDER_ID: 'storageDriveFolderId',
+  S3_ENDPOINT: 's3Endpoint',
+  S3_REGION: 's3Region',
+  S3_BUCKET: 's3Bucket',
+  S3_ACCESS_KEY: 's3AccessKey',
+  S3_SECRET_KEY: 's3SecretKey',
+  S3_PUBLIC_URL: 's3PublicUrl',
   
   // AI для генерации контента
   OPENAI_API_KEY: 'openaiApiKey',
@@ -172,7 +345,18 @@ const SCRIPT_PROPERTIES_KEYS = {
   
   // Уведомления
   TELEGRAM_TOKEN: 'telegramToken',
-  TELEGRAM_CHAT_ID: 'telegramChatId'
+  TELEGRAM_CHAT_ID: 'telegramChatId',
+
+  // Доступы к оптовым порталам поставщиков: префикс + ключ поставщика
+  // (например supplierCredentials_LEVENHUK_OPT), значение - JSON { login, password }
+  SUPPLIER_CREDENTIALS_PREFIX: 'supplierCredentials_',
+
+  // Состояние мониторинга цен между запусками триггера (JSON)
+  PRICE_MONITOR_STATE: 'priceMonitorState',
+
+  // Сопоставление колонок прайс-листа: префикс + ключ поставщика
+  // (например priceListMapping_VEBER), значение - JSON { ПОЛЕ_IMAGES_COLUMNS: 'Заголовок колонки' }
+  PRICE_LIST_MAPPING_PREFIX: 'priceListMapping_'
 };
 // =============================================================================
 // 🎯 КОНСТАНТЫ ЗНАЧЕНИЙ
@@ -187,6 +371,7 @@ const STATUS_VALUES = {
   // Статусы обработки изображений
   PROCESSING: {
     NOT_PROCESSED: 'Не обработано',
+    QUEUED: 'В очереди',
     PROCESSING: 'Обработка...',
     COMPLETED: 'Обработано', 
     ERROR: 'Ошибка'
@@ -199,6 +384,16 @@ const STATUS_VALUES = {
     SENT: 'Отправлено ✅',
     ERROR: 'Ошибка отправки'
   },
+
+  // Статусы строк фоновой очереди задач
+  JOB: {
+    PENDING: 'Ожидает',
+    RUNNING: 'В работе',
+    DONE: 'Готово',
+    SKIPPED: 'Пропущено',
+    ERROR: 'Ошибка',
+    CANCELLED: 'Отменено'
+  },
   
   // Статусы товаров
   PRODUCT: {
@@ -240,8 +435,27 @@ function getApiSettings() {
       replicateToken: allProperties[SCRIPT_PROPERTIES_KEYS.REPLICATE_TOKEN] || '',
       replicateScale: parseInt(allProperties[SCRIPT_PROPERTIES_KEYS.REPLICATE_SCALE] || '2'),
       replicateModel: allProperties[SCRIPT_PROPERTIES_KEYS.REPLICATE_MODEL] || 'esrgan',
+      backgroundPadding: parseFloat(allProperties[SCRIPT_PROPERTIES_KEYS.BACKGROUND_PADDING] || '8'),
+      frameMode: allProperties[SCRIPT_PROPERTIES_KEYS.FRAME_MODE] || 'pad',
+      frameAspectRatio: allProperties[SCRIPT_PROPERTIES_KEYS.FRAME_ASPECT_RATIO] || '1:1',
+      frameSize: parseInt(allProperties[SCRIPT_PROPERTIES_KEYS.FRAME_SIZE] || '2000'),
+      frameMargin: parseFloat(allProperties[SCRIPT_PROPERTIES_KEYS.FRAME_MARGIN] || '5'),
+      apiBudgetRun: parseFloat(allProperties[SCRIPT_PROPERTIES_KEYS.API_BUDGET_RUN] || '0'),
+      apiBudgetMonthly: parseFloat(allProperties[SCRIPT_PROPERTIES_KEYS.API_BUDGET_MONTHLY] || '0'),
+      specReferenceFileId: allProperties[SCRIPT_PROPERTIES_KEYS.SPEC_REFERENCE_FILE_ID] || '',
       tinypngKey: allProperties[SCRIPT_PROPERTIES_KEYS.TINYPNG_KEY] || '',
       imgbbKey: allProperties[SCRIPT_PROPERTIES_KEYS.IMGBB_KEY] || '',
+
+      // Хранилище обработанных фото
+      imageStorageBackend: allProperties[SCRIPT_PROPERTIES_KEYS.IMAGE_STORAGE_BACKEND] || '',
+      storageWorkerUrl: allProperties[SCRIPT_PROPERTIES_KEYS.STORAGE_WORKER_URL] || IMAGE_STORAGE_SETTINGS.LEGACY_WORKER_URL,
+      storageDriveFolderId: allProperties[SCRIPT_PROPERTIES_KEYS.STORAGE_DRIVE_FOLDER_ID] || '',
+      s3Endpoint: allProperties[SCRIPT_PROPERTIES_KEYS.S3_ENDPOINT] || '',
+      s3Region: allProperties[SCRIPT_PROPERTIES_KEYS.S3_REGION] || '',
+      s3Bucket: allProperties[SCRIPT_PROPERTIES_KEYS.S3_BUCKET] || '',
+      s3AccessKey: allProperties[SCRIPT_PROPERTIES_KEYS.S3_ACCESS_KEY] || '',
+      s3SecretKey: allProperties[SCRIPT_PROPERTIES_KEYS.S3_SECRET_KEY] || '',
+      s3PublicUrl: allProperties[SCRIPT_PROPERTIES_KEYS.S3_PUBLIC_URL] || '',
       
       // AI для генерации контента с анализом изображений
       openaiApiKey: allProperties[SCRIPT_PROPERTIES_KEYS.OPENAI_API_KEY] || '',
@@ -267,16 +481,29 @@ const REPLICATE_MODELS = {
     name: 'ESRGAN (стандартная)',
     version: 'f121d640bd286e1fdc67f9799164c1d5be36ff74576ee11c803ae5b665dd46aa',
     description: 'Универсальная модель, быстрая обработка',
-    maxScale: 4
+    maxScale: 4,
+    pricePerSecond: 0.000225     // Nvidia T4, $ за секунду предсказания
   },
   CLARITY_UPSCALER: {
     name: 'Clarity Upscaler (тяжелые файлы)',
     version: 'dfad41707589d68ecdccd1dfa600d55a208f9310748e44bfe35b4a6291453d5e',
     description: 'Лучше работает с крупными изображениями',
-    maxScale: 4
+    maxScale: 4,
+    pricePerSecond: 0.0014       // Nvidia A100
   }
 };
 
+/**
+ * МОДЕЛЬ УДАЛЕНИЯ ФОНА (этап "Белый фон")
+ *
+ * Возвращает PNG с прозрачным фоном, на белый товар кладется уже в скрипте
+ */
+const REPLICATE_BACKGROUND_MODEL = {
+  name: 'rembg',
+  version: 'fb8af171cfa1616ddcf1242c093f9c46bcada5ad4cf6f2fbe8b81b330ec5c003',
+  pricePerSecond: 0.000225       // Nvidia T4
+};
+
 function getReplicateModelConfig(modelKey) {
   switch (modelKey.toLowerCase()) {
     case 'clarity':
@@ -440,10 +667,11 @@ function validateConfig() {
         validation.checkedItems.push('✅ TinyPNG Key настроен');
       }
       
-      if (!settings.imgbbKey) {
-        validation.warnings.push('⚠️ Не настроен ImgBB Key (загрузка на хостинг будет недоступна)');
+      const storage = describeImageStorage(settings);
+      if (storage.missing.length > 0) {
+        validation.warnings.push(`⚠️ Хранилище фото "${storage.label}" не настроено: ${storage.missing.join(', ')} (загрузка обработанных фото будет недоступна)`);
       } else {
-        validation.checkedItems.push('✅ ImgBB Key настроен');
+        validation.checkedItems.push(`✅ Хранилище фото: ${storage.label}`);
       }
       
       if (!settings.openaiApiKey) {
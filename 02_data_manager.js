@@ -147,7 +147,9 @@ function setupHeaders(sheet) {
       'Комплектация',           // Y - PACKAGE_CONTENTS
       'Статус сопоставления',   // Z - MATCH_STATUS
       'Совпадение, %',          // AA - MATCH_CONFIDENCE
-      'Статус импорта'          // AB - IMPORT_STATUS
+      'Статус импорта',         // AB - IMPORT_STATUS
+      'Расчет характеристик',   // AC - SPECIFICATIONS_DERIVED
+      'Размеры фото'            // AD - PROCESSED_DIMENSIONS
     ];
     
     // Записываем заголовки в первую строку
@@ -1387,83 +1389,213 @@ function updateProductData(article, updateData) {
 /**
  * ЗАПИСЬ ПОЛНОЙ КАРТОЧКИ ТОВАРА (ДЛЯ ИМПОРТА)
  *
- * Записывает все данные товара, включая характеристики, описания, цену
+ * Записывает все данные товара, включая характеристики, описания, цену.
+ * Строка ищется по артикулу, без совпадения товар добавляется в конец листа.
  *
- * @param {Object} productData - Полные данные товара
- * @returns {boolean} true если успешно
+ * Массив карточек пишется пакетом (импорт прайс-листа): лист читается один раз,
+ * новые строки добавляются одним диапазоном. С options.partial у существующей
+ * строки сравниваются и пишутся только поля, заданные в карточке
+ * (writeChangedColumns), без него строка заменяется целиком. Повтор артикула
+ * в массиве обновляет уже записанную карточку
+ *
+ * @param {Object|Array<Object>} productData - Полные данные товара или массив карточек
+ * @param {Object} options - { partial: true - не трогать поля, которых нет в карточке,
+ *                           defaults: поля карточки только для новых строк }
+ * @returns {boolean|Object|null} Для одной карточки true если успешно; для массива
+ *                                { created, updated, unchanged } или null при ошибке
  */
-function writeFullProductData(productData) {
+function writeFullProductData(productData, options = {}) {
+  const batch = Array.isArray(productData);
+  const products = batch ? productData : [productData];
+
   try {
-    logInfo(`📝 Записываем полную карточку товара: ${productData.article}`);
+    logInfo(batch
+      ? `📝 Записываем карточки товаров: ${products.length}`
+      : `📝 Записываем полную карточку товара: ${productData.article}`);
 
     const sheet = getImagesSheet();
-    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
     const data = sheet.getDataRange().getValues();
+    const firstNewIndex = data.length;
+    const stats = { created: 0, updated: 0, unchanged: 0 };
+    const changes = {};
+    const replaced = new Set();
+    const updated = new Set();
 
-    // Ищем существующий товар
-    let targetRow = -1;
-    const articleCol = IMAGES_COLUMNS.ARTICLE - 1;
-
+    // Артикул сравнивается строкой: в листе он может быть числом (3252)
+    const rowIndexes = {};
     for (let i = 1; i < data.length; i++) {
-      if (data[i][articleCol] === productData.article) {
-        targetRow = i + 1;
-        break;
+      const article = String(data[i][IMAGES_COLUMNS.ARTICLE - 1]).trim();
+      if (article && rowIndexes[article] === undefined) {
+        rowIndexes[article] = i;
       }
     }
 
-    // Если не найден - создаем новую строку
-    if (targetRow === -1) {
-      targetRow = sheet.getLastRow() + 1;
+    products.forEach(product => {
+      const article = String(product.article || '').trim();
+      const index = rowIndexes[article];
+      const rowData = buildFullProductRow(index === undefined
+        ? Object.assign({}, options.defaults, product)
+        : product);
+
+      if (index === undefined) {
+        rowIndexes[article] = data.length;
+        data.push(rowData);
+        stats.created++;
+        return;
+      }
+
+      // Новые строки пишутся целиком ниже, в листе отмечаются только существующие
+      const existing = index < firstNewIndex;
+
+      if (options.partial) {
+        const row = data[index];
+        const changed = Object.keys(product)
+          .map(property => getFullProductColumn(property))
+          .filter(column => column && column !== IMAGES_COLUMNS.ARTICLE &&
+            String(row[column - 1]) !== String(rowData[column - 1]));
+
+        if (changed.length === 0) {
+          stats.unchanged++;
+          return;
+        }
+
+        changed.forEach(column => {
+          row[column - 1] = rowData[column - 1];
+          if (existing) addChangedCell(changes, index, column);
+        });
+
+      } else {
+        data[index] = rowData;
+        if (existing) replaced.add(index);
+      }
+
+      if (existing && !updated.has(index)) {
+        updated.add(index);
+        stats.updated++;
+      }
+    });
+
+    writeChangedColumns(sheet, data, changes);
+
+    replaced.forEach(index => {
+      sheet.getRange(index + 1, 1, 1, data[index].length).setValues([data[index]]);
+    });
+
+    if (data.length > firstNewIndex) {
+      const newRows = data.slice(firstNewIndex);
+      sheet.getRange(firstNewIndex + 1, 1, newRows.length, newRows[0].length).setValues(newRows);
     }
 
-    // Подготовка значений для всех колонок
-    const rowData = new Array(Object.keys(IMAGES_COLUMNS).length).fill('');
-
-    rowData[IMAGES_COLUMNS.CHECKBOX - 1] = false;
-    rowData[IMAGES_COLUMNS.ARTICLE - 1] = productData.article || '';
-    rowData[IMAGES_COLUMNS.INSALES_ID - 1] = productData.insalesId || '';
-    rowData[IMAGES_COLUMNS.PRODUCT_NAME - 1] = productData.productName || '';
-    rowData[IMAGES_COLUMNS.ORIGINAL_IMAGES - 1] = productData.originalImages || '';
-    rowData[IMAGES_COLUMNS.SUPPLIER_IMAGES - 1] = productData.supplierImages || '';
-    rowData[IMAGES_COLUMNS.ADDITIONAL_IMAGES - 1] = productData.additionalImages || '';
-    rowData[IMAGES_COLUMNS.PROCESSED_IMAGES - 1] = productData.processedImages || '';
-    rowData[IMAGES_COLUMNS.ALT_TAGS - 1] = productData.altTags || '';
-    rowData[IMAGES_COLUMNS.SEO_FILENAMES - 1] = productData.seoFilenames || '';
-    rowData[IMAGES_COLUMNS.PROCESSING_STATUS - 1] = productData.processingStatus || STATUS_VALUES.PROCESSING.NOT_PROCESSED;
-    rowData[IMAGES_COLUMNS.INSALES_STATUS - 1] = productData.insalesStatus || STATUS_VALUES.INSALES.NOT_SENT;
-
-    // Новые поля для импорта
-    rowData[IMAGES_COLUMNS.DESCRIPTION - 1] = productData.description || '';
-    rowData[IMAGES_COLUMNS.DESCRIPTION_REWRITTEN - 1] = productData.descriptionRewritten || '';
-    rowData[IMAGES_COLUMNS.SHORT_DESCRIPTION - 1] = productData.shortDescription || '';
-    rowData[IMAGES_COLUMNS.SPECIFICATIONS_RAW - 1] = productData.specificationsRaw || '';
-    rowData[IMAGES_COLUMNS.SPECIFICATIONS_NORMALIZED - 1] = productData.specificationsNormalized || '';
-    rowData[IMAGES_COLUMNS.PRICE - 1] = productData.price || '';
-    rowData[IMAGES_COLUMNS.STOCK - 1] = productData.stock || '';
-    rowData[IMAGES_COLUMNS.CATEGORIES - 1] = productData.categories || '';
-    rowData[IMAGES_COLUMNS.BRAND - 1] = productData.brand || '';
-    rowData[IMAGES_COLUMNS.SERIES - 1] = productData.series || '';
-    rowData[IMAGES_COLUMNS.WEIGHT - 1] = productData.weight || '';
-    rowData[IMAGES_COLUMNS.DIMENSIONS - 1] = productData.dimensions || '';
-    rowData[IMAGES_COLUMNS.PACKAGE_CONTENTS - 1] = productData.packageContents || '';
-    rowData[IMAGES_COLUMNS.MATCH_STATUS - 1] = productData.matchStatus || '';
-    rowData[IMAGES_COLUMNS.MATCH_CONFIDENCE - 1] = productData.matchConfidence || '';
-    rowData[IMAGES_COLUMNS.IMPORT_STATUS - 1] = productData.importStatus || 'Спарсено';
-
-    // Записываем строку
-    sheet.getRange(targetRow, 1, 1, rowData.length).setValues([rowData]);
-
-    logInfo(`✅ Товар ${productData.article} записан в строку ${targetRow}`);
-    return true;
+    if (!batch) {
+      logInfo(`✅ Товар ${productData.article} записан в строку ${rowIndexes[String(productData.article || '').trim()] + 1}`);
+      return true;
+    }
+
+    logInfo(`✅ Карточки записаны: новых ${stats.created}, обновлено ${stats.updated}, без изменений ${stats.unchanged}`);
+    return stats;
 
   } catch (error) {
     handleError(error, 'Запись полной карточки товара', {
-      article: productData.article
+      article: batch ? `${products.length} товаров` : productData.article
     });
-    return false;
+    return batch ? null : false;
   }
 }
 
+/**
+ * КОЛОНКА ПОЛЯ КАРТОЧКИ: productName → IMAGES_COLUMNS.PRODUCT_NAME
+ */
+function getFullProductColumn(property) {
+  return IMAGES_COLUMNS[property.replace(/([A-Z])/g, '_$1').toUpperCase()];
+}
+
+/**
+ * КАРТОЧКА ТОВАРА → ЗНАЧЕНИЯ СТРОКИ ПО IMAGES_COLUMNS
+ */
+function buildFullProductRow(productData) {
+  // Подготовка значений для всех колонок
+  const rowData = new Array(Object.keys(IMAGES_COLUMNS).length).fill('');
+
+  rowData[IMAGES_COLUMNS.CHECKBOX - 1] = false;
+  rowData[IMAGES_COLUMNS.ARTICLE - 1] = productData.article || '';
+  rowData[IMAGES_COLUMNS.INSALES_ID - 1] = productData.insalesId || '';
+  rowData[IMAGES_COLUMNS.PRODUCT_NAME - 1] = productData.productName || '';
+  rowData[IMAGES_COLUMNS.ORIGINAL_IMAGES - 1] = productData.originalImages || '';
+  rowData[IMAGES_COLUMNS.SUPPLIER_IMAGES - 1] = productData.supplierImages || '';
+  rowData[IMAGES_COLUMNS.ADDITIONAL_IMAGES - 1] = productData.additionalImages || '';
+  rowData[IMAGES_COLUMNS.PROCESSED_IMAGES - 1] = productData.processedImages || '';
+  rowData[IMAGES_COLUMNS.ALT_TAGS - 1] = productData.altTags || '';
+  rowData[IMAGES_COLUMNS.SEO_FILENAMES - 1] = productData.seoFilenames || '';
+  rowData[IMAGES_COLUMNS.PROCESSING_STATUS - 1] = productData.processingStatus || STATUS_VALUES.PROCESSING.NOT_PROCESSED;
+  rowData[IMAGES_COLUMNS.INSALES_STATUS - 1] = productData.insalesStatus || STATUS_VALUES.INSALES.NOT_SENT;
+
+  // Новые поля для импорта
+  rowData[IMAGES_COLUMNS.DESCRIPTION - 1] = productData.description || '';
+  rowData[IMAGES_COLUMNS.DESCRIPTION_REWRITTEN - 1] = productData.descriptionRewritten || '';
+  rowData[IMAGES_COLUMNS.SHORT_DESCRIPTION - 1] = productData.shortDescription || '';
+  rowData[IMAGES_COLUMNS.SPECIFICATIONS_RAW - 1] = productData.specificationsRaw || '';
+  rowData[IMAGES_COLUMNS.SPECIFICATIONS_NORMALIZED - 1] = productData.specificationsNormalized || '';
+  rowData[IMAGES_COLUMNS.PRICE - 1] = productData.price || '';
+  rowData[IMAGES_COLUMNS.STOCK - 1] = productData.stock || '';
+  rowData[IMAGES_COLUMNS.CATEGORIES - 1] = productData.categories || '';
+  rowData[IMAGES_COLUMNS.BRAND - 1] = productData.brand || '';
+  rowData[IMAGES_COLUMNS.SERIES - 1] = productData.series || '';
+  rowData[IMAGES_COLUMNS.WEIGHT - 1] = productData.weight || '';
+  rowData[IMAGES_COLUMNS.DIMENSIONS - 1] = productData.dimensions || '';
+  rowData[IMAGES_COLUMNS.PACKAGE_CONTENTS - 1] = productData.packageContents || '';
+  rowData[IMAGES_COLUMNS.MATCH_STATUS - 1] = productData.matchStatus || '';
+  rowData[IMAGES_COLUMNS.MATCH_CONFIDENCE - 1] = productData.matchConfidence || '';
+  rowData[IMAGES_COLUMNS.IMPORT_STATUS - 1] = productData.importStatus || 'Спарсено';
+  rowData[IMAGES_COLUMNS.SPECIFICATIONS_DERIVED - 1] = productData.specificationsDerived || '';
+  rowData[IMAGES_COLUMNS.PROCESSED_DIMENSIONS - 1] = productData.processedDimensions || '';
+
+  return rowData;
+}
+
+/**
+ * ПАКЕТНАЯ ЗАПИСЬ ИЗМЕНЕННЫХ ЯЧЕЕК
+ *
+ * В каждой колонке пишутся только сплошные отрезки строк, где она изменилась:
+ * строки между ними и остальные колонки (формулы, ручные правки во время
+ * импорта) не перезаписываются
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Лист
+ * @param {Array<Array>} data - Значения листа (getDataRange), измененные в памяти
+ * @param {Object} changes - Номер колонки (IMAGES_COLUMNS) → индексы измененных строк в data
+ * @returns {number} Сколько диапазонов записано
+ */
+function writeChangedColumns(sheet, data, changes) {
+  let written = 0;
+
+  Object.keys(changes).forEach(key => {
+    const column = Number(key);
+    const indexes = Array.from(new Set(changes[key])).sort((a, b) => a - b);
+
+    for (let start = 0; start < indexes.length;) {
+      let end = start;
+      while (end + 1 < indexes.length && indexes[end + 1] === indexes[end] + 1) {
+        end++;
+      }
+
+      const values = indexes.slice(start, end + 1).map(index =>
+        [data[index][column - 1] === undefined ? '' : data[index][column - 1]]);
+      sheet.getRange(indexes[start] + 1, column, values.length, 1).setValues(values);
+
+      written++;
+      start = end + 1;
+    }
+  });
+
+  return written;
+}
+
+/**
+ * ОТМЕТКА ИЗМЕНЕННОЙ ЯЧЕЙКИ ДЛЯ writeChangedColumns
+ */
+function addChangedCell(changes, rowIndex, column) {
+  (changes[column] || (changes[column] = [])).push(rowIndex);
+}
+
 /**
  * ОБНОВЛЕНИЕ ОДНОГО ПОЛЯ ТОВАРА
  *
@@ -1387,88 +1387,76 @@ async function uploadProductImages(productId, imagesString) {
 
 /**
  * ПАКЕТНОЕ СОЗДАНИЕ ТОВАРОВ ИЗ ТАБЛИЦЫ
+ *
+ * Ставит отмеченные товары в фоновую очередь (модуль 14),
+ * каждый товар создает createInSalesProductForArticle
  */
-async function batchCreateProductsInInSales() {
+function batchCreateProductsInInSales() {
   try {
     logInfo('🚀 Запуск пакетного создания товаров в InSales');
 
-    const products = readSelectedProducts();
+    const products = readSelectedProducts().filter(product => product.article);
 
     if (products.length === 0) {
       logWarning('⚠️ Нет отмеченных товаров для создания');
       return;
     }
 
-    logInfo(`📦 Создаем ${products.length} товаров`);
-
-    let successCount = 0;
-    let errorCount = 0;
-    let skippedCount = 0;
-
-    for (let i = 0; i < products.length; i++) {
-      const row = products[i];
-
-      try {
-        const article = row[IMAGES_COLUMNS.ARTICLE - 1];
+    const job = enqueueJob('INSALES_CREATE', products.map(product => ({ article: product.article })));
+    logInfo(`📦 В очереди на создание: ${job.count} товаров`);
+    showProcessingProgress();
 
-        if (!article) {
-          logWarning(`⚠️ Строка ${i + 1}: нет артикула, пропускаем`);
-          skippedCount++;
-          continue;
-        }
+    return job;
 
-        logInfo(`[${i + 1}/${products.length}] Создаем товар ${article}`);
-
-        // Проверяем статус сопоставления
-        const matchStatus = row[IMAGES_COLUMNS.MATCH_STATUS - 1];
-
-        if (matchStatus === MATCH_STATUS.EXACT_MATCH || matchStatus === MATCH_STATUS.DUPLICATE) {
-          logWarning(`⚠️ ${article}: товар уже существует (${matchStatus}), пропускаем`);
-          skippedCount++;
-          continue;
-        }
+  } catch (error) {
+    handleError(error, 'Пакетное создание товаров');
+  }
+}
 
-        // Формируем данные товара
-        const productData = {
-          article: article,
-          productName: row[IMAGES_COLUMNS.PRODUCT_NAME - 1],
-          description: row[IMAGES_COLUMNS.DESCRIPTION - 1],
-          descriptionRewritten: row[IMAGES_COLUMNS.DESCRIPTION_REWRITTEN - 1],
-          shortDescription: row[IMAGES_COLUMNS.SHORT_DESCRIPTION - 1],
-          specificationsNormalized: row[IMAGES_COLUMNS.SPECIFICATIONS_NORMALIZED - 1],
-          price: row[IMAGES_COLUMNS.PRICE - 1],
-          stock: row[IMAGES_COLUMNS.STOCK - 1],
-          categories: row[IMAGES_COLUMNS.CATEGORIES - 1],
-          brand: row[IMAGES_COLUMNS.BRAND - 1],
-          series: row[IMAGES_COLUMNS.SERIES - 1],
-          weight: row[IMAGES_COLUMNS.WEIGHT - 1],
-          dimensions: row[IMAGES_COLUMNS.DIMENSIONS - 1],
-          packageContents: row[IMAGES_COLUMNS.PACKAGE_CONTENTS - 1],
-          supplierImages: row[IMAGES_COLUMNS.SUPPLIER_IMAGES - 1]
-        };
+/**
+ * СОЗДАНИЕ ОДНОГО ТОВАРА ИЗ ТАБЛИЦЫ (строка очереди INSALES_CREATE)
+ *
+ * @param {string} article - Артикул товара
+ * @returns {Object} { insalesId } или { skipped: true, reason }
+ */
+async function createInSalesProductForArticle(article) {
+  const row = getImagesValuesByArticle()[article];
 
-        // Создаем товар
-        await createProductInInSales(productData);
+  if (!row) {
+    throw new Error('Товар не найден в таблице');
+  }
 
-        logInfo(`✅ [${i + 1}/${products.length}] ${article}: товар создан`);
-        successCount++;
+  // Проверяем статус сопоставления
+  const matchStatus = row[IMAGES_COLUMNS.MATCH_STATUS - 1];
 
-        // Пауза между товарами
-        if (i < products.length - 1) {
-          Utilities.sleep(2000);
-        }
+  if (matchStatus === MATCH_STATUS.EXACT_MATCH || matchStatus === MATCH_STATUS.DUPLICATE) {
+    logWarning(`⚠️ ${article}: товар уже существует (${matchStatus}), пропускаем`);
+    return { skipped: true, reason: `Товар уже существует (${matchStatus})` };
+  }
 
-      } catch (error) {
-        logError(`❌ [${i + 1}/${products.length}] Ошибка создания товара`, error);
-        errorCount++;
-      }
-    }
+  // Формируем данные товара
+  const productData = {
+    article: row[IMAGES_COLUMNS.ARTICLE - 1],
+    productName: row[IMAGES_COLUMNS.PRODUCT_NAME - 1],
+    description: row[IMAGES_COLUMNS.DESCRIPTION - 1],
+    descriptionRewritten: row[IMAGES_COLUMNS.DESCRIPTION_REWRITTEN - 1],
+    shortDescription: row[IMAGES_COLUMNS.SHORT_DESCRIPTION - 1],
+    specificationsNormalized: row[IMAGES_COLUMNS.SPECIFICATIONS_NORMALIZED - 1],
+    price: row[IMAGES_COLUMNS.PRICE - 1],
+    stock: row[IMAGES_COLUMNS.STOCK - 1],
+    categories: row[IMAGES_COLUMNS.CATEGORIES - 1],
+    brand: row[IMAGES_COLUMNS.BRAND - 1],
+    series: row[IMAGES_COLUMNS.SERIES - 1],
+    weight: row[IMAGES_COLUMNS.WEIGHT - 1],
+    dimensions: row[IMAGES_COLUMNS.DIMENSIONS - 1],
+    packageContents: row[IMAGES_COLUMNS.PACKAGE_CONTENTS - 1],
+    supplierImages: row[IMAGES_COLUMNS.SUPPLIER_IMAGES - 1]
+  };
 
-    logInfo(`✅ Пакетное создание завершено: успешно ${successCount}, ошибок ${errorCount}, пропущено ${skippedCount}`);
+  const response = await createProductInInSales(productData);
 
-  } catch (error) {
-    handleError(error, 'Пакетное создание товаров');
-  }
+  logInfo(`✅ ${article}: товар создан`);
+  return { insalesId: response.id };
 }
 
 
@@ -4196,11 +4184,14 @@ function updateProductInInSalesWorking(productId, imageUrls, altTags, seoFilenam
     
     logInfo(`📊 Текущих изображений: ${currentImages.length}, новых: ${imageUrls.length}`);
     
-    // ЭТАП 2: Удаляем старые изображения
-    const imagesToDelete = currentImages.map(img => ({
-      id: img.id,
-      _destroy: true
-    }));
+    // ЭТАП 2: Удаляем старые изображения (кроме уже прикрепленных хранилищем INSALES)
+    const findAttachedImage = url => currentImages.find(img => img.original_url === url || img.url === url);
+    const imagesToDelete = currentImages
+      .filter(img => !imageUrls.some(url => findAttachedImage(url) === img))
+      .map(img => ({
+        id: img.id,
+        _destroy: true
+      }));
     
     // ЭТАП 3: Подготавливаем новые изображения как base64
     const imagesToAdd = [];
@@ -4218,6 +4209,13 @@ function updateProductInInSalesWorking(productId, imageUrls, altTags, seoFilenam
           throw new Error(`Неверный URL: ${url}`);
         }
 
+        const attached = findAttachedImage(url);
+        if (attached) {
+          logInfo(`📎 Изображение уже прикреплено к товару: ${url}`);
+          imagesToAdd.push({ id: attached.id, position: index + 1 });
+          continue;
+        }
+
         logInfo(`📤 Добавляем прямую ссылку: ${url}`);
 
         imagesToAdd.push({
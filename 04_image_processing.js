@@ -16,7 +16,9 @@ const IMAGE_PROCESSING_CONFIG = {
   FALLBACK_ALT_TAG: "Изображение товара {productName}",
   FALLBACK_FILENAME: "product-image-{timestamp}",
   BATCH_SIZE: 5,
-  PROGRESS_SAVE_INTERVAL: 10
+  PROGRESS_SAVE_INTERVAL: 10,
+  TARGET_SIDE_PX: 2000,       // Длинная сторона, до которой улучшаем через Replicate
+  MAX_WEBP_SIDE_PX: 3000      // Больше не отдаем в WebP - уменьшаем
 };
 
 // ========================================
@@ -25,6 +27,7 @@ const IMAGE_PROCESSING_CONFIG = {
 
 /**
  * Показ диалога выбора изображений перед обработкой
+ * Все отмеченные товары - вкладками, выбор каждого сохраняется отдельно
  */
 function showImageSelectionForProcessing() {
   try {
@@ -38,32 +41,17 @@ function showImageSelectionForProcessing() {
       return;
     }
     
-    // Пока работаем с первым товаром (можно расширить для множественного выбора)
-    const product = products[0];
-    
-    // Парсим изображения из всех источников
-    const originalImages = product.originalImages ? 
-      product.originalImages.split(/[\n,]/).map(url => url.trim()).filter(url => url && url.startsWith('http')) : [];
-    
-    const supplierImages = product.supplierImages ? 
-      product.supplierImages.split(/[\n,]/).map(url => url.trim()).filter(url => url && url.startsWith('http')) : [];
-    
-    const additionalImages = product.additionalImages ? 
-      product.additionalImages.split(/[\n,]/).map(url => url.trim()).filter(url => url && url.startsWith('http')) : [];
-    
     // Создаем HTML-диалог
     const html = HtmlService.createTemplateFromFile('ImageSelectionDialog');
-    html.productName = product.productName;
-    html.article = product.article;
-    html.originalImages = originalImages;
-    html.supplierImages = supplierImages;
-    html.additionalImages = additionalImages;
+    html.products = products.map(product => getImageSelectionData(product));
+    html.backgroundPadding = getApiSettings().backgroundPadding;
     
     const htmlOutput = html.evaluate()
       .setWidth(1400)
       .setHeight(800);
     
-    SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Выбор изображений для обработки');
+    SpreadsheetApp.getUi().showModalDialog(htmlOutput,
+      `Выбор изображений для обработки (товаров: ${products.length})`);
     
   } catch (error) {
     logError('Ошибка показа диалога выбора изображений', error);
@@ -72,105 +60,162 @@ function showImageSelectionForProcessing() {
 }
 
 /**
-* Главная функция workflow - обработка выбранных изображений (ИСПРАВЛЕННАЯ)
-* Упрощенная версия для надежной работы
-*/
-async function processSelectedImages() {
-  const startTime = new Date();
-  const stats = {
-    processed: 0,
-    errors: 0,
-    totalImages: 0
+ * Данные одного товара для диалога выбора изображений
+ *
+ * Дубли здесь не ищутся: скачивание и хэши всех фото всех товаров задержали бы
+ * открытие диалога. Диалог запрашивает их для открытого товара
+ * (getImageSelectionDuplicates)
+ *
+ * @param {Object} product - Товар из getProductsForProcessing()
+ * @returns {Object} { article, productName, originalImages, supplierImages, additionalImages,
+ *                     supplierProvenance }
+ */
+function getImageSelectionData(product) {
+  // Парсим изображения из всех источников
+  const parseUrls = value => value ?
+    String(value).split(/[\n,]/).map(url => url.trim()).filter(url => url && url.startsWith('http')) : [];
+
+  const originalImages = parseUrls(product.originalImages);
+  const supplierImages = parseUrls(product.supplierImages);
+  const additionalImages = parseUrls(product.additionalImages);
+
+  // Источник фото поставщика: страница товара, дата парсинга, размер файла
+  const provenance = getImageProvenance(product.article);
+  const supplierProvenance = supplierImages.map(url => provenance[url] ? {
+    sourceUrl: provenance[url].sourceUrl,
+    description: describeImageProvenance(provenance[url])
+  } : null);
+
+  return {
+    article: String(product.article).trim(),
+    productName: product.productName,
+    originalImages: originalImages,
+    supplierImages: supplierImages,
+    additionalImages: additionalImages,
+    supplierProvenance: supplierProvenance
   };
+}
 
-  try {
-    logInfo('Начинаем обработку выбранных изображений');
+/**
+ * ДУБЛИ ФОТО ОДНОГО ТОВАРА (вызывается из диалога выбора при открытии товара)
+ *
+ * Одно фото из разных источников: отмечаем дубли, оставляем копию с большим разрешением
+ *
+ * @param {Object} sourceImages - { original: [URL], supplier: [URL], additional: [URL] }
+ * @returns {Object} { original, supplier, additional } - по индексу фото
+ *                   { description } или null, если фото не дубль
+ */
+function getImageSelectionDuplicates(sourceImages) {
+  const sourceNames = { original: 'InSales', supplier: 'поставщика', additional: 'дополнительных' };
+  const entries = [];
+  Object.keys(sourceNames).forEach(source => {
+    (sourceImages[source] || []).forEach((url, index) => entries.push({ source: source, index: index, url: url }));
+  });
 
-    // 1. Получение товаров для обработки
-    const products = getProductsForProcessing();
-    
-    if (products.length === 0) {
-      showNotification('Отметьте чекбоксами товары в колонке A для обработки', 'warning');
+  const duplicates = findNearDuplicateImages(entries.map(entry => entry.url));
+  const duplicateImages = { original: [], supplier: [], additional: [] };
+  entries.forEach((entry, i) => {
+    const keeperIndex = duplicates[i].duplicateOf;
+    if (keeperIndex === -1) {
+      duplicateImages[entry.source][entry.index] = null;
       return;
     }
 
-    // 2. Фильтрация товаров с изображениями
-    const productsWithImages = products.filter(p => 
-      (p.originalImages && p.originalImages.trim()) ||
-      (p.supplierImages && p.supplierImages.trim()) ||
-      (p.additionalImages && p.additionalImages.trim())
-    );
-    
-    if (productsWithImages.length === 0) {
-      showNotification('У выбранных товаров нет изображений', 'warning');
+    const keeper = entries[keeperIndex];
+    const kept = duplicates[keeperIndex];
+    duplicateImages[entry.source][entry.index] = {
+      description: `Дубль фото №${keeper.index + 1} из ${sourceNames[keeper.source]}` +
+        (kept.width ? ` (${kept.width}×${kept.height})` : '')
+    };
+  });
+
+  return duplicateImages;
+}
+
+/**
+* Главная функция workflow - постановка выбранных товаров в фоновую очередь
+* Товары обрабатываются триггером по одному (processProductImagesByArticle),
+* прогресс - в диалоге showProcessingProgress
+*/
+function processSelectedImages() {
+  try {
+    const products = getProductsForProcessing();
+
+    if (products.length === 0) {
+      showNotification('Отметьте чекбоксами товары в колонке A с изображениями', 'warning');
       return;
     }
 
-    logInfo(`Обрабатываем ${productsWithImages.length} товаров`);
+    const job = enqueueImageProcessing(products);
+    showNotification(`В очереди на обработку: ${job.count} товаров. Обработка идет в фоне`, 'success');
+    return job;
 
-    // 3. Обработка каждого товара
-    for (let i = 0; i < productsWithImages.length; i++) {
-      const product = productsWithImages[i];
-      
-      try {
-        logInfo(`Обрабатываем товар ${i + 1}/${productsWithImages.length}: ${product.productName}`);
-        
-        // Устанавливаем статус "Обработка..."
-        setProcessingStatusSimple(product.article, 'Обработка...');
-        
-        // Парсим URL изображений
-        const imageUrls = product.originalImages
-          .split(/[,\n]/)
-          .map(url => url.trim())
-          .filter(url => url && url.startsWith('http'))
-          .slice(0, 10); // Максимум 10 изображений
-
-        if (imageUrls.length === 0) {
-          throw new Error('Нет валидных URL изображений');
-        }
+  } catch (error) {
+    logError('Ошибка постановки в очередь', error);
+    showNotification('Ошибка: ' + error.message, 'error');
+    throw error;
+  }
+}
 
-        const results = [];
+/**
+ * Постановка товаров в очередь обработки изображений
+ *
+ * @param {Array<Object>} products - Товары из getProductsForProcessing()
+ * @returns {Object} { jobId, count }
+ */
+function enqueueImageProcessing(products, options = {}) {
+  const job = enqueueJob('IMAGE_PROCESSING', products.map(product => ({
+    article: product.article,
+    payload: options.whiteBackground ? { whiteBackground: true } : null
+  })));
 
-        // Обрабатываем все изображения товара за один вызов
-        logInfo(`Обрабатываем все изображения товара`);
+  products.forEach(product => {
+    setProcessingStatusSimple(product.article, STATUS_VALUES.PROCESSING.QUEUED);
+  });
 
-        const analysisResults = await analyzeImageSimple(product);
+  return job;
+}
 
-        if (analysisResults && analysisResults.length > 0) {
-          // Сохраняем результаты сразу
-          const altTags = analysisResults.map(r => r.altTag).join('\n');
-          const seoFilenames = analysisResults.map(r => r.seoFilename).join('\n');
-          const processedUrls = analysisResults.map(r => r.processedImageUrl).filter(Boolean).join('\n');
-          
-          updateResultsSimple(product.article, altTags, seoFilenames, processedUrls);
-          setProcessingStatusSimple(product.article, 'Обработано');
-          
-          stats.processed++;
-          logInfo(`Товар обработан: ${analysisResults.length} изображений`);
-        } else {
-          throw new Error('Не удалось обработать изображения');
-        }
+/**
+ * Обработка изображений одного товара (строка очереди IMAGE_PROCESSING)
+ *
+ * @param {string} article - Артикул товара
+ * @param {Object} options - { whiteBackground } из окна выбора фото
+ * @returns {Object} { images: количество обработанных изображений }
+ */
+async function processProductImagesByArticle(article, options = {}) {
+  const product = getProductsForProcessing({ selectedOnly: false })
+    .find(p => String(p.article).trim() === article);
 
-      } catch (productError) {
-        logError(`Ошибка обработки товара: ${productError.message}`);
-        setProcessingStatusSimple(product.article, 'Ошибка');
-        stats.errors++;
-      }
-    }
+  if (!product) {
+    throw new Error('Товар с изображениями не найден в таблице');
+  }
 
-    // Показываем результат
-    const processingTime = Math.floor((new Date() - startTime) / 1000);
-    const message = `Обработано: ${stats.processed}, Ошибок: ${stats.errors}, Время: ${processingTime}сек`;
-    
-    showNotification(message, stats.errors > 0 ? 'warning' : 'success');
-    
-    return stats;
-    
-  } catch (error) {
-    logError('Критическая ошибка обработки', error);
-    showNotification('Критическая ошибка: ' + error.message, 'error');
-    throw error;
+  logInfo(`Обрабатываем товар: ${product.productName}`);
+  setProcessingStatusSimple(product.article, STATUS_VALUES.PROCESSING.PROCESSING);
+
+  const analysis = await analyzeImageSimple(product, options);
+  const analysisResults = analysis.images;
+
+  if (!analysisResults || analysisResults.length === 0) {
+    throw new Error('Не удалось обработать изображения');
   }
+
+  const altTags = analysisResults.map(r => r.altTag).join('\n');
+  const seoFilenames = analysisResults.map(r => r.seoFilename).join('\n');
+  const processed = analysisResults.filter(r => r.processedImageUrl);
+  const processedUrls = processed.map(r => r.processedImageUrl).join('\n');
+  const dimensions = processed.map(r => (r.width ? `${r.width}x${r.height}` : '') +
+    (r.framed === false ? ' (без кадра)' : '')).join('\n');
+
+  updateResultsSimple(product.article, altTags, seoFilenames, processedUrls, dimensions);
+  setProcessingStatusSimple(product.article, STATUS_VALUES.PROCESSING.COMPLETED);
+
+  logInfo(`Товар обработан: ${analysisResults.length} изображений`);
+
+  // Сводка показывается кнопкой результатов в окне прогресса (showImageProcessingResults):
+  // обработка идет в триггере очереди, где окна таблицы недоступны
+  return { images: analysisResults.length, summary: analysis.summary, hasIssues: analysis.hasIssues };
 }
 
 /**
@@ -329,7 +374,9 @@ async function callOpenAIVision(imageUrl, systemPrompt, userPrompt) {
       throw new Error(`OpenAI API error: ${responseCode} - ${response.getContentText()}`);
     }
     
-    return JSON.parse(response.getContentText());
+    const data = JSON.parse(response.getContentText());
+    recordOpenAIUsage('Vision: анализ фото', data);
+    return data;
     
   } catch (error) {
     logError('Ошибка вызова OpenAI Vision API', error);
@@ -470,6 +517,7 @@ async function runAssistantAnalysis(threadId, assistantId) {
   const run = JSON.parse(runResponse.getContentText());
   
   // Ждем завершения run
+  let runData = run;
   let status = run.status;
   let attempts = 0;
   const maxAttempts = 30; // 30 секунд максимум
@@ -491,8 +539,8 @@ async function runAssistantAnalysis(threadId, assistantId) {
       statusOptions
     );
     
-    const statusData = JSON.parse(statusResponse.getContentText());
-    status = statusData.status;
+    runData = JSON.parse(statusResponse.getContentText());
+    status = runData.status;
     
     attempts++;
     if (attempts >= maxAttempts) {
@@ -500,6 +548,9 @@ async function runAssistantAnalysis(threadId, assistantId) {
     }
   }
   
+  // Токены списываются и за run с ошибкой
+  recordOpenAIUsage('Ассистент alt-тегов', runData);
+  
   if (status !== 'completed') {
     throw new Error(`Assistant run завершился с ошибкой: ${status}`);
   }
@@ -589,8 +640,11 @@ function validateAssistantOutput(output, productName) {
 
 /**
  * Получение товаров для обработки
+ *
+ * @param {Object} options - { selectedOnly: false } - все товары с изображениями, а не только отмеченные
  */
-function getProductsForProcessing() {
+function getProductsForProcessing(options = {}) {
+  const selectedOnly = options.selectedOnly !== false;
   const sheet = getImagesSheet();
   const data = sheet.getDataRange().getValues();
   const headers = data[0];
@@ -606,9 +660,10 @@ function getProductsForProcessing() {
                       row[IMAGES_COLUMNS.ADDITIONAL_IMAGES - 1];
     const processingStatus = row[IMAGES_COLUMNS.PROCESSING_STATUS - 1];
 
-    if (isSelected && hasImages) {
+    if ((isSelected || !selectedOnly) && hasImages) {
       products.push({
         article: row[IMAGES_COLUMNS.ARTICLE - 1],
+        insalesId: row[IMAGES_COLUMNS.INSALES_ID - 1],
         productName: row[IMAGES_COLUMNS.PRODUCT_NAME - 1],
         originalImages: row[IMAGES_COLUMNS.ORIGINAL_IMAGES - 1],
         supplierImages: row[IMAGES_COLUMNS.SUPPLIER_IMAGES - 1],
@@ -859,12 +914,12 @@ function getProcessingStatistics() {
 // ========================================
 
 /**
- * Показать диалог прогресса обработки
+ * Показать диалог прогресса фоновых задач (очередь модуля 14)
  */
 function showProcessingProgress() {
   const htmlContent = `
     <div style="font-family: Arial, sans-serif; padding: 20px;">
-      <h3>Обработка изображений</h3>
+      <h3>Фоновая обработка</h3>
       <div id="progress-info">
         <p>Инициализация...</p>
       </div>
@@ -875,35 +930,61 @@ function showProcessingProgress() {
       </div>
       <div id="stats" style="margin-top: 20px; font-size: 14px; color: #666;">
       </div>
+      <div id="jobs" style="margin-top: 10px; font-size: 13px;">
+      </div>
     </div>
     <script>
       // Обновление прогресса каждые 5 секунд
-      setInterval(() => {
+      function refresh() {
         google.script.run
           .withSuccessHandler(updateProgress)
-          .getProcessingStatistics();
-      }, 5000);
+          .getJobQueueProgress();
+      }
+      refresh();
+      setInterval(refresh, 5000);
       
       function updateProgress(stats) {
-        const processed = stats.processed + stats.errors;
+        const processed = stats.done + stats.skipped + stats.errors;
         const total = stats.total;
-        const percentage = total > 0 ? Math.round((processed / total) * 100) : 0;
+        const percentage = total > 0 ? Math.round((processed / total) * 100) : 100;
         
         document.getElementById('progress-bar').style.width = percentage + '%';
-        document.getElementById('progress-info').innerHTML = 
-          '<p>Обработано: ' + processed + ' из ' + total + ' (' + percentage + '%)</p>';
+        document.getElementById('progress-info').innerHTML = total > 0 ?
+          '<p>Обработано: ' + processed + ' из ' + total + ' (' + percentage + '%)</p>' +
+          (stats.running ? '<p>Сейчас: ' + stats.running + '</p>' : '') :
+          '<p>Активных задач нет</p>';
         
-        document.getElementById('stats').innerHTML = 
-          '<p>✅ Успешно: ' + stats.processed + '<br>' +
+        document.getElementById('stats').innerHTML = total > 0 ?
+          '<p>✅ Успешно: ' + stats.done + '<br>' +
+          '⏭️ Пропущено: ' + stats.skipped + '<br>' +
           '❌ Ошибок: ' + stats.errors + '<br>' +
-          '⏳ Ожидает: ' + stats.notProcessed + '</p>';
+          '⏳ Ожидает: ' + stats.pending + '</p>' : '';
+        
+        const jobs = document.getElementById('jobs');
+        jobs.innerHTML = '';
+        stats.jobs.slice(0, 5).forEach(job => {
+          const line = document.createElement('div');
+          line.style.margin = '4px 0';
+          line.textContent = (job.finished ? '✅ ' : '⏳ ') + job.label + ': ' +
+            (job.done + job.skipped + job.errors) + '/' + job.total;
+          
+          if (job.finished && job.hasResults) {
+            const button = document.createElement('button');
+            button.textContent = 'Показать результаты';
+            button.style.marginLeft = '8px';
+            button.onclick = () => google.script.run.showJobResults(job.jobId);
+            line.appendChild(button);
+          }
+          
+          jobs.appendChild(line);
+        });
       }
     </script>
   `;
   
   const html = HtmlService.createHtmlOutput(htmlContent)
     .setWidth(400)
-    .setHeight(300);
+    .setHeight(400);
     
   SpreadsheetApp.getUi().showModelessDialog(html, 'Прогресс обработки');
 }
@@ -1016,12 +1097,16 @@ function runImageProcessing() {
     return;
   }
   
-  // Показываем прогресс
-  showProcessingProgress();
-  
-  // Запускаем обработку
+  // Ставим товары в очередь и показываем прогресс фоновой обработки
   try {
-    processSelectedImages();
+    const products = getProductsForProcessing();
+    if (products.length === 0) {
+      ui.alert('Ошибка', 'Отметьте чекбоксами товары в колонке A с изображениями', ui.ButtonSet.OK);
+      return;
+    }
+
+    enqueueImageProcessing(products);
+    showProcessingProgress();
   } catch (error) {
     ui.alert('Ошибка', 'Произошла ошибка: ' + error.message, ui.ButtonSet.OK);
   }
@@ -1127,7 +1212,7 @@ function setProcessingStatusSimple(article, status) {
     const data = sheet.getDataRange().getValues();
     
     for (let i = 1; i < data.length; i++) {
-      if (data[i][1] === article) { // Колонка B - артикул
+      if (String(data[i][1]).trim() === String(article).trim()) { // Колонка B - артикул
         sheet.getRange(i + 1, IMAGES_COLUMNS.PROCESSING_STATUS).setValue(status); // Колонка K - статус обработки
         return true;
       }
@@ -1141,8 +1226,9 @@ function setProcessingStatusSimple(article, status) {
 
 /**
 * Упрощенное сохранение результатов
+* dimensions - размеры фото построчно, напротив ссылок на обработанные фото
 */
-function updateResultsSimple(article, altTags, seoFilenames, processedUrls) {
+function updateResultsSimple(article, altTags, seoFilenames, processedUrls, dimensions = '') {
   try {
     const sheet = getImagesSheet();
     const data = sheet.getDataRange().getValues();
@@ -1159,6 +1245,7 @@ function updateResultsSimple(article, altTags, seoFilenames, processedUrls) {
         sheet.getRange(i + 1, IMAGES_COLUMNS.PROCESSED_IMAGES).setValue(formattedProcessedUrls); // H - колонка 8
         sheet.getRange(i + 1, IMAGES_COLUMNS.ALT_TAGS).setValue(formattedAltTags); // I - колонка 9
         sheet.getRange(i + 1, IMAGES_COLUMNS.SEO_FILENAMES).setValue(formattedSeoFilenames); // J - колонка 10
+        sheet.getRange(i + 1, IMAGES_COLUMNS.PROCESSED_DIMENSIONS).setValue(dimensions);
         
         return true;
       }
@@ -1176,8 +1263,10 @@ function updateResultsSimple(article, altTags, seoFilenames, processedUrls) {
 
 /**
  * Главная функция - упрощенная обработка изображений
+ *
+ * @returns {Object} { images: результаты по фото, summary: текст сводки, hasIssues }
  */
-async function analyzeImageSimple(product) {
+async function analyzeImageSimple(product, options = {}) {
   try {
     const productName = product.productName;
     
@@ -1196,8 +1285,26 @@ async function analyzeImageSimple(product) {
     }
 
     // Ограничиваем до 10 изображений
-    const imagesToProcess = allImageUrls.slice(0, 10);
-    logInfo(`Обрабатываем ${imagesToProcess.length} изображений по оптимизированной схеме`);
+    const imagesToSelect = allImageUrls.slice(0, 10);
+
+    // Уже обработанные фото (то же содержимое и настройки) берем из кэша
+    const pipeline = getProcessingPipelineSignature(product, options);
+    const cacheLookups = lookupProcessingCache(imagesToSelect, pipeline);
+    const pendingLookups = cacheLookups.filter(lookup => !lookup.cached);
+    const cachedCount = cacheLookups.length - pendingLookups.length;
+    const imagesToProcess = pendingLookups.map(lookup => lookup.url);
+
+    if (imagesToProcess.length === 0) {
+      logInfo(`Все ${cachedCount} изображений уже обработаны с текущими настройками - берем из кэша`);
+      return {
+        images: cacheLookups.map(lookup => lookup.cached),
+        summary: `РЕЗУЛЬТАТЫ ОБРАБОТКИ "${productName}":\n\n♻️ Из кэша (уже обработаны): ${cachedCount}`,
+        hasIssues: false
+      };
+    }
+
+    logInfo(`Обрабатываем ${imagesToProcess.length} изображений по оптимизированной схеме` +
+      (cachedCount > 0 ? `, ещё ${cachedCount} из кэша` : ''));
     
     // ЭТАП 1: OpenAI анализ исходных изображений
     logInfo(`Этап 1: AI-анализ ${imagesToProcess.length} исходных изображений`);
@@ -1205,29 +1312,46 @@ async function analyzeImageSimple(product) {
     
     // ЭТАП 2: Replicate улучшение с fallback (scale=2)
     logInfo(`Этап 2: Replicate улучшение с fallback`);
-    const enhancedImages = await processReplicateWithFallback(imagesToProcess);
+    let enhancedImages = await processReplicateWithFallback(imagesToProcess);
+    const pixelBudget = createPixelBudget();
+    
+    // ЭТАП 2.5: Белый фон (только если включен в окне выбора фото)
+    if (options.whiteBackground) {
+      logInfo(`Этап 2.5: Удаление фона и белый фон`);
+      enhancedImages = await processWhiteBackground(enhancedImages, pixelBudget);
+    }
     
     // ЭТАП 3: Единая WebP оптимизация всех изображений
     logInfo(`Этап 3: WebP оптимизация всех изображений`);
-    const finalResults = await processUnifiedWebPOptimization(enhancedImages, analysisResults);
+    const finalResults = await processUnifiedWebPOptimization(enhancedImages, analysisResults, product, pixelBudget);
     
-    logInfo(`Оптимизированная обработка завершена: ${finalResults.length} изображений`);
+    const savedCount = saveProcessingCache(product.article, pendingLookups, finalResults, pipeline);
+    logInfo(`Оптимизированная обработка завершена: ${finalResults.length} изображений, в кэш сохранено ${savedCount}`);
     
-    // ДОБАВИТЬ ФИНАЛЬНОЕ УВЕДОМЛЕНИЕ:
-    showFinalProcessingResults(enhancedImages, finalResults, productName);
-    
-    return finalResults;
+    const summary = buildProcessingSummary(enhancedImages, finalResults, productName, cachedCount);
+
+    // Возвращаем в исходном порядке фото: новые результаты на места промахов кэша
+    let nextResult = 0;
+    return {
+      images: cacheLookups.map(lookup => lookup.cached || finalResults[nextResult++]),
+      summary: summary.message,
+      hasIssues: summary.hasIssues
+    };
     
   } catch (error) {
     logError('Критическая ошибка оптимизированной обработки', error);
     
     // Fallback результат
-    return [{
-      altTag: `${product.productName} - изображение товара`,
-      seoFilename: `product-${Date.now()}`,
-      processedImageUrl: '',
-      confidence: 1
-    }];
+    return {
+      images: [{
+        altTag: `${product.productName} - изображение товара`,
+        seoFilename: `product-${Date.now()}`,
+        processedImageUrl: '',
+        confidence: 1
+      }],
+      summary: `РЕЗУЛЬТАТЫ ОБРАБОТКИ "${product.productName}":\n\n❌ Фото не обработаны: ${error.message}`,
+      hasIssues: true
+    };
   }
 }
 
@@ -1364,7 +1488,17 @@ async function processReplicateWithFallback(imageUrls) {
   // Параллельная обработка с Promise.allSettled
   const replicatePromises = imageUrls.map(async (imageUrl, index) => {
     try {
-      logInfo(`Запускаем Replicate для изображения ${index + 1}`);
+      // Коэффициент по реальному разрешению; достаточно большие фото не увеличиваем
+      const dimensions = probeImageUrl(imageUrl);
+      const upscaleFactor = dimensions ? chooseUpscaleFactor(dimensions.width, dimensions.height) : settings.replicateScale;
+
+      if (upscaleFactor === 1) {
+        logInfo(`Изображение ${index + 1}: ${dimensions.width}x${dimensions.height}, улучшение не требуется`);
+        return { original: imageUrl, processed: imageUrl, wasEnhanced: false, skipped: true };
+      }
+
+      logInfo(`Запускаем Replicate для изображения ${index + 1}` +
+        (dimensions ? ` (${dimensions.width}x${dimensions.height}, x${upscaleFactor})` : ''));
       
       const predictionResponse = UrlFetchApp.fetch('https://api.replicate.com/v1/predictions', {
         method: 'POST',
@@ -1376,7 +1510,7 @@ async function processReplicateWithFallback(imageUrls) {
           version: modelConfig.version, // ИСПОЛЬЗОВАТЬ ВЕРСИЮ МОДЕЛИ
           input: {
             image: imageUrl,
-            scale: Math.min(settings.replicateScale, modelConfig.maxScale) // ОГРАНИЧИТЬ SCALE
+            scale: Math.min(upscaleFactor, settings.replicateScale, modelConfig.maxScale) // ОГРАНИЧИТЬ SCALE
           }
         }),
         muteHttpExceptions: true
@@ -1390,6 +1524,7 @@ async function processReplicateWithFallback(imageUrls) {
       
       // Ждем результат
       const result = await waitForReplicateResult(prediction.id, settings.replicateToken, 120); // Увеличен таймаут
+      recordReplicateUsage('Улучшение фото', modelConfig, result.predictTime);
       
       if (result.success) {
         logInfo(`Изображение ${index + 1} улучшено через Replicate (${modelConfig.name})`);
@@ -1408,59 +1543,23 @@ async function processReplicateWithFallback(imageUrls) {
   const results = await Promise.all(replicatePromises);
   
   const enhancedCount = results.filter(r => r.wasEnhanced).length;
-  const failedCount = results.filter(r => !r.wasEnhanced).length;
+  const failedCount = results.filter(r => !r.wasEnhanced && !r.skipped).length;
+  const skippedCount = results.filter(r => r.skipped).length;
   
-  logInfo(`Replicate этап завершен: ${enhancedCount}/${results.length} улучшено, ${failedCount} использовали исходные`);
+  logInfo(`Replicate этап завершен: ${enhancedCount}/${results.length} улучшено, ${failedCount} использовали исходные, ` +
+    `${skippedCount} не требовали улучшения`);
   
   return results;
 }
 
-function showReplicateFallbackNotification(enhancedCount, failedCount, totalCount) {
-  try {
-    const ui = SpreadsheetApp.getUi();
-    
-    let message = `РЕЗУЛЬТАТ УЛУЧШЕНИЯ ИЗОБРАЖЕНИЙ:\n\n`;
-    
-    if (enhancedCount > 0) {
-      message += `✅ Улучшено через Replicate: ${enhancedCount} из ${totalCount}\n`;
-    }
-    
-    if (failedCount > 0) {
-      message += `⚠️ Без улучшения (исходные): ${failedCount} из ${totalCount}\n\n`;
-      
-      if (failedCount === totalCount) {
-        message += `ВНИМАНИЕ: Все изображения обработаны БЕЗ улучшения!\n\n`;
-        message += `Возможные причины:\n`;
-        message += `• Проблемы с Replicate API\n`;
-        message += `• Превышен лимит запросов\n`;
-        message += `• Сетевые проблемы\n`;
-        message += `• Неверный токен Replicate\n\n`;
-        message += `Изображения всё равно будут оптимизированы в WebP формат.`;
-      } else {
-        message += `Частичные проблемы с Replicate API.\n`;
-        message += `Обработка продолжена с исходными изображениями.`;
-      }
-    }
-    
-    const title = failedCount === totalCount ? '⚠️ Проблемы с улучшением' : 'ℹ️ Результат улучшения';
-    
-    ui.alert(title, message, ui.ButtonSet.OK);
-    
-    logInfo(`Replicate fallback notification: ${enhancedCount} enhanced, ${failedCount} failed`);
-    
-  } catch (error) {
-    logError('Ошибка показа уведомления о fallback', error);
-  }
-}
-
 /**
- * ЭТАП 3: Единая WebP оптимизация (фиксированное разрешение 3000px)
+ * ЭТАП 3: Кадр галереи + единая WebP оптимизация (без кадра - вписывание в 3000px)
  */
-async function processUnifiedWebPOptimization(enhancedImages, analysisResults) {
+async function processUnifiedWebPOptimization(enhancedImages, analysisResults, product, pixelBudget = null) {
   const settings = getApiSettings();
   
-  if (!settings.tinypngKey || !settings.imgbbKey) {
-    logWarning('TinyPNG или ImgBB ключи недоступны, используем обработанные изображения');
+  if (!settings.tinypngKey || !isImageStorageConfigured(settings)) {
+    logWarning('TinyPNG ключ или хранилище фото не настроены, используем обработанные изображения');
     return enhancedImages.map((img, index) => {
       const analysis = analysisResults[index] || {
         altTag: `Изображение ${index + 1}`,
@@ -1476,7 +1575,9 @@ async function processUnifiedWebPOptimization(enhancedImages, analysisResults) {
     });
   }
 
-  logInfo(`Единая WebP оптимизация для ${enhancedImages.length} изображений (3000px)`);
+  const frame = getGalleryFrame(settings);
+  logInfo(`Единая WebP оптимизация для ${enhancedImages.length} изображений ` +
+    (frame ? `(кадр ${frame.mode} ${frame.width}x${frame.height})` : '(3000px)'));
   
   // Параллельная WebP обработка
   const optimizationPromises = enhancedImages.map(async (img, index) => {
@@ -1486,19 +1587,35 @@ async function processUnifiedWebPOptimization(enhancedImages, analysisResults) {
         seoFilename: `image-${index + 1}`
       };
 
-      // Единая WebP обработка для всех изображений
-      const webpResult = await unifiedWebPConversion(img.processed, settings.tinypngKey);
+      // Фото на белом фоне - готовым PNG, затем кадр галереи перед WebP
+      // (белый фон в кадре pad уже построен в модуле 16)
+      const source = img.whiteBackgroundBlob || img.processed;
+      const framed = !frame ? { source: source }
+        : img.whiteBackgroundFramed
+          ? { source: source, resize: { method: 'fit', width: frame.width, height: frame.height }, framed: true }
+          : frameImageForGallery(source, frame, pixelBudget);
+      const webpResult = await unifiedWebPConversion(framed.source, settings.tinypngKey, framed.resize);
       
       if (webpResult.success) {
-        // Загружаем на ImgBB
-        const finalUrl = await uploadToImgBB(webpResult.blob, settings.imgbbKey, analysis.seoFilename);
+        const dimensions = probeImageBlob(webpResult.blob);
+
+        // Загружаем в выбранное хранилище
+        const finalUrl = uploadProcessedImage(webpResult.blob, analysis.seoFilename, {
+          article: product.article,
+          insalesId: product.insalesId,
+          dimensions: dimensions
+        });
         
         if (finalUrl) {
-          logInfo(`Изображение ${index + 1} оптимизировано: ${webpResult.sizeKB}KB`);
+          logInfo(`Изображение ${index + 1} оптимизировано: ${webpResult.sizeKB}KB` +
+            (dimensions ? `, ${dimensions.width}x${dimensions.height}` : ''));
           return {
             altTag: analysis.altTag,
             seoFilename: analysis.seoFilename,
             processedImageUrl: finalUrl,
+            width: dimensions ? dimensions.width : null,
+            height: dimensions ? dimensions.height : null,
+            framed: framed.framed !== false,
             confidence: 8
           };
         }
@@ -1539,16 +1656,22 @@ async function processUnifiedWebPOptimization(enhancedImages, analysisResults) {
 
 /**
  * Единая WebP конвертация с фиксированными параметрами
+ *
+ * @param {Object} resize - Параметр resize TinyPNG (кадр галереи), по умолчанию вписывание в 3000px
  */
-async function unifiedWebPConversion(imageUrl, apiKey) {
+async function unifiedWebPConversion(imageSource, apiKey, resize = { method: 'fit', width: 3000, height: 3000 }) {
   try {
-    // Скачиваем изображение
-    const imageResponse = UrlFetchApp.fetch(imageUrl, { muteHttpExceptions: true });
-    if (imageResponse.getResponseCode() !== 200) {
-      return { success: false };
-    }
+    let imageBlob = imageSource;
 
-    const imageBlob = imageResponse.getBlob();
+    // Скачиваем изображение, если передан URL
+    if (typeof imageSource === 'string') {
+      const imageResponse = UrlFetchApp.fetch(imageSource, { muteHttpExceptions: true });
+      if (imageResponse.getResponseCode() !== 200) {
+        return { success: false };
+      }
+
+      imageBlob = imageResponse.getBlob();
+    }
 
     // Этап 1: Сжатие
     const shrinkResponse = UrlFetchApp.fetch('https://api.tinify.com/shrink', {
@@ -1564,6 +1687,7 @@ async function unifiedWebPConversion(imageUrl, apiKey) {
       return { success: false };
     }
 
+    recordTinyPngUsage('Сжатие', shrinkResponse);
     const shrinkData = JSON.parse(shrinkResponse.getContentText());
 
     // Этап 2: WebP конвертация с фиксированными параметрами
@@ -1575,12 +1699,13 @@ async function unifiedWebPConversion(imageUrl, apiKey) {
       },
       payload: JSON.stringify({
         convert: { type: "image/webp" },  // БЕЗ параметров качества
-        resize: { method: "fit", width: 3000, height: 3000 }  // Фиксированное разрешение
+        resize: resize
       }),
       muteHttpExceptions: true
     });
 
     if (webpResponse.getResponseCode() === 200) {
+      recordTinyPngUsage('WebP конвертация', webpResponse);
       const webpBlob = webpResponse.getBlob();
       const sizeKB = Math.round(webpBlob.getBytes().length / 1024);
       
@@ -1719,8 +1844,8 @@ async function processBatchOpenAI(enhancedImages, productName) {
 async function processBatchOptimization(enhancedImages, analysisResults) {
   const settings = getApiSettings();
   
-  if (!settings.tinypngKey || !settings.imgbbKey) {
-    logWarning('TinyPNG или ImgBB ключи недоступны, используем исходные изображения');
+  if (!settings.tinypngKey || !isImageStorageConfigured(settings)) {
+    logWarning('TinyPNG ключ или хранилище фото не настроены, используем исходные изображения');
     return enhancedImages.map((img, index) => {
       const analysis = analysisResults[index] || {
         altTag: `Изображение ${index + 1}`,
@@ -1754,7 +1879,6 @@ async function processBatchOptimization(enhancedImages, analysisResults) {
       const optimized = await quickWebPOptimizationParallel(
         img.enhanced, 
         settings.tinypngKey, 
-        settings.imgbbKey, 
         analysis.seoFilename,
         index + 1
       );
@@ -1810,7 +1934,7 @@ async function processBatchOptimization(enhancedImages, analysisResults) {
 /**
  * Улучшенная быстрая WebP оптимизация с контролем качества
  */
-async function quickWebPOptimization(imageUrl, tinypngKey, imgbbKey, seoFilename) {
+async function quickWebPOptimization(imageUrl, tinypngKey, seoFilename) {
   try {
     // Скачиваем изображение
     const imageResponse = UrlFetchApp.fetch(imageUrl, { muteHttpExceptions: true });
@@ -1843,7 +1967,7 @@ async function quickWebPOptimization(imageUrl, tinypngKey, imgbbKey, seoFilename
         
         const improvedResult = await convertToWebPQuality(imageBlob, tinypngKey, betterStrategy);
         if (improvedResult.success && improvedResult.sizeKB >= 150) {
-          const finalUrl = await uploadToImgBB(improvedResult.blob, imgbbKey, seoFilename);
+          const finalUrl = uploadProcessedImage(improvedResult.blob, seoFilename);
           if (finalUrl) {
             logInfo(`✅ Качественный WebP: ${improvedResult.sizeKB}KB`);
             return { success: true, url: finalUrl, sizeKB: improvedResult.sizeKB };
@@ -1853,7 +1977,7 @@ async function quickWebPOptimization(imageUrl, tinypngKey, imgbbKey, seoFilename
       
       // Основной результат (150-400KB)
       if (webpResult.sizeKB <= 400) {
-        const finalUrl = await uploadToImgBB(webpResult.blob, imgbbKey, seoFilename);
+        const finalUrl = uploadProcessedImage(webpResult.blob, seoFilename);
         if (finalUrl) {
           logInfo(`✅ Оптимальный WebP: ${webpResult.sizeKB}KB`);
           return { success: true, url: finalUrl, sizeKB: webpResult.sizeKB };
@@ -1870,7 +1994,7 @@ async function quickWebPOptimization(imageUrl, tinypngKey, imgbbKey, seoFilename
         
         const compressedResult = await convertToWebPQuality(imageBlob, tinypngKey, compressedStrategy);
         if (compressedResult.success) {
-          const finalUrl = await uploadToImgBB(compressedResult.blob, imgbbKey, seoFilename);
+          const finalUrl = uploadProcessedImage(compressedResult.blob, seoFilename);
           if (finalUrl) {
             logInfo(`✅ Сжатый WebP: ${compressedResult.sizeKB}KB`);
             return { success: true, url: finalUrl, sizeKB: compressedResult.sizeKB };
@@ -1999,6 +2123,9 @@ function parseAssistantBatchResponse(response, expectedCount, productName) {
 
 /**
  * Анализ исходного изображения и выбор стратегии
+ *
+ * Стратегия выбирается по реальному разрешению из заголовка файла,
+ * по размеру файла - только если формат не распознан
  */
 async function analyzeOriginalImage(imageUrl) {
   try {
@@ -2006,10 +2133,41 @@ async function analyzeOriginalImage(imageUrl) {
     const imageResponse = UrlFetchApp.fetch(imageUrl, { muteHttpExceptions: true });
     
     if (imageResponse.getResponseCode() !== 200) {
-      return { sizeKB: 0, strategy: 'fallback', needsEnhancement: false };
+      return { sizeKB: 0, strategy: 'fallback', needsEnhancement: false, upscaleFactor: 1 };
     }
     
-    const sizeKB = Math.round(imageResponse.getBlob().getBytes().length / 1024);
+    const bytes = imageResponse.getBlob().getBytes();
+    const sizeKB = Math.round(bytes.length / 1024);
+    const dimensions = probeImageBytes(bytes);
+
+    if (dimensions) {
+      const longSide = Math.max(dimensions.width, dimensions.height);
+      const upscaleFactor = chooseUpscaleFactor(dimensions.width, dimensions.height);
+      let strategy;
+
+      if (upscaleFactor >= 4) {
+        strategy = 'small_enhance';
+      } else if (upscaleFactor === 2) {
+        strategy = 'medium_enhance';
+      } else if (longSide <= IMAGE_PROCESSING_CONFIG.MAX_WEBP_SIDE_PX) {
+        strategy = 'large_optimize';
+      } else {
+        strategy = 'huge_compress';
+      }
+
+      logInfo(`Файл ${dimensions.width}x${dimensions.height} ${dimensions.format}, ${sizeKB}КБ: ` +
+        `стратегия=${strategy}, увеличение x${upscaleFactor}`);
+
+      return {
+        sizeKB: sizeKB,
+        width: dimensions.width,
+        height: dimensions.height,
+        format: dimensions.format,
+        strategy: strategy,
+        needsEnhancement: upscaleFactor > 1,
+        upscaleFactor: upscaleFactor
+      };
+    }
 
     // Выбираем стратегию
     let strategy, needsEnhancement;
@@ -2028,24 +2186,41 @@ async function analyzeOriginalImage(imageUrl) {
       needsEnhancement = false;
     }
 
-    logInfo(`Файл ${sizeKB}КБ: стратегия=${strategy}, улучшение=${needsEnhancement}`);
+    logInfo(`Файл ${sizeKB}КБ (формат не распознан): стратегия=${strategy}, улучшение=${needsEnhancement}`);
 
     return {
       sizeKB: sizeKB,
       strategy: strategy,
-      needsEnhancement: needsEnhancement
+      needsEnhancement: needsEnhancement,
+      upscaleFactor: needsEnhancement ? 4 : 1
     };
 
   } catch (error) {
     logError(`Ошибка анализа исходника: ${error.message}`);
-    return { sizeKB: 0, strategy: 'fallback', needsEnhancement: false };
+    return { sizeKB: 0, strategy: 'fallback', needsEnhancement: false, upscaleFactor: 1 };
   }
 }
 
+/**
+ * Коэффициент увеличения по реальному разрешению: 4x, 2x или 1 (не увеличивать),
+ * чтобы длинная сторона достигла IMAGE_PROCESSING_CONFIG.TARGET_SIDE_PX
+ */
+function chooseUpscaleFactor(width, height) {
+  const longSide = Math.max(width, height);
+  const target = IMAGE_PROCESSING_CONFIG.TARGET_SIDE_PX;
+
+  if (longSide >= target) return 1;
+  if (longSide * 2 >= target) return 2;
+  return 4;
+}
+
 /**
  * Умное улучшение изображения
+ *
+ * @param {Object} analysis - Результат analyzeOriginalImage (необязательно):
+ *                            коэффициент берется из реального разрешения
  */
-async function smartEnhanceImage(imageUrl, strategy) {
+async function smartEnhanceImage(imageUrl, strategy, analysis) {
   try {
     const settings = getApiSettings();
     
@@ -2061,15 +2236,16 @@ async function smartEnhanceImage(imageUrl, strategy) {
     };
 
     const params = enhanceParams[strategy] || enhanceParams['medium_enhance'];
+    const scale = analysis && analysis.upscaleFactor > 1 ? analysis.upscaleFactor : params.scale;
     
-    logInfo(`🚀 Запускаем Replicate ${params.model}, scale: ${params.scale}x`);
+    logInfo(`🚀 Запускаем Replicate ${params.model}, scale: ${scale}x`);
 
     logInfo(`Создаем payload для Replicate...`);
     const payload = {
       version: "f121d640bd286e1fdc67f9799164c1d5be36ff74576ee11c803ae5b665dd46aa",
       input: {
         image: imageUrl,
-        scale: 4
+        scale: scale
       }
     };
     logInfo(`Payload создан, отправляем запрос...`);
@@ -2087,7 +2263,7 @@ async function smartEnhanceImage(imageUrl, strategy) {
         version: "f121d640bd286e1fdc67f9799164c1d5be36ff74576ee11c803ae5b665dd46aa",
         input: {
           image: imageUrl,
-          scale: 4
+          scale: scale
         }
       }),
       muteHttpExceptions: true
@@ -2114,10 +2290,14 @@ async function smartEnhanceImage(imageUrl, strategy) {
     const result = await waitForReplicateResult(prediction.id, settings.replicateToken, 45);
     
     if (result.success) {
+      const enhanced = probeImageUrl(result.outputUrl);
+
       return {
         success: true,
         url: result.outputUrl,
-        sizeKB: 200  // Фиксированное значение вместо проблемной функции
+        sizeKB: enhanced ? Math.round(enhanced.bytes / 1024) : 0,
+        width: enhanced ? enhanced.width : 0,
+        height: enhanced ? enhanced.height : 0
       };
     }
 
@@ -2145,12 +2325,15 @@ async function waitForReplicateResult(predictionId, token, maxWaitSeconds) {
 
       const statusData = JSON.parse(statusResponse.getContentText());
 
+      // predictTime - оплачиваемое время GPU, сек
+      const predictTime = statusData.metrics ? statusData.metrics.predict_time : 0;
+
       if (statusData.status === 'succeeded' && statusData.output) {
-        return { success: true, outputUrl: statusData.output };
+        return { success: true, outputUrl: statusData.output, predictTime: predictTime };
       }
 
       if (statusData.status === 'failed') {
-        return { success: false, reason: 'replicate_failed' };
+        return { success: false, reason: 'replicate_failed', predictTime: predictTime };
       }
 
       // Ждем 1 секунду
@@ -2176,11 +2359,6 @@ async function smartWebPOptimization(imageUrl, currentSizeKB, config, seoFilenam
       return { success: false, reason: 'no_tinypng_key' };
     }
 
-    // Определяем параметры WebP на основе текущего размера
-    const webpParams = determineWebPParams(currentSizeKB, config);
-    
-    logInfo(`🎯 WebP параметры: ${webpParams.width}px x ${webpParams.height}px`);
-
     // Скачиваем изображение
     const imageResponse = UrlFetchApp.fetch(imageUrl, { muteHttpExceptions: true });
     
@@ -2190,6 +2368,11 @@ async function smartWebPOptimization(imageUrl, currentSizeKB, config, seoFilenam
 
     const imageBlob = imageResponse.getBlob();
 
+    // Определяем параметры WebP по реальному разрешению (или по размеру файла)
+    const webpParams = determineWebPParams(currentSizeKB, config, probeImageBlob(imageBlob));
+    
+    logInfo(`🎯 WebP параметры: ${webpParams.width}px x ${webpParams.height}px`);
+
     // Прямая конвертация в WebP через TinyPNG
     let webpResult = await convertToWebPDirect(imageBlob, settings.tinypngKey, webpParams);
     
@@ -2208,7 +2391,7 @@ async function smartWebPOptimization(imageUrl, currentSizeKB, config, seoFilenam
       }
       if (webpResult.sizeKB <= config.MAX_SIZE_KB) {
         // Отлично! Загружаем финальную версию
-        const finalUrl = await uploadToImgBB(webpResult.blob, settings.imgbbKey, seoFilename);
+        const finalUrl = uploadProcessedImage(webpResult.blob, seoFilename);
         
         return {
           success: true,
@@ -2224,7 +2407,7 @@ async function smartWebPOptimization(imageUrl, currentSizeKB, config, seoFilenam
         const compressed = await applyFinalCompression(webpResult.blob, settings.tinypngKey, config.MAX_SIZE_KB);
         
         if (compressed.success) {
-          const finalUrl = await uploadToImgBB(compressed.blob, settings.imgbbKey, seoFilename);
+          const finalUrl = uploadProcessedImage(compressed.blob, seoFilename);
           
           return {
             success: true,
@@ -2247,8 +2430,19 @@ async function smartWebPOptimization(imageUrl, currentSizeKB, config, seoFilenam
 
 /**
  * Определение параметров WebP для достижения 150-300 КБ
+ *
+ * @param {Object} dimensions - { width, height } из probeImageBytes (необязательно):
+ *                              TinyPNG только уменьшает, поэтому рамка не больше исходника
  */
-function determineWebPParams(sizeKB, config) {
+function determineWebPParams(sizeKB, config, dimensions) {
+ if (dimensions) {
+   const side = Math.min(Math.max(dimensions.width, dimensions.height), IMAGE_PROCESSING_CONFIG.MAX_WEBP_SIDE_PX);
+   return {
+     width: side,
+     height: side
+   };
+ }
+
  if (sizeKB <= config.SMALL_IMAGE_KB) {
    // Маленькое - увеличиваем разрешение для достижения 150-300КБ
    return {
@@ -2292,6 +2486,7 @@ async function convertToWebPDirect(imageBlob, apiKey, params) {
       return { success: false, reason: 'shrink_failed' };
     }
 
+    recordTinyPngUsage('Сжатие', shrinkResponse);
     const shrinkData = JSON.parse(shrinkResponse.getContentText());
     logInfo(`✅ Первичное сжатие: ${Math.round(shrinkData.input.size / 1024)}KB → ${Math.round(shrinkData.output.size / 1024)}KB`);
 
@@ -2318,6 +2513,7 @@ async function convertToWebPDirect(imageBlob, apiKey, params) {
     });
 
     if (webpResponse.getResponseCode() === 200) {
+      recordTinyPngUsage('WebP конвертация', webpResponse);
       const webpBlob = webpResponse.getBlob();
       const sizeKB = Math.round(webpBlob.getBytes().length / 1024);
       
@@ -2367,6 +2563,7 @@ async function applyFinalCompression(imageBlob, apiKey, maxSizeKB) {
       return { success: false, reason: 'final_shrink_failed' };
     }
 
+    recordTinyPngUsage('Финальное сжатие', response);
     const shrinkData = JSON.parse(response.getContentText());
 
     const finalResponse = UrlFetchApp.fetch(shrinkData.output.url, {
@@ -2380,6 +2577,7 @@ async function applyFinalCompression(imageBlob, apiKey, maxSizeKB) {
     });
 
     if (finalResponse.getResponseCode() === 200) {
+      recordTinyPngUsage('Финальная WebP конвертация', finalResponse);
       const finalBlob = finalResponse.getBlob();
       const finalSize = Math.round(finalBlob.getBytes().length / 1024);
 
@@ -2506,42 +2704,6 @@ async function createFallbackResult(imageUrl, productName) {
   };
 }
 
-async function uploadToImgBB(webpBlob, imgbbKey, seoFilename) {
-  try {
-    const WORKER_URL = 'https://misty-leaf-2392.eugeny-ermackow.workers.dev';
-    
-    const fileName = `${seoFilename || Date.now() + '-optimized'}`;
-    const base64Data = Utilities.base64Encode(webpBlob.getBytes());
-    
-    logInfo(`Загружаем через Cloudflare Worker: ${Math.round(webpBlob.getBytes().length / 1024)}KB`);
-    
-    const response = UrlFetchApp.fetch(WORKER_URL, {
-      method: 'POST',
-      payload: {
-        image: base64Data,
-        name: fileName
-      },
-      muteHttpExceptions: true
-    });
-    
-    if (response.getResponseCode() !== 200) {
-      throw new Error(`Worker HTTP ${response.getResponseCode()}: ${response.getContentText()}`);
-    }
-    
-    const result = JSON.parse(response.getContentText());
-    if (result.success) {
-      logInfo(`Загружено через Worker: ${result.data.url}`);
-      return result.data.url;
-    }
-    
-    throw new Error(`Worker error: ${result.error?.message || 'Unknown'}`);
-    
-  } catch (error) {
-    logError(`Ошибка Worker загрузки: ${error.message}`);
-    return null;
-  }
-}
-
 /**
  * Улучшение изображения через Replicate API
  */
@@ -2713,8 +2875,8 @@ async function optimizeWithTinyPNG(imageUrl) {
         return await resizeWebPSmaller(compressedUrl, settings.tinypngKey);
       }
       
-      // Временно загружаем на ImgBB для получения прямой ссылки
-      return await uploadWebPToImgBB(webpBlob, settings.imgbbKey);
+      // Загружаем в хранилище для получения прямой ссылки
+      return uploadProcessedImage(webpBlob, `optimized-webp-${Date.now()}`) || imageUrl;
       
     } else {
       throw new Error(`WebP конвертация не удалась: ${webpResponse.getResponseCode()}`);
@@ -2756,8 +2918,7 @@ async function resizeWebPSmaller(imageUrl, apiKey) {
       const smallerBlob = response.getBlob();
       logInfo(`Размер после уменьшения: ${Math.round(smallerBlob.getBytes().length / 1024)} KB`);
       
-      const settings = getApiSettings();
-      return await uploadWebPToImgBB(smallerBlob, settings.imgbbKey);
+      return uploadProcessedImage(smallerBlob, `optimized-webp-${Date.now()}`) || imageUrl;
     }
     
     return imageUrl;
@@ -2768,39 +2929,6 @@ async function resizeWebPSmaller(imageUrl, apiKey) {
   }
 }
 
-/**
- * Загрузка WebP на ImgBB
- */
-async function uploadWebPToImgBB(webpBlob, imgbbKey) {
-  try {
-    const base64Image = Utilities.base64Encode(webpBlob.getBytes());
-    
-    const uploadResponse = UrlFetchApp.fetch('https://api.imgbb.com/1/upload', {
-      method: 'POST',
-      payload: {
-        key: imgbbKey,
-        image: base64Image,
-        name: `optimized-webp-${Date.now()}`
-      },
-      muteHttpExceptions: true
-    });
-
-    if (uploadResponse.getResponseCode() === 200) {
-      const result = JSON.parse(uploadResponse.getContentText());
-      if (result.success) {
-        logInfo(`WebP загружен на ImgBB: ${Math.round(result.data.size / 1024)} KB`);
-        return result.data.url;
-      }
-    }
-    
-    throw new Error('ImgBB загрузка не удалась');
-    
-  } catch (error) {
-    logError(`Ошибка загрузки WebP на ImgBB: ${error.message}`);
-    throw error;
-  }
-}
-
 /**
  * Дополнительное сжатие WebP файла
  */
@@ -2831,7 +2959,7 @@ async function compressWebPFurther(imageUrl, apiKey) {
       const finalSize = response.getBlob().getBytes().length;
       logInfo(`Размер после дополнительного сжатия: ${Math.round(finalSize / 1024)} KB`);
       
-      return await uploadOptimizedToTempService(response.getBlob());
+      return uploadProcessedImage(response.getBlob(), `temp-optimized-${Date.now()}`);
     }
     
     return imageUrl;
@@ -2842,45 +2970,6 @@ async function compressWebPFurther(imageUrl, apiKey) {
   }
 }
 
-/**
- * Временная загрузка через ImgBB для получения прямой ссылки
- */
-async function uploadOptimizedToTempService(optimizedBlob) {
-  try {
-    const settings = getApiSettings();
-    
-    if (!settings.imgbbKey) {
-      logWarning('ImgBB ключ недоступен для временной загрузки');
-      return null;
-    }
-
-    const base64Image = Utilities.base64Encode(optimizedBlob.getBytes());
-    
-    const uploadResponse = UrlFetchApp.fetch('https://api.imgbb.com/1/upload', {
-      method: 'POST',
-      payload: {
-        key: settings.imgbbKey,
-        image: base64Image,
-        name: `temp-optimized-${Date.now()}`
-      },
-      muteHttpExceptions: true
-    });
-
-    if (uploadResponse.getResponseCode() === 200) {
-      const result = JSON.parse(uploadResponse.getContentText());
-      if (result.success) {
-        return result.data.url;
-      }
-    }
-    
-    return null;
-    
-  } catch (error) {
-    logError(`Ошибка временной загрузки: ${error.message}`);
-    return null;
-  }
-}
-
 /**
  * Дополнительное уменьшение качества для достижения 300KB
  */
@@ -2911,7 +3000,7 @@ async function reduceQualityFurther(imageUrl, apiKey) {
     if (reduceResponse.getResponseCode() === 200) {
       const finalBlob = reduceResponse.getBlob();
       logInfo(`Размер после дополнительной оптимизации: ${Math.round(finalBlob.getBytes().length / 1024)} KB`);
-      return createTempUrl(finalBlob);
+      return uploadProcessedImage(finalBlob, `optimized-webp-${Date.now()}`);
     }
     
     return imageUrl;
@@ -2922,24 +3011,7 @@ async function reduceQualityFurther(imageUrl, apiKey) {
   }
 }
 
-/**
- * Создание временного URL для blob
- */
-function createTempUrl(blob) {
-  try {
-    // Конвертируем blob в base64 data URL
-    const base64 = Utilities.base64Encode(blob.getBytes());
-    const mimeType = blob.getContentType();
-    return `data:${mimeType};base64,${base64}`;
-  } catch (error) {
-    logError(`Ошибка создания temp URL: ${error.message}`);
-    return null;
-  }
-}
-
 function testUploadSmallPng() {
-  const imgbbKey = 'a6edc9fb34fbe3f5590da5a29cfc0573';
-
   // Попробуем найти любой файл-изображение
   const it = DriveApp.searchFiles(
     "mimeType contains 'image/' and trashed = false"
@@ -2958,8 +3030,8 @@ function testUploadSmallPng() {
     blob = Utilities.newBlob(Utilities.base64Decode(tinyPngBase64), 'image/png', 'tiny.png');
   }
 
-  const url = uploadToImgBB(blob, imgbbKey, 'test-small');
-  Logger.log('ImgBB URL: ' + url);
+  const url = uploadProcessedImage(blob, 'test-small');
+  Logger.log('Storage URL: ' + url);
 }
 
 function debugImgbbKeyProps() {
@@ -3030,8 +3102,8 @@ async function combineAllImages(originalImages, supplierImages, additionalImages
       logInfo(`Добавлены исходные из InSales: ${insalesUrls.length}`);
     }
     
-    // Удаляем дубликаты
-    const uniqueImages = [...new Set(allImages)];
+    // Удаляем дубликаты: одинаковые URL и одно фото под разными адресами
+    const uniqueImages = removeNearDuplicateImages([...new Set(allImages)]);
     
     logInfo(`Итого для обработки: ${uniqueImages.length} уникальных изображений`);
     
@@ -3046,31 +3118,36 @@ async function combineAllImages(originalImages, supplierImages, additionalImages
 /**
  * Обработка выбранных изображений из диалога
  * Вызывается из HTML-диалога после выбора пользователем
+ *
+ * @param {Object} selections - Артикул → [URL выбранных фото]; товары без выбора не передаются
  */
-function processSelectedImageUrls(selectedUrls) {
+function processSelectedImageUrls(selections, options = {}) {
   try {
-    logInfo(`Получены выбранные изображения: ${selectedUrls.length} шт`);
+    const articles = Object.keys(selections);
+    logInfo(`Получены выбранные изображения для ${articles.length} товаров`);
     
-    // Получаем выбранные товары
-    const products = getProductsForProcessing();
+    const products = getProductsForProcessing()
+      .filter(product => articles.includes(String(product.article).trim()));
     
     if (products.length === 0) {
       throw new Error('Нет выбранных товаров');
     }
     
-    // Работаем с первым выбранным товаром
-    const product = products[0];
-    
-    // Сохраняем выбранные изображения в колонку G (Дополнительные изображения)
-    const selectedImagesText = selectedUrls.join('\n');
-    updateAdditionalImages(product.article, selectedImagesText);
+    // Сохраняем выбор каждого товара в колонку G (Дополнительные изображения)
+    let imagesCount = 0;
+    products.forEach(product => {
+      const selectedUrls = selections[String(product.article).trim()];
+      updateAdditionalImages(product.article, selectedUrls.join('\n'));
+      imagesCount += selectedUrls.length;
+    });
     
-    logInfo(`Сохранены выбранные изображения для товара: ${product.article}`);
+    logInfo(`Сохранены выбранные изображения: ${imagesCount} шт у ${products.length} товаров`);
     
-    // Запускаем обработку товара с выбранными изображениями
-    processSelectedImages();
+    // Все товары обрабатываются в фоне одной задачей, прогресс - в отдельном окне
+    enqueueImageProcessing(products, { whiteBackground: !!options.whiteBackground });
+    showProcessingProgress();
     
-    return { success: true, count: selectedUrls.length };
+    return { success: true, products: products.length, count: imagesCount };
     
   } catch (error) {
     logError('Ошибка обработки выбранных изображений', error);
@@ -3103,69 +3180,109 @@ function updateAdditionalImages(article, imagesText) {
 }
 
 /**
- * ПОКАЗАТЬ ФИНАЛЬНЫЕ РЕЗУЛЬТАТЫ ОБРАБОТКИ
- * 
+ * СВОДКА ОБРАБОТКИ ТОВАРА
+ *
+ * Собирается в фоне и сохраняется в результат строки очереди,
+ * показывает ее showImageProcessingResults
+ *
  * @param {Array} enhancedImages - Результаты Replicate
  * @param {Array} finalResults - Финальные результаты после WebP
  * @param {string} productName - Название товара
+ * @param {number} cachedCount - Сколько фото взято из кэша без обработки
+ * @returns {Object} { message, hasIssues }
  */
-function showFinalProcessingResults(enhancedImages, finalResults, productName) {
-  try {
-    const ui = SpreadsheetApp.getUi();
-    
-    // Анализируем результаты
-    const totalImages = enhancedImages.length;
-    const replicateEnhanced = enhancedImages.filter(img => img.wasEnhanced).length;
-    const replicateFailed = totalImages - replicateEnhanced;
-    const webpOptimized = finalResults.filter(r => r.confidence >= 7).length;
-    const webpFailed = totalImages - webpOptimized;
-    
-    let message = `РЕЗУЛЬТАТЫ ОБРАБОТКИ "${productName}":\n\n`;
-    
-    // Этап Replicate
-    message += `🔧 ЭТАП УЛУЧШЕНИЯ (Replicate):\n`;
-    if (replicateEnhanced > 0) {
-      message += `✅ Улучшено: ${replicateEnhanced} из ${totalImages}\n`;
-    }
-    if (replicateFailed > 0) {
-      message += `⚠️ Без улучшения: ${replicateFailed} из ${totalImages}\n`;
-    }
-    
-    // Этап WebP оптимизации
-    message += `\n🎯 ЭТАП ОПТИМИЗАЦИИ (WebP):\n`;
-    if (webpOptimized > 0) {
-      message += `✅ Оптимизировано: ${webpOptimized} из ${totalImages}\n`;
-    }
-    if (webpFailed > 0) {
-      message += `⚠️ Базовая обработка: ${webpFailed} из ${totalImages}\n`;
-    }
-    
-    // Общий результат
-    message += `\n📊 ОБЩИЙ РЕЗУЛЬТАТ:\n`;
-    message += `• Всего обработано: ${totalImages} изображений\n`;
-    message += `• Alt-теги созданы: ${finalResults.length}\n`;
-    message += `• SEO-имена созданы: ${finalResults.length}\n`;
-    
-    // Предупреждения
-    if (replicateFailed === totalImages) {
-      message += `\n⚠️ ВНИМАНИЕ: Все изображения обработаны без улучшения Replicate.\n`;
-      message += `Возможные причины:\n`;
-      message += `• Проблемы с Replicate API\n`;
-      message += `• Превышен лимит запросов\n`;
-      message += `• Неверные настройки модели\n`;
-    } else if (replicateFailed > 0) {
-      message += `\n💡 ${replicateFailed} изображений обработаны без улучшения.`;
+function buildProcessingSummary(enhancedImages, finalResults, productName, cachedCount = 0) {
+  // Анализируем результаты
+  const totalImages = enhancedImages.length;
+  const replicateEnhanced = enhancedImages.filter(img => img.wasEnhanced).length;
+  const replicateSkipped = enhancedImages.filter(img => img.skipped).length;
+  const replicateFailed = totalImages - replicateEnhanced - replicateSkipped;
+  const webpOptimized = finalResults.filter(r => r.confidence >= 7).length;
+  const webpFailed = totalImages - webpOptimized;
+  
+  let message = `РЕЗУЛЬТАТЫ ОБРАБОТКИ "${productName}":\n\n`;
+  
+  if (cachedCount > 0) {
+    message += `♻️ Из кэша (уже обработаны): ${cachedCount}\n\n`;
+  }
+  
+  // Этап Replicate
+  message += `🔧 ЭТАП УЛУЧШЕНИЯ (Replicate):\n`;
+  if (replicateEnhanced > 0) {
+    message += `✅ Улучшено: ${replicateEnhanced} из ${totalImages}\n`;
+  }
+  if (replicateSkipped > 0) {
+    message += `📐 Достаточное разрешение: ${replicateSkipped} из ${totalImages}\n`;
+  }
+  if (replicateFailed > 0) {
+    message += `⚠️ Без улучшения: ${replicateFailed} из ${totalImages}\n`;
+  }
+  
+  // Этап белого фона (если был включен)
+  const backgroundTried = enhancedImages.filter(img => img.backgroundRemoved !== undefined).length;
+  if (backgroundTried > 0) {
+    const backgroundDone = enhancedImages.filter(img => img.backgroundRemoved).length;
+    message += `\n🤍 ЭТАП БЕЛОГО ФОНА:\n`;
+    message += `✅ На белом фоне: ${backgroundDone} из ${totalImages}\n`;
+    if (backgroundDone < backgroundTried) {
+      message += `⚠️ Без замены фона: ${backgroundTried - backgroundDone} из ${totalImages}\n`;
     }
-    
-    // Определяем тип уведомления
-    const hasIssues = (replicateFailed > 0) || (webpFailed > 0);
-    const title = hasIssues ? '⚠️ Обработка завершена с замечаниями' : '✅ Обработка успешно завершена';
-    
-    ui.alert(title, message, ui.ButtonSet.OK);
-    
-    logInfo(`Final processing notification shown for ${productName}: ${replicateEnhanced} enhanced, ${webpOptimized} optimized`);
-    
-  } catch (error) {
-    logError('Ошибка показа финальных результатов', error);
   }
+  
+  // Этап WebP оптимизации
+  message += `\n🎯 ЭТАП ОПТИМИЗАЦИИ (WebP):\n`;
+  if (webpOptimized > 0) {
+    message += `✅ Оптимизировано: ${webpOptimized} из ${totalImages}\n`;
+  }
+  if (webpFailed > 0) {
+    message += `⚠️ Базовая обработка: ${webpFailed} из ${totalImages}\n`;
+  }
+  const frameSizes = [...new Set(finalResults.filter(r => r.width).map(r => `${r.width}x${r.height}`))];
+  if (frameSizes.length > 0) {
+    message += `📐 Размер: ${frameSizes.join(', ')}\n`;
+  }
+  const notFramed = finalResults.filter(r => r.framed === false).length;
+  if (notFramed > 0) {
+    message += `⚠️ Без кадра галереи (вписаны без полей): ${notFramed} из ${totalImages}\n`;
+  }
+
+  // Общий результат
+  message += `\n📊 ОБЩИЙ РЕЗУЛЬТАТ:\n`;
+  message += `• Всего обработано: ${totalImages} изображений\n`;
+  message += `• Alt-теги созданы: ${finalResults.length}\n`;
+  message += `• SEO-имена созданы: ${finalResults.length}\n`;
+  
+  // Предупреждения
+  if (replicateFailed === totalImages) {
+    message += `\n⚠️ ВНИМАНИЕ: Все изображения обработаны без улучшения Replicate.\n`;
+    message += `Возможные причины:\n`;
+    message += `• Проблемы с Replicate API\n`;
+    message += `• Превышен лимит запросов\n`;
+    message += `• Неверные настройки модели\n`;
+  } else if (replicateFailed > 0) {
+    message += `\n💡 ${replicateFailed} изображений обработаны без улучшения.`;
+  }
+  
+  const hasIssues = (replicateFailed > 0) || (webpFailed > 0) || (notFramed > 0);
+
+  logInfo(`Сводка обработки ${productName}: ${replicateEnhanced} улучшено, ${webpOptimized} оптимизировано`);
+  return { message: message, hasIssues: hasIssues };
+}
+
+/**
+ * ПОКАЗ СВОДОК ЗАВЕРШЕННОЙ ЗАДАЧИ ОБРАБОТКИ (кнопка в окне прогресса)
+ *
+ * @param {Array<Object>} results - Результаты строк очереди { images, summary, hasIssues }
+ */
+function showImageProcessingResults(results) {
+  const ui = SpreadsheetApp.getUi();
+  const summaries = results.filter(result => result.summary).map(result => result.summary);
+  const hasIssues = results.some(result => result.hasIssues);
+
+  const title = hasIssues ? '⚠️ Обработка завершена с замечаниями' : '✅ Обработка успешно завершена';
+  const message = summaries.length > 0
+    ? summaries.join('\n\n────────────\n\n')
+    : `Обработано товаров: ${results.length}`;
+
+  ui.alert(title, message, ui.ButtonSet.OK);
 }
\ No newline at end of file
@@ -19,20 +19,103 @@ function logWarning(message) {
   console.warn(message);
 }
 
+/**
+ * ОПИСАНИЯ ПОСТАВЩИКОВ
+ *
+ * Каждый поставщик описывается данными, а не отдельной функцией:
+ * движок (executeSupplierParser / parseSupplierFullProduct) читает секцию parsing.
+ *
+ * parsing:
+ *   searchUrl          - шаблон URL поиска, {query} заменяется артикулом
+ *                        (по умолчанию baseUrl + searchPath + {query})
+ *   productUrlPattern  - признак прямой ссылки на карточку товара
+ *   productLinkPattern - ссылка на товар в выдаче поиска (группа 1 = URL)
+ *   auth               - вход на оптовый портал { loginUrl, payload, loginPagePattern,
+ *                        sessionLifetime }; {login}/{password} в payload берутся
+ *                        из хранилища доступов (getSupplierCredentials)
+ *   images.patterns    - регулярки поиска изображений (группа 1 = URL)
+ *   images.include     - подстроки, которые обязаны быть в URL
+ *   images.exclude     - подстроки-исключения (без учета регистра)
+ *   images.requireProductSlug - URL изображения содержит slug товара
+ *   images.sortPattern - сортировка по числу из группы 1
+ *   images.minSide     - минимальная длинная сторона фото, px (по умолчанию
+ *                        SUPPLIER_IMAGE_MIN_SIDE_PX); меньшие отбрасываются как превью
+ *   urlReplacements    - пары [что, на что] для нормализации URL изображений
+ *   fields             - правила полей карточки: массив регулярок (группа 1)
+ *                        или функция (html) => значение;
+ *                        stock - { 'Статус': [регулярки] }, specifications -
+ *                        { block, row } (в row группа 1 = ключ, 2 = значение)
+ *
+ * Поля, которые правила не нашли, дополняются из разметки Schema.org
+ * (JSON-LD / OpenGraph) - см. extractStructuredProductData. Поставщик без
+ * секции parsing разбирается только по ней и только по прямой ссылке на товар.
+ *
+ * feed - YML / XML фид поставщика { url, offerTag, fields } (11_feed_import.js):
+ *        товар, найденный в фиде, не парсится со страниц сайта.
+ */
 const SUPPLIERS_CONFIG = {
   VEBER: {
     name: 'Veber',
     baseUrl: 'https://veber.ru',
     searchPath: '/search?q=',
     enabled: true,
-    parser: 'parseVeberImages'
+    parsing: {
+      productUrlPattern: /veber\.ru\/product\//i,
+      productLinkPattern: /<a[^>]+href="([^"]*\/product\/[^"]*)"[^>]*>/i,
+      images: {
+        patterns: [/href="(\/upload\/iblock\/[^"]+\.jpg)"/i],
+        exclude: [
+          'logo', 'banner', 'icon', 'button',
+          'vomz.jpg', 'yukon.jpg', 'levenhuk.jpg', 'bresser',
+          'nikon.jpg', 'pentax.jpg', 'olympus.jpg', 'fuginon.jpg',
+          'selestron.jpg', 'meade.jpg', 'komz.jpg', 'micromed.jpg',
+          'Alekat.jpg', 'Falke.jpg', 'Brite2.jpg', 'warne.jpg', 'est.jpg',
+          'iray.jpg', 'ToupTek.jpg', 'EASTCOLIGHT.jpg'
+        ]
+      },
+      fields: {
+        images: extractVeberImages,
+        title: extractVeberTitle,
+        description: extractVeberDescription,
+        specifications: extractVeberSpecifications,
+        price: extractVeberPrice,
+        stock: extractVeberStock,
+        brand: extractVeberBrand
+      }
+    }
   },
   GLAZA_4: {
     name: '4glaza',
     baseUrl: 'https://4glaza.ru',
     searchPath: '/search/?q=',
     enabled: true,  // ИЗМЕНИ ЭТО ЗНАЧЕНИЕ
-    parser: 'parse4glazaImages'
+    parsing: {
+      productUrlPattern: /4glaza\.ru\/products\//i,
+      productLinkPattern: /<a[^>]+href="([^"]*\/products\/[^"]+)"[^>]*>/i,
+      images: {
+        patterns: [/(?:href|src|data-src)="([^"]+\.jpg)"/i],
+        requireProductSlug: true,
+        exclude: ['_300_', '_190_']
+      },
+      fields: {
+        title: [/<h1[^>]*itemprop="name"[^>]*>(.*?)<\/h1>/, /<h1[^>]*>(.*?)<\/h1>/],
+        description: [
+          /<div[^>]*itemprop="description"[^>]*>(.*?)<\/div>/,
+          /<div[^>]*class="[^"]*product-description[^"]*"[^>]*>(.*?)<\/div>/
+        ],
+        specifications: {
+          block: /<table[^>]*class="[^"]*(?:propert|charact)[^"]*"[^>]*>(.*?)<\/table>/,
+          row: /<tr[^>]*>\s*<t[dh][^>]*>(.*?)<\/t[dh]>\s*<td[^>]*>(.*?)<\/td>/
+        },
+        price: [/itemprop="price"[^>]*content="([^"]+)"/, /<[^>]*class="[^"]*price[^"]*"[^>]*>((?:\d|\s|&nbsp;)+)/],
+        stock: {
+          'Нет в наличии': [/нет в наличии/i, /schema\.org\/OutOfStock/i],
+          'В наличии': [/в наличии/i, /schema\.org\/InStock/i],
+          'Под заказ': [/под заказ/i]
+        },
+        brand: [/itemprop="brand"[^>]*>(.*?)<\//, /Бренд:?\s*<\/t[dh]>\s*<td[^>]*>(.*?)<\/td>/]
+      }
+    }
   },
 
   LEVENHUK_OPT: {
@@ -40,74 +123,169 @@ const SUPPLIERS_CONFIG = {
     baseUrl: 'https://www.levenhuk-opt.ru',
     searchPath: '/search/?q=',
     enabled: true,
-    parser: 'parseLevenhukOptImages'
+    parsing: {
+      productUrlPattern: /levenhuk-opt\.ru\/catalogue\//i,
+      productLinkPattern: /<a[^>]+href="([^"]*\/catalogue\/[^"]*)"[^>]*>/i,
+      auth: {
+        loginUrl: 'https://www.levenhuk-opt.ru/login/',
+        loginPagePattern: /\/login\//i,
+        sessionLifetime: 1200,   // сек, время жизни сессии Bitrix
+        payload: {
+          'USER_LOGIN': '{login}',
+          'USER_PASSWORD': '{password}',
+          'AUTH_FORM': 'Y',
+          'TYPE': 'AUTH'
+        }
+      },
+      images: {
+        patterns: [
+          /href="(https:\/\/4glaza\.ru\/external\/[^"]+\.jpg)"/i,   // внешние ссылки на 4glaza.ru
+          /(?:src|data-src)="([^"]*\/upload\/[^"]+\.jpg)"/i          // локальные изображения
+        ]
+      },
+      fields: {
+        title: [/<h1[^>]*>(.*?)<\/h1>/],
+        description: [
+          /<div[^>]*itemprop="description"[^>]*>(.*?)<\/div>/,
+          /<div[^>]*class="[^"]*detail[_-]text[^"]*"[^>]*>(.*?)<\/div>/
+        ],
+        specifications: {
+          block: /<table[^>]*class="[^"]*(?:props|charact)[^"]*"[^>]*>(.*?)<\/table>/,
+          row: /<tr[^>]*>\s*<td[^>]*>(.*?)<\/td>\s*<td[^>]*>(.*?)<\/td>/
+        },
+        price: [/class="[^"]*price_value[^"]*"[^>]*>(.*?)<\//, /data-price="([^"]+)"/],
+        stock: {
+          'Нет в наличии': [/нет в наличии/i],
+          'В наличии': [/в наличии/i],
+          'Под заказ': [/под заказ/i, /ожидается/i]
+        },
+        brand: [/itemprop="brand"[^>]*>(.*?)<\//, /(?:Бренд|Производитель):?\s*<\/td>\s*<td[^>]*>(.*?)<\/td>/]
+      }
+    }
   },
 
   QUARTA: {
     name: 'Quarta Hunt',
     baseUrl: 'https://quarta-hunt.ru',
     searchPath: '/search/?q=',
-    enabled: false,
-    parser: 'parseQuartaImages'
+    enabled: false
   },
   STURMAN: {
     name: 'Sturman',
     baseUrl: 'https://sturman.ru',
-    searchPath: '/search/?q=',
+    searchPath: '/opt/search/?query=',
     enabled: true,
-    parser: 'parseSturmanImages'
+    parsing: {
+      productUrlPattern: /sturman\.ru\/(?:opt\/)?product\//i,
+      productLinkPattern: /<a[^>]+href="([^"]*\/product\/[^"]*)"[^>]*>/i,
+      images: {
+        patterns: [
+          // Полноразмерные в галерее: /wa-data/public/shop/products/.../filename.750x0.jpg
+          /href="([^"]*\/wa-data\/public\/shop\/products\/[^"]+\.750x0\.jpg)"/i,
+          /data-fancybox="gallery"[^>]+href="([^"]*\/wa-data\/public\/shop\/products\/[^"]+\.750x0\.jpg)"/i,
+          /data-image="([^"]*\/wa-data\/public\/shop\/products\/[^"]+\.750x0\.jpg)"/i
+        ],
+        include: ['.750x0.jpg'],
+        exclude: [
+          'logo', 'banner', 'icon', 'button', 'badge',
+          'watermark', 'social', 'payment', 'delivery',
+          'brand', 'manufacturer', 'certificate'
+        ],
+        sortPattern: /\/(\d+)\.750x0\.jpg/
+      },
+      fields: {
+        images: extractSturmanImages,
+        title: extractSturmanTitle,
+        description: extractSturmanDescription,
+        specifications: extractSturmanSpecifications,
+        price: extractSturmanPrice,
+        stock: extractSturmanStock,
+        brand: extractSturmanBrand
+      }
+    }
   },
   ZOOMA: {
     name: 'Zooma',
     baseUrl: 'https://www.zooma.ru',
     searchPath: '/search/?q=',
-    enabled: false,
-    parser: 'parseZoomaImages'
+    enabled: false
   },
   ARTELV: {
     name: 'Artelv',
     baseUrl: 'https://artelv.ru',
     searchPath: '/search/?q=',
-    enabled: false,
-    parser: 'parseArtelvImages'
+    enabled: false
   },
   MIRZRENIYA: {
     name: 'Mir Zreniya',
     baseUrl: 'https://mirzreniya.ru',
     searchPath: '/search/?q=',
-    enabled: false,
-    parser: 'parseMirzreniyaImages'
+    enabled: false
   },
   SFH: {
     name: 'SFH',
     baseUrl: 'https://sfh.ltd',
     searchPath: '/search/?q=',
-    enabled: false,
-    parser: 'parseSfhImages'
+    enabled: false
   },
   SUNTC: {
     name: 'Suntc',
     baseUrl: 'https://suntc.ru',
     searchPath: '/search/?q=',
-    enabled: false,
-    parser: 'parseSuntcImages'
+    enabled: false
   },
   GEARY: {
     name: 'Geary',
     baseUrl: 'https://geary.ru',
     searchPath: '/search/?q=',
-    enabled: false,
-    parser: 'parseGearyImages'
+    enabled: false
   },
   OPTIC4U: {
     name: 'Optic4u',
     baseUrl: 'https://www.optic4u.ru',
     searchPath: '/search/?q=',
-    enabled: false,
-    parser: 'parseOptic4uImages'
+    enabled: false
   }
 };
 
+/**
+ * СЕССИИ ПОСТАВЩИКОВ В ПРЕДЕЛАХ ОДНОГО ВЫПОЛНЕНИЯ СКРИПТА
+ * Между запусками cookie хранятся в CacheService под SUPPLIER_SESSION_CACHE_PREFIX + ключ
+ */
+const SUPPLIER_SESSIONS = {};
+const SUPPLIER_SESSION_CACHE_PREFIX = 'supplier_session_';
+
+/**
+ * Выбор в выдаче поиска считается неоднозначным, если второй кандидат
+ * отстает от лучшего меньше чем на столько процентов
+ */
+const SUPPLIER_MATCH_AMBIGUITY_GAP = 10;
+
+/**
+ * Фото с длинной стороной меньше этого значения считаются превью и не сохраняются
+ */
+const SUPPLIER_IMAGE_MIN_SIDE_PX = 500;
+
+/**
+ * Размеры фото, уже проверенные в этом выполнении: URL → probeImageUrl() или null
+ */
+const SUPPLIER_IMAGE_PROBES = {};
+
+/**
+ * HTTP-КЛИЕНТ ПАРСЕРОВ
+ * По умолчанию UrlFetchApp; регрессионные тесты подменяют его заглушкой
+ * с сохраненными страницами (см. 09_parser_regression_tests.js)
+ */
+let supplierHttpClientOverride = null;
+
+function getSupplierHttpClient() {
+  return supplierHttpClientOverride || UrlFetchApp;
+}
+
+function setSupplierHttpClient(client) {
+  supplierHttpClientOverride = client;
+}
+
 function showSupplierParsingDialog() {
   try {
     const selectedProducts = getSelectedProductsForParsing();
@@ -136,13 +314,30 @@ function getEnabledSuppliers() {
     .map(([k, c]) => ({ key: k, name: c.name, baseUrl: c.baseUrl }));
 }
 
-function getSelectedProductsForParsing() {
+/**
+ * ПОСТАВЩИКИ ДЛЯ ИМПОРТА ПОЛНЫХ КАРТОЧЕК (есть правила parsing.fields или фид)
+ *
+ * @returns {Array<Object>} [{ key: 'veber', name: 'Veber' }, ...]
+ */
+function getFullImportSuppliers() {
+  return Object.entries(SUPPLIERS_CONFIG)
+    .filter(([k, c]) => c.enabled && ((c.parsing && c.parsing.fields) || c.feed))
+    .map(([k, c]) => ({ key: k.toLowerCase(), name: c.name }));
+}
+
+/**
+ * ОТМЕЧЕННЫЕ ТОВАРЫ ДЛЯ ПАРСИНГА
+ *
+ * @param {Object} options - { selectedOnly: false } - все товары с артикулом
+ */
+function getSelectedProductsForParsing(options = {}) {
+  const selectedOnly = options.selectedOnly !== false;
   const sheet = getImagesSheet();
   const data = sheet.getDataRange().getValues();
   const products = [];
   
   for (let i = 1; i < data.length; i++) {
-    if (data[i][0]) {
+    if (data[i][0] || (!selectedOnly && data[i][1])) {
       products.push({
         row: i + 1,
         article: data[i][1],
@@ -159,48 +354,8 @@ function runSupplierParsing(selectedSuppliers, articlesMap) {
    
     const allResults = [];
    
-    for (let s = 0; s < selectedSuppliers.length; s++) {
-      const supplierKey = selectedSuppliers[s];
-      const config = SUPPLIERS_CONFIG[supplierKey];
-     
-      if (!config || !config.enabled) continue;
-     
-      for (const productArticle in articlesMap) {
-        const articles = articlesMap[productArticle].split(',').map(a => a.trim());
-       
-        for (let a = 0; a < articles.length; a++) {
-          const article = articles[a];
-          
-          // ИСПРАВЛЕНО: передаем только артикул, парсер сам формирует URL
-          let searchQuery = article;
-          
-          // Для Sturman - используем только артикул без URL
-          if (supplierKey === 'STURMAN') {
-            searchQuery = article; // Просто артикул - парсер сам формирует правильный URL
-          } else {
-            // Для других поставщиков - формируем полный URL как раньше
-            searchQuery = `${config.baseUrl}${config.searchPath}${encodeURIComponent(article)}`;
-          }
-         
-          try {
-            const images = executeSupplierParser(supplierKey, searchQuery);
-           
-            if (images && images.length > 0) {
-              allResults.push({
-                productArticle: productArticle,
-                supplier: config.name,
-                images: images
-              });
-             
-              logInfo(`Найдено ${images.length} изображений для ${productArticle}`);
-            }
-          } catch (error) {
-            logError(`Ошибка парсинга ${config.name}:`, error);
-          }
-         
-          Utilities.sleep(1000);
-        }
-      }
+    for (const productArticle in articlesMap) {
+      allResults.push(...parseSupplierImagesForArticle(selectedSuppliers, productArticle, articlesMap[productArticle]));
     }
    
     return allResults;
@@ -211,446 +366,1173 @@ function runSupplierParsing(selectedSuppliers, articlesMap) {
   }
 }
 
-function executeSupplierParser(supplierKey, searchUrl) {
-  const config = SUPPLIERS_CONFIG[supplierKey];
-  
-  switch(config.parser) {
-    case 'parseVeberImages':
-      return parseVeberImages(searchUrl);
-    case 'parse4glazaImages':
-      return parse4glazaImages(searchUrl);
-    case 'parseLevenhukOptImages':
-      return parseLevenhukOptImages(searchUrl);  
-    case 'parseSturmanImages':
-      return parseSturmanImages(searchUrl);
-    default:
-      throw new Error(`Парсер ${config.parser} не реализован`);
+/**
+ * ПОИСК ФОТО ОДНОГО ТОВАРА У ВЫБРАННЫХ ПОСТАВЩИКОВ
+ *
+ * Строка фоновой очереди SUPPLIER_PARSING (модуль 14)
+ *
+ * @param {Array<string>} selectedSuppliers - Ключи поставщиков
+ * @param {string} productArticle - Артикул магазина
+ * @param {string} supplierArticles - Артикулы поставщика через запятую
+ * @returns {Array<Object>} Результаты для диалога предпросмотра
+ */
+function parseSupplierImagesForArticle(selectedSuppliers, productArticle, supplierArticles) {
+  const results = [];
+  const shopArticle = String(productArticle).trim();
+
+  // Название из таблицы помогает выбрать нужный товар в выдаче поиска
+  const product = getSelectedProductsForParsing({ selectedOnly: false })
+    .find(p => String(p.article).trim() === shopArticle);
+  const productName = product ? product.name : undefined;
+  let provenance = null;
+
+  selectedSuppliers.forEach(supplierKey => {
+    const config = SUPPLIERS_CONFIG[supplierKey];
+   
+    if (!config || !config.enabled) return;
+
+    // Карточка из реестра ссылок заменяет поиск по всем артикулам поставщика
+    const articles = getRegisteredSupplierUrl(supplierKey, shopArticle) ?
+      [shopArticle] :
+      String(supplierArticles || shopArticle).split(',').map(a => a.trim());
+   
+    articles.forEach(article => {
+      try {
+        // Парсер сам формирует URL поиска по описанию поставщика
+        const found = findSupplierImages(supplierKey, article, {
+          article: shopArticle,
+          name: productName
+        });
+        const images = found.images;
+       
+        if (images && images.length > 0) {
+          // Уже сохраненные фото показываются в предпросмотре с их источником
+          provenance = provenance || getImageProvenance(shopArticle);
+
+          results.push({
+            productArticle: productArticle,
+            supplierKey: supplierKey,
+            supplier: config.name,
+            images: images,
+            matchTitle: found.match.title,
+            matchUrl: found.match.url,
+            matchScore: found.match.score,
+            lowConfidence: found.match.lowConfidence,
+            registered: Boolean(found.match.registered),
+            parsedAt: new Date().toISOString(),
+            imageProvenance: images.map(url => describeImageProvenance(provenance[url]))
+          });
+         
+          logInfo(`Найдено ${images.length} изображений для ${productArticle}`);
+        }
+      } catch (error) {
+        logError(`Ошибка парсинга ${config.name}:`, error);
+      }
+     
+      Utilities.sleep(1000);
+    });
+  });
+
+  return results;
+}
+
+// =============================================================================
+// 🔐 ДОСТУПЫ К ОПТОВЫМ ПОРТАЛАМ ПОСТАВЩИКОВ
+// =============================================================================
+
+/**
+ * ДИАЛОГ УПРАВЛЕНИЯ ДОСТУПАМИ ПОСТАВЩИКОВ
+ */
+function showSupplierCredentialsDialog() {
+  try {
+    const html = HtmlService.createTemplateFromFile('SupplierCredentialsDialog');
+    html.suppliers = getSupplierCredentialsOverview();
+
+    SpreadsheetApp.getUi().showModalDialog(
+      html.evaluate().setWidth(500).setHeight(450),
+      'Доступы поставщиков'
+    );
+  } catch (error) {
+    logError('Ошибка диалога доступов', error);
   }
 }
 
-function parseVeberImages(urlOrArticle) {
+/**
+ * ПОСТАВЩИКИ С АВТОРИЗАЦИЕЙ И СОСТОЯНИЕ ИХ ДОСТУПОВ (БЕЗ ПАРОЛЕЙ)
+ *
+ * @returns {Array<Object>} [{ key, name, baseUrl, login, hasPassword }]
+ */
+function getSupplierCredentialsOverview() {
+  return Object.entries(SUPPLIERS_CONFIG)
+    .filter(([k, c]) => c.parsing && c.parsing.auth)
+    .map(([k, c]) => {
+      const credentials = getSupplierCredentials(k);
+      return {
+        key: k,
+        name: c.name,
+        baseUrl: c.baseUrl,
+        login: credentials ? credentials.login : '',
+        hasPassword: !!credentials
+      };
+    });
+}
+
+/**
+ * ЧТЕНИЕ ДОСТУПОВ ПОСТАВЩИКА ИЗ SCRIPT PROPERTIES
+ *
+ * @param {string} supplierKey - Ключ поставщика
+ * @returns {Object|null} { login, password } или null если не заданы
+ */
+function getSupplierCredentials(supplierKey) {
+  const raw = getSetting(SCRIPT_PROPERTIES_KEYS.SUPPLIER_CREDENTIALS_PREFIX + supplierKey);
+
+  if (!raw) {
+    return null;
+  }
+
   try {
-    let productUrl = urlOrArticle;
-    
-    // Если это не прямой URL - ищем товар
-    if (!urlOrArticle.includes('/product/')) {
-      const searchUrl = urlOrArticle.includes('search?q=') ? 
-        urlOrArticle : `https://veber.ru/search?q=${encodeURIComponent(urlOrArticle)}`;
-      
-      logInfo(`Ищем товар: ${searchUrl}`);
-      
-      const searchResponse = UrlFetchApp.fetch(searchUrl, {
-        muteHttpExceptions: true,
-        headers: { 'User-Agent': 'Mozilla/5.0' }
-      });
-      
-      if (searchResponse.getResponseCode() === 200) {
-        const searchHtml = searchResponse.getContentText();
-        const linkMatch = searchHtml.match(/<a[^>]+href="([^"]*\/product\/[^"]*)"[^>]*>/i);
-        
-        if (linkMatch) {
-          productUrl = linkMatch[1].startsWith('/') ? 
-            'https://veber.ru' + linkMatch[1] : linkMatch[1];
-          logInfo(`Найдена страница: ${productUrl}`);
-        } else {
-          logWarning('Товар не найден в поиске');
-          return [];
-        }
-      } else {
-        return [];
-      }
+    const credentials = JSON.parse(raw);
+    return credentials.login && credentials.password ? credentials : null;
+  } catch (error) {
+    logWarning(`Поврежденные доступы ${supplierKey}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * СОХРАНЕНИЕ ДОСТУПОВ ПОСТАВЩИКА
+ *
+ * Пустой пароль оставляет ранее сохраненный. Старая сессия сбрасывается.
+ *
+ * @param {string} supplierKey - Ключ поставщика
+ * @param {string} login - Логин
+ * @param {string} password - Пароль (пустой - не менять)
+ */
+function saveSupplierCredentials(supplierKey, login, password) {
+  const config = SUPPLIERS_CONFIG[supplierKey];
+
+  if (!config || !config.parsing || !config.parsing.auth) {
+    throw new Error(`Поставщик ${supplierKey} не требует авторизации`);
+  }
+
+  const current = getSupplierCredentials(supplierKey) || {};
+  const credentials = {
+    login: String(login || '').trim(),
+    password: password ? String(password) : (current.password || '')
+  };
+
+  if (!credentials.login || !credentials.password) {
+    throw new Error('Укажите логин и пароль');
+  }
+
+  setSetting(SCRIPT_PROPERTIES_KEYS.SUPPLIER_CREDENTIALS_PREFIX + supplierKey, JSON.stringify(credentials));
+  invalidateSupplierSession(supplierKey);
+
+  logInfo(`Доступы ${config.name} сохранены`);
+  return true;
+}
+
+/**
+ * УДАЛЕНИЕ ДОСТУПОВ ПОСТАВЩИКА
+ */
+function deleteSupplierCredentials(supplierKey) {
+  PropertiesService.getScriptProperties()
+    .deleteProperty(SCRIPT_PROPERTIES_KEYS.SUPPLIER_CREDENTIALS_PREFIX + supplierKey);
+  invalidateSupplierSession(supplierKey);
+
+  logInfo(`Доступы ${supplierKey} удалены`);
+  return true;
+}
+
+// =============================================================================
+// 🔗 РЕЕСТР ССЫЛОК НА КАРТОЧКИ ПОСТАВЩИКОВ
+// =============================================================================
+
+/**
+ * Реестр в памяти текущего выполнения: 'SUPPLIER|артикул' → запись листа
+ */
+let supplierUrlRegistry = null;
+
+/**
+ * ЛИСТ РЕЕСТРА ССЫЛОК (создается скрытым при первом обращении)
+ *
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} Лист "Ссылки поставщиков"
+ */
+function getSupplierUrlSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(SHEET_NAMES.SUPPLIER_URLS);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SHEET_NAMES.SUPPLIER_URLS);
+    sheet.getRange(1, 1, 1, 6).setValues([[
+      'Поставщик', 'Артикул', 'URL карточки', 'Название у поставщика', 'Источник', 'Обновлено'
+    ]]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+    logInfo(`Создан служебный лист "${SHEET_NAMES.SUPPLIER_URLS}"`);
+  }
+
+  return sheet;
+}
+
+/**
+ * ЗАГРУЗКА РЕЕСТРА (ОДИН РАЗ ЗА ВЫПОЛНЕНИЕ)
+ */
+function loadSupplierUrlRegistry() {
+  if (supplierUrlRegistry) {
+    return supplierUrlRegistry;
+  }
+
+  supplierUrlRegistry = {};
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.SUPPLIER_URLS);
+
+  if (!sheet || sheet.getLastRow() < 2) {
+    return supplierUrlRegistry;
+  }
+
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 6).getValues();
+  rows.forEach((row, index) => {
+    const supplierKey = String(row[SUPPLIER_URL_COLUMNS.SUPPLIER - 1]).trim();
+    const article = String(row[SUPPLIER_URL_COLUMNS.ARTICLE - 1]).trim();
+    const url = String(row[SUPPLIER_URL_COLUMNS.URL - 1]).trim();
+
+    if (supplierKey && article && url) {
+      supplierUrlRegistry[`${supplierKey}|${article}`] = {
+        supplierKey: supplierKey,
+        article: article,
+        row: index + 2,
+        url: url,
+        title: String(row[SUPPLIER_URL_COLUMNS.TITLE - 1]),
+        source: String(row[SUPPLIER_URL_COLUMNS.SOURCE - 1])
+      };
     }
-    
-    // Теперь парсим найденную страницу товара
-    const response = UrlFetchApp.fetch(productUrl, {
+  });
+
+  return supplierUrlRegistry;
+}
+
+/**
+ * СОХРАНЕННАЯ КАРТОЧКА ДЛЯ АРТИКУЛА МАГАЗИНА У ПОСТАВЩИКА
+ *
+ * @param {string} supplierKey - Ключ поставщика
+ * @param {string} article - Артикул магазина
+ * @returns {Object|null} { supplierKey, article, row, url, title, source }
+ */
+function getRegisteredSupplierUrl(supplierKey, article) {
+  if (!article) return null;
+  return loadSupplierUrlRegistry()[`${supplierKey}|${String(article).trim()}`] || null;
+}
+
+/**
+ * ВСЕ ЗАПИСИ РЕЕСТРА
+ *
+ * @returns {Array<Object>} [{ supplierKey, article, row, url, title, source }]
+ */
+function getRegisteredSupplierUrls() {
+  return Object.values(loadSupplierUrlRegistry());
+}
+
+/**
+ * ЗАПИСЬ В РЕЕСТР (добавление или обновление строки)
+ *
+ * @param {string} source - 'поиск' для найденных автоматически, 'вручную' для закрепленных
+ */
+function registerSupplierUrl(supplierKey, article, url, title, source) {
+  const sheet = getSupplierUrlSheet();
+  const existing = getRegisteredSupplierUrl(supplierKey, article);
+  const row = existing ? existing.row : sheet.getLastRow() + 1;
+  const values = [supplierKey, String(article).trim(), url, title || '', source, new Date()];
+
+  sheet.getRange(row, 1, 1, values.length).setValues([values]);
+
+  loadSupplierUrlRegistry()[`${supplierKey}|${String(article).trim()}`] = {
+    supplierKey: supplierKey,
+    article: String(article).trim(),
+    row: row,
+    url: url,
+    title: title || '',
+    source: source
+  };
+}
+
+/**
+ * ЗАКРЕПЛЕНИЕ ИЛИ ИСПРАВЛЕНИЕ ССЫЛКИ ИЗ ДИАЛОГА ПРЕДПРОСМОТРА
+ *
+ * @param {string} supplierKey - Ключ поставщика
+ * @param {string} article - Артикул магазина
+ * @param {string} url - URL карточки у поставщика
+ * @param {string} title - Название у поставщика (необязательно)
+ */
+function pinSupplierUrl(supplierKey, article, url, title) {
+  const config = getSupplierParsingConfig(supplierKey);
+  const value = String(url || '').trim();
+
+  if (!config) {
+    throw new Error(`Неизвестный поставщик: ${supplierKey}`);
+  }
+
+  if (!/^https?:\/\//i.test(value)) {
+    throw new Error('Укажите полную ссылку на карточку товара');
+  }
+
+  if (config.parsing.productUrlPattern && !buildSupplierRegExp(config.parsing.productUrlPattern).test(value)) {
+    throw new Error(`Ссылка не похожа на карточку товара ${config.name}`);
+  }
+
+  const existing = getRegisteredSupplierUrl(supplierKey, article);
+  const keepTitle = existing && existing.url === value ? existing.title : '';
+
+  registerSupplierUrl(supplierKey, article, value, title || keepTitle, 'вручную');
+  logInfo(`📌 ${config.name}: для ${article} закреплена ${value}`);
+  return true;
+}
+
+/**
+ * УДАЛЕНИЕ ССЫЛКИ ИЗ РЕЕСТРА: следующий парсинг снова выполнит поиск
+ */
+function forgetSupplierUrl(supplierKey, article) {
+  const existing = getRegisteredSupplierUrl(supplierKey, article);
+
+  if (!existing) {
+    return false;
+  }
+
+  getSupplierUrlSheet().deleteRow(existing.row);
+  supplierUrlRegistry = null;
+
+  logInfo(`Ссылка ${supplierKey} для ${article} удалена из реестра`);
+  return true;
+}
+
+/**
+ * ОПРЕДЕЛЕНИЕ КАРТОЧКИ С УЧЕТОМ РЕЕСТРА
+ *
+ * Сохраненная ссылка для артикула магазина используется без поиска.
+ * Уверенный результат поиска записывается в реестр; неуверенный - нет,
+ * его пользователь закрепляет вручную после проверки
+ *
+ * @param {Object} context - { article, name } или undefined
+ * @returns {Object|null} Результат resolveSupplierProduct (+ registered: true из реестра)
+ */
+function locateSupplierProduct(supplierKey, config, query, session, context) {
+  const article = context && context.article ? String(context.article).trim() : '';
+  const registered = getRegisteredSupplierUrl(supplierKey, article);
+
+  if (registered) {
+    logInfo(`🔗 ${config.name}: ${article} → ${registered.url} (реестр)`);
+    return {
+      url: registered.url,
+      title: registered.title,
+      score: 100,
+      lowConfidence: false,
+      candidates: 1,
+      registered: true
+    };
+  }
+
+  const match = resolveSupplierProduct(config, query, session, context && context.name);
+
+  // Прямую ссылку из запроса не сохраняем: ее закрепляют явно через pinSupplierUrl
+  const isDirectUrl = match && match.url === String(query).trim();
+
+  if (article && match && !match.lowConfidence && !isDirectUrl) {
+    registerSupplierUrl(supplierKey, article, match.url, match.title, 'поиск');
+  }
+
+  return match;
+}
+
+function warnBrokenRegisteredUrl(config, match) {
+  if (match.registered) {
+    logWarning(`${config.name}: сохраненная ссылка ${match.url} не открывается - исправьте ее в предпросмотре парсинга`);
+  }
+}
+
+// =============================================================================
+// 🧾 ПРОИСХОЖДЕНИЕ ФОТО ПОСТАВЩИКОВ
+// =============================================================================
+
+/**
+ * СЛУЖЕБНЫЙ ЛИСТ "ПРОИСХОЖДЕНИЕ ФОТО" (создается скрытым при первой записи)
+ */
+function getImageProvenanceSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(SHEET_NAMES.IMAGE_PROVENANCE);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SHEET_NAMES.IMAGE_PROVENANCE);
+    sheet.getRange(1, 1, 1, 7).setValues([[
+      'Артикул', 'URL фото', 'Поставщик', 'Страница товара', 'Дата парсинга', 'Размер, байт', 'Сохранено'
+    ]]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+    logInfo(`Создан служебный лист "${SHEET_NAMES.IMAGE_PROVENANCE}"`);
+  }
+
+  return sheet;
+}
+
+/**
+ * ИСТОЧНИКИ ФОТО ТОВАРА
+ *
+ * @param {string} article - Артикул магазина
+ * @returns {Object} URL фото → { row, supplierKey, supplier, sourceUrl, parsedAt, fileSize, savedAt }
+ */
+function getImageProvenance(article) {
+  const result = {};
+  const key = String(article).trim();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.IMAGE_PROVENANCE);
+
+  if (!key || !sheet || sheet.getLastRow() < 2) {
+    return result;
+  }
+
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 7).getValues();
+  rows.forEach((row, index) => {
+    if (String(row[IMAGE_PROVENANCE_COLUMNS.ARTICLE - 1]).trim() !== key) return;
+
+    const supplierKey = String(row[IMAGE_PROVENANCE_COLUMNS.SUPPLIER - 1]);
+    const config = SUPPLIERS_CONFIG[supplierKey];
+
+    result[String(row[IMAGE_PROVENANCE_COLUMNS.IMAGE_URL - 1])] = {
+      row: index + 2,
+      supplierKey: supplierKey,
+      supplier: config ? config.name : supplierKey,
+      sourceUrl: String(row[IMAGE_PROVENANCE_COLUMNS.SOURCE_URL - 1]),
+      parsedAt: row[IMAGE_PROVENANCE_COLUMNS.PARSED_AT - 1],
+      fileSize: row[IMAGE_PROVENANCE_COLUMNS.FILE_SIZE - 1],
+      savedAt: row[IMAGE_PROVENANCE_COLUMNS.DATE_SAVED - 1]
+    };
+  });
+
+  return result;
+}
+
+/**
+ * ЗАПИСЬ ИСТОЧНИКОВ ДЛЯ СОХРАНЕННЫХ ФОТО
+ *
+ * Повторно сохраненное фото обновляет свою строку
+ *
+ * @param {string} article - Артикул магазина
+ * @param {Object} sources - URL фото → { supplierKey, sourceUrl, parsedAt (ISO) }
+ */
+function recordImageProvenance(article, sources) {
+  const sheet = getImageProvenanceSheet();
+  const known = getImageProvenance(article);
+  let nextRow = sheet.getLastRow() + 1;
+
+  Object.keys(sources).forEach(imageUrl => {
+    const source = sources[imageUrl];
+    const values = [
+      String(article).trim(),
+      imageUrl,
+      source.supplierKey || '',
+      source.sourceUrl || '',
+      source.parsedAt ? new Date(source.parsedAt) : new Date(),
+      getSupplierImageFileSize(imageUrl),
+      new Date()
+    ];
+
+    const row = known[imageUrl] ? known[imageUrl].row : nextRow++;
+    sheet.getRange(row, 1, 1, values.length).setValues([values]);
+  });
+}
+
+/**
+ * РАЗМЕР ИСХОДНОГО ФАЙЛА (Content-Length или фактический размер, '' если не загрузилось)
+ */
+function getSupplierImageFileSize(imageUrl) {
+  try {
+    const response = getSupplierHttpClient().fetch(imageUrl, {
       muteHttpExceptions: true,
       headers: { 'User-Agent': 'Mozilla/5.0' }
     });
-    
+
     if (response.getResponseCode() !== 200) {
-      return [];
+      logWarning(`Фото не загрузилось (${response.getResponseCode()}): ${imageUrl}`);
+      return '';
     }
-    
-    const html = response.getContentText();
-    const imageUrls = new Set();
-    
-    const allHrefMatches = html.match(/href="(\/upload\/iblock\/[^"]+\.jpg)"/gi);
-    
-    if (allHrefMatches) {
-      allHrefMatches.forEach(match => {
-        const urlMatch = match.match(/href="([^"]+)"/);
-        if (urlMatch) {
-          const imageUrl = 'https://veber.ru' + urlMatch[1];
-          
-          const excludePatterns = [
-            'logo', 'banner', 'icon', 'button', 
-            'vomz.jpg', 'yukon.jpg', 'levenhuk.jpg', 'bresser', 
-            'nikon.jpg', 'pentax.jpg', 'olympus.jpg', 'fuginon.jpg',
-            'selestron.jpg', 'meade.jpg', 'komz.jpg', 'micromed.jpg',
-            'Alekat.jpg', 'Falke.jpg', 'Brite2.jpg', 'warne.jpg', 'est.jpg',
-            'iray.jpg', 'ToupTek.jpg', 'EASTCOLIGHT.jpg'
-          ];
-          
-          if (!excludePatterns.some(p => imageUrl.toLowerCase().includes(p.toLowerCase()))) {
-            imageUrls.add(imageUrl);
-          }
-        }
-      });
-    }
-    
-    const uniqueImages = Array.from(imageUrls);
-    logInfo(`Найдено товарных изображений: ${uniqueImages.length}`);
-    
-    return uniqueImages;
-    
+
+    const headers = response.getHeaders();
+    const length = Number(headers['Content-Length'] || headers['content-length']);
+
+    return length > 0 ? length : response.getBlob().getBytes().length;
+
   } catch (error) {
-    logError('Ошибка парсинга Veber', error);
-    return [];
+    logWarning(`Не удалось определить размер фото ${imageUrl}: ${error.message}`);
+    return '';
+  }
+}
+
+/**
+ * КРАТКАЯ СТРОКА О ПРОИСХОЖДЕНИИ ДЛЯ ДИАЛОГОВ
+ *
+ * @returns {string} "Veber · 19 октября 2026 г., 21:40:00 · 245.3 КБ"
+ */
+function describeImageProvenance(record) {
+  if (!record) return '';
+
+  const parts = [record.supplier];
+
+  if (record.parsedAt instanceof Date) {
+    parts.push(formatDate(record.parsedAt, 'full'));
   }
+
+  if (typeof record.fileSize === 'number' && record.fileSize > 0) {
+    parts.push(formatFileSize(record.fileSize));
+  }
+
+  return parts.join(' · ');
 }
 
-function parse4glazaImages(urlOrArticle) {
+// =============================================================================
+// ⚙️ ДЕКЛАРАТИВНЫЙ ДВИЖОК ПАРСИНГА
+// =============================================================================
+
+/**
+ * ПАРСИНГ ИЗОБРАЖЕНИЙ ПОСТАВЩИКА ПО ОПИСАНИЮ ИЗ SUPPLIERS_CONFIG
+ *
+ * @param {string} supplierKey - Ключ поставщика (VEBER, STURMAN, ...)
+ * @param {string} query - Артикул, URL поиска или прямой URL товара
+ * @param {Object} context - Товар из таблицы { article, name }: артикул магазина
+ *                           для реестра ссылок, название для выбора в выдаче поиска
+ * @returns {Array<string>} Список URL изображений
+ */
+function executeSupplierParser(supplierKey, query, context) {
+  return findSupplierImages(supplierKey, query, context).images;
+}
+
+/**
+ * ПОИСК ИЗОБРАЖЕНИЙ С ИНФОРМАЦИЕЙ О ВЫБРАННОЙ КАРТОЧКЕ
+ *
+ * @returns {Object} { images: [], match: результат resolveSupplierProduct или null }
+ */
+function findSupplierImages(supplierKey, query, context) {
+  const config = getSupplierParsingConfig(supplierKey);
+
+  if (!config) {
+    throw new Error(`Неизвестный поставщик: ${supplierKey}`);
+  }
+
   try {
-    let productUrl = urlOrArticle;
-    
-    // Обрабатываем разные форматы входных данных
-    if (urlOrArticle.includes('4glaza.ru')) {
-      // URL поиска с закодированным товарным URL
-      if (urlOrArticle.includes('/search/?q=') && urlOrArticle.includes('products%2F')) {
-        const decodedUrl = decodeURIComponent(urlOrArticle);
-        const productMatch = decodedUrl.match(/(https:\/\/4glaza\.ru\/products\/[^\s&]+)/);
-        if (productMatch) {
-          productUrl = productMatch[1];
-          logInfo(`Извлечен URL из поискового запроса: ${productUrl}`);
-        }
-      }
-      // Прямой URL товара или строка с URL
-      else if (urlOrArticle.includes('/products/')) {
-        const urlMatch = urlOrArticle.match(/(https:\/\/4glaza\.ru\/products\/[^\s]+)/);
-        if (urlMatch) {
-          productUrl = urlMatch[1];
-          logInfo(`Найден URL товара: ${productUrl}`);
-        }
-      }
+    const feedProduct = config.feed ? findSupplierFeedProduct(supplierKey, query) : null;
+
+    if (feedProduct) {
+      const feedImages = feedProduct.images.split('\n').filter(url => url);
+      return { images: rejectSupplierThumbnails(feedImages, config), match: feedProduct.match };
     }
-    
-    // Проверка что у нас есть правильный URL
-    if (!productUrl.includes('4glaza.ru/products/')) {
-      logWarning(`Неподдерживаемый формат для 4glaza: ${urlOrArticle}`);
-      return [];
+
+    const session = openSupplierSession(supplierKey);
+    const match = locateSupplierProduct(supplierKey, config, query, session, context);
+
+    if (!match) {
+      return { images: [], match: null };
     }
-    
-    logInfo(`Парсим страницу 4glaza: ${productUrl}`);
-    
-    // Загружаем страницу товара
-    const response = UrlFetchApp.fetch(productUrl, {
-      muteHttpExceptions: true,
-      headers: { 'User-Agent': 'Mozilla/5.0' }
-    });
-    
-    if (response.getResponseCode() !== 200) {
-      logError(`Ошибка загрузки страницы: ${response.getResponseCode()}`);
-      return [];
+
+    const html = fetchSupplierPage(config, match.url, session);
+    if (!html) {
+      warnBrokenRegisteredUrl(config, match);
+      return { images: [], match: match };
     }
-    
-    const html = response.getContentText();
-    const imageUrls = new Set();
-    
-    // Ищем все изображения с названием товара в имени файла
-    const allImageMatches = html.match(/(?:href|src|data-src)="([^"]*binocular-levenhuk-labzz[^"]*\.jpg)"/gi);
-    
-    if (allImageMatches) {
-      allImageMatches.forEach(match => {
-        const urlMatch = match.match(/(?:href|src|data-src)="([^"]+\.jpg)"/);
-        if (urlMatch) {
-          let imageUrl = urlMatch[1];
-          
-          if (imageUrl.startsWith('/')) {
-            imageUrl = 'https://4glaza.ru' + imageUrl;
-          }
-          
-          // Исключаем только миниатюры
-          if (!imageUrl.includes('_300_') && !imageUrl.includes('_190_')) {
-            imageUrls.add(imageUrl);
-          }
-        }
-      });
+
+    let images = extractImagesByRules(html, config, match.url);
+
+    if (images.length === 0) {
+      images = extractStructuredProductData(html, config).images;
     }
-    
-    const uniqueImages = Array.from(imageUrls);
-    logInfo(`Найдено изображений 4glaza: ${uniqueImages.length}`);
-    
-    return uniqueImages;
-    
+
+    images = rejectSupplierThumbnails(images, config);
+
+    logInfo(`Найдено изображений ${config.name}: ${images.length}`);
+
+    return { images: images, match: match };
+
   } catch (error) {
-    logError('Ошибка парсинга 4glaza', error);
-    return [];
+    logError(`Ошибка парсинга ${config.name}`, error);
+    return { images: [], match: null };
   }
 }
 
-function parseLevenhukOptImages(urlOrArticle) {
+/**
+ * ОТБОР ПРЕВЬЮ ПО РЕАЛЬНОМУ РАЗРЕШЕНИЮ
+ *
+ * Размеры читаются из заголовка файла (probeImageUrl); фото, размер которого
+ * определить не удалось, остается в списке
+ *
+ * @param {Array<string>} images - URL фото
+ * @param {Object} config - Описание поставщика
+ * @returns {Array<string>} Фото без превью
+ */
+function rejectSupplierThumbnails(images, config) {
+  const imageRules = (config.parsing && config.parsing.images) || {};
+  const minSide = imageRules.minSide || SUPPLIER_IMAGE_MIN_SIDE_PX;
+  const client = getSupplierHttpClient();
+
+  return images.filter(url => {
+    if (!(url in SUPPLIER_IMAGE_PROBES)) {
+      SUPPLIER_IMAGE_PROBES[url] = probeImageUrl(url, client);
+    }
+
+    const probe = SUPPLIER_IMAGE_PROBES[url];
+    if (probe && Math.max(probe.width, probe.height) < minSide) {
+      logInfo(`${config.name}: пропускаем превью ${probe.width}x${probe.height} ${url}`);
+      return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * ПАРСИНГ ПОЛНОЙ КАРТОЧКИ ПОСТАВЩИКА ПО ОПИСАНИЮ ИЗ SUPPLIERS_CONFIG
+ *
+ * @param {string} supplierKey - Ключ поставщика
+ * @param {string} articleOrUrl - Артикул или URL товара
+ * @param {Object} context - Товар магазина { article, name }, если известен
+ *                           (реестр ссылок и выбор в выдаче поиска)
+ * @returns {Object|null} { url, images, title, description, specifications, price, stock,
+ *                          brand, sku, gtin, match }
+ */
+function parseSupplierFullProduct(supplierKey, articleOrUrl, context) {
+  const config = getSupplierParsingConfig(supplierKey);
+
   try {
-    logInfo(`Начинаем парсинг Levenhuk-opt для: ${urlOrArticle}`);
-    
-    const credentials = {
-      login: 'пп058887',
-      password: 'LHXLUURM'
-    };
-    
-    // Авторизация
-    const loginUrl = 'https://www.levenhuk-opt.ru/login/';
-    const loginPayload = {
-      'USER_LOGIN': credentials.login,
-      'USER_PASSWORD': credentials.password,
-      'AUTH_FORM': 'Y',
-      'TYPE': 'AUTH'
+    if (!config) {
+      throw new Error(`Неизвестный поставщик: ${supplierKey}`);
+    }
+
+    logInfo(`🔍 Парсим полную карточку ${config.name}: ${articleOrUrl}`);
+
+    const feedProduct = config.feed ? findSupplierFeedProduct(supplierKey, articleOrUrl) : null;
+    if (feedProduct) {
+      return feedProduct;
+    }
+
+    const session = openSupplierSession(supplierKey);
+    const match = locateSupplierProduct(supplierKey, config, articleOrUrl, session, context);
+
+    if (!match) {
+      logWarning(`⚠️ Товар ${articleOrUrl} не найден на ${config.name}`);
+      return null;
+    }
+
+    logInfo(`📄 Загружаем страницу: ${match.url}`);
+    const html = fetchSupplierPage(config, match.url, session);
+
+    if (!html) {
+      warnBrokenRegisteredUrl(config, match);
+      return null;
+    }
+
+    const fields = config.parsing.fields || {};
+
+    const result = {
+      url: match.url,
+      images: fields.images ?
+        fields.images(html) :
+        extractImagesByRules(html, config, match.url).join('\n'),
+      title: extractFieldByRule(html, fields.title),
+      description: extractFieldByRule(html, fields.description),
+      specifications: extractSpecificationsByRule(html, fields.specifications),
+      price: extractPriceByRule(html, fields.price),
+      stock: extractStockByRule(html, fields.stock),
+      brand: extractFieldByRule(html, fields.brand),
+      sku: '',
+      gtin: '',
+      match: match
     };
-    
-    const loginResponse = UrlFetchApp.fetch(loginUrl, {
-      method: 'POST',
-      payload: loginPayload,
-      followRedirects: false,
+
+    fillFromStructuredData(result, extractStructuredProductData(html, config));
+
+    logInfo(`✅ Спарсено: ${result.title}`);
+    return result;
+
+  } catch (error) {
+    logError(`Ошибка парсинга ${config ? config.name : supplierKey}`, error);
+    return null;
+  }
+}
+
+/**
+ * СЕССИЯ ПОСТАВЩИКА
+ *
+ * Для порталов с parsing.auth возвращает сохраненную cookie-сессию
+ * (память выполнения → CacheService) и входит заново только если ее нет
+ *
+ * @param {string} supplierKey - Ключ поставщика
+ * @returns {Object} Сессия { supplierKey, cookie }
+ */
+function openSupplierSession(supplierKey) {
+  const config = getSupplierParsingConfig(supplierKey);
+
+  if (!config.parsing.auth) {
+    return { supplierKey: supplierKey, cookie: '' };
+  }
+
+  if (SUPPLIER_SESSIONS[supplierKey]) {
+    return SUPPLIER_SESSIONS[supplierKey];
+  }
+
+  const cached = CacheService.getScriptCache().get(SUPPLIER_SESSION_CACHE_PREFIX + supplierKey);
+  if (cached) {
+    logInfo(`Используем сохраненную сессию ${config.name}`);
+    SUPPLIER_SESSIONS[supplierKey] = { supplierKey: supplierKey, cookie: cached };
+    return SUPPLIER_SESSIONS[supplierKey];
+  }
+
+  return loginToSupplier(supplierKey);
+}
+
+/**
+ * ВХОД НА ПОРТАЛ ПОСТАВЩИКА И СОХРАНЕНИЕ COOKIE НА ВРЕМЯ ЖИЗНИ СЕССИИ
+ *
+ * @returns {Object} Новая сессия { supplierKey, cookie }
+ * @throws {Error} Если доступы не заданы или портал не выдал cookie
+ */
+function loginToSupplier(supplierKey) {
+  const config = SUPPLIERS_CONFIG[supplierKey];
+  const auth = config.parsing.auth;
+  const credentials = getSupplierCredentials(supplierKey);
+
+  if (!credentials) {
+    throw new Error(`Не заданы доступы для ${config.name}. Меню: 🖼️ Фото → 🔑 Доступы поставщиков`);
+  }
+
+  const payload = {};
+  for (const [field, value] of Object.entries(auth.payload)) {
+    // Функция-замена: символы $& и $1 в пароле не должны разворачиваться
+    payload[field] = String(value)
+      .replace('{login}', () => credentials.login)
+      .replace('{password}', () => credentials.password);
+  }
+
+  const loginResponse = getSupplierHttpClient().fetch(auth.loginUrl, {
+    method: 'POST',
+    payload: payload,
+    followRedirects: false,
+    muteHttpExceptions: true,
+    headers: { 'User-Agent': 'Mozilla/5.0' }
+  });
+
+  const cookie = buildCookieHeader(loginResponse.getHeaders()['Set-Cookie']);
+
+  if (!cookie) {
+    throw new Error(`Авторизация ${config.name} не удалась (код ${loginResponse.getResponseCode()})`);
+  }
+
+  CacheService.getScriptCache().put(
+    SUPPLIER_SESSION_CACHE_PREFIX + supplierKey,
+    cookie,
+    auth.sessionLifetime || 1200
+  );
+
+  logInfo(`Авторизация ${config.name} выполнена`);
+
+  SUPPLIER_SESSIONS[supplierKey] = { supplierKey: supplierKey, cookie: cookie };
+  return SUPPLIER_SESSIONS[supplierKey];
+}
+
+/**
+ * СБРОС СОХРАНЕННОЙ СЕССИИ ПОСТАВЩИКА
+ */
+function invalidateSupplierSession(supplierKey) {
+  delete SUPPLIER_SESSIONS[supplierKey];
+  CacheService.getScriptCache().remove(SUPPLIER_SESSION_CACHE_PREFIX + supplierKey);
+}
+
+/**
+ * COOKIE-ЗАГОЛОВОК ИЗ SET-COOKIE: только пары имя=значение, без атрибутов
+ */
+function buildCookieHeader(setCookie) {
+  const headers = Array.isArray(setCookie) ? setCookie : (setCookie ? [setCookie] : []);
+  const jar = {};
+
+  headers.forEach(header => {
+    const pair = header.split(';')[0];
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      jar[pair.substring(0, separator).trim()] = pair.substring(separator + 1).trim();
+    }
+  });
+
+  return Object.entries(jar).map(([name, value]) => `${name}=${value}`).join('; ');
+}
+
+/**
+ * ЗАГРУЗКА СТРАНИЦЫ ПОСТАВЩИКА
+ *
+ * Для авторизованных порталов редиректы обрабатываются вручную: ответ 401/403
+ * или переход на страницу входа означает истекшую сессию - входим заново
+ * и повторяем запрос один раз
+ *
+ * @returns {string} HTML страницы или пустая строка при ошибке
+ */
+function fetchSupplierPage(config, url, session) {
+  const auth = config.parsing.auth;
+  let currentUrl = url;
+  let reloginDone = false;
+
+  for (let redirects = 0; redirects <= 5; redirects++) {
+    const headers = { 'User-Agent': 'Mozilla/5.0' };
+
+    if (session && session.cookie) {
+      headers['Cookie'] = session.cookie;
+    }
+
+    const response = getSupplierHttpClient().fetch(currentUrl, {
       muteHttpExceptions: true,
-      headers: { 'User-Agent': 'Mozilla/5.0' }
+      followRedirects: !auth,
+      headers: headers
     });
-    
-    const cookies = loginResponse.getHeaders()['Set-Cookie'] || '';
-    const cookieHeader = Array.isArray(cookies) ? cookies.join('; ') : cookies;
-    
-    logInfo('Авторизация выполнена');
-    
-    // Поиск товара
-    let productUrl = urlOrArticle;
-    
-    if (!urlOrArticle.includes('levenhuk-opt.ru/catalogue/')) {
-      const searchUrl = `https://www.levenhuk-opt.ru/search/?q=${encodeURIComponent(urlOrArticle)}`;
-      
-      const searchResponse = UrlFetchApp.fetch(searchUrl, {
-        muteHttpExceptions: true,
-        headers: { 
-          'User-Agent': 'Mozilla/5.0',
-          'Cookie': cookieHeader
-        }
-      });
-      
-      if (searchResponse.getResponseCode() === 200) {
-        const searchHtml = searchResponse.getContentText();
-        const linkMatch = searchHtml.match(/<a[^>]+href="([^"]*\/catalogue\/[^"]*)"[^>]*>/i);
-        
-        if (linkMatch) {
-          productUrl = linkMatch[1].startsWith('/') ? 
-            'https://www.levenhuk-opt.ru' + linkMatch[1] : linkMatch[1];
-          logInfo(`Найдена страница товара: ${productUrl}`);
-        } else {
-          logWarning('Товар не найден в поиске');
-          return [];
+
+    const code = response.getResponseCode();
+
+    if (auth) {
+      const location = response.getHeaders()['Location'] || '';
+      const loginPattern = auth.loginPagePattern || /\/login/i;
+      const sessionExpired = code === 401 || code === 403 ||
+        (code >= 300 && code < 400 && buildSupplierRegExp(loginPattern).test(location));
+
+      if (sessionExpired) {
+        if (reloginDone) {
+          logWarning(`${config.name}: доступ запрещен после повторного входа`);
+          return '';
         }
+
+        logInfo(`${config.name}: сессия истекла, входим заново`);
+        invalidateSupplierSession(session.supplierKey);
+        session.cookie = loginToSupplier(session.supplierKey).cookie;
+        reloginDone = true;
+        redirects--;
+        continue;
       }
-    }
-    
-    // Парсинг страницы товара
-    const response = UrlFetchApp.fetch(productUrl, {
-      muteHttpExceptions: true,
-      headers: { 
-        'User-Agent': 'Mozilla/5.0',
-        'Cookie': cookieHeader
+
+      if (code >= 300 && code < 400 && location) {
+        currentUrl = normalizeSupplierUrl(location, config);
+        continue;
       }
-    });
-    
-    if (response.getResponseCode() !== 200) {
-      return [];
     }
-    
-    const html = response.getContentText();
-    const imageUrls = new Set();
-    
-    // Ищем изображения в ссылках href (внешние ссылки на 4glaza.ru)
-    const externalImageMatches = html.match(/href="(https:\/\/4glaza\.ru\/external\/[^"]+\.jpg)"/gi);
-    
-    if (externalImageMatches) {
-      externalImageMatches.forEach(match => {
-        const urlMatch = match.match(/href="([^"]+\.jpg)"/);
-        if (urlMatch) {
-          imageUrls.add(urlMatch[1]);
-        }
-      });
+
+    if (code !== 200) {
+      logWarning(`${config.name}: ошибка загрузки ${currentUrl} (${code})`);
+      return '';
     }
-    
-    // Также ищем локальные изображения
-    const localImageMatches = html.match(/(?:src|data-src)="([^"]*\/upload\/[^"]+\.jpg)"/gi);
-    
-    if (localImageMatches) {
-      localImageMatches.forEach(match => {
-        const urlMatch = match.match(/(?:src|data-src)="([^"]+\.jpg)"/);
-        if (urlMatch) {
-          let imageUrl = urlMatch[1];
-          if (imageUrl.startsWith('/')) {
-            imageUrl = 'https://levenhuk-opt.ru' + imageUrl;
-          }
-          imageUrls.add(imageUrl);
-        }
-      });
+
+    return response.getContentText();
+  }
+
+  logWarning(`${config.name}: слишком много редиректов для ${url}`);
+  return '';
+}
+
+/**
+ * ОПРЕДЕЛЕНИЕ КАРТОЧКИ ТОВАРА
+ *
+ * Прямая ссылка на товар используется как есть. Иначе выполняется поиск:
+ * все ссылки выдачи по productLinkPattern оцениваются по артикулу и названию
+ * (scoreSupplierCandidate), берется лучшая. Слабое или неоднозначное
+ * совпадение помечается lowConfidence - товар парсится, но требует проверки
+ *
+ * @param {Object} config - Описание поставщика
+ * @param {string} query - Артикул, URL поиска или прямой URL товара
+ * @param {Object} session - Сессия поставщика
+ * @param {string} productName - Название товара из таблицы (необязательно)
+ * @returns {Object|null} { url, title, score, lowConfidence, candidates }
+ */
+function resolveSupplierProduct(config, query, session, productName) {
+  const rules = config.parsing;
+  const value = String(query).trim();
+  const urlMatch = value.match(/https?:\/\/\S+/);
+
+  if (urlMatch && (!rules.productUrlPattern || buildSupplierRegExp(rules.productUrlPattern).test(urlMatch[0]))) {
+    return { url: urlMatch[0], title: '', score: 100, lowConfidence: false, candidates: 1 };
+  }
+
+  if (!rules.productLinkPattern) {
+    logWarning(`${config.name}: поиск не описан, укажите прямую ссылку на товар`);
+    return null;
+  }
+
+  const searchUrl = urlMatch ? urlMatch[0] : buildSupplierSearchUrl(config, value);
+  logInfo(`Поиск ${config.name}: ${searchUrl}`);
+
+  const searchHtml = fetchSupplierPage(config, searchUrl, session);
+  if (!searchHtml) {
+    return null;
+  }
+
+  const candidates = extractSearchCandidates(searchHtml, config);
+
+  if (candidates.length === 0) {
+    logWarning(`Товар не найден в поиске ${config.name}`);
+    return null;
+  }
+
+  const article = urlMatch ? '' : value;
+  candidates.forEach(candidate => {
+    candidate.score = scoreSupplierCandidate(candidate, article, productName);
+  });
+
+  // Стабильная сортировка: при равной оценке остается порядок выдачи
+  const ranked = candidates.slice().sort((a, b) => b.score - a.score);
+  const best = ranked[0];
+  const runnerUp = ranked[1];
+
+  const lowConfidence = best.score < MATCH_THRESHOLDS.MEDIUM ||
+    Boolean(runnerUp && best.score - runnerUp.score < SUPPLIER_MATCH_AMBIGUITY_GAP);
+
+  logInfo(`Найдена страница: ${best.url} (${best.score}%, кандидатов: ${candidates.length})`);
+
+  if (lowConfidence) {
+    logWarning(`${config.name}: выбор "${best.title}" для ${value} неуверенный (${best.score}%)`);
+  }
+
+  return {
+    url: best.url,
+    title: best.title,
+    score: best.score,
+    lowConfidence: lowConfidence,
+    candidates: candidates.length
+  };
+}
+
+/**
+ * КАНДИДАТЫ ИЗ ВЫДАЧИ ПОИСКА: уникальные ссылки на товары с текстом ссылки
+ *
+ * @returns {Array<Object>} [{ url, title }] в порядке выдачи
+ */
+function extractSearchCandidates(searchHtml, config) {
+  const byUrl = {};
+  const candidates = [];
+
+  for (const match of searchHtml.matchAll(buildSupplierRegExp(config.parsing.productLinkPattern, 'g'))) {
+    const url = normalizeSupplierUrl(match[1], config);
+    const linkEnd = searchHtml.indexOf('</a>', match.index + match[0].length);
+    const linkText = linkEnd === -1 ? '' : cleanHtml(searchHtml.substring(match.index + match[0].length, linkEnd));
+    const titleAttr = match[0].match(/title="([^"]*)"/i);
+    const title = linkText || (titleAttr ? cleanHtml(titleAttr[1]) : '');
+
+    if (!byUrl[url]) {
+      byUrl[url] = { url: url, title: title };
+      candidates.push(byUrl[url]);
+    } else if (!byUrl[url].title) {
+      // Первая ссылка часто картинка без текста, название - во второй
+      byUrl[url].title = title;
     }
-    
-    const uniqueImages = Array.from(imageUrls);
-    logInfo(`Найдено изображений Levenhuk-opt: ${uniqueImages.length}`);
-    
-    return uniqueImages;
-    
-  } catch (error) {
-    logError('Ошибка парсинга Levenhuk-opt', error);
-    return [];
   }
+
+  return candidates;
+}
+
+/**
+ * ОЦЕНКА КАНДИДАТА (0-100)
+ *
+ * Артикул отдельным словом в названии или URL - 100.
+ * Иначе сходство названий из 08_product_matcher.js
+ */
+function scoreSupplierCandidate(candidate, article, productName) {
+  if (article && containsArticle(`${candidate.title} ${candidate.url}`, article)) {
+    return 100;
+  }
+
+  if (!productName) {
+    return 0;
+  }
+
+  return calculateStringSimilarity(
+    normalizeProductName(String(productName)),
+    normalizeProductName(candidate.title)
+  );
+}
+
+/**
+ * АРТИКУЛ ОТДЕЛЬНЫМ СЛОВОМ: "42" не совпадает с "10x42", "VB-1042" совпадает с "vb1042"
+ */
+function containsArticle(text, article) {
+  const lowerText = String(text).toLowerCase();
+  const lowerArticle = String(article).toLowerCase().trim();
+  const escaped = lowerArticle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  if (new RegExp(`(^|[^a-zа-яё0-9])${escaped}($|[^a-zа-яё0-9])`).test(lowerText)) {
+    return true;
+  }
+
+  // Артикул без разделителей сравниваем только если он достаточно длинный
+  const compactArticle = lowerArticle.replace(/[^a-zа-яё0-9]/g, '');
+  return compactArticle.length >= 5 &&
+    compactArticle !== lowerArticle &&
+    lowerText.replace(/[^a-zа-яё0-9]/g, '').includes(compactArticle);
 }
 
-function parseQuartaImages(url) { return []; }
+/**
+ * URL ПОИСКА ПО ШАБЛОНУ
+ */
+function buildSupplierSearchUrl(config, query) {
+  const template = config.parsing.searchUrl || `${config.baseUrl}${config.searchPath}{query}`;
+  return template.replace('{query}', encodeURIComponent(query));
+}
 
 /**
- * ИСПРАВЛЕННЫЙ parseSturmanImages с точной фильтрацией
- * Замените функцию в 05_supplier_parsing.gs
+ * ИЗВЛЕЧЕНИЕ ИЗОБРАЖЕНИЙ ПО ПРАВИЛАМ parsing.images
+ *
+ * @returns {Array<string>} Уникальные абсолютные URL изображений
  */
-function parseSturmanImages(articleOrUrl) {
-  try {
-    // Если передан простой артикул - формируем URL поиска
-    let searchUrl;
-    
-    if (articleOrUrl.includes('http')) {
-      searchUrl = articleOrUrl;
-    } else {
-      searchUrl = `https://sturman.ru/opt/search/?query=${encodeURIComponent(articleOrUrl)}`;
-    }
-    
-    logInfo(`Поиск Sturman: ${searchUrl}`);
-    
-    // Выполняем поиск
-    const searchResponse = UrlFetchApp.fetch(searchUrl, {
-      muteHttpExceptions: true,
-      headers: { 'User-Agent': 'Mozilla/5.0' }
-    });
-    
-    if (searchResponse.getResponseCode() !== 200) {
-      logWarning(`Ошибка поиска: ${searchResponse.getResponseCode()}`);
-      return [];
-    }
-    
-    const searchHtml = searchResponse.getContentText();
-    
-    // Ищем первую ссылку на товар
-    const productLinkMatch = searchHtml.match(/<a[^>]+href="([^"]*\/product\/[^"]*)"[^>]*>/i);
-    
-    if (!productLinkMatch) {
-      logWarning('Товар не найден в результатах поиска');
-      return [];
+function extractImagesByRules(html, config, productUrl) {
+  const rules = config.parsing.images || {};
+  const imageUrls = new Set();
+
+  (rules.patterns || []).forEach(pattern => {
+    for (const match of html.matchAll(buildSupplierRegExp(pattern, 'g'))) {
+      imageUrls.add(normalizeSupplierUrl(match[1], config));
     }
-    
-    const productUrl = productLinkMatch[1].startsWith('/') ?
-      'https://sturman.ru' + productLinkMatch[1] : productLinkMatch[1];
-    
-    logInfo(`Найден товар: ${productUrl}`);
-    
-    // Загружаем страницу товара
-    const productResponse = UrlFetchApp.fetch(productUrl, {
-      muteHttpExceptions: true,
-      headers: { 'User-Agent': 'Mozilla/5.0' }
+  });
+
+  const include = rules.include || [];
+  const exclude = (rules.exclude || []).map(p => p.toLowerCase());
+  const slug = rules.requireProductSlug ? getProductSlug(productUrl) : '';
+
+  const images = Array.from(imageUrls).filter(url => {
+    const lowerUrl = url.toLowerCase();
+
+    if (!include.every(part => url.includes(part))) return false;
+    if (slug && !lowerUrl.includes(slug)) return false;
+
+    return !exclude.some(pattern => lowerUrl.includes(pattern));
+  });
+
+  if (rules.sortPattern) {
+    const sortRegExp = buildSupplierRegExp(rules.sortPattern);
+    images.sort((a, b) => {
+      const aNum = parseInt((a.match(sortRegExp) || ['', '0'])[1]);
+      const bNum = parseInt((b.match(sortRegExp) || ['', '0'])[1]);
+      return aNum - bNum;
     });
-    
-    if (productResponse.getResponseCode() !== 200) {
-      return [];
-    }
-    
-    const html = productResponse.getContentText();
-    const imageUrls = new Set();
-    
-    // МЕТОД 1: Ищем изображения в href (полноразмерные в галерее)
-    // Паттерн: href="/wa-data/public/shop/products/.../images/.../filename.750x0.jpg"
-    const hrefMatches = html.match(/href="([^"]*\/wa-data\/public\/shop\/products\/[^"]+\.750x0\.jpg)"/gi);
-    
-    if (hrefMatches) {
-      hrefMatches.forEach(match => {
-        const urlMatch = match.match(/href="([^"]+)"/);
-        if (urlMatch) {
-          let imageUrl = urlMatch[1];
-          if (imageUrl.startsWith('/')) {
-            imageUrl = 'https://sturman.ru' + imageUrl;
-          }
-          imageUrls.add(imageUrl);
-        }
-      });
-    }
-    
-    // МЕТОД 2: Ищем data-fancybox с полноразмерными изображениями
-    const fancyboxMatches = html.match(/data-fancybox="gallery"[^>]+href="([^"]*\/wa-data\/public\/shop\/products\/[^"]+\.750x0\.jpg)"/gi);
-    
-    if (fancyboxMatches) {
-      fancyboxMatches.forEach(match => {
-        const urlMatch = match.match(/href="([^"]+\.750x0\.jpg)"/);
-        if (urlMatch) {
-          let imageUrl = urlMatch[1];
-          if (imageUrl.startsWith('/')) {
-            imageUrl = 'https://sturman.ru' + imageUrl;
-          }
-          imageUrls.add(imageUrl);
-        }
-      });
+  }
+
+  return images;
+}
+
+/**
+ * ИЗВЛЕЧЕНИЕ ТЕКСТОВОГО ПОЛЯ: функция или список регулярок (первое совпадение)
+ */
+function extractFieldByRule(html, rule) {
+  if (!rule) return '';
+  if (typeof rule === 'function') return rule(html);
+
+  for (const pattern of rule) {
+    const match = html.match(buildSupplierRegExp(pattern, 's'));
+    if (match) {
+      return cleanHtml(match[1]).trim();
     }
-    
-    // МЕТОД 3: Ищем через data-image (для слайдеров)
-    const dataImageMatches = html.match(/data-image="([^"]*\/wa-data\/public\/shop\/products\/[^"]+\.750x0\.jpg)"/gi);
-    
-    if (dataImageMatches) {
-      dataImageMatches.forEach(match => {
-        const urlMatch = match.match(/data-image="([^"]+)"/);
-        if (urlMatch) {
-          let imageUrl = urlMatch[1];
-          if (imageUrl.startsWith('/')) {
-            imageUrl = 'https://sturman.ru' + imageUrl;
-          }
-          imageUrls.add(imageUrl);
-        }
-      });
+  }
+
+  return '';
+}
+
+/**
+ * ИЗВЛЕЧЕНИЕ ЦЕНЫ: целое число рублей ("12 990 ₽" → "12990", "4990.00" → "4990")
+ */
+function extractPriceByRule(html, rule) {
+  if (typeof rule === 'function') return rule(html);
+
+  return normalizeSupplierPrice(extractFieldByRule(html, rule));
+}
+
+function normalizeSupplierPrice(value) {
+  const raw = String(value)
+    .replace(/\s/g, '')
+    .replace(',', '.')
+    .replace(/[^\d.]/g, '');
+  const price = parseFloat(raw);
+
+  return isNaN(price) ? '' : String(Math.round(price));
+}
+
+/**
+ * ИЗВЛЕЧЕНИЕ НАЛИЧИЯ: { 'В наличии': [регулярки], 'Под заказ': [...] }
+ */
+function extractStockByRule(html, rule) {
+  if (!rule) return '';
+  if (typeof rule === 'function') return rule(html);
+
+  for (const [status, patterns] of Object.entries(rule)) {
+    if (patterns.some(pattern => buildSupplierRegExp(pattern).test(html))) {
+      return status;
     }
-    
-    // ДОПОЛНИТЕЛЬНАЯ ФИЛЬТРАЦИЯ: оставляем только товарные изображения
-    const filteredImages = Array.from(imageUrls).filter(url => {
-      // Включаем только изображения с правильным разрешением
-      if (!url.includes('.750x0.jpg')) {
-        return false;
-      }
-      
-      // Исключаем системные изображения
-      const excludePatterns = [
-        'logo', 'banner', 'icon', 'button', 'badge',
-        'watermark', 'social', 'payment', 'delivery',
-        'brand', 'manufacturer', 'certificate'
-      ];
-      
-      const lowerUrl = url.toLowerCase();
-      return !excludePatterns.some(pattern => lowerUrl.includes(pattern));
-    });
-    
-    // Сортируем по номеру изображения (если есть)
-    const sortedImages = filteredImages.sort((a, b) => {
-      const aNum = parseInt((a.match(/\/(\d+)\.750x0\.jpg/) || ['', '0'])[1]);
-      const bNum = parseInt((b.match(/\/(\d+)\.750x0\.jpg/) || ['', '0'])[1]);
-      return aNum - bNum;
-    });
-    
-    logInfo(`Найдено ${sortedImages.length} изображений для ${articleOrUrl}`);
-    
-    // Показываем первые несколько для проверки
-    if (sortedImages.length > 0) {
-      logInfo('Первые изображения:');
-      sortedImages.slice(0, 3).forEach((url, i) => {
-        logInfo(`${i + 1}. ${url}`);
-      });
+  }
+
+  return 'Уточняйте';
+}
+
+/**
+ * ИЗВЛЕЧЕНИЕ ХАРАКТЕРИСТИК: { block, row } → JSON-строка
+ */
+function extractSpecificationsByRule(html, rule) {
+  if (!rule) return '{}';
+  if (typeof rule === 'function') return rule(html);
+
+  const specs = {};
+  const blockMatch = rule.block ? html.match(buildSupplierRegExp(rule.block, 's')) : [html, html];
+
+  if (blockMatch) {
+    for (const row of blockMatch[1].matchAll(buildSupplierRegExp(rule.row, 'gs'))) {
+      const key = cleanHtml(row[1]).trim();
+      const value = cleanHtml(row[2]).trim();
+      if (key && value) specs[key] = value;
     }
-    
-    return sortedImages;
-    
-  } catch (error) {
-    logError('Ошибка парсинга Sturman', error);
-    return [];
   }
+
+  return JSON.stringify(specs);
+}
+
+/**
+ * НОРМАЛИЗАЦИЯ URL: относительные → абсолютные, замены из urlReplacements
+ */
+function normalizeSupplierUrl(url, config) {
+  let normalized = url.trim();
+
+  if (normalized.startsWith('//')) {
+    normalized = 'https:' + normalized;
+  } else if (normalized.startsWith('/')) {
+    normalized = config.baseUrl + normalized;
+  }
+
+  (config.parsing.urlReplacements || []).forEach(([from, to]) => {
+    normalized = normalized.replace(from, to);
+  });
+
+  return normalized;
+}
+
+/**
+ * SLUG ТОВАРА - последний сегмент пути URL карточки
+ */
+function getProductSlug(productUrl) {
+  const segments = String(productUrl).split(/[?#]/)[0].split('/').filter(s => s);
+  return segments.length > 0 ? segments[segments.length - 1].toLowerCase() : '';
+}
+
+/**
+ * ОПИСАНИЕ ПОСТАВЩИКА ДЛЯ ДВИЖКА: у поставщиков без правил parsing = {}
+ *
+ * @returns {Object|null} SUPPLIERS_CONFIG[supplierKey] (без правил - копия с parsing = {}) или null
+ */
+function getSupplierParsingConfig(supplierKey) {
+  const config = SUPPLIERS_CONFIG[supplierKey];
+  if (!config) return null;
+
+  return config.parsing ? config : Object.assign({}, config, { parsing: {} });
+}
+
+/**
+ * РЕГУЛЯРНОЕ ВЫРАЖЕНИЕ ИЗ ПРАВИЛА (RegExp или строка) С ДОПОЛНИТЕЛЬНЫМИ ФЛАГАМИ
+ */
+function buildSupplierRegExp(pattern, extraFlags = '') {
+  const source = pattern instanceof RegExp ? pattern.source : String(pattern);
+  const flags = pattern instanceof RegExp ? pattern.flags : 'i';
+  const uniqueFlags = Array.from(new Set((flags + extraFlags).split(''))).join('');
+
+  return new RegExp(source, uniqueFlags);
 }
 
 /**
@@ -660,7 +1542,7 @@ function testFilteredSturman() {
   try {
     logInfo('🧪 Тестируем отфильтрованный парсер Sturman');
     
-    const images = parseSturmanImages('3252');
+    const images = executeSupplierParser('STURMAN', '3252');
     
     logInfo(`✅ Результат: ${images.length} отфильтрованных изображений`);
     
@@ -676,18 +1558,6 @@ function testFilteredSturman() {
   }
 }
 
-/**
- * Обновленная конфигурация для включения Sturman
- * Замените соответствующую секцию в SUPPLIERS_CONFIG
- */
-const STURMAN_CONFIG = {
-  name: 'Sturman',
-  baseUrl: 'https://sturman.ru',
-  searchPath: '/opt/search/?query=',
-  enabled: true, // ВКЛЮЧАЕМ парсер
-  parser: 'parseSturmanImages'
-};
-
 /**
  * Тестовая функция для проверки парсера Sturman
  */
@@ -699,21 +1569,21 @@ function testSturmanParser() {
     const testUrl1 = 'https://sturman.ru/product/tsifrovoy-binokl-sturman-6-36x50-b-pro/';
     logInfo(`Тест 1 - прямой URL: ${testUrl1}`);
     
-    const images1 = parseSturmanImages(testUrl1);
+    const images1 = executeSupplierParser('STURMAN', testUrl1);
     logInfo(`Результат теста 1: ${images1.length} изображений`);
     
     // Тест 2: Поиск по артикулу
     const testArticle = '8888';
     logInfo(`Тест 2 - поиск по артикулу: ${testArticle}`);
     
-    const images2 = parseSturmanImages(testArticle);
+    const images2 = executeSupplierParser('STURMAN', testArticle);
     logInfo(`Результат теста 2: ${images2.length} изображений`);
     
     // Тест 3: Другой товар
     const testUrl3 = 'https://sturman.ru/product/shtativ-slik-gx-m-compact/';
     logInfo(`Тест 3 - другой товар: ${testUrl3}`);
     
-    const images3 = parseSturmanImages(testUrl3);
+    const images3 = executeSupplierParser('STURMAN', testUrl3);
     logInfo(`Результат теста 3: ${images3.length} изображений`);
     
     const totalImages = images1.length + images2.length + images3.length;
@@ -732,25 +1602,21 @@ function testSturmanParser() {
   }
 }
 
-function parseZoomaImages(url) { return []; }
-function parseArtelvImages(url) { return []; }
-function parseMirzreniyaImages(url) { return []; }
-function parseSfhImages(url) { return []; }
-function parseSuntcImages(url) { return []; }
-function parseGearyImages(url) { return []; }
-function parseOptic4uImages(url) { return []; }
 
+/**
+ * ЗАПУСК ПАРСИНГА ИЗ ДИАЛОГА ВЫБОРА ПОСТАВЩИКОВ
+ *
+ * Товары парсятся в фоновой очереди, найденные фото открываются
+ * кнопкой "Показать результаты" в окне прогресса
+ */
 function runSupplierParsingWrapper(selectedSuppliers, articlesMap) {
   try {
-    showNotification('Запуск парсинга...', 'info');
-    
-    const results = runSupplierParsing(selectedSuppliers, articlesMap);
-    
-    if (results && results.length > 0) {
-      showImagePreviewDialog(results);
-    } else {
-      showNotification('Изображения не найдены', 'warning');
-    }
+    enqueueJob('SUPPLIER_PARSING', Object.keys(articlesMap).map(productArticle => ({
+      article: productArticle,
+      payload: { suppliers: selectedSuppliers, articles: articlesMap[productArticle] }
+    })));
+
+    showProcessingProgress();
     
   } catch (error) {
     logError('Ошибка wrapper парсинга', error);
@@ -768,7 +1634,14 @@ function showImagePreviewDialog(results) {
   );
 }
 
-function saveSelectedImages(selections) {
+/**
+ * СОХРАНЕНИЕ ВЫБРАННЫХ ФОТО В КОЛОНКУ SUPPLIER_IMAGES
+ *
+ * @param {Object} selections - Артикул → [URL фото]
+ * @param {Object} sources - URL фото → { supplierKey, sourceUrl, parsedAt }
+ *                           для листа "Происхождение фото" (необязательно)
+ */
+function saveSelectedImages(selections, sources) {
   try {
     logInfo('Сохраняем выбранные изображения', selections);
     
@@ -794,6 +1667,14 @@ function saveSelectedImages(selections) {
           
           logInfo(`Сохранено в строку ${i + 1}: ${images.length} изображений`);
           savedCount++;
+
+          if (sources) {
+            const imageSources = {};
+            images.filter(url => sources[url]).forEach(url => {
+              imageSources[url] = sources[url];
+            });
+            recordImageProvenance(article, imageSources);
+          }
           break;
         }
       }
@@ -824,65 +1705,12 @@ function saveSelectedImages(selections) {
  * ПАРСИНГ ПОЛНОЙ КАРТОЧКИ VEBER.RU
  */
 function parseVeberFullProduct(articleOrUrl) {
-  try {
-    logInfo(`🔍 Парсим полную карточку Veber: ${articleOrUrl}`);
-
-    let productUrl = articleOrUrl;
-
-    // Если передан артикул, ищем товар
-    if (!articleOrUrl.includes('http')) {
-      const searchUrl = `https://veber.ru/search?q=${encodeURIComponent(articleOrUrl)}`;
-      const searchHtml = UrlFetchApp.fetch(searchUrl, {
-        muteHttpExceptions: true,
-        headers: { 'User-Agent': 'Mozilla/5.0' }
-      }).getContentText();
-
-      // Извлекаем ссылку на товар
-      const linkMatch = searchHtml.match(/href="(\/product\/[^"]+)"/i);
-      if (!linkMatch) {
-        logWarning(`⚠️ Товар ${articleOrUrl} не найден на Veber`);
-        return null;
-      }
-      productUrl = 'https://veber.ru' + linkMatch[1];
-    }
-
-    logInfo(`📄 Загружаем страницу: ${productUrl}`);
-    const html = UrlFetchApp.fetch(productUrl, {
-      muteHttpExceptions: true,
-      headers: { 'User-Agent': 'Mozilla/5.0' }
-    }).getContentText();
-
-    // Извлекаем данные
-    const result = {
-      url: productUrl,
-      images: extractVeberImages(html),
-      title: extractVeberTitle(html),
-      description: extractVeberDescription(html),
-      specifications: extractVeberSpecifications(html),
-      price: extractVeberPrice(html),
-      stock: extractVeberStock(html),
-      brand: extractVeberBrand(html)
-    };
-
-    logInfo(`✅ Спарсено: ${result.title}`);
-    return result;
-
-  } catch (error) {
-    logError('Ошибка парсинга Veber', error);
-    return null;
-  }
+  return parseSupplierFullProduct('VEBER', articleOrUrl);
 }
 
 function extractVeberImages(html) {
-  const images = new Set();
-  const matches = html.matchAll(/href="(\/upload\/iblock\/[^"]+\.jpg)"/gi);
-  for (const match of matches) {
-    const url = 'https://veber.ru' + match[1];
-    if (!url.match(/logo|banner|icon|button/i)) {
-      images.add(url);
-    }
-  }
-  return Array.from(images).join('\n');
+  // Те же правила, что и при поиске фото: исключаем логотипы брендов из слайдера
+  return extractImagesByRules(html, SUPPLIERS_CONFIG.VEBER, '').join('\n');
 }
 
 function extractVeberTitle(html) {
@@ -921,6 +1749,8 @@ function extractVeberPrice(html) {
 }
 
 function extractVeberStock(html) {
+  // "Нет в наличии" содержит "в наличии" - проверяем первым
+  if (html.match(/нет в наличии/i) || html.match(/out of stock/i)) return 'Нет в наличии';
   if (html.match(/в наличии/i) || html.match(/in stock/i)) return 'В наличии';
   if (html.match(/под заказ/i)) return 'Под заказ';
   return 'Уточняйте';
@@ -936,51 +1766,7 @@ function extractVeberBrand(html) {
  * ПАРСИНГ ПОЛНОЙ КАРТОЧКИ STURMAN.RU
  */
 function parseSturmanFullProduct(articleOrUrl) {
-  try {
-    logInfo(`🔍 Парсим полную карточку Sturman: ${articleOrUrl}`);
-
-    let productUrl = articleOrUrl;
-
-    // Если передан артикул, ищем товар
-    if (!articleOrUrl.includes('http')) {
-      const searchUrl = `https://sturman.ru/opt/search/?query=${encodeURIComponent(articleOrUrl)}`;
-      const searchHtml = UrlFetchApp.fetch(searchUrl, {
-        muteHttpExceptions: true,
-        headers: { 'User-Agent': 'Mozilla/5.0' }
-      }).getContentText();
-
-      const linkMatch = searchHtml.match(/href="(\/opt\/product\/[^"]+)"/i);
-      if (!linkMatch) {
-        logWarning(`⚠️ Товар ${articleOrUrl} не найден на Sturman`);
-        return null;
-      }
-      productUrl = 'https://sturman.ru' + linkMatch[1];
-    }
-
-    logInfo(`📄 Загружаем страницу: ${productUrl}`);
-    const html = UrlFetchApp.fetch(productUrl, {
-      muteHttpExceptions: true,
-      headers: { 'User-Agent': 'Mozilla/5.0' }
-    }).getContentText();
-
-    const result = {
-      url: productUrl,
-      images: extractSturmanImages(html),
-      title: extractSturmanTitle(html),
-      description: extractSturmanDescription(html),
-      specifications: extractSturmanSpecifications(html),
-      price: extractSturmanPrice(html),
-      stock: extractSturmanStock(html),
-      brand: extractSturmanBrand(html)
-    };
-
-    logInfo(`✅ Спарсено: ${result.title}`);
-    return result;
-
-  } catch (error) {
-    logError('Ошибка парсинга Sturman', error);
-    return null;
-  }
+  return parseSupplierFullProduct('STURMAN', articleOrUrl);
 }
 
 function extractSturmanImages(html) {
@@ -1020,10 +1806,11 @@ function extractSturmanDescription(html) {
 function extractSturmanSpecifications(html) {
   const specs = {};
 
-  // Webasyst структура характеристик
-  const featuresMatch = html.match(/<div[^>]*class="[^"]*wa-product-features[^"]*"[^>]*>(.*?)<\/div>/is);
-  if (featuresMatch) {
-    const items = featuresMatch[1].matchAll(/<div[^>]*class="feature[^"]*"[^>]*>.*?<span[^>]*class="name"[^>]*>(.*?)<\/span>.*?<span[^>]*class="value"[^>]*>(.*?)<\/span>/gis);
+  // Webasyst структура характеристик: блок содержит вложенные div.feature,
+  // поэтому разбираем все от начала блока, а не до первого </div>
+  const featuresStart = html.search(/<div[^>]*class="[^"]*wa-product-features[^"]*"/i);
+  if (featuresStart !== -1) {
+    const items = html.substring(featuresStart).matchAll(/<div[^>]*class="feature[^"]*"[^>]*>.*?<span[^>]*class="name"[^>]*>(.*?)<\/span>.*?<span[^>]*class="value"[^>]*>(.*?)<\/span>/gis);
     for (const item of items) {
       const key = cleanHtml(item[1]).trim();
       const value = cleanHtml(item[2]).trim();
@@ -1041,6 +1828,7 @@ function extractSturmanPrice(html) {
 }
 
 function extractSturmanStock(html) {
+  if (html.match(/нет в наличии/i) || html.match(/schema\.org\/OutOfStock/i)) return 'Нет в наличии';
   if (html.match(/в наличии/i) || html.match(/itemprop="availability"[^>]*>InStock/i)) return 'В наличии';
   return 'Уточняйте';
 }
@@ -1050,6 +1838,20 @@ function extractSturmanBrand(html) {
   return match ? cleanHtml(match[1]).trim() : '';
 }
 
+/**
+ * ПАРСИНГ ПОЛНОЙ КАРТОЧКИ 4GLAZA.RU
+ */
+function parse4glazaFullProduct(articleOrUrl) {
+  return parseSupplierFullProduct('GLAZA_4', articleOrUrl);
+}
+
+/**
+ * ПАРСИНГ ПОЛНОЙ КАРТОЧКИ LEVENHUK-OPT.RU
+ */
+function parseLevenhukOptFullProduct(articleOrUrl) {
+  return parseSupplierFullProduct('LEVENHUK_OPT', articleOrUrl);
+}
+
 /**
  * ВСПОМОГАТЕЛЬНАЯ: Очистка HTML
  */
@@ -1064,3 +1866,210 @@ function cleanHtml(text) {
     .replace(/\s+/g, ' ')
     .trim();
 }
+
+// =============================================================================
+// 🧩 СТРУКТУРИРОВАННЫЕ ДАННЫЕ: SCHEMA.ORG JSON-LD / OPENGRAPH
+// =============================================================================
+
+/**
+ * Статусы наличия Schema.org → статусы таблицы
+ */
+const SCHEMA_AVAILABILITY_STATUSES = {
+  InStock: 'В наличии',
+  InStoreOnly: 'В наличии',
+  OnlineOnly: 'В наличии',
+  LimitedAvailability: 'В наличии',
+  OutOfStock: 'Нет в наличии',
+  SoldOut: 'Нет в наличии',
+  Discontinued: 'Нет в наличии',
+  PreOrder: 'Под заказ',
+  BackOrder: 'Под заказ',
+  PreSale: 'Под заказ'
+};
+
+/**
+ * ДАННЫЕ ТОВАРА ИЗ РАЗМЕТКИ SCHEMA.ORG
+ *
+ * Сначала читается JSON-LD (Product / ProductGroup, в т.ч. внутри @graph),
+ * пустые поля дополняются из мета-тегов OpenGraph (og:*, product:*)
+ *
+ * @param {string} html - HTML карточки товара
+ * @param {Object} config - Описание поставщика (для нормализации URL)
+ * @returns {Object} { title, description, images: [], price, stock, brand, sku, gtin, specifications: {} }
+ */
+function extractStructuredProductData(html, config) {
+  const data = {
+    title: '',
+    description: '',
+    images: [],
+    price: '',
+    stock: '',
+    brand: '',
+    sku: '',
+    gtin: '',
+    specifications: {}
+  };
+
+  const product = findJsonLdProduct(html);
+
+  if (product) {
+    const offer = getJsonLdOffer(product.offers);
+
+    data.title = cleanHtml(String(product.name || ''));
+    data.description = cleanHtml(String(product.description || ''));
+    data.images = toJsonLdArray(product.image).map(getJsonLdUrl).filter(url => url);
+    data.brand = cleanHtml(String(getJsonLdName(product.brand) || getJsonLdName(product.manufacturer) || ''));
+    data.sku = String(product.sku || product.mpn || '');
+    data.gtin = String(product.gtin13 || product.gtin || product.gtin14 || product.gtin12 || product.gtin8 || '');
+
+    if (offer) {
+      const priceSpecification = toJsonLdArray(offer.priceSpecification)[0] || {};
+      data.price = normalizeSupplierPrice(offer.price || offer.lowPrice || priceSpecification.price || '');
+      data.stock = getSchemaAvailabilityStatus(offer.availability);
+    }
+
+    toJsonLdArray(product.additionalProperty).forEach(property => {
+      const key = cleanHtml(String(property.name || ''));
+      const value = cleanHtml(String(property.value || ''));
+      if (key && value) data.specifications[key] = property.unitText ? `${value} ${property.unitText}` : value;
+    });
+  }
+
+  const meta = getOpenGraphTags(html);
+
+  if (!data.title) data.title = meta['og:title'] ? meta['og:title'][0] : '';
+  if (!data.description) data.description = meta['og:description'] ? meta['og:description'][0] : '';
+  if (data.images.length === 0) data.images = meta['og:image'] || [];
+  if (!data.price) data.price = normalizeSupplierPrice((meta['product:price:amount'] || meta['og:price:amount'] || [''])[0]);
+  if (!data.stock) data.stock = getSchemaAvailabilityStatus((meta['product:availability'] || meta['og:availability'] || [''])[0]);
+  if (!data.brand) data.brand = (meta['product:brand'] || meta['og:brand'] || [''])[0];
+  if (!data.sku) data.sku = (meta['product:retailer_item_id'] || [''])[0];
+
+  data.images = Array.from(new Set(data.images.map(url => normalizeSupplierUrl(url, config))));
+
+  return data;
+}
+
+/**
+ * ДОПОЛНЕНИЕ КАРТОЧКИ ДАННЫМИ SCHEMA.ORG: заполняются только пустые поля
+ *
+ * @param {Object} result - Результат parseSupplierFullProduct (изменяется на месте)
+ * @param {Object} structured - Результат extractStructuredProductData
+ */
+function fillFromStructuredData(result, structured) {
+  ['title', 'description', 'price', 'brand', 'sku', 'gtin'].forEach(field => {
+    if (!result[field] && structured[field]) {
+      result[field] = structured[field];
+    }
+  });
+
+  if ((!result.stock || result.stock === 'Уточняйте') && structured.stock) {
+    result.stock = structured.stock;
+  }
+
+  if (!result.images && structured.images.length > 0) {
+    result.images = structured.images.join('\n');
+  }
+
+  if ((!result.specifications || result.specifications === '{}') &&
+      Object.keys(structured.specifications).length > 0) {
+    result.specifications = JSON.stringify(structured.specifications);
+  }
+}
+
+/**
+ * ПЕРВЫЙ ТОВАР ИЗ БЛОКОВ <script type="application/ld+json">
+ */
+function findJsonLdProduct(html) {
+  const blocks = html.matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>(.*?)<\/script>/gis);
+
+  for (const block of blocks) {
+    let json;
+    try {
+      json = JSON.parse(block[1].trim());
+    } catch (error) {
+      logWarning('Некорректный JSON-LD пропущен');
+      continue;
+    }
+
+    const queue = toJsonLdArray(json);
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (!node || typeof node !== 'object') continue;
+
+      const types = toJsonLdArray(node['@type']);
+      if (types.includes('Product')) return node;
+      if (types.includes('ProductGroup')) {
+        return Object.assign({}, toJsonLdArray(node.hasVariant)[0] || {}, node);
+      }
+
+      queue.push(...toJsonLdArray(node['@graph']));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * ПЕРВОЕ ПРЕДЛОЖЕНИЕ: Offer, AggregateOffer или массив предложений
+ */
+function getJsonLdOffer(offers) {
+  const offer = toJsonLdArray(offers)[0];
+  if (!offer) return null;
+
+  if (!offer.price && !offer.lowPrice && offer.offers) {
+    const nested = toJsonLdArray(offer.offers)[0] || {};
+    return Object.assign({}, nested, { availability: offer.availability || nested.availability });
+  }
+
+  return offer;
+}
+
+function getJsonLdUrl(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  return value.contentUrl || value.url || '';
+}
+
+function getJsonLdName(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  return (toJsonLdArray(value)[0] || {}).name || '';
+}
+
+/**
+ * СТАТУС НАЛИЧИЯ: 'https://schema.org/InStock', 'InStock' или OpenGraph 'in stock'
+ */
+function getSchemaAvailabilityStatus(availability) {
+  const key = String(availability || '').split('/').pop().replace(/[\s_-]/g, '').toLowerCase();
+  const schemaName = Object.keys(SCHEMA_AVAILABILITY_STATUSES).find(name => name.toLowerCase() === key);
+
+  return schemaName ? SCHEMA_AVAILABILITY_STATUSES[schemaName] : '';
+}
+
+/**
+ * МЕТА-ТЕГИ OPENGRAPH: { 'og:image': [url1, url2], 'og:title': [...] }
+ * Порядок атрибутов property/content в теге не важен
+ */
+function getOpenGraphTags(html) {
+  const tags = {};
+
+  for (const match of html.matchAll(/<meta\s[^>]*>/gi)) {
+    const tag = match[0];
+    const property = tag.match(/(?:property|name)=["']((?:og|product):[^"']+)["']/i);
+    const content = tag.match(/content=["']([^"']*)["']/i);
+
+    if (property && content && content[1].trim()) {
+      const key = property[1].toLowerCase();
+      if (!tags[key]) tags[key] = [];
+      tags[key].push(cleanHtml(content[1]));
+    }
+  }
+
+  return tags;
+}
+
+function toJsonLdArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
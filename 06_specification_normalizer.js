@@ -15,24 +15,22 @@ const SPEC_MAPPING = {
   'Параметр: Кратность увеличения, крат': {
     veber: ['Увеличение', 'Кратность', 'Zoom', 'Magnification'],
     sturman: ['Увеличение', 'Кратность', 'Magnification'],
-    normalizer: (value) => {
-      const match = value.match(/(\d+)/);
-      return match ? match[1] : value;
-    }
+    glaza_4: ['Кратность', 'Увеличение'],
+    levenhuk_opt: ['Увеличение', 'Кратность']
   },
 
   'Параметр: Диаметр объектива, мм': {
     veber: ['Диаметр объектива', 'Апертура', 'Objective', 'Диам. объектива'],
     sturman: ['Объектив', 'Диаметр линзы', 'Диаметр объектива'],
-    normalizer: (value) => {
-      const match = value.match(/(\d+)/);
-      return match ? match[1] : value;
-    }
+    glaza_4: ['Диаметр объектива', 'Диаметр входного зрачка', 'Апертура'],
+    levenhuk_opt: ['Диаметр объектива', 'Апертура']
   },
 
   'Параметр: Призменная схема': {
     veber: ['Тип призмы', 'Призмы', 'Prism type', 'Призменная система'],
     sturman: ['Призменная система', 'Призмы', 'Тип призмы'],
+    glaza_4: ['Тип призм', 'Призменная система', 'Призмы'],
+    levenhuk_opt: ['Тип призм', 'Призмы'],
     normalizer: (value) => {
       if (/porro/i.test(value)) return 'PORRO';
       if (/roof/i.test(value)) return 'ROOF';
@@ -43,6 +41,8 @@ const SPEC_MAPPING = {
   'Параметр: Марка стекла': {
     veber: ['Стекло призм', 'Материал призм', 'Тип стекла', 'Марка стекла'],
     sturman: ['Материал призм', 'Стекло', 'Марка стекла'],
+    glaza_4: ['Материал призм', 'Стекло призм', 'Марка стекла'],
+    levenhuk_opt: ['Материал призм', 'Стекло призм'],
     normalizer: (value) => {
       if (/bak-?4/i.test(value)) return 'BaK-4';
       if (/bk-?7/i.test(value)) return 'BK-7';
@@ -55,6 +55,8 @@ const SPEC_MAPPING = {
   'Параметр: Оптическое покрытие': {
     veber: ['Покрытие линз', 'Оптическое покрытие', 'Просветление'],
     sturman: ['Покрытие', 'Просветление', 'Оптическое покрытие'],
+    glaza_4: ['Просветление', 'Покрытие оптики', 'Оптическое покрытие'],
+    levenhuk_opt: ['Просветление', 'Покрытие оптики'],
     normalizer: (value) => {
       if (/fmc|полн.*многослойн/i.test(value)) return 'Полное многослойное (FMC)';
       if (/многослойн/i.test(value)) return 'Многослойное';
@@ -66,6 +68,8 @@ const SPEC_MAPPING = {
   'Параметр: Бренд': {
     veber: ['Бренд', 'Производитель', 'Brand'],
     sturman: ['Бренд', 'Производитель', 'Brand'],
+    glaza_4: ['Бренд', 'Производитель'],
+    levenhuk_opt: ['Бренд', 'Производитель'],
     normalizer: (value) => {
       // Первая буква заглавная, остальные как есть
       return value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
@@ -75,15 +79,15 @@ const SPEC_MAPPING = {
   'Параметр: Вес, г': {
     veber: ['Вес', 'Weight', 'Масса'],
     sturman: ['Вес', 'Weight'],
-    normalizer: (value) => {
-      const match = value.match(/(\d+)/);
-      return match ? match[1] : value;
-    }
+    glaza_4: ['Вес', 'Масса'],
+    levenhuk_opt: ['Вес', 'Масса']
   },
 
   'Параметр: Защита от влаги и пыли': {
     veber: ['Влагозащита', 'Водонепроницаемость', 'Защита от влаги'],
     sturman: ['Влагозащита', 'Защита', 'Водонепроницаемость'],
+    glaza_4: ['Влагозащита', 'Водонепроницаемость', 'Защита от влаги'],
+    levenhuk_opt: ['Влагозащита', 'Водонепроницаемость'],
     normalizer: (value) => {
       if (/водонепроницаем|ipx7|ipx8|полн.*погруж/i.test(value)) return 'Водонепроницаемый';
       if (/водозащит|ipx6/i.test(value)) return 'Водозащищенный';
@@ -95,6 +99,8 @@ const SPEC_MAPPING = {
   'Параметр: Газовое заполнение': {
     veber: ['Заполнение', 'Газ', 'Nitrogen'],
     sturman: ['Заполнение', 'Газовое заполнение'],
+    glaza_4: ['Заполнение азотом', 'Газовое заполнение'],
+    levenhuk_opt: ['Заполнение азотом', 'Заполнение'],
     normalizer: (value) => {
       if (/азот/i.test(value) || /nitrogen/i.test(value)) return 'Азот';
       return value;
@@ -104,6 +110,8 @@ const SPEC_MAPPING = {
   'Параметр: Цвет': {
     veber: ['Цвет', 'Color', 'Окраска'],
     sturman: ['Цвет', 'Color'],
+    glaza_4: ['Цвет'],
+    levenhuk_opt: ['Цвет'],
     normalizer: (value) => {
       const colorMap = {
         'черный': 'Чёрный', 'black': 'Чёрный',
@@ -118,6 +126,210 @@ const SPEC_MAPPING = {
   }
 };
 
+// =============================================================================
+// ПРАВИЛА СОПОСТАВЛЕНИЯ
+// =============================================================================
+
+/**
+ * ПРЕОБРАЗОВАНИЯ ЗНАЧЕНИЙ ДЛЯ ЛИСТА "СОПОСТАВЛЕНИЕ ХАРАКТЕРИСТИК"
+ *
+ * Пустая колонка "Преобразование" - перевод в единицу параметра (convertSpecValue)
+ * для числовых параметров, иначе normalizer параметра из SPEC_MAPPING (если есть)
+ */
+const SPEC_VALUE_TRANSFORMS = {
+  'как есть': value => value,
+  'число': value => {
+    const match = value.match(/\d+(?:[.,]\d+)?/);
+    return match ? match[0].replace(',', '.') : value;
+  },
+  'целое': value => {
+    const match = value.match(/\d+/);
+    return match ? match[0] : value;
+  },
+  'верхний регистр': value => value.toUpperCase(),
+  'да/нет': value => {
+    if (/^(да|есть|yes|true|\+)/i.test(value)) return 'Да';
+    if (/^(нет|no|false|-)/i.test(value)) return 'Нет';
+    return value;
+  }
+};
+
+const SPEC_MAPPING_SETTINGS = {
+  ANY_SUPPLIER: '*',               // Правило листа для всех поставщиков
+  MIN_SUBSTRING_LENGTH: 3          // Короче - только точное совпадение
+};
+
+// Правила листа читаются один раз за выполнение скрипта
+let SPEC_MAPPING_SHEET_CACHE = null;
+
+function normalizeSpecKey(key) {
+  return normalizeReferenceText(key).replace(/\s*:$/, '');
+}
+
+/**
+ * ВХОЖДЕНИЕ ЦЕЛЫМИ СЛОВАМИ: "вес" есть в "вес нетто", но не в "неизвестное"
+ */
+function containsSpecKey(text, key) {
+  const isWordChar = char => !!char && /[a-z0-9а-яё]/i.test(char);
+  let index = text.indexOf(key);
+
+  while (index !== -1) {
+    if (!isWordChar(text.charAt(index - 1)) && !isWordChar(text.charAt(index + key.length))) {
+      return true;
+    }
+    index = text.indexOf(key, index + 1);
+  }
+
+  return false;
+}
+
+/**
+ * ПРАВИЛА СОПОСТАВЛЕНИЯ ДЛЯ ПОСТАВЩИКА В ПОРЯДКЕ ПРИОРИТЕТА
+ *
+ * 1. Лист "Сопоставление характеристик": правила этого поставщика, затем для всех (*)
+ * 2. Синонимы SPEC_MAPPING этого поставщика, затем остальных поставщиков
+ * 3. Эталонные названия справочника (и без префикса "Параметр: "), затем колонка "Синонимы"
+ *
+ * Параметры с источником binokl.shop не сопоставляются - они берутся только из магазина
+ *
+ * @param {string} supplier - Ключ поставщика в нижнем регистре
+ * @returns {Array<Object>} { key, param, transform, rule }
+ */
+function getSpecMappingRules(supplier) {
+  const rules = [];
+  const add = (rawKey, param, transform, rule) => {
+    const key = normalizeSpecKey(rawKey);
+    if (key && param) {
+      rules.push({ key: key, param: param, transform: transform, rule: rule });
+    }
+  };
+
+  const sheetRules = getSpecMappingSheetRules();
+  [supplier, SPEC_MAPPING_SETTINGS.ANY_SUPPLIER].forEach(owner => {
+    sheetRules
+      .filter(item => item.supplier === owner)
+      .forEach(item => add(item.rawKey, item.param, item.transform, `лист, ${owner}`));
+  });
+
+  const suppliers = Object.keys(SPEC_MAPPING).reduce((all, param) => {
+    Object.keys(SPEC_MAPPING[param])
+      .filter(key => Array.isArray(SPEC_MAPPING[param][key]) && all.indexOf(key) === -1)
+      .forEach(key => all.push(key));
+    return all;
+  }, []);
+
+  [supplier].concat(suppliers.filter(key => key !== supplier)).forEach(owner => {
+    for (const [param, config] of Object.entries(SPEC_MAPPING)) {
+      (config[owner] || []).forEach(synonym => add(synonym, param, null, `SPEC_MAPPING, ${owner}`));
+    }
+  });
+
+  const reference = loadSpecificationReference().parameters.filter(entry =>
+    normalizeReferenceText(entry['Источник значения']) !== SPEC_REFERENCE_SETTINGS.SHOP_SOURCE);
+
+  reference.forEach(entry => {
+    const param = entry[SPEC_REFERENCE_SETTINGS.NAME_FIELD];
+    add(param, param, null, 'справочник, название');
+    add(param.replace(/^(Параметр|Дополнительное поле):\s*/, ''), param, null, 'справочник, название');
+  });
+
+  reference.forEach(entry => {
+    const param = entry[SPEC_REFERENCE_SETTINGS.NAME_FIELD];
+    String(entry['Синонимы'] || '').split(/[;\n]/)
+      .forEach(synonym => add(synonym, param, null, 'справочник, синоним'));
+  });
+
+  return rules;
+}
+
+/**
+ * ПРАВИЛА С ЛИСТА "СОПОСТАВЛЕНИЕ ХАРАКТЕРИСТИК"
+ *
+ * @returns {Array<Object>} { supplier, rawKey, param, transform } - строки без параметра
+ *                          справочника пропускаются
+ */
+function getSpecMappingSheetRules() {
+  if (SPEC_MAPPING_SHEET_CACHE) {
+    return SPEC_MAPPING_SHEET_CACHE;
+  }
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.SPEC_MAPPING);
+  const rules = [];
+
+  if (sheet && sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues().forEach((row, index) => {
+      const rawKey = String(row[SPEC_MAPPING_COLUMNS.RAW_KEY - 1]).trim();
+      const param = String(row[SPEC_MAPPING_COLUMNS.REFERENCE_PARAM - 1]).trim();
+      const transformName = String(row[SPEC_MAPPING_COLUMNS.TRANSFORM - 1]).trim().toLowerCase();
+
+      if (!rawKey || !param) return;
+
+      if (!loadSpecificationReference().byName[normalizeReferenceText(param)]) {
+        logWarning(`⚠️ ${SHEET_NAMES.SPEC_MAPPING}, строка ${index + 2}: параметра "${param}" нет в справочнике`);
+      }
+
+      if (transformName && !SPEC_VALUE_TRANSFORMS[transformName]) {
+        logWarning(`⚠️ ${SHEET_NAMES.SPEC_MAPPING}, строка ${index + 2}: неизвестное преобразование ` +
+          `"${transformName}" (доступны: ${Object.keys(SPEC_VALUE_TRANSFORMS).join(', ')})`);
+      }
+
+      rules.push({
+        supplier: String(row[SPEC_MAPPING_COLUMNS.SUPPLIER - 1]).trim().toLowerCase() || SPEC_MAPPING_SETTINGS.ANY_SUPPLIER,
+        rawKey: rawKey,
+        param: param,
+        transform: transformName ? (SPEC_VALUE_TRANSFORMS[transformName] ? transformName : 'как есть') : null
+      });
+    });
+  }
+
+  SPEC_MAPPING_SHEET_CACHE = rules;
+  return rules;
+}
+
+function getSpecMappingSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(SHEET_NAMES.SPEC_MAPPING);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SHEET_NAMES.SPEC_MAPPING);
+    sheet.getRange(1, 1, 1, 4).setValues([[
+      'Поставщик', 'Параметр у поставщика', 'Параметр справочника', 'Преобразование'
+    ]]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    logInfo(`Создан лист "${SHEET_NAMES.SPEC_MAPPING}"`);
+  }
+
+  return sheet;
+}
+
+/**
+ * ОТКРЫТЬ ЛИСТ СОПОСТАВЛЕНИЯ (ДЛЯ МЕНЮ)
+ *
+ * Колонки "Параметр справочника" и "Преобразование" - выпадающие списки
+ */
+function openSpecMappingSheet() {
+  try {
+    const sheet = getSpecMappingSheet();
+    const rows = sheet.getMaxRows() - 1;
+
+    const params = loadSpecificationReference().parameters
+      .map(entry => entry[SPEC_REFERENCE_SETTINGS.NAME_FIELD]);
+    sheet.getRange(2, SPEC_MAPPING_COLUMNS.REFERENCE_PARAM, rows, 1).setDataValidation(
+      SpreadsheetApp.newDataValidation().requireValueInList(params, true).setAllowInvalid(true).build());
+    sheet.getRange(2, SPEC_MAPPING_COLUMNS.TRANSFORM, rows, 1).setDataValidation(
+      SpreadsheetApp.newDataValidation().requireValueInList(Object.keys(SPEC_VALUE_TRANSFORMS), true).build());
+
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+    showNotification(
+      'Поставщик - ключ (veber, glaza_4...) или * для всех. Правила листа важнее синонимов справочника',
+      'info'
+    );
+
+  } catch (error) {
+    handleError(error, 'Сопоставление характеристик');
+  }
+}
+
 // =============================================================================
 // ОСНОВНЫЕ ФУНКЦИИ
 // =============================================================================
@@ -125,123 +337,389 @@ const SPEC_MAPPING = {
 /**
  * НОРМАЛИЗАЦИЯ ХАРАКТЕРИСТИК
  *
+ * Параметр поставщика сопоставляется правилам getSpecMappingRules: сначала все
+ * точные совпадения названия, затем по вхождению (выигрывает самое длинное
+ * правило). Один параметр справочника заполняется первым совпадением - точное
+ * всегда раньше вхождения. Параметры из названия товара (parseProductTitle)
+ * заполняют только то, чего нет в характеристиках поставщика
+ *
  * @param {Object} rawSpecs - Сырые характеристики от поставщика
- * @param {string} supplier - Имя поставщика (veber, sturman)
- * @returns {Object} Нормализованные характеристики
+ * @param {string} supplier - Ключ поставщика (veber, sturman, glaza_4, levenhuk_opt, любой другой)
+ * @param {Object} options - { parsedTitle: результат parseProductTitle для названия товара }
+ * @returns {Object} { normalized, unmapped, matches } - matches: параметр справочника →
+ *                   { rawKey, original, rule, match: 'точное'|'вхождение'|'название', transform, conversion } -
+ *                   original: исходная строка поставщика, conversion: что сделал перевод единиц
  */
-function normalizeSpecifications(rawSpecs, supplier) {
+function normalizeSpecifications(rawSpecs, supplier, options = {}) {
   try {
+    supplier = String(supplier || '').trim().toLowerCase();
     logInfo(`🔄 Нормализуем характеристики от ${supplier}`);
 
     if (typeof rawSpecs === 'string') {
       rawSpecs = JSON.parse(rawSpecs);
     }
 
+    const rules = getSpecMappingRules(supplier);
     const normalized = {};
     const unmapped = {};
+    const matches = {};
+
+    const entries = Object.entries(rawSpecs || {})
+      .filter(([key, value]) => value !== null && value !== undefined && String(value).trim() !== '')
+      .map(([key, value]) => ({ key: key, normalizedKey: normalizeSpecKey(key), value: String(value).trim() }));
+
+    const apply = (entry, rule, match) => {
+      if (normalized[rule.param] !== undefined) {
+        return false;
+      }
+
+      // Числовые параметры (с единицей в названии) переводятся в единицу справочника
+      const conversion = rule.transform ? null : convertSpecValue(entry.value, rule.param);
+      const transform = rule.transform ? SPEC_VALUE_TRANSFORMS[rule.transform] :
+        (!conversion && SPEC_MAPPING[rule.param] && SPEC_MAPPING[rule.param].normalizer);
+      let value = conversion ? conversion.value : entry.value;
 
-    // Проходим по маппингу
-    for (const [targetParam, config] of Object.entries(SPEC_MAPPING)) {
-      const synonyms = config[supplier] || [];
-
-      // Ищем значение в сырых данных
-      for (const synonym of synonyms) {
-        for (const [key, value] of Object.entries(rawSpecs)) {
-          if (key.toLowerCase().includes(synonym.toLowerCase())) {
-            let normalizedValue = value;
-
-            // Применяем нормализатор
-            if (config.normalizer) {
-              try {
-                normalizedValue = config.normalizer(value);
-              } catch (e) {
-                logWarning(`⚠️ Ошибка нормализации ${targetParam}: ${e.message}`);
-              }
-            }
-
-            normalized[targetParam] = normalizedValue;
-            delete rawSpecs[key];
-            break;
-          }
+      if (conversion && conversion.warning) {
+        logWarning(`⚠️ ${rule.param}: ${conversion.warning}`);
+      }
+
+      if (transform) {
+        try {
+          value = transform(value);
+        } catch (e) {
+          logWarning(`⚠️ Ошибка нормализации ${rule.param}: ${e.message}`);
         }
-        if (normalized[targetParam]) break;
       }
-    }
 
-    // Остальные параметры сохраняем как unmapped
-    for (const [key, value] of Object.entries(rawSpecs)) {
-      if (value) unmapped[key] = value;
+      normalized[rule.param] = value;
+      matches[rule.param] = {
+        rawKey: entry.key,
+        original: entry.value,
+        rule: rule.rule,
+        match: match,
+        transform: rule.transform || (conversion ? 'единицы' : transform ? 'нормализатор' : 'как есть'),
+        conversion: conversion ? (conversion.note || conversion.warning) : '',
+        number: conversion ? conversion.number : null
+      };
+      return true;
+    };
+
+    // Сначала точные совпадения всех параметров, чтобы вхождение не заняло их место.
+    // Повтор уже заполненного параметра остается несопоставленным
+    const rest = entries.filter(entry => {
+      const rule = rules.find(item => item.key === entry.normalizedKey);
+      if (rule && !apply(entry, rule, 'точное')) {
+        unmapped[entry.key] = entry.value;
+      }
+      return !rule;
+    });
+
+    rest.forEach(entry => {
+      const rule = rules
+        .filter(item => item.key.length >= SPEC_MAPPING_SETTINGS.MIN_SUBSTRING_LENGTH &&
+          normalized[item.param] === undefined && containsSpecKey(entry.normalizedKey, item.key))
+        .reduce((best, item) => (!best || item.key.length > best.key.length ? item : best), null);
+
+      if (!(rule && apply(entry, rule, 'вхождение'))) {
+        unmapped[entry.key] = entry.value;
+      }
+    });
+
+    // Название товара - источник с самым низким приоритетом
+    if (options.parsedTitle) {
+      const parsedTitle = options.parsedTitle;
+      const titleNumbers = parsedTitle.numbers || {};
+
+      Object.keys(parsedTitle.specs).forEach(param => {
+        if (normalized[param] !== undefined) return;
+
+        normalized[param] = parsedTitle.specs[param];
+        matches[param] = {
+          rawKey: '',
+          original: parsedTitle.title,
+          rule: 'название товара',
+          match: 'название',
+          transform: 'разбор названия',
+          conversion: '',
+          number: titleNumbers[param] !== undefined ? titleNumbers[param] : null
+        };
+      });
     }
 
     logInfo(`✅ Нормализовано: ${Object.keys(normalized).length} параметров`);
+    Object.keys(matches).forEach(param => {
+      const match = matches[param];
+      logInfo(`   ${match.rawKey}: "${match.original}" → ${param}: "${normalized[param]}" ` +
+        `(${match.match}, ${match.rule}, ${match.transform})`);
+    });
     if (Object.keys(unmapped).length > 0) {
-      logWarning(`⚠️ Не сопоставлено: ${Object.keys(unmapped).length} параметров`);
+      logWarning(`⚠️ Не сопоставлено: ${Object.keys(unmapped).length} параметров: ${Object.keys(unmapped).join(', ')}`);
     }
 
     return {
       normalized: normalized,
-      unmapped: unmapped
+      unmapped: unmapped,
+      matches: matches
     };
 
   } catch (error) {
     handleError(error, 'Нормализация характеристик');
-    return { normalized: {}, unmapped: rawSpecs };
+    return { normalized: {}, unmapped: rawSpecs, matches: {} };
+  }
+}
+
+// =============================================================================
+// СПРАВОЧНИК
+// =============================================================================
+
+const SPEC_REFERENCE_SETTINGS = {
+  NAME_FIELD: 'Параметр (эталонное название)',
+  SHOP_SOURCE: 'binokl.shop',      // "Источник значения": берется только из карточки магазина
+  MAX_AGE_DAYS: 365                // Старше - предупреждение, что справочник пора обновить
+};
+
+/**
+ * ПРАВИЛА ПРОВЕРКИ ПО ОПИСАНИЮ ФОРМАТА
+ *
+ * Для полей "формат" и "число" (и enum, где вместо списка описан формат)
+ * первое правило, чей pattern совпал с "Допустимые значения (enum)",
+ * проверяет значение. Описания без правила - свободный текст
+ */
+const SPEC_FORMAT_RULES = [
+  {
+    pattern: /десятичное число|число с точкой/i,
+    severity: 'error',
+    message: 'нужно число с точкой, например 4.2',
+    check: value => /^\d+(\.\d+)?$/.test(value)
+  },
+  {
+    pattern: /целое число/i,
+    severity: 'error',
+    message: 'нужно целое число',
+    check: value => /^\d+$/.test(value)
+  },
+  {
+    pattern: /^\(?число(?![а-яё])|^\d+(\.\d+)?$/i,
+    severity: 'error',
+    message: 'нужно число без пробелов и единиц',
+    check: value => /^-?\d+(\.\d+)?$/.test(value)
+  },
+  {
+    pattern: /три числа|длина×ширина×высота|ш×г×в/i,
+    severity: 'warning',
+    message: 'нужны три числа через x, например 142x51x51',
+    check: value => /^\d+(\.\d+)?\s*[x×х*]\s*\d+(\.\d+)?\s*[x×х*]\s*\d+(\.\d+)?(\s*(мм|см|mm|cm))?$/i.test(value)
+  },
+  {
+    pattern: /диапазон с тире/i,
+    severity: 'warning',
+    message: 'нужен диапазон, например –15…+40',
+    check: value => /^[-–−+]?\d+(\.\d+)?\s*(…|\.\.\.|–|—|-)\s*[-–−+]?\d+(\.\d+)?$/.test(value)
+  },
+  {
+    pattern: /ссылк|url/i,
+    severity: 'warning',
+    message: 'нужна ссылка',
+    // "Название товара в URL" - адрес страницы без домена
+    check: value => /^https?:\/\/\S+$/i.test(value) || /^[a-z0-9][a-z0-9-]*$/i.test(value)
+  },
+  {
+    pattern: /строка без пробелов/i,
+    severity: 'error',
+    message: 'только латиница и цифры, без пробелов',
+    check: value => /^[a-z0-9][a-z0-9._\/-]*$/i.test(value)
+  },
+  {
+    pattern: /не более (\d+) символов/i,
+    severity: 'warning',
+    message: 'слишком длинное значение',
+    check: (value, match) => value.length <= parseInt(match[1])
+  },
+  {
+    pattern: /html/i,
+    severity: 'warning',
+    message: 'нужен маркированный список HTML',
+    check: value => /<(ul|ol|li)\b/i.test(value)
   }
+];
+
+// Справочник загружается один раз за выполнение скрипта
+let SPEC_REFERENCE_CACHE = null;
+
+/**
+ * ЗАГРУЗКА СПРАВОЧНИКА
+ *
+ * Источник - JSON-файл на Google Drive (specReferenceFileId), если задан,
+ * иначе встроенный SPECIFICATION_REFERENCE (модуль 20). Файл на Drive - в формате
+ * data/JSON-справочник.json ({ Sheet1: [...] }), массив записей или
+ * { version, parameters: [...] }
+ *
+ * @returns {Object} { source, version, parameters, byName, warnings } -
+ *                   warnings: признаки устаревшего справочника
+ */
+function loadSpecificationReference() {
+  if (SPEC_REFERENCE_CACHE) {
+    return SPEC_REFERENCE_CACHE;
+  }
+
+  const settings = getApiSettings();
+  let reference = null;
+  const warnings = [];
+
+  if (settings.specReferenceFileId) {
+    try {
+      reference = loadSpecificationReferenceFromDrive(settings.specReferenceFileId);
+
+      if (reference.version < SPECIFICATION_REFERENCE.version) {
+        warnings.push(`Справочник на Drive (${reference.version}) старше встроенного (${SPECIFICATION_REFERENCE.version})`);
+      }
+
+    } catch (error) {
+      logError('Ошибка загрузки справочника с Drive', error);
+      warnings.push(`Справочник на Drive не прочитан (${error.message}), используется встроенный`);
+    }
+  }
+
+  if (!reference) {
+    reference = {
+      source: 'встроенный',
+      version: SPECIFICATION_REFERENCE.version,
+      parameters: SPECIFICATION_REFERENCE.parameters
+    };
+  }
+
+  const ageDays = Math.floor((Date.now() - new Date(reference.version).getTime()) / (24 * 60 * 60 * 1000));
+  if (ageDays > SPEC_REFERENCE_SETTINGS.MAX_AGE_DAYS) {
+    warnings.push(`Справочник не обновлялся ${ageDays} дней (версия ${reference.version})`);
+  }
+
+  reference.byName = {};
+  reference.parameters.forEach(entry => {
+    const key = normalizeReferenceText(entry[SPEC_REFERENCE_SETTINGS.NAME_FIELD]);
+    if (!reference.byName[key]) {
+      reference.byName[key] = entry;
+    }
+  });
+
+  // Нормализатор заполняет параметры, которых нет в справочнике - значит он отстал
+  const missing = Object.keys(SPEC_MAPPING).filter(param => !reference.byName[normalizeReferenceText(param)]);
+  if (missing.length > 0) {
+    warnings.push(`В справочнике нет параметров нормализатора: ${missing.join(', ')}`);
+  }
+
+  reference.warnings = warnings;
+  warnings.forEach(warning => logWarning(`📚 ${warning}`));
+  logInfo(`📚 Справочник характеристик: ${reference.source}, версия ${reference.version}, ` +
+    `${reference.parameters.length} параметров`);
+
+  SPEC_REFERENCE_CACHE = reference;
+  return reference;
 }
 
+/**
+ * СПРАВОЧНИК ИЗ JSON-ФАЙЛА НА GOOGLE DRIVE
+ *
+ * Версия - поле version файла или дата его последнего изменения
+ */
+function loadSpecificationReferenceFromDrive(fileId) {
+  const file = DriveApp.getFileById(fileId);
+  const data = JSON.parse(file.getBlob().getDataAsString('UTF-8'));
+  const parameters = Array.isArray(data) ? data : (data.parameters || data.Sheet1);
+
+  if (!Array.isArray(parameters) || parameters.length === 0 ||
+      !parameters.every(entry => entry && entry[SPEC_REFERENCE_SETTINGS.NAME_FIELD])) {
+    throw new Error(`в файле "${file.getName()}" нет записей справочника`);
+  }
+
+  const updated = file.getLastUpdated();
+  return {
+    source: `Google Drive: ${file.getName()}`,
+    version: data.version || [
+      updated.getFullYear(),
+      String(updated.getMonth() + 1).padStart(2, '0'),
+      String(updated.getDate()).padStart(2, '0')
+    ].join('-'),
+    parameters: parameters
+  };
+}
+
+function normalizeReferenceText(text) {
+  return String(text || '').trim().toLowerCase().replace(/ё/g, 'е').replace(/\s+/g, ' ');
+}
+
+// =============================================================================
+// ВАЛИДАЦИЯ
+// =============================================================================
+
 /**
  * ВАЛИДАЦИЯ ПО СПРАВОЧНИКУ
  *
- * @param {Object} specs - Нормализованные характеристики
- * @returns {Object} Результат валидации
+ * Проверяются все параметры справочника: обязательные поля, enum, число
+ * и формат. Поля с источником binokl.shop берутся только из карточки магазина:
+ * при проверке данных поставщика их значения не используются, а обязательность
+ * не проверяется
+ *
+ * @param {Object} specs - Нормализованные характеристики (или карточка целиком)
+ * @param {Object} options - { origin: 'supplier' (по умолчанию) | 'shop' }
+ * @returns {Object} { isValid, errors, warnings, referenceVersion, referenceWarnings }
  */
-function validateAgainstReference(specs) {
+function validateAgainstReference(specs, options = {}) {
   try {
     logInfo('✅ Валидируем характеристики по справочнику');
 
-    // Загружаем справочник
     const reference = loadSpecificationReference();
+    const fromSupplier = (options.origin || 'supplier') === 'supplier';
 
     const errors = [];
     const warnings = [];
 
-    for (const [param, value] of Object.entries(specs)) {
-      const refEntry = reference.find(e =>
-        e['Параметр (эталонное название)'] === param
-      );
-
-      if (!refEntry) {
+    for (const param of Object.keys(specs)) {
+      if (!reference.byName[normalizeReferenceText(param)]) {
         warnings.push(`Параметр "${param}" не найден в справочнике`);
-        continue;
       }
+    }
 
-      // Проверка обязательности
-      if (refEntry['Обязательное поле'] === 'да' && !value) {
-        errors.push(`Обязательное поле "${param}" пустое`);
-      }
+    const values = {};
+    Object.keys(specs).forEach(param => {
+      values[normalizeReferenceText(param)] = specs[param];
+    });
 
-      // Проверка типа
-      if (refEntry['Тип поля'] === 'число' && isNaN(value)) {
-        errors.push(`"${param}" должно быть числом, получено: ${value}`);
-      }
+    const checked = {};
+    reference.parameters.forEach(entry => {
+      const param = entry[SPEC_REFERENCE_SETTINGS.NAME_FIELD];
+      const key = normalizeReferenceText(param);
+      if (checked[key]) return;
+      checked[key] = true;
 
-      // Проверка enum
-      if (refEntry['Тип поля'] === 'enum') {
-        const allowedValues = refEntry['Допустимые значения (enum)']
-          .split(';')
-          .map(s => s.trim())
-          .filter(s => s);
+      const value = values[key] === undefined || values[key] === null ? '' : String(values[key]).trim();
+      const shopOnly = normalizeReferenceText(entry['Источник значения']) === SPEC_REFERENCE_SETTINGS.SHOP_SOURCE;
 
-        if (allowedValues.length > 0 && !allowedValues.includes(value)) {
-          warnings.push(`"${param}": значение "${value}" не в списке: ${allowedValues.join(', ')}`);
+      if (shopOnly && fromSupplier) {
+        if (value) {
+          warnings.push(`"${param}" берется только с ${SPEC_REFERENCE_SETTINGS.SHOP_SOURCE} - значение поставщика "${value}" не используется`);
         }
+        return;
       }
-    }
+
+      if (!value) {
+        if (normalizeReferenceText(entry['Обязательное поле']) === 'да') {
+          errors.push(`Обязательное поле "${param}" пустое`);
+        }
+        return;
+      }
+
+      const problem = checkReferenceValue(entry, value);
+      if (problem) {
+        (problem.severity === 'error' ? errors : warnings).push(`"${param}": ${problem.message}, получено: ${value}`);
+      }
+    });
 
     return {
       isValid: errors.length === 0,
       errors: errors,
-      warnings: warnings
+      warnings: warnings,
+      referenceVersion: reference.version,
+      referenceWarnings: reference.warnings
     };
 
   } catch (error) {
@@ -251,58 +729,97 @@ function validateAgainstReference(specs) {
 }
 
 /**
- * ЗАГРУЗКА СПРАВОЧНИКА
+ * ПРОВЕРКА ОДНОГО ЗНАЧЕНИЯ ПО ТИПУ ПОЛЯ
+ *
+ * @returns {Object|null} { severity: 'error'|'warning', message } или null, если значение подходит
  */
-function loadSpecificationReference() {
-  try {
-    // Загружаем JSON-справочник из data/
-    const jsonUrl = 'https://raw.githubusercontent.com/yourusername/yourrepo/main/data/JSON-справочник.json';
+function checkReferenceValue(entry, value) {
+  const type = normalizeReferenceText(entry['Тип поля']);
+  const allowed = String(entry['Допустимые значения (enum)'] || '').trim();
+
+  if (type === 'enum') {
+    const options = parseReferenceEnum(allowed);
+
+    if (options) {
+      // Несколько значений через ";" (Назначение, Особенности) проверяются по отдельности
+      const unknown = value.split(';')
+        .map(part => part.trim())
+        .filter(part => part && options.indexOf(normalizeReferenceText(part)) === -1);
+
+      return unknown.length === 0 ? null : {
+        severity: 'warning',
+        message: `"${unknown.join('; ')}" нет в списке: ${allowed}`
+      };
+    }
+  }
 
-    // Для локальной работы используем встроенный справочник
-    // В реальном проекте загрузите файл через DriveApp или другой метод
+  const rule = SPEC_FORMAT_RULES.find(item => item.pattern.test(allowed));
 
-    // Пока возвращаем базовую структуру
-    return BASIC_REFERENCE;
+  if (rule) {
+    return rule.check(value, allowed.match(rule.pattern)) ? null : { severity: rule.severity, message: rule.message };
+  }
 
-  } catch (error) {
-    logError('Ошибка загрузки справочника', error);
-    return [];
+  if (type === 'число' && !/^-?\d+(\.\d+)?$/.test(value)) {
+    return { severity: 'error', message: 'должно быть числом' };
   }
+
+  return null;
 }
 
-// Базовый справочник (сокращенная версия для работы без файла)
-const BASIC_REFERENCE = [
-  {
-    'Параметр (эталонное название)': 'Параметр: Кратность увеличения, крат',
-    'Тип поля': 'формат',
-    'Допустимые значения (enum)': 'Целое число',
-    'Обязательное поле': ''
-  },
-  {
-    'Параметр (эталонное название)': 'Параметр: Диаметр объектива, мм',
-    'Тип поля': 'формат',
-    'Допустимые значения (enum)': 'Целое число',
-    'Обязательное поле': ''
-  },
-  {
-    'Параметр (эталонное название)': 'Параметр: Призменная схема',
-    'Тип поля': 'enum',
-    'Допустимые значения (enum)': 'PORRO; ROOF',
-    'Обязательное поле': ''
-  },
-  {
-    'Параметр (эталонное название)': 'Параметр: Марка стекла',
-    'Тип поля': 'enum',
-    'Допустимые значения (enum)': 'BaK-4; BK-7; ED; K-9',
-    'Обязательное поле': ''
-  },
-  {
-    'Параметр (эталонное название)': 'Параметр: Оптическое покрытие',
-    'Тип поля': 'enum',
-    'Допустимые значения (enum)': 'Однослойное; Многослойное; Полное многослойное (FMC)',
-    'Обязательное поле': ''
+/**
+ * СПИСОК ЗНАЧЕНИЙ ENUM
+ *
+ * @returns {Array<string>|null} Нормализованные значения или null, если вместо
+ *                               списка описан формат ("Текст: ...", "пример: ...")
+ */
+function parseReferenceEnum(allowed) {
+  if (!allowed || /пример|^текст|^список|^ссылка|^целое|^число/i.test(allowed)) {
+    return null;
   }
-];
+
+  return allowed.split(';')
+    .map(item => normalizeReferenceText(item))
+    .filter(item => item);
+}
+
+// =============================================================================
+// НАСТРОЙКА (ДЛЯ МЕНЮ)
+// =============================================================================
+
+/**
+ * СОСТОЯНИЕ СПРАВОЧНИКА И ВЫБОР ФАЙЛА НА DRIVE
+ */
+function configureSpecificationReference() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const reference = loadSpecificationReference();
+
+    const response = ui.prompt(
+      'Справочник характеристик',
+      `Источник: ${reference.source}\n` +
+      `Версия: ${reference.version}, параметров: ${reference.parameters.length}\n` +
+      (reference.warnings.length > 0 ? `\n⚠️ ${reference.warnings.join('\n⚠️ ')}\n` : '\n✅ Справочник актуален\n') +
+      `\nID JSON-файла справочника на Google Drive (формат data/JSON-справочник.json).\n` +
+      'Пусто - встроенный справочник (версия ' + SPECIFICATION_REFERENCE.version + ').',
+      ui.ButtonSet.OK_CANCEL
+    );
+
+    if (response.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+
+    const fileId = response.getResponseText().trim();
+    setSetting(SCRIPT_PROPERTIES_KEYS.SPEC_REFERENCE_FILE_ID, fileId);
+    SPEC_REFERENCE_CACHE = null;
+
+    const loaded = loadSpecificationReference();
+    showNotification(`Справочник: ${loaded.source}, версия ${loaded.version}, ${loaded.parameters.length} параметров`,
+      loaded.warnings.length > 0 ? 'warning' : 'success');
+
+  } catch (error) {
+    handleError(error, 'Настройка справочника характеристик');
+  }
+}
 
 /**
  * ТЕСТ НОРМАЛИЗАЦИИ
@@ -320,7 +837,8 @@ function testNormalization() {
     'Вес': '580 г'
   };
 
-  const result = normalizeSpecifications(testSpecs, 'veber');
+  const result = deriveSpecifications(normalizeSpecifications(testSpecs, 'veber'));
+  logInfo('Сопоставление:', JSON.stringify(result.matches, null, 2));
   logInfo('Результат:', JSON.stringify(result, null, 2));
 
   const validation = validateAgainstReference(result.normalized);
@@ -398,6 +398,7 @@ function executeOpenAIRequest(userContent, assistantId, apiKey) {
 
   // 3. Ожидание завершения
   let status = 'queued';
+  let runData = null;
   let attempts = 0;
   const maxStatusChecks = 20;
 
@@ -419,14 +420,17 @@ function executeOpenAIRequest(userContent, assistantId, apiKey) {
         continue;
       }
 
-      const statusData = JSON.parse(statusResponse.getContentText());
-      status = statusData.status;
+      runData = JSON.parse(statusResponse.getContentText());
+      status = runData.status;
 
     } catch (error) {
       continue;
     }
   }
 
+  // Токены списываются и за run с ошибкой
+  recordOpenAIUsage(`Ассистент: ${ASSISTANT_NAMES[assistantId] || assistantId}`, runData);
+
   if (status === 'failed') {
     throw new Error('Ассистент завершился с ошибкой');
   }
@@ -520,7 +524,8 @@ function getOpenAIKey() {
 /**
  * ПАКЕТНАЯ ГЕНЕРАЦИЯ ОПИСАНИЙ
  *
- * Обрабатывает отмеченные товары и генерирует для них описания
+ * Ставит отмеченные товары в фоновую очередь (модуль 14),
+ * описание каждого товара генерирует generateDescriptionForArticle
  */
 function batchGenerateDescriptions() {
   try {
@@ -533,76 +538,59 @@ function batchGenerateDescriptions() {
       return;
     }
 
-    logInfo(`📦 Обрабатываем ${products.length} товаров`);
-
-    let successCount = 0;
-    let errorCount = 0;
-
-    for (let i = 0; i < products.length; i++) {
-      const product = products[i];
-
-      try {
-        logInfo(`[${i + 1}/${products.length}] Обработка ${product.article}`);
-
-        // Проверяем наличие исходных данных
-        if (!product[IMAGES_COLUMNS.DESCRIPTION - 1]) {
-          logWarning(`⚠️ У товара ${product.article} нет описания от поставщика, пропускаем`);
-          continue;
-        }
-
-        // Формируем данные для генерации
-        const productData = {
-          article: product[IMAGES_COLUMNS.ARTICLE - 1],
-          productName: product[IMAGES_COLUMNS.PRODUCT_NAME - 1],
-          description: product[IMAGES_COLUMNS.DESCRIPTION - 1],
-          specifications: parseSpecifications(product[IMAGES_COLUMNS.SPECIFICATIONS_NORMALIZED - 1]),
-          brand: product[IMAGES_COLUMNS.BRAND - 1],
-          categories: product[IMAGES_COLUMNS.CATEGORIES - 1]
-        };
-
-        // Генерируем описание
-        const result = generateProductDescription(productData);
-
-        if (result.rewrittenDescription) {
-          // Записываем результат в таблицу
-          updateProductField(
-            productData.article,
-            IMAGES_COLUMNS.DESCRIPTION_REWRITTEN,
-            result.rewrittenDescription
-          );
-
-          updateProductField(
-            productData.article,
-            IMAGES_COLUMNS.SHORT_DESCRIPTION,
-            result.shortDescription
-          );
-
-          logInfo(`✅ [${i + 1}/${products.length}] ${product.article}: описание сгенерировано (${result.quality.score}%)`);
-          successCount++;
-
-        } else {
-          logError(`❌ [${i + 1}/${products.length}] ${product.article}: не удалось сгенерировать описание`);
-          errorCount++;
-        }
-
-        // Пауза между товарами
-        if (i < products.length - 1) {
-          Utilities.sleep(2000);
-        }
-
-      } catch (error) {
-        handleError(error, `Обработка товара ${product.article}`);
-        errorCount++;
-      }
-    }
+    const job = enqueueJob('DESCRIPTIONS', products.map(product => ({ article: product.article })));
+    logInfo(`📦 В очереди на генерацию описаний: ${job.count} товаров`);
+    showProcessingProgress();
 
-    logInfo(`✅ Пакетная генерация завершена: успешно ${successCount}, ошибок ${errorCount}`);
+    return job;
 
   } catch (error) {
     handleError(error, 'Пакетная генерация описаний');
   }
 }
 
+/**
+ * ГЕНЕРАЦИЯ ОПИСАНИЯ ОДНОГО ТОВАРА (строка очереди DESCRIPTIONS)
+ *
+ * @param {string} article - Артикул товара
+ * @returns {Object} { quality } или { skipped: true, reason }
+ */
+function generateDescriptionForArticle(article) {
+  const product = getImagesValuesByArticle()[article];
+
+  if (!product) {
+    throw new Error('Товар не найден в таблице');
+  }
+
+  // Проверяем наличие исходных данных
+  if (!product[IMAGES_COLUMNS.DESCRIPTION - 1]) {
+    logWarning(`⚠️ У товара ${article} нет описания от поставщика, пропускаем`);
+    return { skipped: true, reason: 'Нет описания от поставщика' };
+  }
+
+  // Формируем данные для генерации
+  const productData = {
+    article: product[IMAGES_COLUMNS.ARTICLE - 1],
+    productName: product[IMAGES_COLUMNS.PRODUCT_NAME - 1],
+    description: product[IMAGES_COLUMNS.DESCRIPTION - 1],
+    specifications: parseSpecifications(product[IMAGES_COLUMNS.SPECIFICATIONS_NORMALIZED - 1]),
+    brand: product[IMAGES_COLUMNS.BRAND - 1],
+    categories: product[IMAGES_COLUMNS.CATEGORIES - 1]
+  };
+
+  const result = generateProductDescription(productData);
+
+  if (!result.rewrittenDescription) {
+    throw new Error('Не удалось сгенерировать описание');
+  }
+
+  updateProductField(productData.article, IMAGES_COLUMNS.DESCRIPTION_REWRITTEN, result.rewrittenDescription);
+  updateProductField(productData.article, IMAGES_COLUMNS.SHORT_DESCRIPTION, result.shortDescription);
+
+  logInfo(`✅ ${article}: описание сгенерировано (${result.quality.score}%)`);
+  return { quality: result.quality.score };
+}
+
 /**
  * ПАРСИНГ ХАРАКТЕРИСТИК ИЗ JSON
  */
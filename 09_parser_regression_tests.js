@@ -0,0 +1,357 @@
+/**
+ * ========================================
+ * МОДУЛЬ 09: РЕГРЕССИОННЫЕ ТЕСТЫ ПАРСЕРОВ ПОСТАВЩИКОВ
+ * ========================================
+ *
+ * Прогоняет парсеры из SUPPLIERS_CONFIG (включая разбор Schema.org) по сохраненным
+ * страницам поиска и карточек (папка tests/fixtures/) без обращения к сети.
+ * UrlFetchApp подменяется заглушкой через setSupplierHttpClient()
+ *
+ * Когда поставщик меняет верстку: сохрани новую страницу в tests/fixtures/,
+ * запусти runParserFixtureTests() и поправь правила парсинга до зеленого результата
+ *
+ * Страницы отправляются clasp push вместе с проектом, чтобы тесты запускались
+ * из редактора. Префикс tests/ отделяет их от HTML-окон таблицы: ни одно окно
+ * не открывает файлы из tests/
+ */
+
+// =============================================================================
+// ОЖИДАЕМЫЕ РЕЗУЛЬТАТЫ
+// =============================================================================
+
+const PARSER_FIXTURES_FOLDER = 'tests/fixtures/';
+
+const PARSER_FIXTURE_CASES = [
+  {
+    // В выдаче первым идет чехол - товар выбирается по названию из таблицы
+    supplierKey: 'VEBER',
+    query: 'VB-1042',
+    productName: 'Бинокль Veber Ultrasport БГЦ 10x42 WP',
+    routes: {
+      'https://veber.ru/search?q=VB-1042': 'veber_search',
+      'https://veber.ru/product/binokl-veber-ultrasport-bgwp-10x42/': 'veber_product'
+    },
+    expectedImages: [
+      'https://veber.ru/upload/iblock/8f3/ultrasport_10x42_1.jpg',
+      'https://veber.ru/upload/iblock/8f3/ultrasport_10x42_2.jpg'
+    ],
+    expectedMatch: {
+      url: 'https://veber.ru/product/binokl-veber-ultrasport-bgwp-10x42/',
+      lowConfidence: false
+    },
+    expectedProduct: {
+      title: 'Бинокль Veber Ultrasport БГЦ 10x42 WP',
+      description: 'призмами BaK-4',
+      price: '7490',
+      stock: 'В наличии',
+      brand: 'Veber',
+      specifications: {
+        'Увеличение': '10x',
+        'Диаметр объектива': '42 мм',
+        'Тип призмы': 'Roof',
+        'Вес': '0,58 кг'
+      }
+    }
+  },
+  {
+    supplierKey: 'STURMAN',
+    query: '3252',
+    routes: {
+      'https://sturman.ru/opt/search/?query=3252': 'sturman_search',
+      'https://sturman.ru/opt/product/binokl-sturman-8x42-wp/': 'sturman_product'
+    },
+    expectedImages: [
+      'https://sturman.ru/wa-data/public/shop/products/52/32/3252/images/9001/9001.750x0.jpg',
+      'https://sturman.ru/wa-data/public/shop/products/52/32/3252/images/9002/9002.750x0.jpg',
+      'https://sturman.ru/wa-data/public/shop/products/52/32/3252/images/9003/9003.750x0.jpg'
+    ],
+    expectedProduct: {
+      title: 'Бинокль Sturman 8x42 WP',
+      description: 'для охоты и туризма',
+      price: '5390',
+      stock: 'В наличии',
+      brand: 'Sturman',
+      specifications: {
+        'Кратность': '8x',
+        'Диаметр объектива': '42 мм',
+        'Призменная система': 'Porro'
+      }
+    }
+  },
+  {
+    supplierKey: 'GLAZA_4',
+    query: '72780',
+    routes: {
+      'https://4glaza.ru/search/?q=72780': '4glaza_search',
+      'https://4glaza.ru/products/binokl-levenhuk-labzz-wp10': '4glaza_product'
+    },
+    expectedImages: [
+      'https://static.4glaza.ru/images/binokl-levenhuk-labzz-wp10_1.jpg',
+      'https://static.4glaza.ru/images/binokl-levenhuk-labzz-wp10_2.jpg'
+    ],
+    expectedProduct: {
+      title: 'Бинокль Levenhuk LabZZ WP10',
+      description: 'водонепроницаемый бинокль',
+      price: '2490',
+      stock: 'В наличии',
+      brand: 'Levenhuk',
+      specifications: {
+        'Бренд': 'Levenhuk',
+        'Кратность': '6x',
+        'Диаметр объектива': '30 мм'
+      }
+    }
+  },
+  {
+    supplierKey: 'LEVENHUK_OPT',
+    query: '81498',
+    routes: {
+      'https://www.levenhuk-opt.ru/search/?q=81498': 'levenhuk_opt_search',
+      'https://www.levenhuk-opt.ru/catalogue/binoculars/levenhuk-karma-pro-10x42/': 'levenhuk_opt_product'
+    },
+    expectedImages: [
+      'https://4glaza.ru/external/levenhuk-karma-pro-10x42_1.jpg',
+      'https://www.levenhuk-opt.ru/upload/iblock/7d1/karma_pro_10x42_2.jpg'
+    ],
+    expectedProduct: {
+      title: 'Бинокль Levenhuk Karma PRO 10x42',
+      description: 'фазовым покрытием',
+      price: '8290',
+      stock: 'Под заказ',
+      brand: 'Levenhuk',
+      specifications: {
+        'Производитель': 'Levenhuk',
+        'Увеличение': '10 крат',
+        'Диаметр объектива': '42 мм'
+      }
+    }
+  },
+  {
+    // Поставщик без правил parsing: карточка разбирается только по JSON-LD / OpenGraph
+    supplierKey: 'QUARTA',
+    query: 'https://quarta-hunt.ru/catalog/monokulyary/yukon-sideview-8x42/',
+    routes: {
+      'https://quarta-hunt.ru/catalog/monokulyary/yukon-sideview-8x42/': 'quarta_product'
+    },
+    expectedImages: [
+      'https://quarta-hunt.ru/upload/iblock/5e0/sideview_8x42_1.jpg',
+      'https://quarta-hunt.ru/upload/iblock/5e0/sideview_8x42_2.jpg'
+    ],
+    expectedProduct: {
+      title: 'Монокуляр Yukon Sideview 8x42',
+      description: 'с "дальномерной" сеткой',
+      price: '6190',
+      stock: 'Под заказ',
+      brand: 'Yukon',
+      sku: '21018',
+      gtin: '4743254000361',
+      specifications: {
+        'Кратность': '8x',
+        'Диаметр объектива': '42 мм'
+      }
+    }
+  },
+  {
+    // Поставщик с YML-фидом: карточка берется из фида без запросов к сайту
+    supplierKey: 'ZOOMA',
+    query: 'br-1120840',
+    feed: { url: 'https://www.zooma.ru/yml.xml' },
+    routes: {
+      'https://www.zooma.ru/yml.xml': 'zooma_feed'
+    },
+    expectedImages: [
+      'https://www.zooma.ru/upload/iblock/a01/hunter_8x40_1.jpg',
+      'https://www.zooma.ru/upload/iblock/a01/hunter_8x40_2.jpg'
+    ],
+    expectedProduct: {
+      title: 'Бинокль Bresser Hunter 8x40',
+      description: 'Классический бинокль Porro',
+      price: '3490',
+      stock: 'Под заказ',
+      brand: 'Bresser',
+      sku: 'BR-1120840',
+      gtin: '4007922022305',
+      specifications: {
+        'Увеличение': '8 крат',
+        'Диаметр объектива': '40 мм',
+        'Тип призм': 'Porro'
+      }
+    }
+  }
+];
+
+// =============================================================================
+// ЗАПУСК ТЕСТОВ
+// =============================================================================
+
+/**
+ * ПРОГОН ВСЕХ ПАРСЕРОВ ПО СОХРАНЕННЫМ СТРАНИЦАМ
+ *
+ * Для каждого поставщика проверяет поиск фото (findSupplierImages)
+ * и полную карточку (parseSupplierFullProduct)
+ *
+ * @returns {Object} { passed, failed, failures: [строки с описанием расхождений] }
+ */
+function runParserFixtureTests() {
+  return runTestCases('🧪 Регрессионные тесты парсеров поставщиков', PARSER_FIXTURE_CASES,
+    runParserFixtureCase, testCase => testCase.supplierKey);
+}
+
+/**
+ * ОДИН ТЕСТОВЫЙ СЛУЧАЙ: подмена HTTP-клиента, прогон, сравнение с ожиданием
+ *
+ * @returns {Array<string>} Расхождения (пустой массив - тест пройден)
+ */
+function runParserFixtureCase(testCase) {
+  const failures = [];
+  const config = getSupplierParsingConfig(testCase.supplierKey);
+
+  // Авторизованным порталам подставляем готовую сессию, чтобы не выполнять вход
+  if (config.parsing.auth) {
+    SUPPLIER_SESSIONS[testCase.supplierKey] = { supplierKey: testCase.supplierKey, cookie: 'fixture' };
+  }
+
+  // Фид подключается только на время теста
+  if (testCase.feed) {
+    SUPPLIERS_CONFIG[testCase.supplierKey].feed = testCase.feed;
+  }
+
+  try {
+    setSupplierHttpClient(createFixtureHttpClient(testCase.routes));
+
+    // Без артикула магазина: реестр ссылок (лист таблицы) в тестах не используется
+    const context = { name: testCase.productName };
+    const found = findSupplierImages(testCase.supplierKey, testCase.query, context);
+    assertFixtureEqual(failures, 'фото (поиск)', found.images, testCase.expectedImages);
+
+    if (testCase.expectedMatch) {
+      const match = found.match || {};
+      assertFixtureEqual(failures, 'выбор в поиске', { url: match.url, lowConfidence: match.lowConfidence }, testCase.expectedMatch);
+    }
+
+    const product = parseSupplierFullProduct(testCase.supplierKey, testCase.query, context);
+    if (!product) {
+      failures.push('полная карточка не распознана');
+      return failures;
+    }
+
+    const expected = testCase.expectedProduct;
+    const productImages = product.images ? product.images.split('\n') : [];
+
+    assertFixtureEqual(failures, 'фото (карточка)', productImages.slice().sort(), testCase.expectedImages.slice().sort());
+    assertFixtureEqual(failures, 'название', product.title, expected.title);
+    assertFixtureEqual(failures, 'цена', product.price, expected.price);
+    assertFixtureEqual(failures, 'наличие', product.stock, expected.stock);
+    assertFixtureEqual(failures, 'бренд', product.brand, expected.brand);
+    assertFixtureEqual(failures, 'характеристики', JSON.parse(product.specifications || '{}'), expected.specifications);
+
+    if (expected.sku !== undefined) {
+      assertFixtureEqual(failures, 'SKU', product.sku, expected.sku);
+      assertFixtureEqual(failures, 'GTIN', product.gtin, expected.gtin);
+    }
+
+    if (!product.description.includes(expected.description)) {
+      failures.push(`описание не содержит "${expected.description}": "${product.description}"`);
+    }
+
+  } catch (error) {
+    failures.push(`исключение: ${error.message}`);
+
+  } finally {
+    setSupplierHttpClient(null);
+    delete SUPPLIER_SESSIONS[testCase.supplierKey];
+
+    if (testCase.feed) {
+      delete SUPPLIERS_CONFIG[testCase.supplierKey].feed;
+      delete SUPPLIER_FEEDS[testCase.supplierKey];
+    }
+  }
+
+  return failures;
+}
+
+// =============================================================================
+// ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ
+// =============================================================================
+
+/**
+ * ЗАГЛУШКА UrlFetchApp: URL из routes → сохраненная страница, остальное → 404
+ *
+ * Страницы читаются сразу: парсеры перехватывают ошибки загрузки,
+ * и отсутствующая страница выглядела бы как изменившаяся верстка
+ */
+function createFixtureHttpClient(routes) {
+  const pages = {};
+  Object.keys(routes).forEach(url => {
+    pages[url] = loadParserFixture(routes[url]);
+  });
+
+  return {
+    fetch: function(url) {
+      const found = pages.hasOwnProperty(url);
+      const content = found ? pages[url] : '';
+
+      return {
+        getResponseCode: () => found ? 200 : 404,
+        getContentText: () => content,
+        getHeaders: () => ({})
+      };
+    }
+  };
+}
+
+/**
+ * СОХРАНЕННАЯ СТРАНИЦА ИЗ ПАПКИ tests/fixtures/
+ */
+function loadParserFixture(name) {
+  try {
+    return HtmlService.createHtmlOutputFromFile(PARSER_FIXTURES_FOLDER + name).getContent();
+  } catch (error) {
+    throw new Error(`нет страницы ${PARSER_FIXTURES_FOLDER}${name} в проекте (${error.message})`);
+  }
+}
+
+/**
+ * ПРОГОН ТЕСТОВЫХ СЛУЧАЕВ (общий для тестов модулей 09 и 24)
+ *
+ * @param {string} title - Заголовок прогона в логе
+ * @param {Array<Object>} cases - Тестовые случаи
+ * @param {Function} runCase - Случай → массив расхождений (пустой - тест пройден)
+ * @param {Function} getLabel - Случай → подпись в логе и в списке расхождений
+ * @returns {Object} { passed, failed, failures: [строки с описанием расхождений] }
+ */
+function runTestCases(title, cases, runCase, getLabel) {
+  logInfo(title);
+
+  const failures = [];
+  let passed = 0;
+
+  cases.forEach(testCase => {
+    const label = getLabel(testCase);
+    const caseFailures = runCase(testCase);
+
+    if (caseFailures.length === 0) {
+      passed++;
+      logInfo(`✅ ${label}`);
+    } else {
+      caseFailures.forEach(message => {
+        failures.push(`${label}: ${message}`);
+        logWarning(`❌ ${label}: ${message}`);
+      });
+    }
+  });
+
+  const failed = cases.length - passed;
+  logInfo(`Итого: пройдено ${passed}, с ошибками ${failed}`);
+
+  return { passed: passed, failed: failed, failures: failures };
+}
+
+function assertFixtureEqual(failures, label, actual, expected) {
+  const actualJson = JSON.stringify(actual);
+  const expectedJson = JSON.stringify(expected);
+
+  if (actualJson !== expectedJson) {
+    failures.push(`${label}: получено ${actualJson}, ожидалось ${expectedJson}`);
+  }
+}
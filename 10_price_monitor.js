@@ -0,0 +1,384 @@
+/**
+ * ========================================
+ * МОДУЛЬ 10: МОНИТОРИНГ ЦЕН И НАЛИЧИЯ У ПОСТАВЩИКОВ
+ * ========================================
+ *
+ * По триггеру перепроверяет цену и наличие всех товаров, для которых
+ * в реестре "Ссылки поставщиков" есть карточка. Обновляет колонки
+ * PRICE / STOCK, пишет изменения в лист "Изменения цен" и отправляет
+ * сводку в Telegram
+ *
+ * Большой каталог проверяется за несколько запусков: позиция прохода
+ * хранится в Script Properties, новый проход начинается не чаще INTERVAL_HOURS
+ */
+
+// =============================================================================
+// КОНСТАНТЫ
+// =============================================================================
+
+const PRICE_MONITOR_SETTINGS = {
+  HANDLER: 'runPriceMonitor',      // Функция, которую вызывает триггер
+  TRIGGER_EVERY_HOURS: 1,          // Как часто срабатывает триггер
+  INTERVAL_HOURS: 24,              // Как часто начинается новый полный проход
+  MAX_RUNTIME_MS: 4.5 * 60 * 1000, // Запас до лимита выполнения Apps Script (6 мин)
+  SIGNIFICANT_CHANGE_PERCENT: 5,   // Порог изменения цены для Telegram
+  PAUSE_MS: 1000                   // Пауза между запросами к поставщику
+};
+
+const OUT_OF_STOCK_STATUS = 'Нет в наличии';
+
+// =============================================================================
+// УПРАВЛЕНИЕ ТРИГГЕРОМ
+// =============================================================================
+
+/**
+ * ВКЛЮЧЕНИЕ ЕЖЕЧАСНОГО ТРИГГЕРА МОНИТОРИНГА
+ */
+function installPriceMonitorTrigger() {
+  try {
+    removePriceMonitorTrigger();
+
+    ScriptApp.newTrigger(PRICE_MONITOR_SETTINGS.HANDLER)
+      .timeBased()
+      .everyHours(PRICE_MONITOR_SETTINGS.TRIGGER_EVERY_HOURS)
+      .create();
+
+    logInfo('⏰ Мониторинг цен включен');
+    showNotification(
+      `Мониторинг цен включен: полная проверка раз в ${PRICE_MONITOR_SETTINGS.INTERVAL_HOURS} ч`,
+      'success'
+    );
+  } catch (error) {
+    handleError(error, 'Включение мониторинга цен');
+  }
+}
+
+/**
+ * ОТКЛЮЧЕНИЕ МОНИТОРИНГА ИЗ МЕНЮ
+ */
+function disablePriceMonitor() {
+  try {
+    const removed = removePriceMonitorTrigger();
+    savePriceMonitorState({});
+    showNotification(removed > 0 ? 'Мониторинг цен отключен' : 'Мониторинг цен не был включен', 'info');
+  } catch (error) {
+    handleError(error, 'Отключение мониторинга цен');
+  }
+}
+
+/**
+ * УДАЛЕНИЕ ТРИГГЕРОВ МОНИТОРИНГА
+ *
+ * @returns {number} Количество удаленных триггеров
+ */
+function removePriceMonitorTrigger() {
+  let removed = 0;
+
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === PRICE_MONITOR_SETTINGS.HANDLER) {
+      ScriptApp.deleteTrigger(trigger);
+      removed++;
+    }
+  });
+
+  if (removed > 0) {
+    logInfo(`Мониторинг цен: удалено триггеров ${removed}`);
+  }
+
+  return removed;
+}
+
+// =============================================================================
+// ПРОХОД МОНИТОРИНГА
+// =============================================================================
+
+/**
+ * ЗАПУСК МОНИТОРИНГА (ВЫЗЫВАЕТСЯ ТРИГГЕРОМ)
+ *
+ * Продолжает незавершенный проход или начинает новый, если с прошлого
+ * прошло INTERVAL_HOURS. Останавливается до лимита времени выполнения
+ *
+ * @returns {Object} { checked, changed, errors, finished }
+ */
+function runPriceMonitor() {
+  const startTime = Date.now();
+  const state = loadPriceMonitorState();
+  const stats = { checked: 0, changed: 0, errors: 0, finished: false };
+
+  try {
+    if (!state.passStartedAt) {
+      const hoursSinceLast = state.lastCompletedAt ?
+        (startTime - state.lastCompletedAt) / (60 * 60 * 1000) :
+        Infinity;
+
+      if (hoursSinceLast < PRICE_MONITOR_SETTINGS.INTERVAL_HOURS) {
+        logInfo('Мониторинг цен: проход уже выполнен, ждем следующего интервала');
+        return stats;
+      }
+
+      state.passStartedAt = startTime;
+      state.cursor = 0;
+      state.errors = 0;
+      logInfo('📈 Мониторинг цен: новый проход');
+    }
+
+    const entries = getMonitoredSupplierEntries();
+    const rowsByArticle = getImagesRowsByArticle();
+
+    while (state.cursor < entries.length) {
+      if (Date.now() - startTime > PRICE_MONITOR_SETTINGS.MAX_RUNTIME_MS) {
+        logInfo(`Мониторинг цен: пауза на ${state.cursor}/${entries.length}, продолжим при следующем запуске`);
+        savePriceMonitorState(state);
+        return stats;
+      }
+
+      const entry = entries[state.cursor];
+
+      try {
+        const changes = checkSupplierOffer(entry, rowsByArticle[entry.article]);
+        stats.changed += changes;
+      } catch (error) {
+        logError(`Мониторинг цен: ${entry.supplierKey} ${entry.article}`, error);
+        stats.errors++;
+        state.errors++;
+      }
+
+      stats.checked++;
+      state.cursor++;
+      Utilities.sleep(PRICE_MONITOR_SETTINGS.PAUSE_MS);
+    }
+
+    sendPriceMonitorSummary(state.passStartedAt, entries.length, state.errors);
+
+    stats.finished = true;
+    savePriceMonitorState({ lastCompletedAt: Date.now() });
+    logInfo(`✅ Мониторинг цен завершен: проверено ${entries.length}, ошибок ${state.errors}`);
+
+    return stats;
+
+  } catch (error) {
+    savePriceMonitorState(state);
+    handleError(error, 'Мониторинг цен');
+    throw error;
+  }
+}
+
+/**
+ * ТОВАРЫ ДЛЯ ПРОВЕРКИ: по одной карточке на артикул
+ *
+ * Из нескольких поставщиков артикула берется закрепленная вручную ссылка,
+ * иначе первая из реестра. Порядок стабилен между запусками (для курсора)
+ *
+ * @returns {Array<Object>} Записи реестра ссылок
+ */
+function getMonitoredSupplierEntries() {
+  const byArticle = {};
+
+  getRegisteredSupplierUrls()
+    .filter(entry => {
+      const config = SUPPLIERS_CONFIG[entry.supplierKey];
+      return config && config.enabled;
+    })
+    .sort((a, b) => a.row - b.row)
+    .forEach(entry => {
+      const current = byArticle[entry.article];
+      if (!current || (current.source !== 'вручную' && entry.source === 'вручную')) {
+        byArticle[entry.article] = entry;
+      }
+    });
+
+  return Object.values(byArticle).sort((a, b) => a.row - b.row);
+}
+
+/**
+ * ПРОВЕРКА ОДНОЙ КАРТОЧКИ: парсинг, сравнение с таблицей, запись изменений
+ *
+ * @param {Object} entry - Запись реестра ссылок
+ * @param {number} row - Строка товара на листе "Обработка изображений" (если есть)
+ * @returns {number} Количество записанных изменений
+ */
+function checkSupplierOffer(entry, row) {
+  const config = SUPPLIERS_CONFIG[entry.supplierKey];
+
+  if (!row) {
+    logWarning(`Мониторинг цен: артикул ${entry.article} не найден на листе`);
+    return 0;
+  }
+
+  const product = parseSupplierFullProduct(entry.supplierKey, entry.url);
+
+  if (!product) {
+    throw new Error(`Карточка не загрузилась: ${entry.url}`);
+  }
+
+  const sheet = getImagesSheet();
+  const oldPrice = sheet.getRange(row, IMAGES_COLUMNS.PRICE).getValue();
+  const oldStock = sheet.getRange(row, IMAGES_COLUMNS.STOCK).getValue();
+  const changes = [];
+
+  if (product.price && parsePriceValue(oldPrice) !== parsePriceValue(product.price)) {
+    changes.push(['Цена', oldPrice, product.price, calculatePriceDelta(oldPrice, product.price)]);
+    sheet.getRange(row, IMAGES_COLUMNS.PRICE).setValue(product.price);
+  }
+
+  // "Уточняйте" - парсер не распознал наличие, старое значение не затираем
+  if (product.stock && product.stock !== 'Уточняйте' && String(oldStock) !== product.stock) {
+    changes.push(['Наличие', oldStock, product.stock, '']);
+    sheet.getRange(row, IMAGES_COLUMNS.STOCK).setValue(product.stock);
+  }
+
+  if (changes.length > 0) {
+    const now = new Date();
+    const logRows = changes.map(([field, oldValue, newValue, delta]) => {
+      const logRow = [];
+      logRow[PRICE_CHANGE_COLUMNS.DATE - 1] = now;
+      logRow[PRICE_CHANGE_COLUMNS.ARTICLE - 1] = entry.article;
+      logRow[PRICE_CHANGE_COLUMNS.SUPPLIER - 1] = config.name;
+      logRow[PRICE_CHANGE_COLUMNS.FIELD - 1] = field;
+      logRow[PRICE_CHANGE_COLUMNS.OLD_VALUE - 1] = oldValue;
+      logRow[PRICE_CHANGE_COLUMNS.NEW_VALUE - 1] = newValue;
+      logRow[PRICE_CHANGE_COLUMNS.DELTA_PERCENT - 1] = delta;
+      logRow[PRICE_CHANGE_COLUMNS.URL - 1] = entry.url;
+      return logRow;
+    });
+
+    const logSheet = getPriceChangesSheet();
+    logSheet.getRange(logSheet.getLastRow() + 1, 1, logRows.length, logRows[0].length).setValues(logRows);
+
+    logInfo(`📈 ${entry.article}: ${changes.map(c => `${c[0]} ${c[1] || '—'} → ${c[2]}`).join(', ')}`);
+  }
+
+  return changes.length;
+}
+
+// =============================================================================
+// СВОДКА В TELEGRAM
+// =============================================================================
+
+/**
+ * СВОДКА ПО ЗАВЕРШЕННОМУ ПРОХОДУ
+ *
+ * В сообщение попадают изменения цены от SIGNIFICANT_CHANGE_PERCENT
+ * и товары, которые пропали из наличия
+ */
+function sendPriceMonitorSummary(passStartedAt, checkedCount, errorCount) {
+  const logSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.PRICE_CHANGES);
+  const rows = logSheet && logSheet.getLastRow() > 1 ?
+    logSheet.getRange(2, 1, logSheet.getLastRow() - 1, Object.keys(PRICE_CHANGE_COLUMNS).length).getValues() :
+    [];
+
+  const passRows = rows.filter(r => new Date(r[PRICE_CHANGE_COLUMNS.DATE - 1]).getTime() >= passStartedAt);
+
+  const priceMoves = passRows.filter(r =>
+    r[PRICE_CHANGE_COLUMNS.FIELD - 1] === 'Цена' &&
+    Math.abs(Number(r[PRICE_CHANGE_COLUMNS.DELTA_PERCENT - 1]) || 0) >= PRICE_MONITOR_SETTINGS.SIGNIFICANT_CHANGE_PERCENT
+  );
+
+  const outOfStock = passRows.filter(r =>
+    r[PRICE_CHANGE_COLUMNS.FIELD - 1] === 'Наличие' &&
+    r[PRICE_CHANGE_COLUMNS.NEW_VALUE - 1] === OUT_OF_STOCK_STATUS
+  );
+
+  if (priceMoves.length === 0 && outOfStock.length === 0 && errorCount === 0) {
+    logInfo('Мониторинг цен: значимых изменений нет, уведомление не отправляем');
+    return false;
+  }
+
+  let message = `📈 <b>Мониторинг цен поставщиков</b>\n`;
+  message += `Проверено товаров: ${checkedCount}, изменений: ${passRows.length}\n`;
+
+  if (priceMoves.length > 0) {
+    message += `\n💰 <b>Цена изменилась на ${PRICE_MONITOR_SETTINGS.SIGNIFICANT_CHANGE_PERCENT}%+:</b>\n`;
+    priceMoves.forEach(r => {
+      const delta = Number(r[PRICE_CHANGE_COLUMNS.DELTA_PERCENT - 1]);
+      message += `• ${r[PRICE_CHANGE_COLUMNS.ARTICLE - 1]} (${r[PRICE_CHANGE_COLUMNS.SUPPLIER - 1]}): ` +
+        `${r[PRICE_CHANGE_COLUMNS.OLD_VALUE - 1]} → ${r[PRICE_CHANGE_COLUMNS.NEW_VALUE - 1]} ` +
+        `(${delta > 0 ? '+' : ''}${delta}%)\n`;
+    });
+  }
+
+  if (outOfStock.length > 0) {
+    message += `\n🚫 <b>Нет в наличии:</b>\n`;
+    outOfStock.forEach(r => {
+      message += `• ${r[PRICE_CHANGE_COLUMNS.ARTICLE - 1]} (${r[PRICE_CHANGE_COLUMNS.SUPPLIER - 1]})\n`;
+    });
+  }
+
+  if (errorCount > 0) {
+    message += `\n⚠️ Не удалось проверить: ${errorCount}`;
+  }
+
+  return sendNotification(message);
+}
+
+// =============================================================================
+// ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ
+// =============================================================================
+
+/**
+ * ЛИСТ ЖУРНАЛА ИЗМЕНЕНИЙ (создается при первой записи)
+ */
+function getPriceChangesSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(SHEET_NAMES.PRICE_CHANGES);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SHEET_NAMES.PRICE_CHANGES);
+    sheet.getRange(1, 1, 1, 8).setValues([[
+      'Дата', 'Артикул', 'Поставщик', 'Поле', 'Было', 'Стало', 'Изменение, %', 'Карточка'
+    ]]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    logInfo(`Создан лист "${SHEET_NAMES.PRICE_CHANGES}"`);
+  }
+
+  return sheet;
+}
+
+/**
+ * СТРОКИ ТОВАРОВ НА ЛИСТЕ "ОБРАБОТКА ИЗОБРАЖЕНИЙ": артикул → номер строки
+ */
+function getImagesRowsByArticle() {
+  const data = getImagesSheet().getDataRange().getValues();
+  const rows = {};
+
+  for (let i = 1; i < data.length; i++) {
+    const article = String(data[i][IMAGES_COLUMNS.ARTICLE - 1]).trim();
+    if (article && !rows[article]) {
+      rows[article] = i + 1;
+    }
+  }
+
+  return rows;
+}
+
+function parsePriceValue(value) {
+  const price = parseFloat(String(value).replace(/\s/g, '').replace(',', '.'));
+  return isNaN(price) ? null : price;
+}
+
+/**
+ * ИЗМЕНЕНИЕ ЦЕНЫ В ПРОЦЕНТАХ (одна цифра после запятой, '' если старой цены нет)
+ */
+function calculatePriceDelta(oldValue, newValue) {
+  const oldPrice = parsePriceValue(oldValue);
+  const newPrice = parsePriceValue(newValue);
+
+  if (!oldPrice || newPrice === null) {
+    return '';
+  }
+
+  return Math.round((newPrice - oldPrice) / oldPrice * 1000) / 10;
+}
+
+function loadPriceMonitorState() {
+  try {
+    return JSON.parse(getSetting(SCRIPT_PROPERTIES_KEYS.PRICE_MONITOR_STATE) || '{}');
+  } catch (error) {
+    logWarning(`Поврежденное состояние мониторинга цен: ${error.message}`);
+    return {};
+  }
+}
+
+function savePriceMonitorState(state) {
+  setSetting(SCRIPT_PROPERTIES_KEYS.PRICE_MONITOR_STATE, JSON.stringify(state));
+}
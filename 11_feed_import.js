@@ -0,0 +1,365 @@
+/**
+ * ========================================
+ * МОДУЛЬ 11: ИМПОРТ ИЗ YML / XML ФИДОВ ПОСТАВЩИКОВ
+ * ========================================
+ *
+ * Поставщик с секцией feed в SUPPLIERS_CONFIG отдает фото и карточки
+ * из фида (Яндекс.Маркет YML или XML-прайс) без парсинга HTML:
+ * parseSupplierFullProduct и findSupplierImages сначала ищут товар в фиде
+ *
+ * Пока ни у одного поставщика в SUPPLIERS_CONFIG фид не указан - модуль
+ * готов к подключению, но не используется: для включения добавьте поставщику
+ * секцию feed с адресом его YML/XML-выгрузки
+ *
+ * feed:
+ *   url      - адрес фида
+ *   offerTag - тег товара (по умолчанию offer)
+ *   fields   - имена тегов, если фид не в формате YML:
+ *              { article, name, price, picture, description, vendor, url, barcode, param }
+ */
+
+// =============================================================================
+// КОНСТАНТЫ
+// =============================================================================
+
+/**
+ * Теги YML по умолчанию (https://yandex.ru/support/partnermarket/export/yml.html)
+ */
+const YML_FIELDS = {
+  article: 'vendorCode',
+  name: 'name',
+  price: 'price',
+  picture: 'picture',
+  description: 'description',
+  vendor: 'vendor',
+  url: 'url',
+  barcode: 'barcode',
+  param: 'param'
+};
+
+/**
+ * Загруженные фиды в пределах одного выполнения (фид читается один раз)
+ */
+const SUPPLIER_FEEDS = {};
+
+// =============================================================================
+// ПОИСК ТОВАРА В ФИДЕ
+// =============================================================================
+
+/**
+ * КАРТОЧКА ТОВАРА ИЗ ФИДА ПОСТАВЩИКА
+ *
+ * Ищет по артикулу (vendorCode), id предложения, штрихкоду или URL товара
+ *
+ * @param {string} supplierKey - Ключ поставщика
+ * @param {string} articleOrUrl - Артикул или URL товара
+ * @returns {Object|null} Результат в формате parseSupplierFullProduct или null
+ */
+function findSupplierFeedProduct(supplierKey, articleOrUrl) {
+  const feed = getSupplierFeed(supplierKey);
+  if (!feed) return null;
+
+  const key = String(articleOrUrl).trim().toLowerCase();
+  const offer = feed.byArticle[key] || feed.byId[key] || feed.byBarcode[key] || feed.byUrl[key];
+
+  if (!offer) {
+    logInfo(`${SUPPLIERS_CONFIG[supplierKey].name}: ${articleOrUrl} нет в фиде`);
+    return null;
+  }
+
+  logInfo(`📦 ${SUPPLIERS_CONFIG[supplierKey].name}: ${articleOrUrl} найден в фиде`);
+  return offer;
+}
+
+/**
+ * ФИД ПОСТАВЩИКА: загрузка, разбор и индексы для поиска
+ *
+ * @returns {Object|null} { offers, byArticle, byId, byBarcode, byUrl } или null
+ */
+function getSupplierFeed(supplierKey) {
+  const config = SUPPLIERS_CONFIG[supplierKey];
+
+  if (!config || !config.feed || !config.feed.url) {
+    return null;
+  }
+
+  if (SUPPLIER_FEEDS[supplierKey]) {
+    return SUPPLIER_FEEDS[supplierKey];
+  }
+
+  try {
+    logInfo(`📦 Загружаем фид ${config.name}: ${config.feed.url}`);
+
+    const response = getSupplierHttpClient().fetch(config.feed.url, {
+      muteHttpExceptions: true,
+      headers: { 'User-Agent': 'Mozilla/5.0' }
+    });
+
+    if (response.getResponseCode() !== 200) {
+      throw new Error(`код ответа ${response.getResponseCode()}`);
+    }
+
+    const offers = parseSupplierFeed(response.getContentText(), supplierKey);
+    const feed = { offers: offers, byArticle: {}, byId: {}, byBarcode: {}, byUrl: {} };
+
+    offers.forEach(offer => {
+      const index = (map, value) => {
+        const k = String(value || '').trim().toLowerCase();
+        if (k && !map[k]) map[k] = offer;
+      };
+
+      index(feed.byArticle, offer.sku);
+      index(feed.byId, offer.offerId);
+      index(feed.byBarcode, offer.gtin);
+      index(feed.byUrl, offer.url);
+    });
+
+    logInfo(`✅ Фид ${config.name}: ${offers.length} предложений`);
+
+    SUPPLIER_FEEDS[supplierKey] = feed;
+    return feed;
+
+  } catch (error) {
+    logError(`Ошибка загрузки фида ${config.name}`, error);
+    return null;
+  }
+}
+
+// =============================================================================
+// РАЗБОР XML
+// =============================================================================
+
+/**
+ * РАЗБОР YML / XML ФИДА В КАРТОЧКИ ТОВАРОВ
+ *
+ * @param {string} xml - Текст фида
+ * @param {string} supplierKey - Ключ поставщика
+ * @returns {Array<Object>} Карточки в формате parseSupplierFullProduct
+ *                          (+ offerId - id предложения в фиде)
+ */
+function parseSupplierFeed(xml, supplierKey) {
+  const config = getSupplierParsingConfig(supplierKey);
+  const root = XmlService.parse(xml).getRootElement();
+  const fields = Object.assign({}, YML_FIELDS, config.feed.fields || {});
+  const categories = getFeedCategories(root);
+
+  return findFeedElements(root, config.feed.offerTag || 'offer')
+    .map(offer => convertFeedOffer(offer, fields, categories, config));
+}
+
+/**
+ * ПРЕДЛОЖЕНИЕ ФИДА → КАРТОЧКА ТОВАРА
+ */
+function convertFeedOffer(offer, fields, categories, config) {
+  const text = field => cleanHtml(offer.getChildText(field) || '');
+  const attribute = name => {
+    const attr = offer.getAttribute(name);
+    return attr ? attr.getValue() : '';
+  };
+
+  // Тип vendor.model: название собирается из typePrefix + vendor + model
+  const title = text(fields.name) ||
+    [text('typePrefix'), text(fields.vendor), text('model')].filter(part => part).join(' ');
+
+  const images = offer.getChildren(fields.picture)
+    .map(picture => picture.getText().trim())
+    .filter(url => url)
+    .map(url => normalizeSupplierUrl(url, config));
+
+  const specifications = {};
+  offer.getChildren(fields.param).forEach(param => {
+    const name = param.getAttribute('name');
+    const unit = param.getAttribute('unit');
+    const value = cleanHtml(param.getText());
+
+    if (name && value) {
+      specifications[name.getValue().trim()] = unit ? `${value} ${unit.getValue()}` : value;
+    }
+  });
+
+  const url = text(fields.url);
+  const categoryId = text('categoryId');
+
+  return {
+    url: url,
+    images: Array.from(new Set(images)).join('\n'),
+    title: title,
+    description: text(fields.description),
+    specifications: JSON.stringify(specifications),
+    price: normalizeSupplierPrice(text(fields.price)),
+    stock: getFeedOfferStock(attribute('available'), text('count') || text('quantity')),
+    brand: text(fields.vendor),
+    categories: categories[categoryId] || '',
+    sku: text(fields.article),
+    gtin: text(fields.barcode),
+    offerId: attribute('id'),
+    match: { url: url, title: title, score: 100, lowConfidence: false, candidates: 1, feed: true }
+  };
+}
+
+/**
+ * НАЛИЧИЕ ПО ФИДУ: available="false" в YML означает "под заказ",
+ * нулевой остаток - "нет в наличии"
+ */
+function getFeedOfferStock(available, count) {
+  if (count !== '' && Number(count) === 0) return 'Нет в наличии';
+  if (available === 'false') return 'Под заказ';
+  if (available === 'true' || Number(count) > 0) return 'В наличии';
+  return 'Уточняйте';
+}
+
+/**
+ * КАТЕГОРИИ ФИДА: id → полный путь "Оптика / Бинокли"
+ */
+function getFeedCategories(root) {
+  const byId = {};
+
+  findFeedElements(root, 'category').forEach(category => {
+    const id = category.getAttribute('id');
+    const parentId = category.getAttribute('parentId');
+
+    if (id) {
+      byId[id.getValue()] = {
+        name: category.getText().trim(),
+        parentId: parentId ? parentId.getValue() : ''
+      };
+    }
+  });
+
+  const paths = {};
+  Object.keys(byId).forEach(id => {
+    const names = [];
+    const seen = new Set();
+    let current = id;
+
+    while (current && byId[current] && !seen.has(current)) {
+      seen.add(current);
+      names.unshift(byId[current].name);
+      current = byId[current].parentId;
+    }
+
+    paths[id] = names.join(' / ');
+  });
+
+  return paths;
+}
+
+/**
+ * ВСЕ ЭЛЕМЕНТЫ С ИМЕНЕМ tagName (обход в глубину)
+ */
+function findFeedElements(element, tagName) {
+  const found = [];
+
+  element.getChildren().forEach(child => {
+    if (child.getName() === tagName) {
+      found.push(child);
+    } else {
+      found.push(...findFeedElements(child, tagName));
+    }
+  });
+
+  return found;
+}
+
+// =============================================================================
+// ОБНОВЛЕНИЕ ЛИСТА ИЗ ФИДОВ
+// =============================================================================
+
+/**
+ * ОБНОВЛЕНИЕ ТОВАРОВ ЛИСТА ИЗ ВСЕХ ФИДОВ (меню)
+ *
+ * Для каждой строки "Обработка изображений", артикул которой есть в фиде,
+ * заполняет фото поставщика, цену, наличие, бренд, категории, описание
+ * и характеристики (сырые и нормализованные). Уже заполненные фото
+ * и описание не перезаписываются. В лист пишутся только ячейки, которые
+ * изменились (writeChangedColumns) - формулы и остальные ячейки не трогаются
+ */
+function updateProductsFromSupplierFeeds() {
+  try {
+    const feedSuppliers = Object.keys(SUPPLIERS_CONFIG)
+      .filter(key => SUPPLIERS_CONFIG[key].enabled && SUPPLIERS_CONFIG[key].feed);
+
+    if (feedSuppliers.length === 0) {
+      showNotification('Ни у одного поставщика не указан фид (SUPPLIERS_CONFIG → feed)', 'warning');
+      return;
+    }
+
+    const sheet = getImagesSheet();
+    const data = sheet.getDataRange().getValues();
+    const changes = {};
+    let changedCount = 0;
+
+    for (let i = 1; i < data.length; i++) {
+      const article = String(data[i][IMAGES_COLUMNS.ARTICLE - 1]).trim();
+      if (!article) continue;
+
+      for (const supplierKey of feedSuppliers) {
+        const product = findSupplierFeedProduct(supplierKey, article);
+
+        if (product) {
+          const row = mapFeedProductToRow(data[i].slice(), product, supplierKey);
+          const columns = row
+            .map((value, index) => String(value) !== String(data[i][index] === undefined ? '' : data[i][index]) ? index + 1 : 0)
+            .filter(column => column);
+
+          if (columns.length > 0) {
+            columns.forEach(column => addChangedCell(changes, i, column));
+            changedCount++;
+            data[i] = row;
+          }
+          break;
+        }
+      }
+    }
+
+    writeChangedColumns(sheet, data, changes);
+
+    logInfo(`✅ Обновлено из фидов: ${changedCount} товаров`);
+    showNotification(`Обновлено из фидов: ${changedCount} товаров`, 'success');
+
+  } catch (error) {
+    handleError(error, 'Обновление из фидов поставщиков');
+  }
+}
+
+/**
+ * КАРТОЧКА ИЗ ФИДА → СТРОКА ЛИСТА ПО IMAGES_COLUMNS
+ *
+ * @param {Array} row - Текущие значения строки (изменяются и возвращаются)
+ * @param {Object} product - Карточка из фида
+ * @param {string} supplierKey - Ключ поставщика (для normalizeSpecifications)
+ * @returns {Array} Строка для записи
+ */
+function mapFeedProductToRow(row, product, supplierKey) {
+  const set = (column, value, keepExisting) => {
+    if (!value) return;
+    if (keepExisting && row[column - 1]) return;
+    row[column - 1] = value;
+  };
+
+  const titleParts = parseProductTitle(product.title);
+  const specs = deriveSpecifications(normalizeSpecifications(product.specifications, supplierKey.toLowerCase(), {
+    parsedTitle: titleParts
+  }));
+  const normalized = specs.normalized;
+
+  set(IMAGES_COLUMNS.PRODUCT_NAME, product.title, true);
+  set(IMAGES_COLUMNS.SUPPLIER_IMAGES, product.images, true);
+  set(IMAGES_COLUMNS.DESCRIPTION, product.description, true);
+  set(IMAGES_COLUMNS.SPECIFICATIONS_RAW, product.specifications === '{}' ? '' : product.specifications);
+  set(IMAGES_COLUMNS.SPECIFICATIONS_NORMALIZED, Object.keys(normalized).length > 0 ? JSON.stringify(normalized) : '');
+  set(IMAGES_COLUMNS.PRICE, product.price);
+  set(IMAGES_COLUMNS.STOCK, product.stock === 'Уточняйте' ? '' : product.stock);
+  set(IMAGES_COLUMNS.BRAND, product.brand || titleParts.brand);
+  set(IMAGES_COLUMNS.SERIES, titleParts.series, true);
+  set(IMAGES_COLUMNS.CATEGORIES, product.categories, true);
+
+  // Расхождения с расчетом - в статус импорта, как при полном импорте карточки
+  row[IMAGES_COLUMNS.SPECIFICATIONS_DERIVED - 1] = serializeSpecDerivation(specs);
+  if (specs.conflicts.length > 0) {
+    row[IMAGES_COLUMNS.IMPORT_STATUS - 1] = `Обновлено из фида ${SUPPLIERS_CONFIG[supplierKey].name}` +
+      specs.conflicts.map(conflict => `\n⚠️ ${conflict.message}`).join('');
+  }
+
+  return row;
+}
@@ -0,0 +1,389 @@
+/**
+ * ========================================
+ * МОДУЛЬ 12: ИМПОРТ ПРАЙС-ЛИСТОВ ПОСТАВЩИКОВ (CSV / XLSX)
+ * ========================================
+ *
+ * Прайс-лист из Google Drive (CSV, XLSX или Google Таблица) читается целиком,
+ * колонки сопоставляются с полями IMAGES_COLUMNS в диалоге. Сопоставление
+ * сохраняется для поставщика и подставляется при следующем импорте
+ *
+ * Лист читается один раз, строки обновляются в памяти по артикулу и пишутся
+ * пакетно: изменения - только в сопоставленные колонки, новые товары -
+ * одним блоком в конец. Незаполненные в прайсе поля строки не затираются
+ *
+ * XLSX конвертируется во временную Google Таблицу через расширенный
+ * сервис Drive (appsscript.json → enabledAdvancedServices)
+ */
+
+// =============================================================================
+// КОНСТАНТЫ
+// =============================================================================
+
+/**
+ * ПОЛЯ, КОТОРЫЕ МОЖНО ЗАПОЛНИТЬ ИЗ ПРАЙС-ЛИСТА
+ *
+ * field    - ключ IMAGES_COLUMNS
+ * keywords - фрагменты заголовков для автоматического сопоставления
+ */
+const PRICE_LIST_FIELDS = [
+  { field: 'ARTICLE', label: 'Артикул', keywords: ['артикул', 'код товара', 'sku', 'article'] },
+  { field: 'PRODUCT_NAME', label: 'Название товара', keywords: ['наименование', 'название', 'товар', 'name'] },
+  { field: 'PRICE', label: 'Цена', keywords: ['цена', 'стоимость', 'price'] },
+  { field: 'STOCK', label: 'Остаток', keywords: ['остаток', 'наличие', 'кол-во', 'количество', 'stock'] },
+  { field: 'SUPPLIER_IMAGES', label: 'Фото поставщика', keywords: ['фото', 'изображ', 'картин', 'image', 'photo'] },
+  { field: 'BRAND', label: 'Бренд', keywords: ['бренд', 'производитель', 'марка', 'brand', 'vendor'] },
+  { field: 'SERIES', label: 'Серия', keywords: ['серия', 'series'] },
+  { field: 'CATEGORIES', label: 'Категории', keywords: ['категор', 'раздел', 'группа', 'category'] },
+  { field: 'DESCRIPTION', label: 'Описание', keywords: ['описание', 'description'] },
+  { field: 'WEIGHT', label: 'Вес, г', keywords: ['вес', 'weight'] },
+  { field: 'DIMENSIONS', label: 'Габариты', keywords: ['габарит', 'размер', 'dimensions'] },
+  { field: 'PACKAGE_CONTENTS', label: 'Комплектация', keywords: ['комплект', 'package'] }
+];
+
+/**
+ * НАЛИЧИЕ ИЗ ТЕКСТА ПРАЙСА (число остатка переводится через getFeedOfferStock)
+ */
+const PRICE_LIST_STOCK_RULE = {
+  'Нет в наличии': [/нет|отсутств/i],
+  'Под заказ': [/заказ|ожида/i],
+  'В наличии': [/есть|налич|много|да/i]
+};
+
+// =============================================================================
+// ДИАЛОГ
+// =============================================================================
+
+/**
+ * ДИАЛОГ ИМПОРТА ПРАЙС-ЛИСТА (меню)
+ */
+function showPriceListImportDialog() {
+  try {
+    const html = HtmlService.createTemplateFromFile('PriceListImportDialog');
+    html.suppliers = Object.entries(SUPPLIERS_CONFIG)
+      .map(([key, config]) => ({ key: key, name: config.name }));
+    html.fields = PRICE_LIST_FIELDS.map(f => ({ field: f.field, label: f.label }));
+
+    const output = html.evaluate()
+      .setWidth(640)
+      .setHeight(620);
+
+    SpreadsheetApp.getUi().showModalDialog(output, 'Импорт прайс-листа');
+
+  } catch (error) {
+    handleError(error, 'Диалог импорта прайс-листа');
+  }
+}
+
+/**
+ * ПРЕДПРОСМОТР ПРАЙС-ЛИСТА ДЛЯ ДИАЛОГА
+ *
+ * @param {string} fileRef - Ссылка на файл в Drive или его ID
+ * @param {string} supplierKey - Ключ поставщика
+ * @returns {Object} { fileName, headers, sample, mapping, savedMapping }
+ */
+function getPriceListPreview(fileRef, supplierKey) {
+  const table = readPriceListFile(fileRef);
+  const saved = getPriceListMapping(supplierKey);
+
+  return {
+    fileName: table.fileName,
+    headers: table.headers,
+    sample: table.rows.slice(0, 5),
+    rowCount: table.rows.length,
+    mapping: saved || guessPriceListMapping(table.headers),
+    savedMapping: !!saved
+  };
+}
+
+// =============================================================================
+// СОПОСТАВЛЕНИЕ КОЛОНОК
+// =============================================================================
+
+/**
+ * СОХРАНЕННОЕ СОПОСТАВЛЕНИЕ ПОСТАВЩИКА
+ *
+ * @returns {Object|null} { ARTICLE: 'Артикул', PRICE: 'Цена опт', ... }
+ */
+function getPriceListMapping(supplierKey) {
+  const raw = getSetting(SCRIPT_PROPERTIES_KEYS.PRICE_LIST_MAPPING_PREFIX + supplierKey);
+
+  if (!raw) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logWarning(`Сопоставление прайс-листа ${supplierKey} повреждено: ${error.message}`);
+    return null;
+  }
+}
+
+function savePriceListMapping(supplierKey, mapping) {
+  setSetting(SCRIPT_PROPERTIES_KEYS.PRICE_LIST_MAPPING_PREFIX + supplierKey, JSON.stringify(mapping));
+  logInfo(`Сопоставление прайс-листа ${supplierKey} сохранено`);
+}
+
+/**
+ * АВТОМАТИЧЕСКОЕ СОПОСТАВЛЕНИЕ ПО ЗАГОЛОВКАМ
+ *
+ * Каждая колонка прайса достается первому подходящему полю
+ */
+function guessPriceListMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+
+  PRICE_LIST_FIELDS.forEach(f => {
+    const header = headers.find(h => {
+      const name = String(h).toLowerCase();
+      return !used.has(h) && f.keywords.some(keyword => name.includes(keyword));
+    });
+
+    if (header) {
+      mapping[f.field] = header;
+      used.add(header);
+    }
+  });
+
+  return mapping;
+}
+
+// =============================================================================
+// ИМПОРТ
+// =============================================================================
+
+/**
+ * ИМПОРТ ПРАЙС-ЛИСТА (вызывается из диалога)
+ *
+ * Сохраняет сопоставление для поставщика и обновляет/добавляет строки по артикулу
+ * через writeFullProductData: у существующих товаров меняются только ячейки
+ * из прайса, новые получают статус импорта "Прайс-лист <поставщик>"
+ *
+ * @param {string} fileRef - Ссылка на файл в Drive или его ID
+ * @param {string} supplierKey - Ключ поставщика
+ * @param {Object} mapping - { ПОЛЕ_IMAGES_COLUMNS: 'Заголовок колонки' }
+ * @returns {Object} { created, updated, unchanged, skipped }
+ */
+function importPriceList(fileRef, supplierKey, mapping) {
+  if (!SUPPLIERS_CONFIG[supplierKey]) {
+    throw new Error(`Неизвестный поставщик: ${supplierKey}`);
+  }
+
+  // Несопоставленные поля приходят из диалога пустыми
+  mapping = Object.keys(mapping || {})
+    .filter(field => mapping[field])
+    .reduce((result, field) => Object.assign(result, { [field]: mapping[field] }), {});
+
+  if (!mapping.ARTICLE) {
+    throw new Error('Не выбрана колонка с артикулом');
+  }
+
+  const table = readPriceListFile(fileRef);
+  const missing = Object.values(mapping).filter(header => table.headers.indexOf(header) === -1);
+
+  if (missing.length > 0) {
+    throw new Error(`В файле нет колонок: ${missing.join(', ')}`);
+  }
+
+  savePriceListMapping(supplierKey, mapping);
+
+  const supplierName = SUPPLIERS_CONFIG[supplierKey].name;
+  const products = [];
+  let skipped = 0;
+
+  logInfo(`📑 Импорт прайс-листа ${supplierName}: ${table.fileName}, ${table.rows.length} строк`);
+
+  table.rows.forEach(values => {
+    const priceRow = readPriceListRow(values, table.headers, mapping);
+
+    if (!priceRow.ARTICLE) {
+      skipped++;
+      return;
+    }
+
+    products.push(priceListRowToProductData(priceRow));
+  });
+
+  // Пустые ячейки прайса в карточку не попадают, поэтому partial их не затирает
+  const written = products.length > 0
+    ? writeFullProductData(products, {
+      partial: true,
+      defaults: { importStatus: `Прайс-лист ${supplierName}` }
+    })
+    : { created: 0, updated: 0, unchanged: 0 };
+
+  if (!written) {
+    throw new Error('Не удалось записать строки прайс-листа в таблицу');
+  }
+
+  const stats = Object.assign({}, written, { skipped: skipped });
+
+  logInfo(`✅ Прайс-лист ${supplierName}: новых ${stats.created}, обновлено ${stats.updated}, ` +
+    `без изменений ${stats.unchanged}, пропущено ${stats.skipped}`);
+
+  return stats;
+}
+
+/**
+ * СТРОКА ПРАЙСА → ЗНАЧЕНИЯ ПО КЛЮЧАМ IMAGES_COLUMNS (только сопоставленные и непустые)
+ */
+function readPriceListRow(values, headers, mapping) {
+  const row = {};
+
+  PRICE_LIST_FIELDS.forEach(f => {
+    if (!mapping[f.field]) return;
+
+    let value = String(values[headers.indexOf(mapping[f.field])] || '').trim();
+
+    if (f.field === 'PRICE') {
+      value = normalizeSupplierPrice(value);
+    } else if (f.field === 'STOCK') {
+      value = normalizePriceListStock(value);
+    } else if (f.field === 'SUPPLIER_IMAGES') {
+      // В прайсах ссылки разделяют запятой, точкой с запятой или переносом строки
+      value = value.split(/[\s,;]+/).filter(url => /^https?:\/\//i.test(url)).join('\n');
+    }
+
+    if (value) {
+      row[f.field] = value;
+    }
+  });
+
+  return row;
+}
+
+/**
+ * СТРОКА ПРАЙСА → КАРТОЧКА ДЛЯ writeFullProductData (PRODUCT_NAME → productName)
+ */
+function priceListRowToProductData(priceRow) {
+  const productData = {};
+
+  Object.keys(priceRow).forEach(field => {
+    const property = field.toLowerCase().replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+    productData[property] = priceRow[field];
+  });
+
+  return productData;
+}
+
+/**
+ * ОСТАТОК ИЗ ПРАЙСА → СТАТУС НАЛИЧИЯ, КАК У ПАРСЕРА И ФИДОВ
+ *
+ * "5", ">10", "20 шт" - в наличии, "0" - нет; текст - по PRICE_LIST_STOCK_RULE.
+ * Нераспознанное значение не записывается (старое не затирается)
+ */
+function normalizePriceListStock(value) {
+  const count = value.replace(/\s/g, '').match(/^[<>≥+]?(\d+(?:[.,]\d+)?)(?:шт\.?)?\+?$/i);
+  const stock = count
+    ? getFeedOfferStock('', count[1].replace(',', '.'))
+    : extractStockByRule(value, PRICE_LIST_STOCK_RULE);
+
+  return stock === 'Уточняйте' ? '' : stock;
+}
+
+/**
+ * ЗНАЧЕНИЯ СТРОК ЛИСТА "ОБРАБОТКА ИЗОБРАЖЕНИЙ": артикул → значения строки
+ */
+function getImagesValuesByArticle() {
+  const data = getImagesSheet().getDataRange().getValues();
+  const rows = {};
+
+  for (let i = 1; i < data.length; i++) {
+    const article = String(data[i][IMAGES_COLUMNS.ARTICLE - 1]).trim();
+    if (article && !rows[article]) {
+      rows[article] = data[i];
+    }
+  }
+
+  return rows;
+}
+
+// =============================================================================
+// ЧТЕНИЕ ФАЙЛА ИЗ DRIVE
+// =============================================================================
+
+/**
+ * ПРАЙС-ЛИСТ ИЗ DRIVE → ТАБЛИЦА
+ *
+ * @param {string} fileRef - Ссылка на файл или ID
+ * @returns {Object} { fileName, headers: [..], rows: [[..], ..] }
+ */
+function readPriceListFile(fileRef) {
+  const fileId = extractDriveFileId(fileRef);
+  if (!fileId) {
+    throw new Error('Укажите ссылку на файл в Google Drive или его ID');
+  }
+
+  const file = DriveApp.getFileById(fileId);
+  const mimeType = file.getMimeType();
+  let values;
+
+  if (mimeType === MimeType.GOOGLE_SHEETS) {
+    values = readSpreadsheetValues(fileId);
+  } else if (mimeType === MimeType.MICROSOFT_EXCEL || mimeType === MimeType.MICROSOFT_EXCEL_LEGACY) {
+    values = readExcelValues(file);
+  } else if (mimeType === MimeType.CSV || mimeType === MimeType.PLAIN_TEXT || /\.csv$/i.test(file.getName())) {
+    values = parsePriceListCsv(file.getBlob());
+  } else {
+    throw new Error(`Формат ${mimeType} не поддерживается: нужен CSV, XLSX или Google Таблица`);
+  }
+
+  // Над таблицей в прайсах часто есть шапка с реквизитами: заголовки - первая строка с 2+ значениями
+  const headerIndex = values.findIndex(row => row.filter(cell => String(cell).trim()).length >= 2);
+  if (headerIndex === -1) {
+    throw new Error(`В файле ${file.getName()} не найдена таблица`);
+  }
+
+  const headers = values[headerIndex].map((cell, i) => String(cell).trim() || `Колонка ${i + 1}`);
+  const rows = values.slice(headerIndex + 1)
+    .filter(row => row.some(cell => String(cell).trim()))
+    .map(row => row.map(cell => String(cell)));
+
+  return { fileName: file.getName(), headers: headers, rows: rows };
+}
+
+function extractDriveFileId(fileRef) {
+  const ref = String(fileRef || '').trim();
+  const match = ref.match(/\/d\/([\w-]{20,})/) || ref.match(/[?&]id=([\w-]{20,})/);
+
+  if (match) return match[1];
+  return /^[\w-]{20,}$/.test(ref) ? ref : '';
+}
+
+function readSpreadsheetValues(spreadsheetId) {
+  return SpreadsheetApp.openById(spreadsheetId).getSheets()[0].getDataRange().getDisplayValues();
+}
+
+/**
+ * XLSX: конвертация во временную Google Таблицу (удаляется после чтения)
+ */
+function readExcelValues(file) {
+  const converted = Drive.Files.create(
+    { name: `[временный] ${file.getName()}`, mimeType: MimeType.GOOGLE_SHEETS },
+    file.getBlob()
+  );
+
+  try {
+    return readSpreadsheetValues(converted.id);
+  } finally {
+    DriveApp.getFileById(converted.id).setTrashed(true);
+  }
+}
+
+/**
+ * CSV: кодировка UTF-8 или Windows-1251, разделитель ";" или ","
+ */
+function parsePriceListCsv(blob) {
+  let text = blob.getDataAsString('UTF-8');
+
+  if (text.includes('\uFFFD')) {
+    text = blob.getDataAsString('windows-1251');
+  }
+
+  text = text.replace(/^\uFEFF/, '');
+
+  const firstLine = text.split(/\r?\n/)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  return Utilities.parseCsv(text, delimiter);
+}
@@ -0,0 +1,968 @@
+/**
+ * ========================================
+ * МОДУЛЬ 13: ПОИСК ДУБЛЕЙ ИЗОБРАЖЕНИЙ (ПЕРЦЕПТИВНЫЙ ХЕШ)
+ * ========================================
+ *
+ * Одно и то же фото приходит из InSales, от Veber и от 4glaza под разными URL.
+ * Для каждого фото считаются aHash и dHash по уменьшенной яркостной копии;
+ * фото с близкими хешами объединяются в группу, из группы остается копия
+ * с наибольшим разрешением
+ *
+ * Декодеры написаны на чистом JS (в Apps Script нет работы с пикселями):
+ * - JPEG (baseline и progressive): читаются только DC-коэффициенты яркости -
+ *   это готовая копия изображения в масштабе 1:8, обратное DCT не нужно
+ * - PNG: inflate + фильтры строк, альфа-канал накладывается на белый фон
+ * WebP и GIF не декодируются - такие фото всегда считаются уникальными
+ */
+
+// =============================================================================
+// КОНСТАНТЫ
+// =============================================================================
+
+const IMAGE_DEDUP_SETTINGS = {
+  DHASH_MAX_DISTANCE: 10,          // Допустимое отличие dHash, бит из 64
+  AHASH_MAX_DISTANCE: 12,          // Допустимое отличие aHash, бит из 64
+  MAX_DECODE_BYTES: 8 * 1024 * 1024, // Файлы больше не декодируются
+  CACHE_PREFIX: 'imghash_',
+  CACHE_TTL_SECONDS: 21600         // 6 часов - максимум CacheService
+};
+
+// =============================================================================
+// ГРУППИРОВКА ДУБЛЕЙ
+// =============================================================================
+
+/**
+ * ПОИСК ПОЧТИ ОДИНАКОВЫХ ФОТО
+ *
+ * @param {Array<string>} urls - URL фото (могут повторяться между источниками)
+ * @returns {Array<Object>} Для каждого URL: { url, width, height, hashed,
+ *                          duplicateOf: индекс оставляемой копии или -1 }
+ */
+function findNearDuplicateImages(urls) {
+  const fingerprints = urls.map(url => getImageFingerprint(url));
+  const parent = urls.map((url, i) => i);
+
+  const root = i => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  for (let i = 0; i < urls.length; i++) {
+    for (let j = i + 1; j < urls.length; j++) {
+      if (urls[i] === urls[j] || areNearDuplicates(fingerprints[i], fingerprints[j])) {
+        parent[root(j)] = root(i);
+      }
+    }
+  }
+
+  // Из группы остается копия с наибольшим разрешением, затем с большим файлом
+  const keepers = {};
+  urls.forEach((url, i) => {
+    const group = root(i);
+    const current = keepers[group];
+
+    if (current === undefined || compareImageQuality(fingerprints[i], fingerprints[current]) > 0) {
+      keepers[group] = i;
+    }
+  });
+
+  const result = urls.map((url, i) => {
+    const keeper = keepers[root(i)];
+    const fingerprint = fingerprints[i] || {};
+
+    return {
+      url: url,
+      width: fingerprint.width || 0,
+      height: fingerprint.height || 0,
+      hashed: !!fingerprint.dHash,
+      duplicateOf: keeper === i ? -1 : keeper
+    };
+  });
+
+  const duplicates = result.filter(item => item.duplicateOf !== -1).length;
+  if (duplicates > 0) {
+    logInfo(`🧬 Найдено дублей: ${duplicates} из ${urls.length} фото`);
+  }
+
+  return result;
+}
+
+/**
+ * СПИСОК БЕЗ ДУБЛЕЙ: на месте первой копии из группы - лучшая копия
+ *
+ * @param {Array<string>} urls - URL фото
+ * @returns {Array<string>} URL без повторов
+ */
+function removeNearDuplicateImages(urls) {
+  const items = findNearDuplicateImages(urls);
+  const added = new Set();
+  const result = [];
+
+  items.forEach((item, i) => {
+    const keeper = item.duplicateOf === -1 ? i : item.duplicateOf;
+    if (!added.has(keeper)) {
+      added.add(keeper);
+      result.push(urls[keeper]);
+    }
+  });
+
+  return result;
+}
+
+function areNearDuplicates(a, b) {
+  if (!a || !b || !a.dHash || !b.dHash) {
+    return false;
+  }
+
+  return hammingDistance(a.dHash, b.dHash) <= IMAGE_DEDUP_SETTINGS.DHASH_MAX_DISTANCE &&
+    hammingDistance(a.aHash, b.aHash) <= IMAGE_DEDUP_SETTINGS.AHASH_MAX_DISTANCE;
+}
+
+function compareImageQuality(a, b) {
+  const pixels = f => f ? f.width * f.height : 0;
+  const bytes = f => f ? f.bytes : 0;
+
+  return (pixels(a) - pixels(b)) || (bytes(a) - bytes(b));
+}
+
+// =============================================================================
+// ОТПЕЧАТОК ИЗОБРАЖЕНИЯ
+// =============================================================================
+
+/**
+ * ОТПЕЧАТОК ФОТО ПО URL (с кешем на 6 часов)
+ *
+ * @param {string} url - URL изображения
+ * @returns {Object|null} { width, height, bytes, format, aHash, dHash } - хеши пустые,
+ *                        если формат не декодируется; null, если фото не загрузилось
+ */
+function getImageFingerprint(url) {
+  const cache = CacheService.getScriptCache();
+  const cacheKey = IMAGE_DEDUP_SETTINGS.CACHE_PREFIX + Utilities.base64EncodeWebSafe(
+    Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, url));
+
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    return JSON.parse(cached);
+  }
+
+  try {
+    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
+    if (response.getResponseCode() !== 200) {
+      logWarning(`Фото не загрузилось (${response.getResponseCode()}): ${url}`);
+      return null;
+    }
+
+    const fingerprint = computeImageFingerprint(response.getBlob().getBytes());
+    if (fingerprint) {
+      cache.put(cacheKey, JSON.stringify(fingerprint), IMAGE_DEDUP_SETTINGS.CACHE_TTL_SECONDS);
+    }
+
+    return fingerprint;
+
+  } catch (error) {
+    logWarning(`Не удалось посчитать хеш ${url}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * ОТПЕЧАТОК ПО БАЙТАМ ФАЙЛА
+ *
+ * @param {Array<number>} bytes - Байты файла (blob.getBytes())
+ * @returns {Object|null} { width, height, bytes, format, aHash, dHash }
+ */
+function computeImageFingerprint(bytes) {
+  const probe = probeImageBytes(bytes);
+  if (!probe) {
+    return null;
+  }
+
+  const fingerprint = {
+    width: probe.width,
+    height: probe.height,
+    bytes: probe.bytes,
+    format: probe.format,
+    aHash: '',
+    dHash: ''
+  };
+
+  if (bytes.length > IMAGE_DEDUP_SETTINGS.MAX_DECODE_BYTES) {
+    return fingerprint;
+  }
+
+  let gray = null;
+  try {
+    const data = Uint8Array.from(bytes, b => b & 0xFF);
+
+    if (probe.format === 'jpeg') {
+      gray = decodeJpegLuminance(data);
+    } else if (probe.format === 'png') {
+      gray = decodePngLuminance(data);
+    }
+  } catch (error) {
+    logWarning(`Не удалось декодировать ${probe.format}: ${error.message}`);
+  }
+
+  if (gray) {
+    fingerprint.aHash = computeAverageHash(gray);
+    fingerprint.dHash = computeDifferenceHash(gray);
+  }
+
+  return fingerprint;
+}
+
+// =============================================================================
+// ХЕШИ
+// =============================================================================
+
+/**
+ * aHash: 8x8, бит = пиксель ярче среднего
+ *
+ * @param {Object} gray - { width, height, pixels } яркость 0..255
+ * @returns {string} 16 hex-символов
+ */
+function computeAverageHash(gray) {
+  const pixels = resizeLuminance(gray, 8, 8);
+  const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+
+  return bitsToHex(Array.from(pixels, value => value > mean));
+}
+
+/**
+ * dHash: 9x8, бит = пиксель ярче соседа справа
+ */
+function computeDifferenceHash(gray) {
+  const pixels = resizeLuminance(gray, 9, 8);
+  const bits = [];
+
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1]);
+    }
+  }
+
+  return bitsToHex(bits);
+}
+
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+function hammingDistance(hexA, hexB) {
+  let distance = 0;
+
+  for (let i = 0; i < hexA.length; i++) {
+    let diff = parseInt(hexA[i], 16) ^ parseInt(hexB[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+
+  return distance;
+}
+
+/**
+ * УМЕНЬШЕНИЕ УСРЕДНЕНИЕМ ПО ОБЛАСТИ
+ *
+ * @returns {Float64Array} width * height значений яркости
+ */
+function resizeLuminance(gray, width, height) {
+  const result = new Float64Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * gray.height / height);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * gray.height / height));
+
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * gray.width / width);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * gray.width / width));
+      let sum = 0;
+
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          sum += gray.pixels[sy * gray.width + sx];
+        }
+      }
+
+      result[y * width + x] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+
+  return result;
+}
+
+// =============================================================================
+// JPEG: ЯРКОСТЬ В МАСШТАБЕ 1:8 ПО DC-КОЭФФИЦИЕНТАМ
+// =============================================================================
+
+/**
+ * DC-КОЭФФИЦИЕНТЫ ПЕРВОЙ КОМПОНЕНТЫ (Y)
+ *
+ * Baseline: декодируются все блоки, AC-коэффициенты пропускаются.
+ * Progressive: достаточно первого DC-скана
+ *
+ * @param {Uint8Array} data - Файл JPEG
+ * @returns {Object|null} { width, height, pixels } - один пиксель на блок 8x8
+ */
+function decodeJpegLuminance(data) {
+  const quantTables = {};
+  const huffmanTables = {};
+  let frame = null;
+  let restartInterval = 0;
+  let offset = 2;
+
+  while (offset + 4 <= data.length) {
+    if (data[offset] !== 0xFF) {
+      offset++;
+      continue;
+    }
+
+    const marker = data[offset + 1];
+    if (marker === 0xFF) { offset++; continue; }
+    if (marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) { offset += 2; continue; }
+    if (marker === 0xD9) break;
+
+    const length = (data[offset + 2] << 8) | data[offset + 3];
+    const segment = offset + 4;
+    const segmentEnd = offset + 2 + length;
+
+    if (marker === 0xDB) {
+      // DQT: нужен только первый (DC) коэффициент каждой таблицы
+      for (let p = segment; p < segmentEnd;) {
+        const precision = data[p] >> 4;
+        const id = data[p] & 0x0F;
+        quantTables[id] = precision ? (data[p + 1] << 8) | data[p + 2] : data[p + 1];
+        p += 1 + 64 * (precision ? 2 : 1);
+      }
+    } else if (marker === 0xC4) {
+      for (let p = segment; p < segmentEnd;) {
+        const tableClass = data[p] >> 4;
+        const id = data[p] & 0x0F;
+        const counts = data.subarray(p + 1, p + 17);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+
+        huffmanTables[`${tableClass}_${id}`] = buildJpegHuffmanTable(counts, data.subarray(p + 17, p + 17 + total));
+        p += 17 + total;
+      }
+    } else if (marker === 0xDD) {
+      restartInterval = (data[segment] << 8) | data[segment + 1];
+    } else if (marker === 0xC0 || marker === 0xC1 || marker === 0xC2) {
+      frame = {
+        progressive: marker === 0xC2,
+        height: (data[segment + 1] << 8) | data[segment + 2],
+        width: (data[segment + 3] << 8) | data[segment + 4],
+        components: []
+      };
+
+      for (let c = 0; c < data[segment + 5]; c++) {
+        const p = segment + 6 + c * 3;
+        frame.components.push({ id: data[p], h: data[p + 1] >> 4, v: data[p + 1] & 0x0F, tq: data[p + 2] });
+      }
+    } else if (marker >= 0xC3 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return null; // lossless / арифметическое кодирование
+    } else if (marker === 0xDA) {
+      if (!frame) return null;
+
+      const scan = readJpegScanHeader(data, segment, frame);
+      const result = decodeJpegScan(data, segmentEnd, frame, scan, huffmanTables, restartInterval);
+
+      if (result.luminance) {
+        const quant = quantTables[frame.components[0].tq] || 1;
+        return jpegDcToLuminance(result.luminance, frame, quant);
+      }
+
+      offset = result.end;
+      continue;
+    }
+
+    offset = segmentEnd;
+  }
+
+  return null;
+}
+
+function readJpegScanHeader(data, segment, frame) {
+  const count = data[segment];
+  const components = [];
+
+  for (let i = 0; i < count; i++) {
+    const id = data[segment + 1 + i * 2];
+    const tables = data[segment + 2 + i * 2];
+    const index = frame.components.findIndex(c => c.id === id);
+
+    components.push({ index: index, dc: tables >> 4, ac: tables & 0x0F });
+  }
+
+  const p = segment + 1 + count * 2;
+  return {
+    components: components,
+    spectralStart: data[p],
+    approximationHigh: data[p + 2] >> 4,
+    approximationLow: data[p + 2] & 0x0F
+  };
+}
+
+/**
+ * ДЕКОДИРОВАНИЕ ОДНОГО СКАНА
+ *
+ * @returns {Object} { luminance: Int32Array DC яркости по блокам или null, end: позиция после скана }
+ */
+function decodeJpegScan(data, start, frame, scan, huffmanTables, restartInterval) {
+  const maxH = Math.max(...frame.components.map(c => c.h));
+  const maxV = Math.max(...frame.components.map(c => c.v));
+  const mcusX = Math.ceil(frame.width / (8 * maxH));
+  const mcusY = Math.ceil(frame.height / (8 * maxV));
+  const luma = frame.components[0];
+  const lumaBlocksPerLine = mcusX * luma.h;
+
+  const hasLuma = scan.components.some(c => c.index === 0);
+  const isFirstDcScan = scan.spectralStart === 0 && scan.approximationHigh === 0;
+
+  // Скан без DC яркости (AC progressive, уточняющий проход, цветность) пропускаем
+  if (!hasLuma || (frame.progressive && !isFirstDcScan)) {
+    return { luminance: null, end: skipJpegEntropyData(data, start) };
+  }
+
+  const reader = createJpegBitReader(data, start);
+  const luminance = new Int32Array(lumaBlocksPerLine * mcusY * luma.v);
+  const predictors = scan.components.map(() => 0);
+
+  const decodeBlock = (scanComponent, componentIndex, row, col) => {
+    const dcTable = huffmanTables[`0_${scanComponent.dc}`];
+    const size = reader.decode(dcTable);
+    const diff = size ? reader.receiveExtend(size) : 0;
+
+    predictors[componentIndex] += diff;
+
+    if (!frame.progressive) {
+      skipJpegAcCoefficients(reader, huffmanTables[`1_${scanComponent.ac}`]);
+    }
+
+    if (scanComponent.index === 0 && row >= 0) {
+      luminance[row * lumaBlocksPerLine + col] = predictors[componentIndex] << scan.approximationLow;
+    }
+  };
+
+  const single = scan.components.length === 1;
+  const totalUnits = single ?
+    Math.ceil(Math.ceil(frame.width * luma.h / maxH) / 8) * Math.ceil(Math.ceil(frame.height * luma.v / maxV) / 8) :
+    mcusX * mcusY;
+  const unitsPerLine = single ? Math.ceil(Math.ceil(frame.width * luma.h / maxH) / 8) : mcusX;
+
+  for (let unit = 0; unit < totalUnits; unit++) {
+    if (restartInterval && unit > 0 && unit % restartInterval === 0) {
+      reader.restart();
+      predictors.fill(0);
+    }
+
+    if (single) {
+      // Неперемежающийся скан: блоки компоненты идут построчно без дополнения до MCU
+      decodeBlock(scan.components[0], 0, Math.floor(unit / unitsPerLine), unit % unitsPerLine);
+      continue;
+    }
+
+    const mcuRow = Math.floor(unit / mcusX);
+    const mcuCol = unit % mcusX;
+
+    scan.components.forEach((scanComponent, componentIndex) => {
+      const component = frame.components[scanComponent.index];
+
+      for (let by = 0; by < component.v; by++) {
+        for (let bx = 0; bx < component.h; bx++) {
+          decodeBlock(scanComponent, componentIndex, mcuRow * component.v + by, mcuCol * component.h + bx);
+        }
+      }
+    });
+  }
+
+  return { luminance: luminance, end: reader.position() };
+}
+
+function jpegDcToLuminance(dc, frame, quant) {
+  const maxH = Math.max(...frame.components.map(c => c.h));
+  const maxV = Math.max(...frame.components.map(c => c.v));
+  const luma = frame.components[0];
+  const blocksPerLine = Math.ceil(frame.width / (8 * maxH)) * luma.h;
+
+  // Видимая часть без блоков дополнения справа и снизу
+  const width = Math.max(1, Math.ceil(Math.ceil(frame.width * luma.h / maxH) / 8));
+  const height = Math.max(1, Math.ceil(Math.ceil(frame.height * luma.v / maxV) / 8));
+  const pixels = new Float64Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Среднее блока = DC / 8 + 128 (сдвиг уровня JPEG)
+      pixels[y * width + x] = Math.min(255, Math.max(0, dc[y * blocksPerLine + x] * quant / 8 + 128));
+    }
+  }
+
+  return { width: width, height: height, pixels: pixels };
+}
+
+/**
+ * ТАБЛИЦА ХАФФМАНА: коды по длинам (1..16 бит), как в приложении C стандарта JPEG
+ */
+function buildJpegHuffmanTable(counts, symbols) {
+  const maxCode = new Int32Array(18).fill(-1);
+  const valueOffset = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+
+  for (let length = 1; length <= 16; length++) {
+    valueOffset[length] = k - code;
+    code += counts[length - 1];
+    k += counts[length - 1];
+    maxCode[length] = counts[length - 1] ? code - 1 : -1;
+    code <<= 1;
+  }
+
+  return { maxCode: maxCode, valueOffset: valueOffset, symbols: symbols };
+}
+
+function skipJpegAcCoefficients(reader, acTable) {
+  for (let k = 1; k < 64;) {
+    const rs = reader.decode(acTable);
+    const run = rs >> 4;
+    const size = rs & 0x0F;
+
+    if (size === 0) {
+      if (run !== 15) break;
+      k += 16;
+      continue;
+    }
+
+    reader.receive(size);
+    k += run + 1;
+  }
+}
+
+/**
+ * ЧТЕНИЕ БИТОВ ЭНТРОПИЙНЫХ ДАННЫХ (байт 0x00 после 0xFF пропускается)
+ */
+function createJpegBitReader(data, start) {
+  let offset = start;
+  let buffer = 0;
+  let bits = 0;
+
+  const readBit = () => {
+    if (bits === 0) {
+      if (offset >= data.length) return 0;
+
+      buffer = data[offset];
+      if (buffer === 0xFF) {
+        const next = data[offset + 1];
+        if (next === 0x00) {
+          offset += 2;
+        } else {
+          return 0; // Маркер: данные скана закончились
+        }
+      } else {
+        offset++;
+      }
+      bits = 8;
+    }
+
+    bits--;
+    return (buffer >> bits) & 1;
+  };
+
+  return {
+    decode(table) {
+      if (!table) throw new Error('нет таблицы Хаффмана');
+
+      let code = 0;
+      for (let length = 1; length <= 16; length++) {
+        code = (code << 1) | readBit();
+        if (code <= table.maxCode[length]) {
+          return table.symbols[code + table.valueOffset[length]];
+        }
+      }
+      throw new Error('неверный код Хаффмана');
+    },
+
+    receive(length) {
+      let value = 0;
+      for (let i = 0; i < length; i++) value = (value << 1) | readBit();
+      return value;
+    },
+
+    receiveExtend(length) {
+      const value = this.receive(length);
+      return value < (1 << (length - 1)) ? value - (1 << length) + 1 : value;
+    },
+
+    // Переход за маркер RSTn
+    restart() {
+      bits = 0;
+      while (offset + 1 < data.length && !(data[offset] === 0xFF && data[offset + 1] >= 0xD0 && data[offset + 1] <= 0xD7)) {
+        offset++;
+      }
+      offset += 2;
+    },
+
+    position() {
+      return skipJpegEntropyData(data, offset);
+    }
+  };
+}
+
+/**
+ * ПОЗИЦИЯ СЛЕДУЮЩЕГО МАРКЕРА ПОСЛЕ ЭНТРОПИЙНЫХ ДАННЫХ (RSTn - часть данных)
+ */
+function skipJpegEntropyData(data, start) {
+  let offset = start;
+
+  while (offset + 1 < data.length) {
+    if (data[offset] === 0xFF) {
+      const next = data[offset + 1];
+      if (next !== 0x00 && !(next >= 0xD0 && next <= 0xD7) && next !== 0xFF) {
+        return offset;
+      }
+    }
+    offset++;
+  }
+
+  return data.length;
+}
+
+// =============================================================================
+// PNG
+// =============================================================================
+
+/**
+ * PNG → ЯРКОСТЬ (прозрачные области считаются белыми)
+ *
+ * @param {Uint8Array} data - Файл PNG
+ * @returns {Object|null} { width, height, pixels } или null для interlaced PNG
+ */
+function decodePngLuminance(data) {
+  const image = decodePngRgba(data);
+  if (!image) {
+    return null;
+  }
+
+  const rgba = image.rgba;
+  const pixels = new Float64Array(image.width * image.height);
+
+  for (let i = 0; i < pixels.length; i++) {
+    const luminance = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+    const alpha = rgba[i * 4 + 3];
+    pixels[i] = (luminance * alpha + 255 * (255 - alpha)) / 255;
+  }
+
+  return { width: image.width, height: image.height, pixels: pixels };
+}
+
+/**
+ * PNG → RGBA ПО 8 БИТ НА КАНАЛ
+ *
+ * @param {Uint8Array} data - Файл PNG
+ * @returns {Object|null} { width, height, rgba } или null для interlaced PNG
+ */
+function decodePngRgba(data) {
+  const chunks = [];
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  let offset = 8;
+
+  while (offset + 8 <= data.length) {
+    const length = ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
+    const type = String.fromCharCode(data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]);
+    const body = data.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      header = {
+        width: ((body[0] << 24) | (body[1] << 16) | (body[2] << 8) | body[3]) >>> 0,
+        height: ((body[4] << 24) | (body[5] << 16) | (body[6] << 8) | body[7]) >>> 0,
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      chunks.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += 12 + length;
+  }
+
+  if (!header || header.interlace || chunks.length === 0) {
+    return null;
+  }
+
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+  if (!channels) return null;
+
+  const compressed = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let position = 0;
+  chunks.forEach(chunk => {
+    compressed.set(chunk, position);
+    position += chunk.length;
+  });
+
+  const bitsPerPixel = channels * header.bitDepth;
+  const stride = Math.ceil(header.width * bitsPerPixel / 8);
+  const raw = inflateZlib(compressed, header.height * (stride + 1));
+  const rows = unfilterPngRows(raw, header.height, stride, Math.max(1, bitsPerPixel >> 3));
+
+  const rgba = new Uint8ClampedArray(header.width * header.height * 4);
+  const sample = (row, index) => {
+    // Значение канала, приведенное к 0..255
+    if (header.bitDepth === 8) return row[index];
+    if (header.bitDepth === 16) return row[index * 2];
+
+    const perByte = 8 / header.bitDepth;
+    const shift = 8 - header.bitDepth * (index % perByte + 1);
+    const value = (row[Math.floor(index / perByte)] >> shift) & ((1 << header.bitDepth) - 1);
+    return header.colorType === 3 ? value : value * 255 / ((1 << header.bitDepth) - 1);
+  };
+
+  for (let y = 0; y < header.height; y++) {
+    const row = rows.subarray(y * stride, (y + 1) * stride);
+
+    for (let x = 0; x < header.width; x++) {
+      let r, g, b, alpha = 255;
+      const base = x * channels;
+
+      if (header.colorType === 3) {
+        const index = sample(row, x);
+        r = palette ? palette[index * 3] : 0;
+        g = palette ? palette[index * 3 + 1] : 0;
+        b = palette ? palette[index * 3 + 2] : 0;
+        alpha = transparency && index < transparency.length ? transparency[index] : 255;
+      } else if (channels >= 3) {
+        r = sample(row, base);
+        g = sample(row, base + 1);
+        b = sample(row, base + 2);
+        if (channels === 4) alpha = sample(row, base + 3);
+      } else {
+        r = g = b = sample(row, base);
+        if (channels === 2) alpha = sample(row, base + 1);
+      }
+
+      const target = (y * header.width + x) * 4;
+      rgba[target] = r;
+      rgba[target + 1] = g;
+      rgba[target + 2] = b;
+      rgba[target + 3] = alpha;
+    }
+  }
+
+  return { width: header.width, height: header.height, rgba: rgba };
+}
+
+/**
+ * СНЯТИЕ ФИЛЬТРОВ СТРОК PNG (None, Sub, Up, Average, Paeth)
+ */
+function unfilterPngRows(raw, height, stride, bytesPerPixel) {
+  const out = new Uint8Array(height * stride);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const source = y * (stride + 1) + 1;
+    const target = y * stride;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? out[target + x - bytesPerPixel] : 0;
+      const up = y > 0 ? out[target - stride + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? out[target - stride + x - bytesPerPixel] : 0;
+      let predictor = 0;
+
+      if (filter === 1) {
+        predictor = left;
+      } else if (filter === 2) {
+        predictor = up;
+      } else if (filter === 3) {
+        predictor = (left + up) >> 1;
+      } else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        predictor = pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+      }
+
+      out[target + x] = (raw[source + x] + predictor) & 0xFF;
+    }
+  }
+
+  return out;
+}
+
+// =============================================================================
+// INFLATE (RFC 1950 / 1951)
+// =============================================================================
+
+const INFLATE_LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const INFLATE_LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const INFLATE_DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const INFLATE_DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const INFLATE_CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * РАСПАКОВКА ZLIB-ПОТОКА (IDAT в PNG)
+ *
+ * @param {Uint8Array} data - Сжатые данные с 2-байтовым заголовком zlib
+ * @param {number} expectedSize - Ожидаемый размер результата (для выделения буфера)
+ * @returns {Uint8Array} Распакованные данные
+ */
+function inflateZlib(data, expectedSize) {
+  let out = new Uint8Array(expectedSize || data.length * 4);
+  let outLength = 0;
+  let offset = 2; // CMF + FLG
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const ensure = extra => {
+    if (outLength + extra <= out.length) return;
+    const grown = new Uint8Array(Math.max(out.length * 2, outLength + extra));
+    grown.set(out.subarray(0, outLength));
+    out = grown;
+  };
+
+  const bits = count => {
+    while (bitCount < count) {
+      if (offset >= data.length) throw new Error('поток deflate обрезан');
+      bitBuffer |= data[offset++] << bitCount;
+      bitCount += 8;
+    }
+    const value = bitBuffer & ((1 << count) - 1);
+    bitBuffer >>>= count;
+    bitCount -= count;
+    return value;
+  };
+
+  // Канонический код Хаффмана: число кодов каждой длины + символы по порядку
+  const buildTable = lengths => {
+    const counts = new Uint16Array(16);
+    lengths.forEach(length => counts[length]++);
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(16);
+    for (let i = 1; i < 16; i++) offsets[i] = offsets[i - 1] + counts[i - 1];
+
+    const symbols = new Uint16Array(lengths.length);
+    lengths.forEach((length, symbol) => {
+      if (length) symbols[offsets[length]++] = symbol;
+    });
+
+    return { counts: counts, symbols: symbols };
+  };
+
+  const decode = table => {
+    let code = 0, first = 0, index = 0;
+    for (let length = 1; length < 16; length++) {
+      code |= bits(1);
+      const count = table.counts[length];
+      if (code - count < first) return table.symbols[index + (code - first)];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error('неверный код deflate');
+  };
+
+  let fixedTables = null;
+  let last = 0;
+
+  while (!last) {
+    last = bits(1);
+    const type = bits(2);
+
+    if (type === 0) {
+      bitBuffer = 0;
+      bitCount = 0;
+      const length = data[offset] | (data[offset + 1] << 8);
+      offset += 4;
+      ensure(length);
+      out.set(data.subarray(offset, offset + length), outLength);
+      outLength += length;
+      offset += length;
+      continue;
+    }
+
+    let literalTable, distanceTable;
+
+    if (type === 1) {
+      if (!fixedTables) {
+        const lengths = new Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+        fixedTables = { literal: buildTable(lengths), distance: buildTable(new Array(30).fill(5)) };
+      }
+      literalTable = fixedTables.literal;
+      distanceTable = fixedTables.distance;
+    } else if (type === 2) {
+      const literalCount = bits(5) + 257;
+      const distanceCount = bits(5) + 1;
+      const codeLengthCount = bits(4) + 4;
+      const codeLengths = new Array(19).fill(0);
+
+      for (let i = 0; i < codeLengthCount; i++) {
+        codeLengths[INFLATE_CODE_LENGTH_ORDER[i]] = bits(3);
+      }
+
+      const codeLengthTable = buildTable(codeLengths);
+      const lengths = [];
+
+      while (lengths.length < literalCount + distanceCount) {
+        const symbol = decode(codeLengthTable);
+
+        if (symbol < 16) {
+          lengths.push(symbol);
+        } else if (symbol === 16) {
+          const previous = lengths[lengths.length - 1];
+          for (let repeat = 3 + bits(2); repeat > 0; repeat--) lengths.push(previous);
+        } else {
+          for (let repeat = symbol === 17 ? 3 + bits(3) : 11 + bits(7); repeat > 0; repeat--) lengths.push(0);
+        }
+      }
+
+      literalTable = buildTable(lengths.slice(0, literalCount));
+      distanceTable = buildTable(lengths.slice(literalCount));
+    } else {
+      throw new Error('неверный тип блока deflate');
+    }
+
+    for (;;) {
+      const symbol = decode(literalTable);
+
+      if (symbol < 256) {
+        ensure(1);
+        out[outLength++] = symbol;
+        continue;
+      }
+
+      if (symbol === 256) break;
+
+      const lengthIndex = symbol - 257;
+      const length = INFLATE_LENGTH_BASE[lengthIndex] + bits(INFLATE_LENGTH_EXTRA[lengthIndex]);
+      const distanceIndex = decode(distanceTable);
+      const distance = INFLATE_DISTANCE_BASE[distanceIndex] + bits(INFLATE_DISTANCE_EXTRA[distanceIndex]);
+
+      ensure(length);
+      for (let i = 0; i < length; i++, outLength++) {
+        out[outLength] = out[outLength - distance];
+      }
+    }
+  }
+
+  return out.subarray(0, outLength);
+}
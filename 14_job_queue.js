@@ -0,0 +1,557 @@
+/**
+ * ========================================
+ * МОДУЛЬ 14: ФОНОВАЯ ОЧЕРЕДЬ ЗАДАЧ
+ * ========================================
+ *
+ * Обработка фото, парсинг поставщиков, генерация описаний и создание товаров
+ * в InSales не укладываются в 6 минут выполнения Apps Script. Вместо одного
+ * длинного цикла товары ставятся в очередь (скрытый лист "Очередь задач"),
+ * а ежеминутный триггер обрабатывает их порциями
+ *
+ * После каждого товара статус строки сохраняется - это контрольная точка.
+ * Если выполнение оборвалось посреди товара, строка остается "В работе"
+ * и при следующем запуске повторяется (не больше MAX_ATTEMPTS раз)
+ */
+
+// =============================================================================
+// КОНСТАНТЫ
+// =============================================================================
+
+const JOB_QUEUE_SETTINGS = {
+  HANDLER: 'runJobQueue',          // Функция, которую вызывает триггер
+  TRIGGER_EVERY_MINUTES: 1,        // Как часто срабатывает триггер
+  MAX_RUNTIME_MS: 4 * 60 * 1000,   // Позже новый товар не начинаем - запас до лимита 6 мин
+  MAX_ATTEMPTS: 3,                 // Запусков строки, оборванных лимитом времени
+  KEEP_FINISHED_HOURS: 24,         // Сколько хранить строки завершенных задач
+  STATUS_LOCK_MS: 10000            // Ожидание блокировки смены статусов (отмена, захват строки)
+};
+
+/**
+ * ТИПЫ ЗАДАЧ
+ *
+ * run(article, payload) выполняет один товар и возвращает результат (JSON)
+ * или { skipped: true, reason }. Исключение - ошибка строки
+ * onFailure(article) - строка не выполнена (ошибка или лимит попыток)
+ * onCancel(article) - строка отменена из меню до запуска
+ * showResults(results) - показ результатов завершенной задачи
+ * pauseMs - пауза после товара (лимиты API)
+ * paidApi - задача тратит платные API: перед каждым товаром проверяются лимиты расходов
+ */
+const JOB_TYPES = {
+  IMAGE_PROCESSING: {
+    label: 'Обработка изображений',
+    run: (article, payload) => processProductImagesByArticle(article, payload),
+    paidApi: true,
+    onFailure: article => setProcessingStatusSimple(article, STATUS_VALUES.PROCESSING.ERROR),
+    onCancel: article => setProcessingStatusSimple(article, STATUS_VALUES.PROCESSING.NOT_PROCESSED),
+    showResults: results => showImageProcessingResults(results)
+  },
+
+  SUPPLIER_PARSING: {
+    label: 'Парсинг поставщиков',
+    run: (article, payload) => parseSupplierImagesForArticle(payload.suppliers, article, payload.articles),
+    showResults: results => showImagePreviewDialog([].concat(...results))
+  },
+
+  DESCRIPTIONS: {
+    label: 'Генерация описаний',
+    run: article => generateDescriptionForArticle(article),
+    paidApi: true,
+    pauseMs: 2000
+  },
+
+  INSALES_CREATE: {
+    label: 'Создание товаров в InSales',
+    run: article => createInSalesProductForArticle(article),
+    pauseMs: 2000
+  }
+};
+
+// =============================================================================
+// ПОСТАНОВКА В ОЧЕРЕДЬ
+// =============================================================================
+
+/**
+ * НОВАЯ ФОНОВАЯ ЗАДАЧА
+ *
+ * @param {string} type - Ключ JOB_TYPES
+ * @param {Array<Object>} items - [{ article, payload }] - по строке на товар
+ * @returns {Object} { jobId, count }
+ */
+function enqueueJob(type, items) {
+  if (!JOB_TYPES[type]) {
+    throw new Error(`Неизвестный тип задачи: ${type}`);
+  }
+
+  if (items.length === 0) {
+    throw new Error('Нет товаров для задачи');
+  }
+
+  const jobId = `${type}_${Date.now()}`;
+  const now = new Date();
+  const sheet = getJobQueueSheet();
+
+  const rows = items.map(item => {
+    const row = new Array(Object.keys(JOB_QUEUE_COLUMNS).length).fill('');
+    row[JOB_QUEUE_COLUMNS.JOB_ID - 1] = jobId;
+    row[JOB_QUEUE_COLUMNS.JOB_TYPE - 1] = type;
+    row[JOB_QUEUE_COLUMNS.ARTICLE - 1] = String(item.article).trim();
+    row[JOB_QUEUE_COLUMNS.PAYLOAD - 1] = item.payload ? JSON.stringify(item.payload) : '';
+    row[JOB_QUEUE_COLUMNS.STATUS - 1] = STATUS_VALUES.JOB.PENDING;
+    row[JOB_QUEUE_COLUMNS.ATTEMPTS - 1] = 0;
+    row[JOB_QUEUE_COLUMNS.UPDATED_AT - 1] = now;
+    return row;
+  });
+
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+  ensureJobQueueTrigger();
+
+  logInfo(`⏳ ${JOB_TYPES[type].label}: в очереди ${rows.length} товаров (${jobId})`);
+  return { jobId: jobId, count: rows.length };
+}
+
+/**
+ * СЛУЖЕБНЫЙ ЛИСТ "ОЧЕРЕДЬ ЗАДАЧ" (создается скрытым при первой задаче)
+ */
+function getJobQueueSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(SHEET_NAMES.JOB_QUEUE);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SHEET_NAMES.JOB_QUEUE);
+    sheet.getRange(1, 1, 1, 9).setValues([[
+      'Задача', 'Тип', 'Артикул', 'Параметры', 'Статус', 'Попыток', 'Результат', 'Ошибка', 'Обновлено'
+    ]]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+    logInfo(`Создан служебный лист "${SHEET_NAMES.JOB_QUEUE}"`);
+  }
+
+  return sheet;
+}
+
+// =============================================================================
+// УПРАВЛЕНИЕ ТРИГГЕРОМ
+// =============================================================================
+
+function ensureJobQueueTrigger() {
+  const exists = ScriptApp.getProjectTriggers()
+    .some(trigger => trigger.getHandlerFunction() === JOB_QUEUE_SETTINGS.HANDLER);
+
+  if (!exists) {
+    ScriptApp.newTrigger(JOB_QUEUE_SETTINGS.HANDLER)
+      .timeBased()
+      .everyMinutes(JOB_QUEUE_SETTINGS.TRIGGER_EVERY_MINUTES)
+      .create();
+    logInfo('⏰ Триггер очереди задач включен');
+  }
+}
+
+function removeJobQueueTrigger() {
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === JOB_QUEUE_SETTINGS.HANDLER) {
+      ScriptApp.deleteTrigger(trigger);
+      logInfo('Очередь задач пуста, триггер отключен');
+    }
+  });
+}
+
+// =============================================================================
+// ВЫПОЛНЕНИЕ ОЧЕРЕДИ
+// =============================================================================
+
+/**
+ * ЗАПУСК ОЧЕРЕДИ (ВЫЗЫВАЕТСЯ ТРИГГЕРОМ)
+ *
+ * Выполняет строки "Ожидает" по порядку, пока не истечет MAX_RUNTIME_MS.
+ * Параллельный запуск (предыдущий триггер еще работает) сразу завершается
+ *
+ * @returns {Object} { done, errors, remaining }
+ */
+async function runJobQueue() {
+  const startTime = Date.now();
+  const stats = { done: 0, errors: 0, remaining: 0 };
+  const lock = LockService.getScriptLock();
+
+  if (!lock.tryLock(1000)) {
+    logInfo('Очередь задач уже выполняется');
+    return stats;
+  }
+
+  try {
+    const sheet = getJobQueueSheet();
+    const rows = readJobQueueRows(sheet);
+
+    recoverInterruptedJobRows(sheet, rows);
+
+    for (const item of rows) {
+      if (item.status !== STATUS_VALUES.JOB.PENDING) continue;
+
+      if (Date.now() - startTime > JOB_QUEUE_SETTINGS.MAX_RUNTIME_MS) {
+        stats.remaining = rows.filter(r => r.status === STATUS_VALUES.JOB.PENDING).length;
+        logInfo(`Очередь задач: пауза, осталось ${stats.remaining} товаров`);
+        return stats;
+      }
+
+      const jobType = JOB_TYPES[item.type];
+      if (jobType && jobType.paidApi) {
+        const budget = checkApiBudget(item.jobId);
+        if (!budget.allowed) {
+          stopJobOverBudget(sheet, rows, item.jobId, budget.reason);
+          continue;
+        }
+      }
+
+      // Строку могли отменить, пока выполнялись предыдущие
+      if (!claimJobQueueRow(sheet, item)) continue;
+
+      if (await runJobQueueRow(sheet, item)) {
+        stats.done++;
+      } else {
+        stats.errors++;
+      }
+    }
+
+    logFinishedJobs(rows);
+
+    // За время прохода могли добавиться новые задачи - триггер нужен им
+    const current = readJobQueueRows(sheet);
+    if (current.every(item => isJobRowFinished(item.status))) {
+      removeJobQueueTrigger();
+      cleanupJobQueue(sheet, current);
+    } else {
+      stats.remaining = current.filter(item => !isJobRowFinished(item.status)).length;
+    }
+
+    return stats;
+
+  } catch (error) {
+    handleError(error, 'Очередь задач');
+    return stats;
+
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * ЗАХВАТ СТРОКИ ПЕРЕД ВЫПОЛНЕНИЕМ (контрольная точка "В работе")
+ *
+ * Блокировка скрипта занята запуском очереди на минуты, поэтому смена статусов
+ * строк (захват здесь, отмена в cancelPendingJobs) идет под короткой
+ * блокировкой документа, а статус перечитывается из листа
+ *
+ * @returns {boolean} true - строка все еще ожидала и переведена в "В работе"
+ */
+function claimJobQueueRow(sheet, item) {
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(JOB_QUEUE_SETTINGS.STATUS_LOCK_MS);
+
+  try {
+    item.status = String(sheet.getRange(item.row, JOB_QUEUE_COLUMNS.STATUS).getValue());
+    if (item.status !== STATUS_VALUES.JOB.PENDING) {
+      return false;
+    }
+
+    item.attempts++;
+    writeJobQueueRow(sheet, item, STATUS_VALUES.JOB.RUNNING);
+    SpreadsheetApp.flush();
+    return true;
+
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * ОДИН ЗАХВАЧЕННЫЙ ТОВАР ЗАДАЧИ С СОХРАНЕНИЕМ РЕЗУЛЬТАТА
+ *
+ * @returns {boolean} true - товар выполнен или пропущен
+ */
+async function runJobQueueRow(sheet, item) {
+  const jobType = JOB_TYPES[item.type];
+
+  // Расходы API этого товара записываются на задачу
+  setApiUsageContext(item.jobId, item.article);
+
+  try {
+    if (!jobType) {
+      throw new Error(`Неизвестный тип задачи: ${item.type}`);
+    }
+
+    const result = await jobType.run(item.article, item.payload);
+
+    item.result = result === undefined ? null : result;
+    writeJobQueueRow(sheet, item, result && result.skipped ? STATUS_VALUES.JOB.SKIPPED : STATUS_VALUES.JOB.DONE);
+    SpreadsheetApp.flush();
+
+    if (jobType.pauseMs) {
+      Utilities.sleep(jobType.pauseMs);
+    }
+
+    return true;
+
+  } catch (error) {
+    logError(`❌ ${jobType ? jobType.label : item.type}: ${item.article}`, error);
+    item.error = error.message;
+    writeJobQueueRow(sheet, item, STATUS_VALUES.JOB.ERROR);
+
+    if (jobType && jobType.onFailure) {
+      jobType.onFailure(item.article);
+    }
+
+    SpreadsheetApp.flush();
+    return false;
+
+  } finally {
+    setApiUsageContext('', '');
+  }
+}
+
+/**
+ * ОСТАНОВКА ЗАДАЧИ ПО ЛИМИТУ РАСХОДОВ API
+ *
+ * Оставшиеся товары задачи отменяются - их можно поставить в очередь
+ * заново после увеличения лимита
+ */
+function stopJobOverBudget(sheet, rows, jobId, reason) {
+  const pending = rows.filter(item => item.jobId === jobId && item.status === STATUS_VALUES.JOB.PENDING);
+
+  pending.forEach(item => {
+    item.error = `Лимит расходов API: ${reason}`;
+    writeJobQueueRow(sheet, item, STATUS_VALUES.JOB.CANCELLED);
+
+    const jobType = JOB_TYPES[item.type];
+    if (jobType && jobType.onCancel) {
+      jobType.onCancel(item.article);
+    }
+  });
+
+  logWarning(`💰 Задача ${jobId} остановлена, отменено товаров ${pending.length}: ${reason}`);
+}
+
+/**
+ * СТРОКИ, ОБОРВАННЫЕ ЛИМИТОМ ВРЕМЕНИ: повтор или ошибка после MAX_ATTEMPTS
+ *
+ * Под блокировкой других запусков нет, значит "В работе" осталось от прерванного
+ */
+function recoverInterruptedJobRows(sheet, rows) {
+  rows.forEach(item => {
+    if (item.status !== STATUS_VALUES.JOB.RUNNING) return;
+
+    if (item.attempts < JOB_QUEUE_SETTINGS.MAX_ATTEMPTS) {
+      logWarning(`Повтор прерванного товара ${item.article} (попытка ${item.attempts + 1})`);
+      writeJobQueueRow(sheet, item, STATUS_VALUES.JOB.PENDING);
+      return;
+    }
+
+    item.error = `Не уложился в лимит времени за ${item.attempts} попыток`;
+    writeJobQueueRow(sheet, item, STATUS_VALUES.JOB.ERROR);
+
+    const jobType = JOB_TYPES[item.type];
+    if (jobType && jobType.onFailure) {
+      jobType.onFailure(item.article);
+    }
+  });
+}
+
+function logFinishedJobs(rows) {
+  const finished = {};
+
+  rows.forEach(item => {
+    if (item.updated) {
+      finished[item.jobId] = true;
+    }
+  });
+
+  Object.keys(finished).forEach(jobId => {
+    const progress = summarizeJob(rows.filter(item => item.jobId === jobId));
+    const cost = summarizeApiUsage(getApiUsageEntries().filter(entry => entry.runId === jobId)).cost;
+    logInfo(`✅ ${progress.label} завершена: готово ${progress.done}, пропущено ${progress.skipped}, ошибок ${progress.errors}` +
+      (cost > 0 ? `, расходы API ~$${cost.toFixed(2)}` : ''));
+  });
+}
+
+/**
+ * УДАЛЕНИЕ СТРОК ЗАВЕРШЕННЫХ ЗАДАЧ СТАРШЕ KEEP_FINISHED_HOURS
+ */
+function cleanupJobQueue(sheet, rows) {
+  const threshold = Date.now() - JOB_QUEUE_SETTINGS.KEEP_FINISHED_HOURS * 60 * 60 * 1000;
+  const byJob = {};
+
+  rows.forEach(item => {
+    (byJob[item.jobId] = byJob[item.jobId] || []).push(item);
+  });
+
+  const expired = rows.filter(item => byJob[item.jobId].every(r =>
+    isJobRowFinished(r.status) && new Date(r.updatedAt).getTime() < threshold));
+
+  if (expired.length === 0) {
+    return;
+  }
+
+  // Отмена адресует строки по номерам - удаление под той же блокировкой
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(JOB_QUEUE_SETTINGS.STATUS_LOCK_MS);
+
+  try {
+    // Снизу вверх, чтобы номера строк выше не сдвигались
+    expired.sort((a, b) => b.row - a.row).forEach(item => sheet.deleteRow(item.row));
+  } finally {
+    lock.releaseLock();
+  }
+
+  if (expired.length > 0) {
+    logInfo(`Очередь задач: удалено завершенных строк ${expired.length}`);
+  }
+}
+
+// =============================================================================
+// ЧТЕНИЕ И ЗАПИСЬ СТРОК ОЧЕРЕДИ
+// =============================================================================
+
+function readJobQueueRows(sheet) {
+  if (sheet.getLastRow() < 2) {
+    return [];
+  }
+
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, Object.keys(JOB_QUEUE_COLUMNS).length).getValues();
+
+  return values.map((row, index) => {
+    const payload = row[JOB_QUEUE_COLUMNS.PAYLOAD - 1];
+    const result = row[JOB_QUEUE_COLUMNS.RESULT - 1];
+
+    return {
+      row: index + 2,
+      jobId: String(row[JOB_QUEUE_COLUMNS.JOB_ID - 1]),
+      type: String(row[JOB_QUEUE_COLUMNS.JOB_TYPE - 1]),
+      article: String(row[JOB_QUEUE_COLUMNS.ARTICLE - 1]),
+      payload: payload ? JSON.parse(payload) : {},
+      status: String(row[JOB_QUEUE_COLUMNS.STATUS - 1]),
+      attempts: Number(row[JOB_QUEUE_COLUMNS.ATTEMPTS - 1]) || 0,
+      result: result ? JSON.parse(result) : null,
+      error: String(row[JOB_QUEUE_COLUMNS.ERROR - 1]),
+      updatedAt: row[JOB_QUEUE_COLUMNS.UPDATED_AT - 1]
+    };
+  }).filter(item => item.jobId);
+}
+
+function writeJobQueueRow(sheet, item, status) {
+  item.status = status;
+  item.updatedAt = new Date();
+  item.updated = true;
+
+  sheet.getRange(item.row, JOB_QUEUE_COLUMNS.STATUS, 1, 5).setValues([[
+    status,
+    item.attempts,
+    item.result === null || item.result === undefined ? '' : JSON.stringify(item.result),
+    item.error || '',
+    item.updatedAt
+  ]]);
+}
+
+function isJobRowFinished(status) {
+  return status !== STATUS_VALUES.JOB.PENDING && status !== STATUS_VALUES.JOB.RUNNING;
+}
+
+// =============================================================================
+// ПРОГРЕСС И РЕЗУЛЬТАТЫ ДЛЯ ИНТЕРФЕЙСА
+// =============================================================================
+
+/**
+ * СОСТОЯНИЕ ЗАДАЧ ДЛЯ ДИАЛОГА ПРОГРЕССА
+ *
+ * @returns {Object} { total, done, skipped, errors, pending, running, jobs: [по задаче, новые первыми] }
+ */
+function getJobQueueProgress() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.JOB_QUEUE);
+  const rows = sheet ? readJobQueueRows(sheet) : [];
+  const jobIds = [...new Set(rows.map(item => item.jobId))].reverse();
+
+  const jobs = jobIds.map(jobId => summarizeJob(rows.filter(item => item.jobId === jobId)));
+  const progress = summarizeJob(rows.filter(item => jobs.some(job => !job.finished && job.jobId === item.jobId)));
+
+  progress.jobs = jobs;
+  return progress;
+}
+
+function summarizeJob(items) {
+  const count = status => items.filter(item => item.status === status).length;
+  const first = items[0] || {};
+  const running = items.find(item => item.status === STATUS_VALUES.JOB.RUNNING);
+  const jobType = JOB_TYPES[first.type];
+
+  return {
+    jobId: first.jobId || '',
+    label: jobType ? jobType.label : (first.type || ''),
+    total: items.length,
+    done: count(STATUS_VALUES.JOB.DONE),
+    skipped: count(STATUS_VALUES.JOB.SKIPPED),
+    errors: count(STATUS_VALUES.JOB.ERROR) + count(STATUS_VALUES.JOB.CANCELLED),
+    pending: count(STATUS_VALUES.JOB.PENDING),
+    running: running ? running.article : '',
+    finished: items.every(item => isJobRowFinished(item.status)),
+    hasResults: !!(jobType && jobType.showResults) && count(STATUS_VALUES.JOB.DONE) > 0
+  };
+}
+
+/**
+ * ПОКАЗ РЕЗУЛЬТАТОВ ЗАВЕРШЕННЫХ СТРОК ЗАДАЧИ (например, найденных фото)
+ */
+function showJobResults(jobId) {
+  const rows = readJobQueueRows(getJobQueueSheet()).filter(item => item.jobId === jobId);
+  const jobType = rows.length > 0 ? JOB_TYPES[rows[0].type] : null;
+
+  if (!jobType || !jobType.showResults) {
+    throw new Error('У задачи нет результатов для показа');
+  }
+
+  jobType.showResults(rows
+    .filter(item => item.status === STATUS_VALUES.JOB.DONE && item.result)
+    .map(item => item.result));
+}
+
+/**
+ * ОТМЕНА НЕВЫПОЛНЕННЫХ СТРОК ВСЕХ ЗАДАЧ (ДЛЯ МЕНЮ)
+ *
+ * Товар, который выполняется прямо сейчас, будет доведен до конца.
+ * Статусы читаются и пишутся под блокировкой документа (см. claimJobQueueRow),
+ * поэтому очередь не начнет отмененную строку и не потеряет "В работе"
+ */
+function cancelPendingJobs() {
+  try {
+    const sheet = getJobQueueSheet();
+    const lock = LockService.getDocumentLock();
+    let rows;
+    let pending;
+
+    lock.waitLock(JOB_QUEUE_SETTINGS.STATUS_LOCK_MS);
+    try {
+      rows = readJobQueueRows(sheet);
+      pending = rows.filter(item => item.status === STATUS_VALUES.JOB.PENDING);
+      pending.forEach(item => writeJobQueueRow(sheet, item, STATUS_VALUES.JOB.CANCELLED));
+      SpreadsheetApp.flush();
+    } finally {
+      lock.releaseLock();
+    }
+
+    pending.forEach(item => {
+      const jobType = JOB_TYPES[item.type];
+      if (jobType && jobType.onCancel) {
+        jobType.onCancel(item.article);
+      }
+    });
+
+    // Прерванной строке "В работе" триггер еще нужен для повтора
+    if (!rows.some(item => item.status === STATUS_VALUES.JOB.RUNNING)) {
+      removeJobQueueTrigger();
+    }
+
+    showNotification(pending.length > 0 ?
+      `Отменено товаров в очереди: ${pending.length}` :
+      'В очереди нет невыполненных задач', 'info');
+
+  } catch (error) {
+    handleError(error, 'Отмена фоновых задач');
+  }
+}
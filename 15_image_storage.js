@@ -0,0 +1,570 @@
+/**
+ * ========================================
+ * МОДУЛЬ 15: ХРАНИЛИЩЕ ОБРАБОТАННЫХ ФОТО
+ * ========================================
+ *
+ * Единая точка загрузки готовых WebP: uploadProcessedImage() отправляет фото
+ * в хранилище, выбранное в настройках, и записывает на скрытый лист
+ * "Хранилище фото", где лежит файл и чем его удалить
+ *
+ * Хранилища:
+ * - IMGBB: напрямую через API ImgBB (ключ imgbbKey)
+ * - WORKER: свой прокси (например Cloudflare Worker) с ответом в формате ImgBB
+ * - DRIVE: публичная папка Google Drive
+ * - S3: S3-совместимый бакет (AWS, Yandex Object Storage, R2, MinIO), подпись SigV4
+ * - INSALES: сразу вложением к фото товара в InSales (нужен ID InSales в строке)
+ *
+ * Пока хранилище не выбрано в меню, фото идут через воркер, как и до выбора
+ * хранилищ: URL прежнего Cloudflare Worker - значение storageWorkerUrl по умолчанию
+ */
+
+// =============================================================================
+// КОНСТАНТЫ
+// =============================================================================
+
+const IMAGE_STORAGE_SETTINGS = {
+  DEFAULT_BACKEND: 'IMGBB',        // Если не выбрано и URL воркера пуст
+  LEGACY_WORKER_URL: 'https://misty-leaf-2392.eugeny-ermackow.workers.dev',
+  S3_KEY_PREFIX: 'products/',      // Папка внутри бакета, дальше - артикул/имя файла
+  S3_DEFAULT_REGION: 'us-east-1'
+};
+
+/**
+ * РЕЕСТР ХРАНИЛИЩ
+ *
+ * fields - настройки из getApiSettings(), которые нужны хранилищу
+ * upload(blob, fileName, context, settings) → { url, deleteHandle }, ошибки бросаются
+ * remove(deleteHandle, settings) - удаление файла; без remove файл удаляется вручную
+ */
+const IMAGE_STORAGE_BACKENDS = {
+  IMGBB: {
+    label: 'ImgBB',
+    fields: [
+      { setting: 'imgbbKey', property: SCRIPT_PROPERTIES_KEYS.IMGBB_KEY, label: 'API ключ ImgBB', secret: true }
+    ],
+    upload: (blob, fileName, context, settings) => {
+      const response = UrlFetchApp.fetch('https://api.imgbb.com/1/upload', {
+        method: 'POST',
+        payload: {
+          key: settings.imgbbKey,
+          image: Utilities.base64Encode(blob.getBytes()),
+          name: fileName.replace(/\.[a-z0-9]+$/i, '')
+        },
+        muteHttpExceptions: true
+      });
+
+      return parseImgbbStyleResponse(response, 'ImgBB');
+    }
+    // ImgBB удаляет фото только со страницы delete_url - она и сохраняется в журнал
+  },
+
+  WORKER: {
+    label: 'Worker (прокси ImgBB)',
+    fields: [
+      { setting: 'storageWorkerUrl', property: SCRIPT_PROPERTIES_KEYS.STORAGE_WORKER_URL, label: 'URL воркера' }
+    ],
+    upload: (blob, fileName, context, settings) => {
+      const response = UrlFetchApp.fetch(settings.storageWorkerUrl, {
+        method: 'POST',
+        payload: {
+          image: Utilities.base64Encode(blob.getBytes()),
+          name: fileName.replace(/\.[a-z0-9]+$/i, '')
+        },
+        muteHttpExceptions: true
+      });
+
+      return parseImgbbStyleResponse(response, 'Worker');
+    }
+  },
+
+  DRIVE: {
+    label: 'Google Drive (публичная папка)',
+    fields: [
+      { setting: 'storageDriveFolderId', property: SCRIPT_PROPERTIES_KEYS.STORAGE_DRIVE_FOLDER_ID, label: 'ID папки Google Drive' }
+    ],
+    upload: (blob, fileName, context, settings) => {
+      const file = DriveApp.getFolderById(settings.storageDriveFolderId)
+        .createFile(blob.copyBlob().setName(fileName));
+      file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
+
+      return {
+        url: `https://drive.google.com/uc?export=view&id=${file.getId()}`,
+        deleteHandle: file.getId()
+      };
+    },
+    remove: (fileId) => {
+      DriveApp.getFileById(fileId).setTrashed(true);
+    }
+  },
+
+  S3: {
+    label: 'S3-совместимый бакет',
+    fields: [
+      { setting: 's3Endpoint', property: SCRIPT_PROPERTIES_KEYS.S3_ENDPOINT, label: 'Endpoint (https://storage.yandexcloud.net)' },
+      { setting: 's3Bucket', property: SCRIPT_PROPERTIES_KEYS.S3_BUCKET, label: 'Бакет' },
+      { setting: 's3AccessKey', property: SCRIPT_PROPERTIES_KEYS.S3_ACCESS_KEY, label: 'Access Key ID', secret: true },
+      { setting: 's3SecretKey', property: SCRIPT_PROPERTIES_KEYS.S3_SECRET_KEY, label: 'Secret Access Key', secret: true },
+      { setting: 's3Region', property: SCRIPT_PROPERTIES_KEYS.S3_REGION, label: 'Регион (по умолчанию us-east-1)', optional: true },
+      { setting: 's3PublicUrl', property: SCRIPT_PROPERTIES_KEYS.S3_PUBLIC_URL, label: 'Публичный адрес бакета (CDN), если отличается', optional: true }
+    ],
+    upload: (blob, fileName, context, settings) => {
+      const objectKey = IMAGE_STORAGE_SETTINGS.S3_KEY_PREFIX +
+        (context.article ? toStorageSafeName(context.article) + '/' : '') + fileName;
+      const bytes = blob.getBytes();
+
+      const response = UrlFetchApp.fetch(getS3ObjectUrl(objectKey, settings), {
+        method: 'put',
+        contentType: blob.getContentType(),
+        headers: signS3Request('PUT', getS3ObjectUrl(objectKey, settings), { 'x-amz-acl': 'public-read' }, bytes, settings),
+        payload: bytes,
+        muteHttpExceptions: true
+      });
+
+      if (response.getResponseCode() !== 200) {
+        throw new Error(`S3 HTTP ${response.getResponseCode()}: ${response.getContentText().substring(0, 300)}`);
+      }
+
+      const publicBase = settings.s3PublicUrl ?
+        settings.s3PublicUrl.replace(/\/+$/, '') :
+        `${settings.s3Endpoint.replace(/\/+$/, '')}/${settings.s3Bucket}`;
+
+      return { url: `${publicBase}/${objectKey}`, deleteHandle: objectKey };
+    },
+    remove: (objectKey, settings) => {
+      const url = getS3ObjectUrl(objectKey, settings);
+      const response = UrlFetchApp.fetch(url, {
+        method: 'delete',
+        headers: signS3Request('DELETE', url, {}, [], settings),
+        muteHttpExceptions: true
+      });
+
+      if (response.getResponseCode() !== 204 && response.getResponseCode() !== 200) {
+        throw new Error(`S3 HTTP ${response.getResponseCode()}: ${response.getContentText().substring(0, 300)}`);
+      }
+    }
+  },
+
+  INSALES: {
+    label: 'InSales (вложение к товару)',
+    fields: [],
+    upload: (blob, fileName, context) => {
+      const credentials = getInsalesCredentialsSync();
+      if (!credentials) {
+        throw new Error('Не настроены доступы InSales');
+      }
+
+      const productId = context.insalesId || getInsalesIdByArticle(context.article);
+      if (!productId) {
+        throw new Error(`У товара ${context.article || ''} нет ID InSales - фото некуда прикрепить`);
+      }
+
+      const response = UrlFetchApp.fetch(`${credentials.baseUrl}/admin/products/${productId}/images.json`, {
+        method: 'POST',
+        headers: {
+          'Authorization': 'Basic ' + Utilities.base64Encode(`${credentials.apiKey}:${credentials.password}`)
+        },
+        contentType: 'application/json',
+        payload: JSON.stringify({
+          image: {
+            attachment: Utilities.base64Encode(blob.getBytes()),
+            filename: fileName
+          }
+        }),
+        muteHttpExceptions: true
+      });
+
+      const code = response.getResponseCode();
+      if (code !== 200 && code !== 201) {
+        throw new Error(`InSales HTTP ${code}: ${response.getContentText().substring(0, 300)}`);
+      }
+
+      const image = JSON.parse(response.getContentText());
+      return {
+        url: image.original_url || image.url,
+        deleteHandle: `${productId}/${image.id}`
+      };
+    },
+    remove: (deleteHandle) => {
+      const credentials = getInsalesCredentialsSync();
+      if (!credentials) {
+        throw new Error('Не настроены доступы InSales');
+      }
+
+      const [productId, imageId] = deleteHandle.split('/');
+      const response = UrlFetchApp.fetch(`${credentials.baseUrl}/admin/products/${productId}/images/${imageId}.json`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': 'Basic ' + Utilities.base64Encode(`${credentials.apiKey}:${credentials.password}`)
+        },
+        muteHttpExceptions: true
+      });
+
+      if (response.getResponseCode() !== 200 && response.getResponseCode() !== 404) {
+        throw new Error(`InSales HTTP ${response.getResponseCode()}: ${response.getContentText().substring(0, 300)}`);
+      }
+    }
+  }
+};
+
+// =============================================================================
+// ЗАГРУЗКА
+// =============================================================================
+
+/**
+ * ЗАГРУЗКА ОБРАБОТАННОГО ФОТО В ВЫБРАННОЕ ХРАНИЛИЩЕ
+ *
+ * @param {Blob} blob - Готовое изображение
+ * @param {string} seoFilename - SEO имя файла без расширения
+ * @param {Object} context - { article, insalesId } товара, к которому относится фото;
+ *                           dimensions - размеры, если вызывающий их уже определил
+ * @returns {string|null} Публичный URL или null, если загрузить не удалось
+ */
+function uploadProcessedImage(blob, seoFilename, context = {}) {
+  const settings = getApiSettings();
+  const storage = describeImageStorage(settings);
+
+  try {
+    if (storage.missing.length > 0) {
+      throw new Error(`хранилище "${storage.label}" не настроено: ${storage.missing.join(', ')}`);
+    }
+
+    const fileName = `${toStorageSafeName(seoFilename || 'image-' + Date.now())}.${getStorageFileExtension(blob)}`;
+    const size = blob.getBytes().length;
+    const dimensions = context.dimensions || probeImageBlob(blob);
+
+    logInfo(`Загружаем в ${storage.label}: ${fileName}, ${Math.round(size / 1024)}KB`);
+
+    const stored = storage.backend.upload(blob, fileName, context, settings);
+
+    recordStoredImage({
+      article: context.article || '',
+      fileName: fileName,
+      url: stored.url,
+      backend: storage.key,
+      deleteHandle: stored.deleteHandle || '',
+      size: size,
+      width: dimensions ? dimensions.width : '',
+      height: dimensions ? dimensions.height : ''
+    });
+
+    logInfo(`Загружено в ${storage.label}: ${stored.url}`);
+    return stored.url;
+
+  } catch (error) {
+    logError(`Ошибка загрузки в хранилище ${storage.label}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * ВЫБРАННОЕ ХРАНИЛИЩЕ И НЕЗАПОЛНЕННЫЕ НАСТРОЙКИ
+ *
+ * @param {Object} settings - Результат getApiSettings()
+ * @returns {Object} { key, label, backend, missing: подписи пустых обязательных настроек }
+ */
+function describeImageStorage(settings) {
+  const key = settings.imageStorageBackend ||
+    (settings.storageWorkerUrl ? 'WORKER' : IMAGE_STORAGE_SETTINGS.DEFAULT_BACKEND);
+  const backend = IMAGE_STORAGE_BACKENDS[key];
+
+  if (!backend) {
+    return { key: key, label: key, backend: null, missing: ['неизвестное хранилище - выберите его заново'] };
+  }
+
+  return {
+    key: key,
+    label: backend.label,
+    backend: backend,
+    missing: backend.fields
+      .filter(field => !field.optional && !settings[field.setting])
+      .map(field => field.label)
+  };
+}
+
+function isImageStorageConfigured(settings) {
+  return describeImageStorage(settings).missing.length === 0;
+}
+
+function parseImgbbStyleResponse(response, serviceName) {
+  if (response.getResponseCode() !== 200) {
+    throw new Error(`${serviceName} HTTP ${response.getResponseCode()}: ${response.getContentText().substring(0, 300)}`);
+  }
+
+  const result = JSON.parse(response.getContentText());
+  if (!result.success || !result.data || !result.data.url) {
+    throw new Error(`${serviceName}: ${(result.error && result.error.message) || 'нет URL в ответе'}`);
+  }
+
+  return { url: result.data.url, deleteHandle: result.data.delete_url || '' };
+}
+
+function getStorageFileExtension(blob) {
+  const type = String(blob.getContentType() || '').toLowerCase();
+  const extensions = { 'image/webp': 'webp', 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif' };
+  return extensions[type] || 'webp';
+}
+
+function toStorageSafeName(name) {
+  return String(name).trim()
+    .replace(/[^A-Za-z0-9._-]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'image';
+}
+
+function getInsalesIdByArticle(article) {
+  const row = getImagesValuesByArticle()[String(article || '').trim()];
+  return row ? String(row[IMAGES_COLUMNS.INSALES_ID - 1] || '').trim() : '';
+}
+
+// =============================================================================
+// ПОДПИСЬ ЗАПРОСОВ S3 (AWS SIGNATURE V4)
+// =============================================================================
+
+function getS3ObjectUrl(objectKey, settings) {
+  const path = objectKey.split('/').map(encodeURIComponent).join('/');
+  return `${settings.s3Endpoint.replace(/\/+$/, '')}/${settings.s3Bucket}/${path}`;
+}
+
+/**
+ * ЗАГОЛОВКИ ЗАПРОСА С ПОДПИСЬЮ SIGV4
+ *
+ * URL передается без query-параметров (path-style: endpoint/бакет/ключ)
+ *
+ * @param {string} method - HTTP-метод
+ * @param {string} url - Полный URL объекта
+ * @param {Object} headers - Дополнительные подписываемые заголовки (имена в нижнем регистре)
+ * @param {Array<number>} payloadBytes - Тело запроса
+ * @param {Object} settings - s3AccessKey, s3SecretKey, s3Region
+ * @param {Date} date - Время подписи (для проверки по примерам AWS)
+ * @returns {Object} Заголовки для UrlFetchApp (без host - его подставит UrlFetchApp)
+ */
+function signS3Request(method, url, headers, payloadBytes, settings, date = new Date()) {
+  const match = String(url).match(/^https?:\/\/([^\/?]+)([^?]*)/);
+  const host = match[1];
+  const path = match[2] || '/';
+
+  const amzDate = Utilities.formatDate(date, 'UTC', "yyyyMMdd'T'HHmmss'Z'");
+  const dateStamp = amzDate.substring(0, 8);
+  const region = settings.s3Region || IMAGE_STORAGE_SETTINGS.S3_DEFAULT_REGION;
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const payloadHash = bytesToHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, payloadBytes));
+
+  const signedHeaders = Object.assign({}, headers, {
+    'host': host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  });
+  const headerNames = Object.keys(signedHeaders).sort();
+
+  const canonicalRequest = [
+    method,
+    path,
+    '',
+    headerNames.map(name => `${name}:${String(signedHeaders[name]).trim()}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    bytesToHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, canonicalRequest, Utilities.Charset.UTF_8))
+  ].join('\n');
+
+  const hmac = (key, value) => Utilities.computeHmacSha256Signature(Utilities.newBlob(value).getBytes(), key);
+  let signingKey = Utilities.newBlob('AWS4' + settings.s3SecretKey).getBytes();
+  [dateStamp, region, 's3', 'aws4_request'].forEach(part => {
+    signingKey = hmac(signingKey, part);
+  });
+
+  const result = {};
+  headerNames.filter(name => name !== 'host').forEach(name => {
+    result[name] = signedHeaders[name];
+  });
+  result['Authorization'] = `AWS4-HMAC-SHA256 Credential=${settings.s3AccessKey}/${scope}, ` +
+    `SignedHeaders=${headerNames.join(';')}, Signature=${bytesToHex(hmac(signingKey, stringToSign))}`;
+
+  return result;
+}
+
+function bytesToHex(bytes) {
+  return bytes.map(b => ('0' + (b & 0xFF).toString(16)).slice(-2)).join('');
+}
+
+// =============================================================================
+// ЖУРНАЛ ЗАГРУЖЕННЫХ ФОТО
+// =============================================================================
+
+/**
+ * СЛУЖЕБНЫЙ ЛИСТ "ХРАНИЛИЩЕ ФОТО" (создается скрытым при первой записи)
+ */
+function getImageStorageSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(SHEET_NAMES.IMAGE_STORAGE);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SHEET_NAMES.IMAGE_STORAGE);
+    sheet.getRange(1, 1, 1, 9).setValues([[
+      'Артикул', 'Имя файла', 'URL', 'Хранилище', 'Для удаления', 'Размер, байт', 'Загружено',
+      'Ширина', 'Высота'
+    ]]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+    logInfo(`Создан служебный лист "${SHEET_NAMES.IMAGE_STORAGE}"`);
+  }
+
+  return sheet;
+}
+
+function recordStoredImage(entry) {
+  const sheet = getImageStorageSheet();
+  sheet.getRange(sheet.getLastRow() + 1, 1, 1, 9).setValues([[
+    String(entry.article).trim(),
+    entry.fileName,
+    entry.url,
+    entry.backend,
+    entry.deleteHandle,
+    entry.size,
+    new Date(),
+    entry.width || '',
+    entry.height || ''
+  ]]);
+}
+
+/**
+ * ЗАГРУЖЕННЫЕ ФОТО ТОВАРА
+ *
+ * @param {string} article - Артикул (пустой - все записи)
+ * @returns {Array<Object>} { row, article, fileName, url, backend, deleteHandle, size, uploadedAt, width, height }
+ */
+function getStoredImages(article = '') {
+  const key = String(article).trim();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.IMAGE_STORAGE);
+
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
+  }
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, 9).getValues()
+    .map((row, index) => ({
+      row: index + 2,
+      article: String(row[IMAGE_STORAGE_COLUMNS.ARTICLE - 1]).trim(),
+      fileName: row[IMAGE_STORAGE_COLUMNS.FILE_NAME - 1],
+      url: String(row[IMAGE_STORAGE_COLUMNS.URL - 1]),
+      backend: String(row[IMAGE_STORAGE_COLUMNS.BACKEND - 1]),
+      deleteHandle: String(row[IMAGE_STORAGE_COLUMNS.DELETE_HANDLE - 1]),
+      size: row[IMAGE_STORAGE_COLUMNS.FILE_SIZE - 1],
+      uploadedAt: row[IMAGE_STORAGE_COLUMNS.UPLOADED_AT - 1],
+      width: row[IMAGE_STORAGE_COLUMNS.WIDTH - 1],
+      height: row[IMAGE_STORAGE_COLUMNS.HEIGHT - 1]
+    }))
+    .filter(item => !key || item.article === key);
+}
+
+/**
+ * УДАЛЕНИЕ ЗАГРУЖЕННОГО ФОТО ИЗ ХРАНИЛИЩА И ЖУРНАЛА
+ *
+ * Удаляет через то хранилище, куда фото было загружено, даже если
+ * в настройках с тех пор выбрано другое
+ *
+ * @param {string} url - URL из журнала
+ * @returns {boolean} true, если файл удален
+ */
+function deleteStoredImage(url) {
+  const entry = getStoredImages().find(item => item.url === url);
+
+  if (!entry) {
+    logWarning(`Фото нет в журнале хранилища: ${url}`);
+    return false;
+  }
+
+  const backend = IMAGE_STORAGE_BACKENDS[entry.backend];
+  if (!backend || !backend.remove) {
+    logWarning(`${backend ? backend.label : entry.backend} не удаляет фото через API - удалите вручную: ${entry.deleteHandle || url}`);
+    return false;
+  }
+
+  try {
+    backend.remove(entry.deleteHandle, getApiSettings());
+    getImageStorageSheet().deleteRow(entry.row);
+    forgetProcessingCacheUrl(url);
+    logInfo(`Фото удалено из ${backend.label}: ${url}`);
+    return true;
+
+  } catch (error) {
+    logError(`Ошибка удаления из ${backend.label}: ${error.message}`);
+    return false;
+  }
+}
+
+// =============================================================================
+// НАСТРОЙКА (ДЛЯ МЕНЮ)
+// =============================================================================
+
+/**
+ * ВЫБОР ХРАНИЛИЩА И ВВОД ЕГО ПАРАМЕТРОВ
+ *
+ * Пустой ответ оставляет текущее значение параметра
+ */
+function configureImageStorage() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const settings = getApiSettings();
+    const current = describeImageStorage(settings);
+    const keys = Object.keys(IMAGE_STORAGE_BACKENDS);
+
+    const choice = ui.prompt(
+      'Хранилище обработанных фото',
+      `Текущее: ${current.label}\n\n` +
+      keys.map((key, i) => `${i + 1} - ${IMAGE_STORAGE_BACKENDS[key].label}`).join('\n') +
+      '\n\nВведите номер хранилища:',
+      ui.ButtonSet.OK_CANCEL
+    );
+
+    if (choice.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+
+    const key = keys[parseInt(choice.getResponseText(), 10) - 1];
+    if (!key) {
+      showNotification('Неверный номер хранилища', 'error');
+      return;
+    }
+
+    const backend = IMAGE_STORAGE_BACKENDS[key];
+
+    for (const field of backend.fields) {
+      const value = settings[field.setting];
+      const shown = !value ? 'не задано' : field.secret ? `${value.slice(0, 4)}…` : value;
+
+      const answer = ui.prompt(
+        backend.label,
+        `${field.label}\nТекущее значение: ${shown}\n\nОставьте пустым, чтобы не менять:`,
+        ui.ButtonSet.OK_CANCEL
+      );
+
+      if (answer.getSelectedButton() !== ui.Button.OK) {
+        return;
+      }
+
+      const text = answer.getResponseText().trim();
+      if (text) {
+        setSetting(field.property, text);
+      }
+    }
+
+    setSetting(SCRIPT_PROPERTIES_KEYS.IMAGE_STORAGE_BACKEND, key);
+
+    const storage = describeImageStorage(getApiSettings());
+    ui.alert(
+      'Хранилище фото',
+      storage.missing.length > 0 ?
+        `Выбрано: ${storage.label}\n\n⚠️ Не заполнено: ${storage.missing.join(', ')}` :
+        `Выбрано: ${storage.label}\n\nФото будут загружаться туда при следующей обработке.`,
+      ui.ButtonSet.OK
+    );
+
+  } catch (error) {
+    handleError(error, 'Настройка хранилища фото');
+  }
+}
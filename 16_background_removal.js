@@ -0,0 +1,553 @@
+/**
+ * ========================================
+ * МОДУЛЬ 16: БЕЛЫЙ ФОН (УДАЛЕНИЕ ФОНА + КОМПОЗИТИНГ)
+ * ========================================
+ *
+ * Необязательный этап обработки между Replicate-улучшением и WebP:
+ * фон удаляется моделью на Replicate (PNG с прозрачностью), товар обрезается
+ * по непрозрачной области и кладется на белый холст с отступом
+ * backgroundPadding (% от большей стороны товара)
+ *
+ * Включается галочкой "Белый фон" в окне выбора фото. Если модель
+ * или композитинг не сработали, фото идет дальше без изменений
+ *
+ * Пиксели обрабатываются на чистом JS: PNG декодируется decodePngRgba()
+ * из модуля 13, результат кодируется в PNG здесь же (deflate с фиксированным
+ * кодом Хаффмана и повторами - белые поля сжимаются почти в ноль)
+ *
+ * Это медленно (кодирование 2400x1700 - десяток секунд), а Promise.all
+ * синхронную работу не распараллеливает. Поэтому товар сразу кладется
+ * в кадр галереи pad (без второго декодирования в модуле 17), иначе холст
+ * уменьшается до размера кадра, а вся пиксельная работа товара (белый фон
+ * и кадр) ограничена бюджетом MAX_PIXELS_PER_PRODUCT - остальные фото идут
+ * как есть, их вписывает TinyPNG
+ */
+
+// =============================================================================
+// КОНСТАНТЫ
+// =============================================================================
+
+const BACKGROUND_REMOVAL_SETTINGS = {
+  ALPHA_THRESHOLD: 16,             // Пиксели прозрачнее не считаются товаром (тени, шум)
+  MAX_INPUT_PIXELS: 16000000,      // Большие PNG не декодируются - фото остается как есть
+  MAX_OUTPUT_SIDE: 3000,           // Как и в WebP этапе - больше не нужно
+  MAX_PIXELS_PER_PRODUCT: 20000000, // Декодированные + закодированные пиксели на товар (~2 мин в Apps Script)
+  WAIT_SECONDS: 120
+};
+
+// =============================================================================
+// ЭТАП ОБРАБОТКИ
+// =============================================================================
+
+/**
+ * БЕЛЫЙ ФОН ДЛЯ ВСЕХ ФОТО ТОВАРА
+ *
+ * В кадре pad товар сразу вписывается в кадр галереи с полем frameMargin -
+ * отступ белого фона все равно заменялся бы полем кадра
+ *
+ * @param {Array<Object>} enhancedImages - Результат processReplicateWithFallback
+ * @param {Object} pixelBudget - createPixelBudget(), общий с кадром галереи
+ * @returns {Array<Object>} Те же объекты + backgroundRemoved и whiteBackgroundBlob
+ *                          (готовый PNG для WebP этапа, whiteBackgroundFramed - уже в кадре)
+ *                          или backgroundError
+ */
+async function processWhiteBackground(enhancedImages, pixelBudget) {
+  const settings = getApiSettings();
+  const frame = getGalleryFrame(settings);
+
+  // Готовый PNG существует только в памяти - без WebP этапа и хранилища его некуда деть
+  const missing = [
+    !settings.replicateToken && 'Replicate Token',
+    !settings.tinypngKey && 'TinyPNG Key',
+    !isImageStorageConfigured(settings) && 'хранилище фото'
+  ].filter(Boolean);
+
+  if (missing.length > 0) {
+    logWarning(`Белый фон пропущен - не настроено: ${missing.join(', ')}`);
+    return enhancedImages.map(img => Object.assign({}, img, {
+      backgroundRemoved: false,
+      backgroundError: `не настроено: ${missing.join(', ')}`
+    }));
+  }
+
+  logInfo(`Удаляем фон (${REPLICATE_BACKGROUND_MODEL.name}) для ${enhancedImages.length} изображений, ` +
+    `отступ ${settings.backgroundPadding}%`);
+
+  const backgroundPromises = enhancedImages.map(async (img, index) => {
+    try {
+      const cutoutUrl = await removeBackgroundWithReplicate(img.processed, settings.replicateToken);
+
+      const response = UrlFetchApp.fetch(cutoutUrl, { muteHttpExceptions: true });
+      if (response.getResponseCode() !== 200) {
+        throw new Error(`PNG без фона не скачался: HTTP ${response.getResponseCode()}`);
+      }
+
+      const bytes = response.getBlob().getBytes();
+      const inFrame = !!frame && frame.mode === 'pad';
+      const composite = inFrame
+        ? compositeInGalleryFrame(bytes, frame, pixelBudget)
+        : compositeOnWhite(bytes, settings.backgroundPadding,
+          frame ? Math.max(frame.width, frame.height) : BACKGROUND_REMOVAL_SETTINGS.MAX_OUTPUT_SIDE, pixelBudget);
+      logInfo(`Изображение ${index + 1}: товар на белом фоне ${composite.width}x${composite.height}` +
+        (inFrame ? ' (в кадре галереи)' : ''));
+
+      return Object.assign({}, img, {
+        backgroundRemoved: true,
+        whiteBackgroundFramed: inFrame,
+        whiteBackgroundBlob: Utilities.newBlob(
+          Array.from(composite.png, b => (b > 127 ? b - 256 : b)), 'image/png', `white-${index + 1}.png`)
+      });
+
+    } catch (error) {
+      logWarning(`Белый фон не удался для изображения ${index + 1}, оставляем как есть: ${error.message}`);
+      return Object.assign({}, img, { backgroundRemoved: false, backgroundError: error.message });
+    }
+  });
+
+  const results = await Promise.all(backgroundPromises);
+
+  logInfo(`Белый фон: ${results.filter(r => r.backgroundRemoved).length}/${results.length} изображений`);
+  return results;
+}
+
+/**
+ * УДАЛЕНИЕ ФОНА НА REPLICATE
+ *
+ * @returns {string} URL PNG с прозрачным фоном
+ */
+async function removeBackgroundWithReplicate(imageUrl, token) {
+  const predictionResponse = UrlFetchApp.fetch('https://api.replicate.com/v1/predictions', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Token ${token}`,
+      'Content-Type': 'application/json'
+    },
+    payload: JSON.stringify({
+      version: REPLICATE_BACKGROUND_MODEL.version,
+      input: { image: imageUrl }
+    }),
+    muteHttpExceptions: true
+  });
+
+  if (predictionResponse.getResponseCode() !== 201) {
+    throw new Error(`Replicate failed: ${predictionResponse.getResponseCode()}`);
+  }
+
+  const prediction = JSON.parse(predictionResponse.getContentText());
+  const result = await waitForReplicateResult(prediction.id, token, BACKGROUND_REMOVAL_SETTINGS.WAIT_SECONDS);
+  recordReplicateUsage('Удаление фона', REPLICATE_BACKGROUND_MODEL, result.predictTime);
+
+  if (!result.success) {
+    throw new Error(`удаление фона не удалось: ${result.reason}`);
+  }
+
+  return Array.isArray(result.outputUrl) ? result.outputUrl[0] : result.outputUrl;
+}
+
+// =============================================================================
+// КОМПОЗИТИНГ
+// =============================================================================
+
+/**
+ * ТОВАР С ПРОЗРАЧНЫМ ФОНОМ → PNG НА БЕЛОМ С ОТСТУПОМ
+ *
+ * @param {Array<number>} bytes - PNG с альфа-каналом (blob.getBytes())
+ * @param {number} paddingPercent - Отступ, % от большей стороны товара
+ * @param {number} maxSide - Большая сторона результата (холст уменьшается до нее)
+ * @param {Object} pixelBudget - createPixelBudget() или null без ограничения
+ * @returns {Object} { width, height, png: Uint8Array }
+ */
+function compositeOnWhite(bytes, paddingPercent, maxSide = BACKGROUND_REMOVAL_SETTINGS.MAX_OUTPUT_SIDE, pixelBudget = null) {
+  const image = decodeCutoutPng(bytes);
+
+  const box = findOpaqueBounds(image);
+  if (!box) {
+    throw new Error('модель не нашла товар на фото');
+  }
+
+  const boxWidth = box.right - box.left + 1;
+  const boxHeight = box.bottom - box.top + 1;
+  const padding = Math.round(Math.max(boxWidth, boxHeight) * Math.max(0, paddingPercent || 0) / 100);
+  const canvasWidth = boxWidth + padding * 2;
+  const canvasHeight = boxHeight + padding * 2;
+
+  const scale = Math.min(1, maxSide / Math.max(canvasWidth, canvasHeight));
+  const width = Math.max(1, Math.round(canvasWidth * scale));
+  const height = Math.max(1, Math.round(canvasHeight * scale));
+  spendPixelBudget(pixelBudget, image.width * image.height + width * height);
+
+  const rgb = new Uint8Array(width * height * 3);
+  const rgba = image.rgba;
+
+  // Каждый пиксель результата - среднее по своему прямоугольнику холста
+  for (let y = 0; y < height; y++) {
+    const fromY = Math.floor(y * canvasHeight / height);
+    const toY = Math.max(fromY + 1, Math.floor((y + 1) * canvasHeight / height));
+
+    for (let x = 0; x < width; x++) {
+      const fromX = Math.floor(x * canvasWidth / width);
+      const toX = Math.max(fromX + 1, Math.floor((x + 1) * canvasWidth / width));
+      let r = 0, g = 0, b = 0;
+
+      for (let cy = fromY; cy < toY; cy++) {
+        const sy = cy - padding + box.top;
+
+        for (let cx = fromX; cx < toX; cx++) {
+          const sx = cx - padding + box.left;
+
+          if (sy < box.top || sy > box.bottom || sx < box.left || sx > box.right) {
+            r += 255; g += 255; b += 255;
+            continue;
+          }
+
+          const i = (sy * image.width + sx) * 4;
+          const alpha = rgba[i + 3];
+          r += (rgba[i] * alpha + 255 * (255 - alpha)) / 255;
+          g += (rgba[i + 1] * alpha + 255 * (255 - alpha)) / 255;
+          b += (rgba[i + 2] * alpha + 255 * (255 - alpha)) / 255;
+        }
+      }
+
+      const count = (toY - fromY) * (toX - fromX);
+      const target = (y * width + x) * 3;
+      rgb[target] = Math.round(r / count);
+      rgb[target + 1] = Math.round(g / count);
+      rgb[target + 2] = Math.round(b / count);
+    }
+  }
+
+  return { width: width, height: height, png: encodePngRgb(width, height, rgb) };
+}
+
+/**
+ * ТОВАР С ПРОЗРАЧНЫМ ФОНОМ → PNG КАДРА ГАЛЕРЕИ pad НА БЕЛОМ
+ *
+ * renderGalleryFrame (модуль 17) смешивает прозрачность с белым
+ * и центрирует товар с полем кадра
+ *
+ * @returns {Object} { width, height, png: Uint8Array }
+ */
+function compositeInGalleryFrame(bytes, frame, pixelBudget) {
+  const image = decodeCutoutPng(bytes);
+  spendPixelBudget(pixelBudget, image.width * image.height + frame.width * frame.height);
+
+  if (!findOpaqueBounds(image)) {
+    throw new Error('модель не нашла товар на фото');
+  }
+
+  return {
+    width: frame.width,
+    height: frame.height,
+    png: encodePngRgb(frame.width, frame.height, renderGalleryFrame(image, frame))
+  };
+}
+
+function decodeCutoutPng(bytes) {
+  const image = decodePngRgba(Uint8Array.from(bytes, b => b & 0xFF));
+
+  if (!image) {
+    throw new Error('PNG без фона не декодируется');
+  }
+
+  if (image.width * image.height > BACKGROUND_REMOVAL_SETTINGS.MAX_INPUT_PIXELS) {
+    throw new Error(`слишком большое изображение ${image.width}x${image.height}`);
+  }
+
+  return image;
+}
+
+// =============================================================================
+// БЮДЖЕТ ПИКСЕЛЬНОЙ РАБОТЫ
+// =============================================================================
+
+/**
+ * БЮДЖЕТ НА ОДИН ТОВАР (белый фон и кадр галереи)
+ *
+ * Один товар должен уложиться в запуск очереди: иначе строка повторяется
+ * до MAX_ATTEMPTS и каждый раз обрывается лимитом 6 минут
+ */
+function createPixelBudget() {
+  return { remaining: BACKGROUND_REMOVAL_SETTINGS.MAX_PIXELS_PER_PRODUCT };
+}
+
+/**
+ * СПИСАНИЕ ИЗ БЮДЖЕТА ДО НАЧАЛА РАБОТЫ
+ *
+ * @param {Object} pixelBudget - createPixelBudget() или null без ограничения
+ * @param {number} pixels - Сколько пикселей декодируется и кодируется
+ */
+function spendPixelBudget(pixelBudget, pixels) {
+  if (!pixelBudget) {
+    return;
+  }
+
+  if (pixels > pixelBudget.remaining) {
+    pixelBudget.remaining = 0;
+    throw new Error('исчерпан лимит обработки пикселей на товар');
+  }
+
+  pixelBudget.remaining -= pixels;
+}
+
+/**
+ * ГРАНИЦЫ ТОВАРА (пиксели с альфой выше порога)
+ *
+ * @returns {Object|null} { left, top, right, bottom } включительно или null, если все прозрачно
+ */
+function findOpaqueBounds(image) {
+  let left = image.width, top = image.height, right = -1, bottom = -1;
+
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      if (image.rgba[(y * image.width + x) * 4 + 3] <= BACKGROUND_REMOVAL_SETTINGS.ALPHA_THRESHOLD) continue;
+
+      if (x < left) left = x;
+      if (x > right) right = x;
+      if (y < top) top = y;
+      bottom = y;
+    }
+  }
+
+  return right < 0 ? null : { left: left, top: top, right: right, bottom: bottom };
+}
+
+// =============================================================================
+// КОДИРОВАНИЕ PNG
+// =============================================================================
+
+/**
+ * RGB 8 БИТ → ФАЙЛ PNG (без фильтров строк)
+ *
+ * @returns {Uint8Array} Файл PNG
+ */
+function encodePngRgb(width, height, rgb) {
+  const stride = width * 3 + 1;
+  const raw = new Uint8Array(height * stride);
+
+  for (let y = 0; y < height; y++) {
+    raw.set(rgb.subarray(y * width * 3, (y + 1) * width * 3), y * stride + 1);
+  }
+
+  const header = new Uint8Array(13);
+  writeUint32(header, 0, width);
+  writeUint32(header, 4, height);
+  header[8] = 8;  // бит на канал
+  header[9] = 2;  // RGB
+
+  const chunks = [
+    createPngChunk('IHDR', header),
+    createPngChunk('IDAT', deflateZlibRuns(raw, [1, 3, stride])),
+    createPngChunk('IEND', new Uint8Array(0))
+  ];
+
+  const png = new Uint8Array(8 + chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  png.set([137, 80, 78, 71, 13, 10, 26, 10]);
+
+  let offset = 8;
+  chunks.forEach(chunk => {
+    png.set(chunk, offset);
+    offset += chunk.length;
+  });
+
+  return png;
+}
+
+function createPngChunk(type, body) {
+  const chunk = new Uint8Array(body.length + 12);
+  writeUint32(chunk, 0, body.length);
+
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+
+  chunk.set(body, 8);
+  writeUint32(chunk, body.length + 8, crc32(chunk.subarray(4, body.length + 8)));
+  return chunk;
+}
+
+function writeUint32(target, offset, value) {
+  target[offset] = (value >>> 24) & 0xFF;
+  target[offset + 1] = (value >>> 16) & 0xFF;
+  target[offset + 2] = (value >>> 8) & 0xFF;
+  target[offset + 3] = value & 0xFF;
+}
+
+let CRC32_TABLE = null;
+
+function crc32(data) {
+  if (!CRC32_TABLE) {
+    CRC32_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      CRC32_TABLE[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC32_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * СЖАТИЕ В ZLIB-ПОТОК: ОДИН БЛОК С ФИКСИРОВАННЫМ КОДОМ ХАФФМАНА
+ *
+ * Ищутся только повторы на заданных расстояниях (соседний байт, соседний
+ * пиксель, строка выше) - этого хватает для однотонного фона
+ *
+ * @param {Uint8Array} data - Исходные данные
+ * @param {Array<number>} distances - Расстояния для поиска повторов (до 32768)
+ * @returns {Uint8Array} Сжатые данные с заголовком и Adler-32
+ */
+function deflateZlibRuns(data, distances) {
+  let out = new Uint8Array(Math.ceil(data.length * 9 / 8) + 64);
+  let position = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const putBits = (value, count) => {
+    bitBuffer |= value << bitCount;
+    bitCount += count;
+    while (bitCount >= 8) {
+      out[position++] = bitBuffer & 0xFF;
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  // Коды Хаффмана пишутся старшим битом вперед - переворачиваем заранее
+  const reverse = (code, length) => {
+    let reversed = 0;
+    for (let i = 0; i < length; i++) {
+      reversed = (reversed << 1) | ((code >> i) & 1);
+    }
+    return reversed;
+  };
+
+  const literalCodes = new Uint16Array(286);
+  const literalLengths = new Uint8Array(286);
+  for (let symbol = 0; symbol < 286; symbol++) {
+    const [base, length, first] = symbol < 144 ? [0x30, 8, 0] :
+      symbol < 256 ? [0x190, 9, 144] :
+      symbol < 280 ? [0, 7, 256] : [0xC0, 8, 280];
+    literalCodes[symbol] = reverse(base + symbol - first, length);
+    literalLengths[symbol] = length;
+  }
+
+  const putSymbol = symbol => putBits(literalCodes[symbol], literalLengths[symbol]);
+
+  const putMatch = (length, distance) => {
+    let index = INFLATE_LENGTH_BASE.length - 1;
+    while (INFLATE_LENGTH_BASE[index] > length) index--;
+    putSymbol(257 + index);
+    putBits(length - INFLATE_LENGTH_BASE[index], INFLATE_LENGTH_EXTRA[index]);
+
+    let distanceIndex = INFLATE_DISTANCE_BASE.length - 1;
+    while (INFLATE_DISTANCE_BASE[distanceIndex] > distance) distanceIndex--;
+    putBits(reverse(distanceIndex, 5), 5);
+    putBits(distance - INFLATE_DISTANCE_BASE[distanceIndex], INFLATE_DISTANCE_EXTRA[distanceIndex]);
+  };
+
+  out[position++] = 0x78; // CMF: deflate, окно 32K
+  out[position++] = 0x01; // FLG: без словаря, контрольная сумма заголовка
+  putBits(1, 1);          // BFINAL
+  putBits(1, 2);          // BTYPE = 01 (фиксированный код)
+
+  for (let i = 0; i < data.length;) {
+    let bestLength = 0;
+    let bestDistance = 0;
+
+    distances.forEach(distance => {
+      if (distance > i || distance > 32768) return;
+
+      const limit = Math.min(258, data.length - i);
+      let length = 0;
+      while (length < limit && data[i + length] === data[i + length - distance]) length++;
+
+      if (length > bestLength) {
+        bestLength = length;
+        bestDistance = distance;
+      }
+    });
+
+    if (bestLength >= 3) {
+      putMatch(bestLength, bestDistance);
+      i += bestLength;
+    } else {
+      putSymbol(data[i]);
+      i++;
+    }
+
+    // Буфер рассчитан на несжимаемые данные, но запас дешевле проверки на каждом байте
+    if (position + 16 > out.length) {
+      const grown = new Uint8Array(out.length * 2);
+      grown.set(out);
+      out = grown;
+    }
+  }
+
+  putSymbol(256);
+  if (bitCount > 0) {
+    putBits(0, 8 - bitCount);
+  }
+
+  // Adler-32 (старшим байтом вперед)
+  let a = 1, b = 0;
+  for (let i = 0; i < data.length;) {
+    const end = Math.min(data.length, i + 5552);
+    for (; i < end; i++) {
+      a += data[i];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+
+  const result = new Uint8Array(position + 4);
+  result.set(out.subarray(0, position));
+  writeUint32(result, position, ((b << 16) | a) >>> 0);
+  return result;
+}
+
+// =============================================================================
+// НАСТРОЙКА (ДЛЯ МЕНЮ)
+// =============================================================================
+
+/**
+ * НАСТРОЙКА ОТСТУПА ВОКРУГ ТОВАРА НА БЕЛОМ ФОНЕ
+ */
+function configureBackgroundPadding() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const current = getApiSettings().backgroundPadding;
+
+    const response = ui.prompt(
+      'Отступ белого фона',
+      `Текущий отступ: ${current}%\n\n` +
+      'Отступ вокруг товара в процентах от его большей стороны (0-50).\n' +
+      'Белый фон включается галочкой в окне выбора фото.',
+      ui.ButtonSet.OK_CANCEL
+    );
+
+    if (response.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+
+    const padding = parseFloat(response.getResponseText().replace(',', '.'));
+    if (isNaN(padding) || padding < 0 || padding > 50) {
+      showNotification('Отступ должен быть числом от 0 до 50', 'error');
+      return;
+    }
+
+    setSetting(SCRIPT_PROPERTIES_KEYS.BACKGROUND_PADDING, String(padding));
+    showNotification(`Отступ белого фона: ${padding}%`, 'success');
+
+  } catch (error) {
+    handleError(error, 'Настройка отступа белого фона');
+  }
+}
@@ -0,0 +1,402 @@
+/**
+ * ========================================
+ * МОДУЛЬ 17: КАДР ГАЛЕРЕИ
+ * ========================================
+ *
+ * Перед WebP этапом каждое фото приводится к одному кадру: соотношение
+ * сторон frameAspectRatio (по умолчанию 1:1), большая сторона frameSize,
+ * товар по центру с полем frameMargin (% от меньшей стороны кадра)
+ *
+ * Режимы (frameMode):
+ * - pad: товар целиком вписывается в кадр, пустое место заливается цветом фона
+ * - crop: фото заполняет кадр целиком, лишнее обрезается вокруг товара
+ * - off: кадр не меняется (как раньше - вписывание в 3000px)
+ *
+ * PNG (в том числе результат белого фона) кадрируется здесь на чистом JS,
+ * JPEG и WebP скрипт не декодирует - их кадрирует TinyPNG при WebP-конвертации.
+ * Для crop это cover. Для pad у TinyPNG нет заливки полей, а thumb обрезает
+ * фото, поэтому фото только вписывается (fit) целиком и помечается как
+ * "без кадра" (framed: false) - в листе и в итогах обработки
+ *
+ * Декодирование и кодирование PNG в скрипте списываются из бюджета пикселей
+ * товара (модуль 16): когда он исчерпан, остальные фото тоже идут в TinyPNG.
+ * Белый фон в режиме pad строится сразу в кадре, здесь он не декодируется
+ */
+
+// =============================================================================
+// КОНСТАНТЫ
+// =============================================================================
+
+const GALLERY_FRAMING_SETTINGS = {
+  MODES: ['pad', 'crop', 'off'],
+  MIN_SIZE: 200,
+  MAX_SIZE: 3000,                  // Как и в WebP этапе - больше не нужно
+  MAX_MARGIN: 40,
+  MAX_DECODE_PIXELS: 9000000,      // Большие PNG отдаются TinyPNG, чтобы не упереться в лимит времени
+  ALPHA_THRESHOLD: 16,             // Пиксели прозрачнее считаются фоном
+  BACKGROUND_TOLERANCE: 24         // Насколько пиксель должен отличаться от цвета рамки, чтобы быть товаром
+};
+
+// =============================================================================
+// КАДР ИЗ НАСТРОЕК
+// =============================================================================
+
+/**
+ * ЦЕЛЕВОЙ КАДР
+ *
+ * @param {Object} settings - getApiSettings()
+ * @returns {Object|null} { mode, width, height, marginPercent } или null, если кадр выключен
+ */
+function getGalleryFrame(settings) {
+  const mode = String(settings.frameMode || 'pad').toLowerCase();
+  if (mode === 'off') {
+    return null;
+  }
+
+  const ratio = parseAspectRatio(settings.frameAspectRatio) || 1;
+  const size = Math.min(GALLERY_FRAMING_SETTINGS.MAX_SIZE,
+    Math.max(GALLERY_FRAMING_SETTINGS.MIN_SIZE, settings.frameSize || 2000));
+
+  return {
+    mode: mode === 'crop' ? 'crop' : 'pad',
+    width: ratio >= 1 ? size : Math.round(size * ratio),
+    height: ratio >= 1 ? Math.round(size / ratio) : size,
+    marginPercent: Math.min(GALLERY_FRAMING_SETTINGS.MAX_MARGIN, Math.max(0, settings.frameMargin || 0))
+  };
+}
+
+/**
+ * СООТНОШЕНИЕ СТОРОН ИЗ СТРОКИ ("1:1", "4:3", "3x4", "1.5")
+ *
+ * @returns {number|null} Ширина / высота или null, если строка не разобрана
+ */
+function parseAspectRatio(value) {
+  const match = String(value || '').trim().replace(',', '.')
+    .match(/^(\d+(?:\.\d+)?)\s*(?:[:x×/]\s*(\d+(?:\.\d+)?))?$/i);
+
+  if (!match) {
+    return null;
+  }
+
+  const ratio = parseFloat(match[1]) / (match[2] ? parseFloat(match[2]) : 1);
+  return ratio >= 0.2 && ratio <= 5 ? ratio : null;
+}
+
+// =============================================================================
+// КАДРИРОВАНИЕ
+// =============================================================================
+
+/**
+ * ОДНО ФОТО → КАДР ГАЛЕРЕИ
+ *
+ * @param {string|Blob} imageSource - URL фото или готовый PNG (белый фон)
+ * @param {Object} frame - getGalleryFrame()
+ * @param {Object} pixelBudget - createPixelBudget() или null без ограничения
+ * @returns {Object} { source, resize, framed } для unifiedWebPConversion: source - уже
+ *                   кадрированный PNG или исходное фото, resize - что сделать TinyPNG,
+ *                   framed - false, если кадр pad построить не удалось
+ */
+function frameImageForGallery(imageSource, frame, pixelBudget = null) {
+  const fallback = source => ({
+    source: source,
+    resize: { method: frame.mode === 'crop' ? 'cover' : 'fit', width: frame.width, height: frame.height },
+    framed: frame.mode === 'crop'
+  });
+
+  try {
+    let blob = imageSource;
+
+    if (typeof imageSource === 'string') {
+      const response = UrlFetchApp.fetch(imageSource, { muteHttpExceptions: true });
+      if (response.getResponseCode() !== 200) {
+        throw new Error(`фото не скачалось: HTTP ${response.getResponseCode()}`);
+      }
+      blob = response.getBlob();
+    }
+
+    const bytes = blob.getBytes();
+    const probe = probeImageBytes(bytes);
+
+    if (!probe || probe.format !== 'png' || probe.width * probe.height > GALLERY_FRAMING_SETTINGS.MAX_DECODE_PIXELS) {
+      return fallback(blob);
+    }
+
+    spendPixelBudget(pixelBudget, probe.width * probe.height + frame.width * frame.height);
+
+    const image = decodePngRgba(Uint8Array.from(bytes, b => b & 0xFF));
+    if (!image) {
+      return fallback(blob);
+    }
+
+    const png = encodePngRgb(frame.width, frame.height, renderGalleryFrame(image, frame));
+
+    return {
+      source: Utilities.newBlob(Array.from(png, b => (b > 127 ? b - 256 : b)), 'image/png', 'framed.png'),
+      resize: { method: 'fit', width: frame.width, height: frame.height },
+      framed: true
+    };
+
+  } catch (error) {
+    logWarning(`Кадр галереи не построен в скрипте, фото обработает TinyPNG: ${error.message}`);
+    return fallback(imageSource);
+  }
+}
+
+/**
+ * ПИКСЕЛИ КАДРА
+ *
+ * Товар ищется по альфе (PNG с прозрачностью) или по отличию от цвета рамки
+ * фото; его центр совмещается с центром кадра. При уменьшении пиксель кадра -
+ * среднее по своему прямоугольнику исходника, при увеличении - билинейно
+ *
+ * @param {Object} image - decodePngRgba()
+ * @param {Object} frame - getGalleryFrame()
+ * @returns {Uint8Array} RGB кадра frame.width x frame.height
+ */
+function renderGalleryFrame(image, frame) {
+  const background = detectFrameBackground(image);
+  const box = findProductBounds(image, background) ||
+    { left: 0, top: 0, right: image.width - 1, bottom: image.height - 1 };
+
+  const boxWidth = box.right - box.left + 1;
+  const boxHeight = box.bottom - box.top + 1;
+  let scale;
+
+  if (frame.mode === 'crop') {
+    scale = Math.max(frame.width / image.width, frame.height / image.height);
+  } else {
+    const margin = Math.round(Math.min(frame.width, frame.height) * frame.marginPercent / 100);
+    scale = Math.min(
+      Math.max(1, frame.width - margin * 2) / boxWidth,
+      Math.max(1, frame.height - margin * 2) / boxHeight
+    );
+  }
+
+  // Смещение исходника в кадре: центр товара → центр кадра
+  let offsetX = frame.width / 2 - (box.left + boxWidth / 2) * scale;
+  let offsetY = frame.height / 2 - (box.top + boxHeight / 2) * scale;
+
+  if (frame.mode === 'crop') {
+    // Фото должно закрывать кадр целиком - у края фото товар уже не по центру
+    offsetX = Math.min(0, Math.max(frame.width - image.width * scale, offsetX));
+    offsetY = Math.min(0, Math.max(frame.height - image.height * scale, offsetY));
+  }
+
+  const rgb = new Uint8Array(frame.width * frame.height * 3);
+  const rgba = image.rgba;
+  const pixel = [0, 0, 0];
+
+  // Цвет пикселя исходника на фоне (прозрачность смешивается с цветом фона)
+  const addPixel = (sx, sy, weight) => {
+    if (sx < 0 || sy < 0 || sx >= image.width || sy >= image.height) {
+      pixel[0] += background.r * weight;
+      pixel[1] += background.g * weight;
+      pixel[2] += background.b * weight;
+      return;
+    }
+
+    const i = (sy * image.width + sx) * 4;
+    const alpha = rgba[i + 3] / 255;
+    pixel[0] += (rgba[i] * alpha + background.r * (1 - alpha)) * weight;
+    pixel[1] += (rgba[i + 1] * alpha + background.g * (1 - alpha)) * weight;
+    pixel[2] += (rgba[i + 2] * alpha + background.b * (1 - alpha)) * weight;
+  };
+
+  for (let y = 0; y < frame.height; y++) {
+    for (let x = 0; x < frame.width; x++) {
+      pixel[0] = pixel[1] = pixel[2] = 0;
+
+      if (scale < 1) {
+        const fromX = Math.floor((x - offsetX) / scale);
+        const fromY = Math.floor((y - offsetY) / scale);
+        const toX = Math.max(fromX + 1, Math.floor((x + 1 - offsetX) / scale));
+        const toY = Math.max(fromY + 1, Math.floor((y + 1 - offsetY) / scale));
+        const weight = 1 / ((toX - fromX) * (toY - fromY));
+
+        for (let sy = fromY; sy < toY; sy++) {
+          for (let sx = fromX; sx < toX; sx++) {
+            addPixel(sx, sy, weight);
+          }
+        }
+      } else {
+        const fx = (x + 0.5 - offsetX) / scale - 0.5;
+        const fy = (y + 0.5 - offsetY) / scale - 0.5;
+        const x0 = Math.floor(fx);
+        const y0 = Math.floor(fy);
+        const dx = fx - x0;
+        const dy = fy - y0;
+
+        addPixel(x0, y0, (1 - dx) * (1 - dy));
+        addPixel(x0 + 1, y0, dx * (1 - dy));
+        addPixel(x0, y0 + 1, (1 - dx) * dy);
+        addPixel(x0 + 1, y0 + 1, dx * dy);
+      }
+
+      const target = (y * frame.width + x) * 3;
+      rgb[target] = Math.round(pixel[0]);
+      rgb[target + 1] = Math.round(pixel[1]);
+      rgb[target + 2] = Math.round(pixel[2]);
+    }
+  }
+
+  return rgb;
+}
+
+/**
+ * ЦВЕТ ФОНА ФОТО
+ *
+ * Прозрачная рамка - фон белый (как на этапе белого фона),
+ * иначе - средний цвет крайних пикселей
+ *
+ * @returns {Object} { r, g, b, transparent }
+ */
+function detectFrameBackground(image) {
+  let r = 0, g = 0, b = 0, count = 0, transparent = 0;
+
+  const addBorderPixel = (x, y) => {
+    const i = (y * image.width + x) * 4;
+    if (image.rgba[i + 3] <= GALLERY_FRAMING_SETTINGS.ALPHA_THRESHOLD) transparent++;
+    r += image.rgba[i];
+    g += image.rgba[i + 1];
+    b += image.rgba[i + 2];
+    count++;
+  };
+
+  for (let x = 0; x < image.width; x++) {
+    addBorderPixel(x, 0);
+    addBorderPixel(x, image.height - 1);
+  }
+  for (let y = 1; y < image.height - 1; y++) {
+    addBorderPixel(0, y);
+    addBorderPixel(image.width - 1, y);
+  }
+
+  if (transparent > count / 2) {
+    return { r: 255, g: 255, b: 255, transparent: true };
+  }
+
+  return { r: Math.round(r / count), g: Math.round(g / count), b: Math.round(b / count), transparent: false };
+}
+
+/**
+ * ГРАНИЦЫ ТОВАРА НА ФОНЕ
+ *
+ * @returns {Object|null} { left, top, right, bottom } включительно или null, если фото однотонное
+ */
+function findProductBounds(image, background) {
+  const rgba = image.rgba;
+  const tolerance = GALLERY_FRAMING_SETTINGS.BACKGROUND_TOLERANCE;
+  let left = image.width, top = image.height, right = -1, bottom = -1;
+
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      const i = (y * image.width + x) * 4;
+
+      const isProduct = background.transparent ?
+        rgba[i + 3] > GALLERY_FRAMING_SETTINGS.ALPHA_THRESHOLD :
+        Math.abs(rgba[i] - background.r) > tolerance ||
+          Math.abs(rgba[i + 1] - background.g) > tolerance ||
+          Math.abs(rgba[i + 2] - background.b) > tolerance;
+
+      if (!isProduct) continue;
+
+      if (x < left) left = x;
+      if (x > right) right = x;
+      if (y < top) top = y;
+      bottom = y;
+    }
+  }
+
+  return right < 0 ? null : { left: left, top: top, right: right, bottom: bottom };
+}
+
+// =============================================================================
+// НАСТРОЙКА (ДЛЯ МЕНЮ)
+// =============================================================================
+
+/**
+ * НАСТРОЙКА КАДРА ГАЛЕРЕИ
+ */
+function configureGalleryFraming() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const settings = getApiSettings();
+    const frame = getGalleryFrame(settings);
+
+    const modeResponse = ui.prompt(
+      'Кадр галереи (1/4)',
+      `Сейчас: ${frame ? `${frame.mode}, ${frame.width}x${frame.height}, поле ${frame.marginPercent}%` : 'выключен'}\n\n` +
+      'Режим:\n' +
+      'pad - товар целиком, пустое место заливается фоном\n' +
+      'crop - фото заполняет кадр, края обрезаются\n' +
+      'off - не менять кадр',
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (modeResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const mode = modeResponse.getResponseText().trim().toLowerCase() || settings.frameMode;
+    if (GALLERY_FRAMING_SETTINGS.MODES.indexOf(mode) === -1) {
+      showNotification('Режим должен быть pad, crop или off', 'error');
+      return;
+    }
+
+    if (mode === 'off') {
+      setSetting(SCRIPT_PROPERTIES_KEYS.FRAME_MODE, mode);
+      showNotification('Кадр галереи выключен', 'success');
+      return;
+    }
+
+    const ratioResponse = ui.prompt(
+      'Кадр галереи (2/4)',
+      `Соотношение сторон (ширина:высота), сейчас ${settings.frameAspectRatio}.\n` +
+      'Например 1:1, 4:3, 3:4. Пусто - оставить.',
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (ratioResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const ratio = ratioResponse.getResponseText().trim() || settings.frameAspectRatio;
+    if (!parseAspectRatio(ratio)) {
+      showNotification(`Не понял соотношение "${ratio}" - нужно вида 1:1 или 4:3`, 'error');
+      return;
+    }
+
+    const sizeResponse = ui.prompt(
+      'Кадр галереи (3/4)',
+      `Большая сторона кадра в пикселях (${GALLERY_FRAMING_SETTINGS.MIN_SIZE}-${GALLERY_FRAMING_SETTINGS.MAX_SIZE}), ` +
+      `сейчас ${settings.frameSize}. Пусто - оставить.`,
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (sizeResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const size = parseInt(sizeResponse.getResponseText().trim() || settings.frameSize);
+    if (isNaN(size) || size < GALLERY_FRAMING_SETTINGS.MIN_SIZE || size > GALLERY_FRAMING_SETTINGS.MAX_SIZE) {
+      showNotification(`Размер должен быть от ${GALLERY_FRAMING_SETTINGS.MIN_SIZE} до ${GALLERY_FRAMING_SETTINGS.MAX_SIZE}`, 'error');
+      return;
+    }
+
+    const marginResponse = ui.prompt(
+      'Кадр галереи (4/4)',
+      `Поле вокруг товара, % от меньшей стороны кадра (0-${GALLERY_FRAMING_SETTINGS.MAX_MARGIN}), ` +
+      `сейчас ${settings.frameMargin}. Пусто - оставить.`,
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (marginResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const margin = parseFloat((marginResponse.getResponseText().trim() || String(settings.frameMargin)).replace(',', '.'));
+    if (isNaN(margin) || margin < 0 || margin > GALLERY_FRAMING_SETTINGS.MAX_MARGIN) {
+      showNotification(`Поле должно быть числом от 0 до ${GALLERY_FRAMING_SETTINGS.MAX_MARGIN}`, 'error');
+      return;
+    }
+
+    setSetting(SCRIPT_PROPERTIES_KEYS.FRAME_MODE, mode);
+    setSetting(SCRIPT_PROPERTIES_KEYS.FRAME_ASPECT_RATIO, ratio);
+    setSetting(SCRIPT_PROPERTIES_KEYS.FRAME_SIZE, String(size));
+    setSetting(SCRIPT_PROPERTIES_KEYS.FRAME_MARGIN, String(margin));
+
+    const saved = getGalleryFrame(getApiSettings());
+    showNotification(`Кадр галереи: ${saved.mode}, ${saved.width}x${saved.height}, поле ${saved.marginPercent}%`, 'success');
+
+  } catch (error) {
+    handleError(error, 'Настройка кадра галереи');
+  }
+}
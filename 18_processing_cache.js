@@ -0,0 +1,272 @@
+/**
+ * ========================================
+ * МОДУЛЬ 18: КЭШ ОБРАБОТКИ ФОТО
+ * ========================================
+ *
+ * Повторная обработка строки не отправляет в OpenAI, Replicate и TinyPNG
+ * фото, которые уже обработаны: результат (alt-тег, SEO имя, URL в хранилище)
+ * лежит на скрытом листе "Кэш обработки фото" под ключом
+ * SHA-256(содержимое исходного фото + настройки конвейера)
+ *
+ * Ключ меняется, если поменялось само фото (даже по тому же URL) или
+ * настройки, от которых зависит результат: модель и scale Replicate,
+ * ассистент alt-тегов, белый фон, кадр галереи, хранилище, название товара
+ *
+ * В кэш попадают только фото, загруженные в хранилище - временные
+ * ссылки Replicate и исходники без обработки не кэшируются
+ */
+
+// =============================================================================
+// КОНСТАНТЫ
+// =============================================================================
+
+const PROCESSING_CACHE_SETTINGS = {
+  MIN_CONFIDENCE: 8              // confidence результата WebP этапа после загрузки в хранилище
+};
+
+// =============================================================================
+// КЛЮЧ КЭША
+// =============================================================================
+
+/**
+ * НАСТРОЙКИ КОНВЕЙЕРА, ОТ КОТОРЫХ ЗАВИСИТ РЕЗУЛЬТАТ
+ *
+ * Название товара входит в подпись: alt-тег и SEO имя строятся из него
+ *
+ * @param {Object} product - Товар из getProductsForProcessing
+ * @param {Object} options - Параметры запуска ({ whiteBackground })
+ * @returns {string} JSON подписи
+ */
+function getProcessingPipelineSignature(product, options = {}) {
+  const settings = getApiSettings();
+  const frame = getGalleryFrame(settings);
+
+  return JSON.stringify({
+    product: String(product.productName || '').trim(),
+    assistant: settings.openaiAltAssistantId || '',
+    model: settings.replicateToken ? settings.replicateModel : 'none',
+    scale: settings.replicateScale,
+    whiteBackground: options.whiteBackground ? settings.backgroundPadding : false,
+    frame: frame ? `${frame.mode} ${frame.width}x${frame.height} ${frame.marginPercent}%` : 'fit 3000',
+    storage: describeImageStorage(settings).key
+  });
+}
+
+function sha256Hex(value) {
+  return bytesToHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, value));
+}
+
+/**
+ * ХЕШ СОДЕРЖИМОГО ИСХОДНОГО ФОТО
+ *
+ * @returns {string|null} SHA-256 байтов или null, если фото не скачалось
+ */
+function hashSourceImage(imageUrl) {
+  try {
+    const response = UrlFetchApp.fetch(imageUrl, { muteHttpExceptions: true });
+    if (response.getResponseCode() !== 200) {
+      logWarning(`Кэш обработки: фото не скачалось (${response.getResponseCode()}): ${imageUrl}`);
+      return null;
+    }
+
+    return sha256Hex(response.getBlob().getBytes());
+
+  } catch (error) {
+    logWarning(`Кэш обработки: не удалось посчитать хеш ${imageUrl}: ${error.message}`);
+    return null;
+  }
+}
+
+// =============================================================================
+// ПОИСК И ЗАПИСЬ
+// =============================================================================
+
+/**
+ * ГОТОВЫЕ РЕЗУЛЬТАТЫ ДЛЯ СПИСКА ФОТО
+ *
+ * @param {Array<string>} imageUrls - Исходные фото в порядке обработки
+ * @param {string} pipeline - getProcessingPipelineSignature()
+ * @returns {Array<Object>} Для каждого фото { url, sourceHash, cacheKey, cached } -
+ *                          cached: результат как у processUnifiedWebPOptimization или null
+ */
+function lookupProcessingCache(imageUrls, pipeline) {
+  const entries = {};
+  getProcessingCacheEntries().forEach(entry => {
+    entries[entry.cacheKey] = entry; // Последняя запись по ключу - самая свежая
+  });
+
+  return imageUrls.map(url => {
+    const sourceHash = hashSourceImage(url);
+    const cacheKey = sourceHash ? sha256Hex(`${sourceHash}|${pipeline}`) : null;
+    const entry = cacheKey ? entries[cacheKey] : null;
+
+    return {
+      url: url,
+      sourceHash: sourceHash,
+      cacheKey: cacheKey,
+      cached: entry ? {
+        altTag: entry.altTag,
+        seoFilename: entry.seoFilename,
+        processedImageUrl: entry.processedUrl,
+        width: entry.width || null,
+        height: entry.height || null,
+        confidence: PROCESSING_CACHE_SETTINGS.MIN_CONFIDENCE,
+        fromCache: true
+      } : null
+    };
+  });
+}
+
+/**
+ * СОХРАНЕНИЕ РЕЗУЛЬТАТОВ, ЗАГРУЖЕННЫХ В ХРАНИЛИЩЕ
+ *
+ * @param {string} article - Артикул товара
+ * @param {Array<Object>} lookups - Записи lookupProcessingCache для обработанных фото
+ * @param {Array<Object>} results - Результаты processUnifiedWebPOptimization в том же порядке
+ * @param {string} pipeline - getProcessingPipelineSignature()
+ * @returns {number} Сколько результатов сохранено
+ */
+function saveProcessingCache(article, lookups, results, pipeline) {
+  const rows = [];
+
+  results.forEach((result, index) => {
+    const lookup = lookups[index];
+    // Фото без кадра галереи в кэш не попадает - иначе отметка "без кадра" потеряется
+    if (!lookup || !lookup.cacheKey || !result || result.framed === false ||
+        result.confidence < PROCESSING_CACHE_SETTINGS.MIN_CONFIDENCE || !result.processedImageUrl) {
+      return;
+    }
+
+    rows.push([
+      lookup.cacheKey,
+      String(article).trim(),
+      lookup.url,
+      lookup.sourceHash,
+      pipeline,
+      result.altTag,
+      result.seoFilename,
+      result.processedImageUrl,
+      result.width || '',
+      result.height || '',
+      new Date()
+    ]);
+  });
+
+  if (rows.length > 0) {
+    const sheet = getProcessingCacheSheet();
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, 11).setValues(rows);
+  }
+
+  return rows.length;
+}
+
+// =============================================================================
+// ЛИСТ КЭША
+// =============================================================================
+
+function getProcessingCacheSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(SHEET_NAMES.PROCESSING_CACHE);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SHEET_NAMES.PROCESSING_CACHE);
+    sheet.getRange(1, 1, 1, 11).setValues([[
+      'Ключ', 'Артикул', 'Исходное фото', 'Хеш фото', 'Настройки', 'Alt-тег', 'SEO имя',
+      'Обработанное фото', 'Ширина', 'Высота', 'Сохранено'
+    ]]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+    logInfo(`Создан служебный лист "${SHEET_NAMES.PROCESSING_CACHE}"`);
+  }
+
+  return sheet;
+}
+
+/**
+ * ВСЕ ЗАПИСИ КЭША
+ *
+ * @returns {Array<Object>} { row, cacheKey, article, sourceUrl, sourceHash, pipeline,
+ *                            altTag, seoFilename, processedUrl, width, height, createdAt }
+ */
+function getProcessingCacheEntries() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.PROCESSING_CACHE);
+
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
+  }
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, 11).getValues()
+    .map((row, index) => ({
+      row: index + 2,
+      cacheKey: String(row[PROCESSING_CACHE_COLUMNS.CACHE_KEY - 1]),
+      article: String(row[PROCESSING_CACHE_COLUMNS.ARTICLE - 1]).trim(),
+      sourceUrl: String(row[PROCESSING_CACHE_COLUMNS.SOURCE_URL - 1]),
+      sourceHash: String(row[PROCESSING_CACHE_COLUMNS.SOURCE_HASH - 1]),
+      pipeline: String(row[PROCESSING_CACHE_COLUMNS.PIPELINE - 1]),
+      altTag: String(row[PROCESSING_CACHE_COLUMNS.ALT_TAG - 1]),
+      seoFilename: String(row[PROCESSING_CACHE_COLUMNS.SEO_FILENAME - 1]),
+      processedUrl: String(row[PROCESSING_CACHE_COLUMNS.PROCESSED_URL - 1]),
+      width: row[PROCESSING_CACHE_COLUMNS.WIDTH - 1],
+      height: row[PROCESSING_CACHE_COLUMNS.HEIGHT - 1],
+      createdAt: row[PROCESSING_CACHE_COLUMNS.CREATED_AT - 1]
+    }))
+    .filter(entry => entry.cacheKey);
+}
+
+/**
+ * УБРАТЬ ИЗ КЭША РЕЗУЛЬТАТЫ С ЭТИМ ОБРАБОТАННЫМ ФОТО
+ *
+ * Вызывается при удалении фото из хранилища - иначе кэш вернет мертвую ссылку
+ *
+ * @returns {number} Сколько записей удалено
+ */
+function forgetProcessingCacheUrl(processedUrl) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.PROCESSING_CACHE);
+  const rows = getProcessingCacheEntries()
+    .filter(entry => entry.processedUrl === processedUrl)
+    .map(entry => entry.row);
+
+  // Снизу вверх, чтобы номера строк выше не сдвигались
+  rows.reverse().forEach(row => sheet.deleteRow(row));
+  return rows.length;
+}
+
+// =============================================================================
+// ОЧИСТКА (ДЛЯ МЕНЮ)
+// =============================================================================
+
+/**
+ * ОЧИСТКА КЭША ОБРАБОТКИ
+ *
+ * Фото в хранилище остаются - следующая обработка просто загрузит новые
+ */
+function clearProcessingCache() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const count = getProcessingCacheEntries().length;
+
+    if (count === 0) {
+      showNotification('Кэш обработки фото пуст', 'info');
+      return;
+    }
+
+    const confirm = ui.alert(
+      'Очистка кэша обработки',
+      `В кэше ${count} обработанных фото.\n\n` +
+      'После очистки все фото при следующей обработке снова пройдут через OpenAI, Replicate и TinyPNG. ' +
+      'Уже загруженные фото из хранилища не удаляются.\n\nОчистить?',
+      ui.ButtonSet.YES_NO
+    );
+
+    if (confirm !== ui.Button.YES) {
+      return;
+    }
+
+    const sheet = getProcessingCacheSheet();
+    sheet.deleteRows(2, sheet.getLastRow() - 1);
+    showNotification(`Кэш обработки очищен: ${count} записей`, 'success');
+
+  } catch (error) {
+    handleError(error, 'Очистка кэша обработки');
+  }
+}
@@ -0,0 +1,432 @@
+/**
+ * ========================================
+ * МОДУЛЬ 19: РАСХОДЫ НА ВНЕШНИЕ API
+ * ========================================
+ *
+ * Каждый платный вызов OpenAI, Replicate и TinyPNG записывается на скрытый
+ * лист "Расходы API": сервис, единицы (токены, секунды GPU, компрессии),
+ * оценка стоимости, артикул и запуск. Запуск - это фоновая задача очереди
+ * (ID задачи) или ручной вызов из меню
+ *
+ * Стоимость - оценка по публичным ценам (API_USAGE_PRICING и pricePerSecond
+ * моделей Replicate в 00_config), фактический счет сервиса может отличаться
+ *
+ * Лимиты apiBudgetRun и apiBudgetMonthly проверяются очередью перед каждым
+ * товаром: если следующий товар (по среднему расходу запуска) выйдет за лимит,
+ * оставшиеся товары задачи отменяются
+ */
+
+// =============================================================================
+// КОНСТАНТЫ
+// =============================================================================
+
+const API_USAGE_SERVICES = {
+  OPENAI: 'OpenAI',
+  REPLICATE: 'Replicate',
+  TINYPNG: 'TinyPNG'
+};
+
+/**
+ * ЦЕНЫ ДЛЯ ОЦЕНКИ СТОИМОСТИ
+ *
+ * OpenAI - $ за 1M токенов по модели (префикс имени модели, самый длинный совпавший)
+ * TinyPNG - первые FREE_PER_MONTH компрессий в месяц бесплатны
+ */
+const API_USAGE_PRICING = {
+  OPENAI: {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4-vision-preview': { input: 10, output: 30 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    DEFAULT: { input: 2.5, output: 10 }
+  },
+  TINYPNG: {
+    FREE_PER_MONTH: 500,
+    PER_COMPRESSION: 0.009
+  }
+};
+
+const API_USAGE_SETTINGS = {
+  REPORT_RUNS: 20                  // Сколько последних запусков показывать в сводке
+};
+
+// Запуск и товар, к которым относятся вызовы текущего выполнения скрипта
+let API_USAGE_CONTEXT = { runId: '', article: '' };
+
+// =============================================================================
+// КОНТЕКСТ ЗАПУСКА
+// =============================================================================
+
+/**
+ * ЗАПУСК И ТОВАР ДЛЯ СЛЕДУЮЩИХ ЗАПИСЕЙ
+ *
+ * Очередь задач выставляет их перед каждым товаром. Без контекста
+ * вызовы относятся к ручному запуску текущего выполнения скрипта
+ */
+function setApiUsageContext(runId, article) {
+  API_USAGE_CONTEXT = { runId: runId || '', article: article ? String(article).trim() : '' };
+}
+
+function getApiUsageRunId() {
+  if (!API_USAGE_CONTEXT.runId) {
+    API_USAGE_CONTEXT.runId = `MANUAL_${Date.now()}`;
+  }
+
+  return API_USAGE_CONTEXT.runId;
+}
+
+// =============================================================================
+// ЗАПИСЬ ВЫЗОВОВ
+// =============================================================================
+
+/**
+ * ЗАПИСЬ ОДНОГО ВЫЗОВА
+ *
+ * Ошибка журнала не должна ронять обработку - она только логируется
+ *
+ * @param {Object} entry - { service, operation, units, unit, cost, details, article? }
+ */
+function recordApiUsage(entry) {
+  try {
+    const sheet = getApiUsageSheet();
+    sheet.getRange(sheet.getLastRow() + 1, 1, 1, 9).setValues([[
+      new Date(),
+      getApiUsageRunId(),
+      entry.article || API_USAGE_CONTEXT.article,
+      entry.service,
+      entry.operation,
+      entry.units,
+      entry.unit,
+      Math.round(entry.cost * 1e6) / 1e6,
+      entry.details || ''
+    ]]);
+
+  } catch (error) {
+    logWarning(`Не удалось записать расход ${entry.service}: ${error.message}`);
+  }
+}
+
+/**
+ * ВЫЗОВ OPENAI (chat completion или завершенный run ассистента)
+ *
+ * @param {string} operation - Что вызывалось
+ * @param {Object} data - Ответ API с полями usage и model
+ */
+function recordOpenAIUsage(operation, data) {
+  const usage = data && data.usage;
+  if (!usage) {
+    return;
+  }
+
+  const model = data.model || '';
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+
+  recordApiUsage({
+    service: API_USAGE_SERVICES.OPENAI,
+    operation: operation,
+    units: promptTokens + completionTokens,
+    unit: 'токены',
+    cost: estimateOpenAICost(model, promptTokens, completionTokens),
+    details: `${model || 'модель неизвестна'}: ${promptTokens} вход + ${completionTokens} выход`
+  });
+}
+
+function estimateOpenAICost(model, promptTokens, completionTokens) {
+  const name = String(model).toLowerCase();
+  const key = Object.keys(API_USAGE_PRICING.OPENAI)
+    .filter(prefix => prefix !== 'DEFAULT' && name.indexOf(prefix) === 0)
+    .sort((a, b) => b.length - a.length)[0];
+
+  const price = API_USAGE_PRICING.OPENAI[key || 'DEFAULT'];
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+/**
+ * ПРЕДСКАЗАНИЕ REPLICATE (оплачиваются секунды работы GPU)
+ *
+ * @param {string} operation - Что вызывалось
+ * @param {Object} model - Модель из REPLICATE_MODELS или REPLICATE_BACKGROUND_MODEL
+ * @param {number} predictTime - metrics.predict_time завершенного предсказания, сек
+ */
+function recordReplicateUsage(operation, model, predictTime) {
+  if (!predictTime) {
+    return;
+  }
+
+  recordApiUsage({
+    service: API_USAGE_SERVICES.REPLICATE,
+    operation: operation,
+    units: Math.round(predictTime * 100) / 100,
+    unit: 'сек GPU',
+    cost: predictTime * (model.pricePerSecond || 0),
+    details: model.name
+  });
+}
+
+/**
+ * КОМПРЕССИЯ TINYPNG
+ *
+ * Заголовок Compression-Count - сколько компрессий ключ сделал за месяц:
+ * пока он в бесплатном лимите, компрессия ничего не стоит
+ *
+ * @param {string} operation - Что вызывалось
+ * @param {HTTPResponse} response - Успешный ответ TinyPNG
+ */
+function recordTinyPngUsage(operation, response) {
+  const headers = response.getHeaders ? response.getHeaders() : {};
+  const monthlyCount = parseInt(headers['Compression-Count'] || headers['compression-count']) || 0;
+  const billable = monthlyCount > API_USAGE_PRICING.TINYPNG.FREE_PER_MONTH;
+
+  recordApiUsage({
+    service: API_USAGE_SERVICES.TINYPNG,
+    operation: operation,
+    units: 1,
+    unit: 'компрессия',
+    cost: billable ? API_USAGE_PRICING.TINYPNG.PER_COMPRESSION : 0,
+    details: monthlyCount ? `за месяц ${monthlyCount}${billable ? '' : ' (бесплатный лимит)'}` : ''
+  });
+}
+
+// =============================================================================
+// ЖУРНАЛ И ИТОГИ
+// =============================================================================
+
+function getApiUsageSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(SHEET_NAMES.API_USAGE);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SHEET_NAMES.API_USAGE);
+    sheet.getRange(1, 1, 1, 9).setValues([[
+      'Дата', 'Запуск', 'Артикул', 'Сервис', 'Операция', 'Единиц', 'Единица', 'Стоимость, $', 'Подробности'
+    ]]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+    logInfo(`Создан служебный лист "${SHEET_NAMES.API_USAGE}"`);
+  }
+
+  return sheet;
+}
+
+/**
+ * ЗАПИСИ ЖУРНАЛА РАСХОДОВ
+ *
+ * @returns {Array<Object>} { date, month, runId, article, service, operation, units, unit, cost }
+ */
+function getApiUsageEntries() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.API_USAGE);
+
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
+  }
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, 9).getValues()
+    .map(row => {
+      const date = new Date(row[API_USAGE_COLUMNS.DATE - 1]);
+      return {
+        date: date,
+        month: getApiUsageMonth(date),
+        runId: String(row[API_USAGE_COLUMNS.RUN_ID - 1]),
+        article: String(row[API_USAGE_COLUMNS.ARTICLE - 1]),
+        service: String(row[API_USAGE_COLUMNS.SERVICE - 1]),
+        operation: String(row[API_USAGE_COLUMNS.OPERATION - 1]),
+        units: Number(row[API_USAGE_COLUMNS.UNITS - 1]) || 0,
+        unit: String(row[API_USAGE_COLUMNS.UNIT - 1]),
+        cost: Number(row[API_USAGE_COLUMNS.COST - 1]) || 0
+      };
+    });
+}
+
+/**
+ * МЕСЯЦ ЗАПИСИ ("10.2026", московское время)
+ */
+function getApiUsageMonth(date = new Date()) {
+  return formatDate(date, 'short').slice(3);
+}
+
+/**
+ * СУММА РАСХОДОВ
+ *
+ * @param {Array<Object>} entries - Записи getApiUsageEntries (уже отфильтрованные)
+ * @returns {Object} { cost, articles, byService: { OpenAI: { units, unit, cost, calls } } }
+ */
+function summarizeApiUsage(entries) {
+  const summary = { cost: 0, articles: 0, byService: {} };
+  const articles = {};
+
+  entries.forEach(entry => {
+    const service = summary.byService[entry.service] =
+      summary.byService[entry.service] || { units: 0, unit: entry.unit, cost: 0, calls: 0 };
+
+    service.units += entry.units;
+    service.cost += entry.cost;
+    service.calls++;
+    summary.cost += entry.cost;
+
+    if (entry.article) {
+      articles[entry.article] = true;
+    }
+  });
+
+  summary.articles = Object.keys(articles).length;
+  return summary;
+}
+
+// =============================================================================
+// ЛИМИТЫ
+// =============================================================================
+
+/**
+ * МОЖНО ЛИ ЗАПУСКАТЬ СЛЕДУЮЩИЙ ТОВАР ЗАПУСКА
+ *
+ * Следующий товар оценивается средним расходом на товар в этом запуске
+ * (до первого товара - в этом месяце)
+ *
+ * @param {string} runId - ID запуска (задачи очереди)
+ * @returns {Object} { allowed, reason, runCost, monthCost }
+ */
+function checkApiBudget(runId) {
+  const settings = getApiSettings();
+
+  if (!settings.apiBudgetRun && !settings.apiBudgetMonthly) {
+    return { allowed: true, reason: '', runCost: 0, monthCost: 0 };
+  }
+
+  const month = getApiUsageMonth();
+  const entries = getApiUsageEntries().filter(entry => entry.month === month);
+  const monthSummary = summarizeApiUsage(entries);
+  const runSummary = summarizeApiUsage(entries.filter(entry => entry.runId === runId));
+
+  const perArticle = runSummary.articles > 0 ? runSummary.cost / runSummary.articles :
+    (monthSummary.articles > 0 ? monthSummary.cost / monthSummary.articles : 0);
+
+  const result = { allowed: true, reason: '', runCost: runSummary.cost, monthCost: monthSummary.cost };
+
+  if (settings.apiBudgetRun && runSummary.cost + perArticle > settings.apiBudgetRun) {
+    result.allowed = false;
+    result.reason = `лимит на запуск $${settings.apiBudgetRun}: потрачено $${runSummary.cost.toFixed(2)}, ` +
+      `следующий товар ~$${perArticle.toFixed(2)}`;
+  } else if (settings.apiBudgetMonthly && monthSummary.cost + perArticle > settings.apiBudgetMonthly) {
+    result.allowed = false;
+    result.reason = `месячный лимит $${settings.apiBudgetMonthly}: потрачено $${monthSummary.cost.toFixed(2)}, ` +
+      `следующий товар ~$${perArticle.toFixed(2)}`;
+  }
+
+  return result;
+}
+
+// =============================================================================
+// СВОДКА И НАСТРОЙКА (ДЛЯ МЕНЮ)
+// =============================================================================
+
+/**
+ * СВОДКА РАСХОДОВ: ИТОГИ ПО МЕСЯЦАМ И ПОСЛЕДНИМ ЗАПУСКАМ
+ *
+ * Лист "Сводка расходов API" пересобирается целиком при каждом вызове
+ */
+function showApiUsageReport() {
+  try {
+    const entries = getApiUsageEntries();
+
+    if (entries.length === 0) {
+      showNotification('Платных вызовов API пока не было', 'info');
+      return;
+    }
+
+    const services = Object.keys(API_USAGE_SERVICES).map(key => API_USAGE_SERVICES[key]);
+    const money = value => Math.round(value * 100) / 100;
+    const rows = [];
+
+    // Итоги по месяцам
+    rows.push(['ПО МЕСЯЦАМ', 'Товаров', ...services.map(service => `${service}, $`), 'Всего, $']);
+    const months = [...new Set(entries.map(entry => entry.month))];
+    months.forEach(month => {
+      const summary = summarizeApiUsage(entries.filter(entry => entry.month === month));
+      rows.push([month, summary.articles,
+        ...services.map(service => money(summary.byService[service] ? summary.byService[service].cost : 0)),
+        money(summary.cost)]);
+    });
+
+    // Итоги по последним запускам
+    rows.push(['', '', ...services.map(() => ''), '']);
+    rows.push(['ПО ЗАПУСКАМ', 'Товаров', ...services.map(service => `${service}, $`), 'Всего, $']);
+    const runs = [...new Set(entries.map(entry => entry.runId))].slice(-API_USAGE_SETTINGS.REPORT_RUNS).reverse();
+    runs.forEach(runId => {
+      const summary = summarizeApiUsage(entries.filter(entry => entry.runId === runId));
+      rows.push([runId, summary.articles,
+        ...services.map(service => money(summary.byService[service] ? summary.byService[service].cost : 0)),
+        money(summary.cost)]);
+    });
+
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = spreadsheet.getSheetByName(SHEET_NAMES.API_USAGE_REPORT);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(SHEET_NAMES.API_USAGE_REPORT);
+    }
+
+    sheet.clear();
+    sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+    sheet.getRange(1, 1, 1, rows[0].length).setFontWeight('bold');
+    sheet.getRange(months.length + 3, 1, 1, rows[0].length).setFontWeight('bold');
+    spreadsheet.setActiveSheet(sheet);
+
+    const settings = getApiSettings();
+    const current = summarizeApiUsage(entries.filter(entry => entry.month === getApiUsageMonth()));
+    showNotification(`Расходы за месяц: $${current.cost.toFixed(2)}` +
+      (settings.apiBudgetMonthly ? ` из $${settings.apiBudgetMonthly}` : ''), 'info');
+
+  } catch (error) {
+    handleError(error, 'Сводка расходов API');
+  }
+}
+
+/**
+ * НАСТРОЙКА ЛИМИТОВ РАСХОДОВ
+ */
+function configureApiBudget() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const settings = getApiSettings();
+
+    const limits = [
+      { key: SCRIPT_PROPERTIES_KEYS.API_BUDGET_RUN, current: settings.apiBudgetRun, label: 'на один запуск (фоновую задачу)' },
+      { key: SCRIPT_PROPERTIES_KEYS.API_BUDGET_MONTHLY, current: settings.apiBudgetMonthly, label: 'на месяц' }
+    ];
+
+    const values = [];
+    for (const limit of limits) {
+      const response = ui.prompt(
+        'Лимит расходов API',
+        `Лимит ${limit.label} в долларах, сейчас ${limit.current ? '$' + limit.current : 'без лимита'}.\n\n` +
+        '0 - без лимита, пусто - оставить.\n' +
+        'Очередь отменяет оставшиеся товары, если следующий выйдет за лимит.',
+        ui.ButtonSet.OK_CANCEL
+      );
+
+      if (response.getSelectedButton() !== ui.Button.OK) {
+        return;
+      }
+
+      const text = response.getResponseText().trim().replace(',', '.');
+      const value = text ? parseFloat(text) : limit.current;
+      if (isNaN(value) || value < 0) {
+        showNotification('Лимит должен быть неотрицательным числом', 'error');
+        return;
+      }
+
+      values.push(value);
+    }
+
+    limits.forEach((limit, index) => setSetting(limit.key, String(values[index])));
+    showNotification(`Лимиты API: запуск ${values[0] ? '$' + values[0] : 'без лимита'}, ` +
+      `месяц ${values[1] ? '$' + values[1] : 'без лимита'}`, 'success');
+
+  } catch (error) {
+    handleError(error, 'Настройка лимитов расходов API');
+  }
+}
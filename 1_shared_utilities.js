@@ -715,6 +715,154 @@ function formatFileSize(bytes) {
   }
 }
 
+// =============================================================================
+// 🖼️ РАЗМЕРЫ И ФОРМАТ ИЗОБРАЖЕНИЙ ПО ЗАГОЛОВКУ ФАЙЛА
+// =============================================================================
+
+/**
+ * ОПРЕДЕЛЕНИЕ ФОРМАТА И РАЗМЕРОВ ИЗОБРАЖЕНИЯ ПО БАЙТАМ
+ * 
+ * Читает только заголовки: JPEG (маркер SOF), PNG (IHDR), WebP (VP8 / VP8L / VP8X), GIF.
+ * Достаточно первых десятков килобайт файла
+ * 
+ * @param {Array<number>} bytes - Байты файла (blob.getBytes(), знаковые -128..127)
+ * @returns {Object|null} { format: 'jpeg'|'png'|'webp'|'gif', width, height, bytes } или null
+ * @example
+ * probeImageBytes(blob.getBytes()) // { format: 'jpeg', width: 1200, height: 800, bytes: 245123 }
+ */
+function probeImageBytes(bytes) {
+  if (!bytes || bytes.length < 16) {
+    return null;
+  }
+
+  const b = i => bytes[i] & 0xFF;
+  const ascii = (start, length) => String.fromCharCode.apply(null,
+    Array.from({ length: length }, (_, i) => b(start + i)));
+  const result = (format, width, height) =>
+    width > 0 && height > 0 ? { format: format, width: width, height: height, bytes: bytes.length } : null;
+
+  // PNG: сигнатура, затем первый чанк IHDR с шириной и высотой (big-endian)
+  if (b(0) === 0x89 && ascii(1, 3) === 'PNG' && ascii(12, 4) === 'IHDR') {
+    return result('png',
+      (b(16) << 24 | b(17) << 16 | b(18) << 8 | b(19)) >>> 0,
+      (b(20) << 24 | b(21) << 16 | b(22) << 8 | b(23)) >>> 0);
+  }
+
+  if (ascii(0, 4) === 'GIF8') {
+    return result('gif', b(6) | b(7) << 8, b(8) | b(9) << 8);
+  }
+
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP' && bytes.length >= 30) {
+    const chunk = ascii(12, 4);
+
+    if (chunk === 'VP8 ' && b(23) === 0x9D && b(24) === 0x01 && b(25) === 0x2A) {
+      return result('webp', (b(26) | b(27) << 8) & 0x3FFF, (b(28) | b(29) << 8) & 0x3FFF);
+    }
+
+    if (chunk === 'VP8L' && b(20) === 0x2F) {
+      return result('webp',
+        1 + (((b(22) & 0x3F) << 8) | b(21)),
+        1 + (((b(24) & 0x0F) << 10) | (b(23) << 2) | ((b(22) & 0xC0) >> 6)));
+    }
+
+    if (chunk === 'VP8X') {
+      return result('webp',
+        1 + (b(24) | b(25) << 8 | b(26) << 16),
+        1 + (b(27) | b(28) << 8 | b(29) << 16));
+    }
+
+    return null;
+  }
+
+  // JPEG: проходим по сегментам до маркера SOF (Start Of Frame)
+  if (b(0) === 0xFF && b(1) === 0xD8) {
+    let offset = 2;
+
+    while (offset + 9 < bytes.length) {
+      if (b(offset) !== 0xFF) return null;
+
+      const marker = b(offset + 1);
+
+      // Заполняющие байты 0xFF и маркеры без длины
+      if (marker === 0xFF) { offset++; continue; }
+      if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { offset += 2; continue; }
+
+      // Начало сжатых данных - SOF уже должен был встретиться
+      if (marker === 0xDA || marker === 0xD9) return null;
+
+      const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF &&
+        marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+
+      if (isStartOfFrame) {
+        return result('jpeg', b(offset + 7) << 8 | b(offset + 8), b(offset + 5) << 8 | b(offset + 6));
+      }
+
+      offset += 2 + (b(offset + 2) << 8 | b(offset + 3));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * РАЗМЕРЫ ИЗОБРАЖЕНИЯ ИЗ BLOB
+ * 
+ * @param {GoogleAppsScript.Base.Blob} blob - Загруженное изображение
+ * @returns {Object|null} { format, width, height, bytes } или null
+ */
+function probeImageBlob(blob) {
+  try {
+    return probeImageBytes(blob.getBytes());
+  } catch (error) {
+    logWarning(`Не удалось прочитать заголовок изображения: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * РАЗМЕРЫ ИЗОБРАЖЕНИЯ ПО URL
+ * 
+ * Запрашивает только начало файла (Range); если сервер Range не поддерживает,
+ * читается весь файл. bytes - полный размер файла
+ * 
+ * @param {string} imageUrl - URL изображения
+ * @param {Object} httpClient - Клиент с методом fetch (по умолчанию UrlFetchApp)
+ * @returns {Object|null} { format, width, height, bytes } или null
+ */
+function probeImageUrl(imageUrl, httpClient = UrlFetchApp) {
+  try {
+    const response = httpClient.fetch(imageUrl, {
+      muteHttpExceptions: true,
+      headers: { 'User-Agent': 'Mozilla/5.0', 'Range': 'bytes=0-65535' }
+    });
+
+    const code = response.getResponseCode();
+    if (code !== 200 && code !== 206) {
+      return null;
+    }
+
+    const probe = probeImageBlob(response.getBlob());
+    if (!probe) {
+      return null;
+    }
+
+    // "bytes 0-65535/245123" - полный размер файла после "/"
+    const headers = response.getHeaders() || {};
+    const contentRange = String(headers['Content-Range'] || headers['content-range'] || '');
+    const total = Number(contentRange.split('/')[1]);
+
+    if (code === 206 && total > 0) {
+      probe.bytes = total;
+    }
+
+    return probe;
+
+  } catch (error) {
+    logWarning(`Не удалось определить размеры ${imageUrl}: ${error.message}`);
+    return null;
+  }
+}
+
 // =============================================================================
 // 🧪 ФУНКЦИИ ТЕСТИРОВАНИЯ МОДУЛЯ
 // =============================================================================
@@ -0,0 +1,819 @@
+/**
+ * ========================================
+ * МОДУЛЬ 20: ВСТРОЕННЫЙ СПРАВОЧНИК ХАРАКТЕРИСТИК
+ * ========================================
+ *
+ * Полная копия data/JSON-справочник.json (лист Sheet1) - Apps Script не читает
+ * файлы репозитория, поэтому справочник лежит в коде. Используется, если
+ * в настройках не задан файл справочника на Google Drive (модуль 06)
+ *
+ * При обновлении data/JSON-справочник.json перенесите записи сюда и поменяйте
+ * version - по ней валидация предупреждает об устаревшем справочнике
+ */
+
+const SPECIFICATION_REFERENCE = {
+  version: '2025-11-07',           // Дата выгрузки data/JSON-справочник.json
+  parameters: [
+    {
+      'Параметр (эталонное название)': 'Артикул',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Строка без пробелов, только латиница/цифры, пример: 12345-ABC',
+      'Тип поля': 'формат',
+      'Источник значения': 'binokl.shop',
+      'Обязательное поле': 'да',
+      'Комментарий': 'Обязательное поле.\nНе удалять и не изменять!\nПри обновлении размещенного на сайте товара значение оставить без изменений.\nПри добавлении на сайт нового товара указать артикул поставщика.\nНе участвует в сравнении с товаром поставщика.\nЗапрещено менять регистр, символы, формат, добавлять префиксы/суффиксы.\nИспользуется для корректного обновления товара: при любом расхождении InSales не сможет внести изменения.'
+    },
+    {
+      'Параметр (эталонное название)': 'Название товара или услуги',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Текстовая строка, соблюдая регистр и порядок слов.',
+      'Тип поля': 'формат',
+      'Источник значения': 'binokl.shop',
+      'Обязательное поле': 'да',
+      'Комментарий': 'Обязательное поле.\nНе удалять и не изменять!\nПри обновлении размещенного на сайте товара значение оставить без изменений.\nПри добавлении на сайт нового товара взять название поставщика.\nНе участвует в сравнении с товаром поставщика.\nЗапрещено менять регистр, символы, формат, добавлять префиксы/суффиксы.\nИспользуется для корректного обновления товара: при любом расхождении InSales не сможет внести изменения.'
+    },
+    {
+      'Параметр (эталонное название)': 'Цена продажи',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Число, без символов и пробелов,  пример: 14990',
+      'Тип поля': 'число',
+      'Источник значения': 'binokl.shop',
+      'Обязательное поле': 'да',
+      'Комментарий': 'Обязательное поле. Требуется для загрузки. Подставляется вне зависимости от сравнения параметров. \nБез пробелов, знаков валюты, точек, запятых и символа ₽. При пустом значении или 0 — товар не обновляется.'
+    },
+    {
+      'Параметр (эталонное название)': 'Остаток',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Целое число, пример: 10',
+      'Тип поля': 'число',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Устанавливается вручную при размещении/обновлении товара. По умолчанию — 5. Используется для отображения доступности на складе.'
+    },
+    {
+      'Параметр (эталонное название)': 'Название товара в URL',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(ссылка)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'URL',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(ссылка)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'ID товара',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(число)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'Дополнительное описание',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(текст)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'Видимость на витрине',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'выставлен; скрыт',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'Применять скидки',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'да',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'Тег title',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(произвольное)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'Мета-тег keywords',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(текст)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'Мета-тег description',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(текст)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'Размещение на сайте',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(да/нет или текст)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Несколько категорий указываются через ##, без пробелов. Полный путь от корня \'Каталог\'.'
+    },
+    {
+      'Параметр (эталонное название)': 'Весовой коэффициент',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(произвольное)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'Валюта склада',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'RUR',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'НДС',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Без НДС',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'Единица измерения',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'шт',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'Изображения',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(произвольное)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Ссылки разделяются пробелом. Пробелы в URL заменить на %20. Строгий порядок'
+    },
+    {
+      'Параметр (эталонное название)': 'Ссылка на видео',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(ссылка)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'ID варианта',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(число)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'Штрих-код',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(число)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'Внешний ID',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(число)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'Габариты варианта',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(формат: Ш×Г×В см)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Формат: Ш×Г×В в сантиметрах, через латинскую \'x\', без единиц измерения и пробелов.'
+    },
+    {
+      'Параметр (эталонное название)': 'Старая цена',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(число)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'Себестоимость',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '(число)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Служебное поле - не удалять и не изменять!\nНе участвует в сравнении с товаром поставщика.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Тип товара',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Оптический монокуляр; Система Кеплера; Цифровой монокуляр',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Классический монокуляр с оптической системой линз. Используется для наблюдения на средние и дальние дистанции, не содержит электронных компонентов. Монокуляр с цифровым модулем, может включать экран, запись фото/видео, ИК-подсветку. Применяется в условиях низкой освещённости, для видеонаблюдения и охоты. Тип оптической конструкции, основанный на линзах Кеплера. Используется для моделей с увеличенным полем зрения и прямым изображением. Уточняется только при наличии технического подтверждения.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Бренд',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Название бренда, как в оригинале, пример: Levenhuk',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Значения указываются строго в оригинальном написании на латинице (без транслитерации), с заглавной первой буквой (например: Levenhuk). Использование заглавных или строчных всех букв не допускается.\n'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Серия',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Название серии товара, пример: Karma BASE',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Значения указываются точно в соответствии с оригинальным названием, без транслитерации или перевода.\n\nПервая буква заглавная, остальные — строчные (если это не аббревиатура или торговое имя в верхнем регистре).\n\nНе добавлять бренд в это поле (например, писать просто Wise, а не Levenhuk Wise).\nНе дублировать тип товара (не нужно Monovid monocular, достаточно Monovid). Если серия обозначена буквенно-цифровым кодом (например, VM WP), сохраняется оригинальное написание.Если название серии состоит из двух слов — писать через пробел, каждое с заглавной (например, Real Scope).'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: typePrefix',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Пример: Монокуляр',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Параметр typePrefix используется для задания общего типа товара, который будет отображаться перед названием в фидах или в карточках на маркетплейсах (например, в Яндекс.Маркете). Это влияет на читаемость названия и корректную категоризацию.\n✅ Рекомендации по параметру typePrefix:\n\n    Для оптических монокуляров указывать строго:\n    Монокуляр — с заглавной буквы.\n\n    Избегать написания с маленькой буквы (монокуляр) — это снижает читаемость и может повлиять на внешний вид заголовков на маркетплейсах.\n\n    Не использовать множественное число или другие формулировки (например, «монокуляры», «прибор» и т. д.).\n'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: model',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Модель товара, включая все буквенно-цифровые обозначения',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'В большинстве случаев в параметр model бренд включать не нужно — он указывается отдельно в поле Бренд. Однако есть исключения, когда:\n✅ Включать бренд/серию в model — если:\n\n    Название модели по-другому не существует без бренда или серии, то есть «Levenhuk Wise Plus 10x42» — это не просто «10x42», а конкретная фирменная модель с уникальным обозначением.\n\n    У разных брендов есть идентичные обозначения — например, «10x25» встречается у многих производителей, и без указания серии или бренда нельзя однозначно понять, о каком товаре речь.\n\n🚫 Не включать бренд/серию в model, если:\n\n    Модель универсальна (например, просто «10x25»), а бренд указан отдельно.\n\nПараметр model — один из ключевых для идентификации товара. Он должен быть однозначным, кратким и не включать лишних описательных слов, таких как цвет, характеристики и свойства (всё это заполняется в других полях).\n✅ Рекомендации по параметру model:\n\n    Указывать только название модели, без дополнительных характеристик. Примеры корректных значений:\n\n        10x25\n\n        10x25 Brown Camo\n\n        10–25x42 WP\n\n        4.2x12 Optec\n\n    Избегать:\n\n        Повторов цвета (черный, зелёный и т. д.) — они указываются отдельно в параметре Цвет.\n\n        Уточнений по покрытиям, типам стекла, конструкциям — это не часть модели.\n\n        Повторяющихся значений (10x42, 10x42, зеленый — нужно оставить одно значение 10x42).   \n Указание бренда в model дублирует поле Бренд, а название серии уже вынесено в отдельный параметр Серия.\n\n💡 Итого — рекомендации:\n\n    Если у модели есть уникальное фирменное название или серия — включать (например, Wise Plus 10x42).\n\n    Если это обычное обозначение по кратности и объективу — не включать (например, просто 10x25).\n\n    Сам бренд (например, Levenhuk, Bresser и т. п.) в model — только если он входит в состав официального имени модели.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Кратность увеличения, крат',
+      'Синонимы': 'Увеличение; Диапазон увеличения, крат; Увеличение, крат',
+      'Допустимые значения (enum)': 'Целое число, пример: 10',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Целое число. Указывается без единиц измерения и дополнительных символов. Только цифры.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Диаметр объектива, мм',
+      'Синонимы': 'Диаметр объектива; Диаметр объектива (апертура), мм',
+      'Допустимые значения (enum)': 'Целое число, пример: 42',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Целое число. Указывается без «мм» и пробелов. Только цифры.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Поле зрения на 1000 метров',
+      'Синонимы': 'Поле зрения на 1000м',
+      'Допустимые значения (enum)': 'Целое число, пример: 122',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Целое число. Обозначает ширину обзора в метрах на дистанции 1000 м. Указывается только число, без единиц.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Оптическое покрытие',
+      'Синонимы': 'Покрытие линз; Оптические покрытия; Покрытие',
+      'Допустимые значения (enum)': 'Однослойное; Многослойное; Полное многослойное (FMC)',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Допускаются только три типа просветляющего покрытия. Все остальные характеристики (антибликовое, фазокорректирующее и др.) указывать в параметре «Специальное покрытие».'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Марка стекла',
+      'Синонимы': 'Материал оптики; Материал призм',
+      'Допустимые значения (enum)': 'BaK-4; BK-7; ED; K-9',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Используются только стандартизованные обозначения с правильным регистром. Заглавная «K» — это часть технической маркировки стекол типа Krone по немецкой системе Schott. Форматы вроде «Bak-4», «Bk-7», «оптическое стекло» — не допускаются.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Призменная схема',
+      'Синонимы': 'Тип призмы',
+      'Допустимые значения (enum)': 'PORRO; ROOF',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Указывать в верхнем регистре. Формат Roof недопустим. Используются только стандартные обозначения схем.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Назначение',
+      'Синонимы': 'Назначение',
+      'Допустимые значения (enum)': 'Для охоты; Для туризма; Для рыбалки; Для наблюдения за природой; Для детей; Для военных задач; Для ночных наблюдений; Для универсального применения; Для наблюдений в полевых условиях; Морской',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Используются словоформы в предложном падеже — чтобы корректно подставлялись в SEO-описание (например: «для туризма», а не «туристический»). Значения разделяются двойным решётным разделителем: ##. Первая буква каждого значения — заглавная, остальные — строчные (например: Для туризма##Для охоты).'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Тип кратности',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Фиксированная; Переменная (zoom)',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'В параметре «Тип кратности» допускаются только два значения:\n— Фиксированная (если кратность постоянна);\n— Переменная (zoom) (если прибор поддерживает зум).\nЗначения «Постоянная» и «Цифровое увеличение» не использовать. Цифровое увеличение, если применимо, указывать в отдельном параметре.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Выходной зрачок, мм',
+      'Синонимы': 'Диаметр выходного зрачка, мм; Диаметр выходного зрачка; Выходной зрачок',
+      'Допустимые значения (enum)': 'Десятичное число через точку, пример: 4.2',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'В параметре «Выходной зрачок, мм» указывается числовое значение диаметра светового пучка, выходящего из окуляра.\nЕсли не задано производителем, рассчитать по формуле: объектив ÷ кратность.\nЗначение указывается в миллиметрах, с одной или двумя десятичными. Пример: 5, 5.25.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Угол обзора, °',
+      'Синонимы': 'Угловое поле зрения; Угол зрения',
+      'Допустимые значения (enum)': 'Десятичное число через точку, пример: 6.8',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'В параметре «Угол обзора, °» указывается реальный угол поля зрения, в градусах.\nЗначение должно быть числовым, без символов, в формате X.X.\nНе путать с полем зрения в метрах (они указываются в отдельном параметре).\nПример корректного значения: 6.3.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Способ фокусировки',
+      'Синонимы': 'Способ фокусировки',
+      'Допустимые значения (enum)': 'Автоматическая Free Focus; Центральная',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'В параметре «Способ фокусировки» указывается способ наведения на резкость. Допустимые значения:\n\n• Центральная\n• Автоматическая Free Focus\n\nИспользуется стандартное написание с заглавной буквы, без сокращений.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Минимальная дистанция фокусировки, м',
+      'Синонимы': 'Минимальная дистанция фокусировки; Минимальная дистанция; Фокусное расстояние;\nФокусное расстояние, м; Минимальное фокусное; Фокусировка от; Минимальная дистанция фокусировки (м)',
+      'Допустимые значения (enum)': 'Формат: Число с точкой,в метрах, без единиц измерения. Пример: 2.5',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Требования:\n    Указывается минимальное расстояние, с которого прибор может сфокусироваться на объекте.\n    Значение — только число, без текста, диапазонов и единиц (м, метров, м.).\n    Используется только это название параметра.\n    Все варианты синонимов или дублирующие поля, такие как:\n    Фокусное расстояние, м, Минимальное фокусное, Фокусировка от, Минимальная дистанция фокусировки (м)\n    ❌ НЕ допускаются — приводят к несопоставлению в системе InSales.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Специальное покрытие',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Антибликовое Ultra Wide Band™; Водоотталкивающее AquaDura™; Водоотталкивающее RainGuard HD™; Голубое; Зеленое; Просветляющее HighLux-System HLS™; Пурпурное; Рубиновое; Сверхширокополосное; Синее; Трудноистираемое; Фазокорректирующее',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Используется для дополнительных покрытий, не связанных напрямую с просветлением линз. Несколько значений разделяются через ##.\nВ параметре «Специальное покрытие» указываются фирменные или защитные технологии обработки линз, такие как: антибликовое, водоотталкивающее, фазокорректирующее, трудноистираемое и пр., включая товарные названия.\nОсновные типы просветления (однослойное, многослойное, FMC) сюда не включаются — они указываются только в параметре «Оптическое покрытие». Пример: Фазокорректирующее, Водоотталкивающее AquaDura™.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Материал корпуса',
+      'Синонимы': 'Корпус',
+      'Допустимые значения (enum)': 'Пластик; Поликарбонат; Композитный (ABS); Алюминиевый сплав; Латунь; Металл',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Использовать только существительные, не прилагательные. Формулировки типа «Пластиковый» или «Поликарбонатный» не допускаются. Все значения — с заглавной буквы, без лишних сокращений. Несколько материалов разделяются через ## при необходимости.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Покрытие корпуса',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Обрезиненное; Анодированное; Лакокрасочное; Полимерное покрытие',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Заполняется с заглавной буквы. При наличии нескольких покрытий допускается разделение через ##.\nФормулировки типа «Резиновое» не допускаются — использовать «Обрезиненное» или «Прорезиненное» по смыслу.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Защита от влаги и пыли',
+      'Синонимы': 'Пыле-влагозащищенность',
+      'Допустимые значения (enum)': 'Влагозащищенный; Водозащищенный; Водонепроницаемый',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Используется словесное описание уровня защиты, которое понятно большинству пользователей. Допустимые значения:\n\n    Влагозащищённый — защищён от капель, лёгкого дождя (аналог IPX4–IPX5).\n\n    Водозащищённый — выдерживает струи, кратковременное погружение (аналог IPX6–IPX7).\n\n    Водонепроницаемый — герметичный корпус, допускается полное погружение (IPX7 и выше). Используется только если в описании модели указана возможность погружения.\n\n🔸 Важно:\nЗначение «Водонепроницаемый» разрешено только при наличии подтверждающей степени защиты (например, IPX7 и выше) или WP/Nitrogen (герметичное заполнение).'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Степень защиты',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'IP65; IPX4; IPX5; IPX7; IPX8',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Указывается только при наличии точного IP-рейтинга в документации или на упаковке модели. Примеры:\n\n    IP65 — полная пыленепроницаемость + защита от струй воды\n\n    IPX4, IPX5, IPX7, IPX8 — стандарт влагозащиты по шкале IPX\n\nЕсли степень IP отсутствует, поле не заполняется.\n💡 Обязательная связка\n\nЕсли указано:\n\n    Степень защиты = IPX7 → Защита от влаги и пыли = Водонепроницаемый\n\n    Степень защиты = IPX4 → Защита от влаги и пыли = Влагозащищённый'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Газовое заполнение',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Азот',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Параметр: Газовое заполнение\n\nДопустимое значение:\n\n    Азот\n\n📌 Запрещённые варианты:\n\n    «Азотом» — нарушает единообразие\n\n    Любые уточнения («Азотное заполнение», «Заполнен азотом») — использовать только в текстовом описании товара, не в параметрах\n\n💡 Если в спецификации не указано наличие газового заполнения — поле не заполняется.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Диапазон рабочих температур, °С',
+      'Синонимы': 'Диапазон рабочих температур, °С',
+      'Допустимые значения (enum)': 'Диапазон с тире, пример: –15…+40',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Параметр: Диапазон рабочих температур, °C\n\n📌 Формат:\n\n    Использовать длинное тире (–, U+2013) между числами\n\n    Указывать неразрывный диапазон: без кавычек, без пробелов\nЕсли температурный диапазон неизвестен или отсутствует в технической документации — поле не заполняется.\n\n    Пример: –10…+55\n\n⚠️ Нельзя:\n\n    Кавычки: \'–10…+55\' → ❌\n\n    Короткие тире/дефисы: -10...+55 → ❌\n\n    Пробелы между числами: –10 … +55 → ❌\n\n    Указывать только одно значение (например, –10) → ❌'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Особенности',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Азотное заполнение; Водонепроницаемый; Защита от запотевания; Компактный корпус; Регулируемые наглазники; Стабилизация изображения; Ночное видение; Компас; Переменная кратность (Zoom); Для наблюдений в очках; Измерительная сетка; Дальномер',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Параметр: Особенности\n\n📌 Формат:\n\n    Использовать заглавные буквы в начале каждого значения.\n\n    Несколько значений — через разделитель ## (без пробелов до/после).\n\n    Пример: Азотное заполнение##Защита от запотевания##Компас\n\n📌 Допустимые значения (унифицированный список):\n\n    Азотное заполнение\n\n    Водонепроницаемый\n\n    Защита от запотевания\n\n    Компактный корпус\n\n    Регулируемые наглазники\n\n    Стабилизация изображения\n\n    Ночное видение\n\n    Компас\n\n    Переменная кратность (Zoom)\n\n    Для наблюдений в очках\n\n    Измерительная сетка\n\n    Дальномер\n\n📌 Нельзя использовать:\n\n    Синонимы и повторы: Азотный, Азот, Азотное заполнение → оставить одно: Азотное заполнение\n\n    Повторение слов «корпус», «модель», если это уже указано в других параметрах.\n\n    Водонепроницаемый и влагозащищённый одновременно — оставить только актуальное.\n\n⚠️ Если значение не указано в ТТХ, но очевидно подтверждено визуально (например, есть регулировка наглазника) — можно включить.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Удаление выходного зрачка',
+      'Синонимы': 'Удаление выходного зрачка; Вынос зрачка',
+      'Допустимые значения (enum)': 'Число, мм,  без «мм», пример: 14',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': '    Значения указываются в миллиметрах, без единицы измерения (только число: 15, 18, 20.5).\n\n    Допустима одна цифра после запятой для нецелых значений.\n\n    Не допускается указание даты или формата времени (например, 2025-04-08 00:00:00 — ошибка импорта).\n\n    Значения должны быть в диапазоне от 5 до 25 мм, ориентируясь на техническую документацию.\n\n    При отсутствии данных поле не заполняется.\n\n    Значение начинается с заглавной буквы в названии параметра, но само значение — строчное (только число).\n\nПример корректного заполнения:\n18, 15.4, 20'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Размеры',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'классический; компактный; маленький',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Определяет субъективный типоразмер. Используется в фильтрах и описаниях:\nКомпактный — помещается в карман; Классический — средний размер; Полноразмерный — для стационарных наблюдений. Указывается одно значение с заглавной буквы.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Диоптрийная коррекция',
+      'Синонимы': 'Параметр: Диоптрийная наводка; Диоптрийная наводка; С диоптрийной коррекцией',
+      'Допустимые значения (enum)': ' ±4; -12/+12; -18/+18; -2; 5/+2; -9/+9; ±2; ±3; ±4; ±40 / -30; ±5; ±6',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Параметры «Диоптрийная наводка» и «С диоптрийной коррекцией» объединяются в один:\nПараметр: Диоптрийная коррекция\nФормат значений:\n\n    Числовой диапазон: ±3, ±4, ±5, -4/+4 и т. д.\n\n    При отсутствии числовых данных: есть\n\nПримеры корректных значений:\n\n    ±4 — симметричная коррекция\n\n    -2/+4 — асимметричная коррекция (если указана производителем)\n\n    есть — если известен только факт наличия, без чисел\n\nПравила:\n\n    Использовать только один параметр: «Диоптрийная коррекция»\n\n    Все числовые значения приводить к единому синтаксису: ±4 (если симметрично), -4/+4 (если указано так у производителя)\n\n    Если значение неизвестно, использовать есть, но только если у прибора явно присутствует диоптрийная настройка\n\n    Не допускать текста в формате «около 4», «до 5» и т. п. — только чёткое числовое или есть\n\n    Не использовать единицы измерения (дптр, D) — только значение'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Шкала измерений',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Текстовое описание, не более 50 символов',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Пример: Визирная сетка для стрельбы, С дальномерной сеткой. Не использовать более одного значения. Только при наличии в конструкции прибора.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Объективы',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Текст: тип линз и покрытие, пример: 4 элемента в 3 группах',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Формат значений:\n\n    Используем конструктивную формулу:\n    X оптических элемента в Y группах\n    Пример: 3 оптических элемента в 2 группах\n\nТребования:\n\n    Сохранять числовую точность: если указано в источнике — не округлять, не переиначивать.\n\n    Не использовать сокращения: пишем полностью — «оптических элемента», «группах».\n\n    Допускается отсутствие этих параметров, если информация не предоставлена производителем (в этом случае поля остаются пустыми).\n\n    Единый стиль написания — все слова со строчной буквы, кроме начала строки.\n\nПримеры корректных значений:\n\n    Объективы: 3 оптических элемента в 2 группах\n\n    Окуляры: 2 оптических элемента в 1 группе'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Окуляры',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Текст: тип линз; пример: 5 элементов в 3 группах',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Формат значений:\n\n    Используем конструктивную формулу:\n    X оптических элемента в Y группах\n    Пример: 3 оптических элемента в 2 группах\n\nТребования:\n\n    Сохранять числовую точность: если указано в источнике — не округлять, не переиначивать.\n\n    Не использовать сокращения: пишем полностью — «оптических элемента», «группах».\n\n    Допускается отсутствие этих параметров, если информация не предоставлена производителем (в этом случае поля остаются пустыми).\n\n    Единый стиль написания — все слова со строчной буквы, кроме начала строки.\n\nПримеры корректных значений:\n\n    Объективы: 3 оптических элемента в 2 группах\n\n    Окуляры: 2 оптических элемента в 1 группе'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Сумеречный фактор',
+      'Синонимы': 'Фактор сумерек',
+      'Допустимые значения (enum)': 'Десятичное число через точку, пример: 20.5',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Описание:\nСумеречный фактор (Twilight Factor) — это расчетный параметр, отражающий теоретическую эффективность прибора в условиях слабого освещения. Вычисляется по формуле:\nСумеречный фактор=кратность×диаметр объектива\nСумеречный фактор=кратность×диаметр объектива\n​\nРекомендации по заполнению:\n\n    ✅ Формат значения:\n    Указывать только десятичные числа через точку (например, 18.3, 14.1, 12.6)\n\n    🚫 Запрещены:\n\n        Диапазоны (14–25 → ошибка)\n\n        Значения с лишними символами или пробелами\n\n        Даты (например, 2025-02-11 00:00:00 — удалить)\n\n    ⚠️ Если значение отсутствует:\n    При наличии данных по кратности и диаметру объектива — рассчитать по формуле и округлить до 1 знака после запятой.\n\n    Пример:\n    При 8×42:\n    8×42≈336≈18.3\n    8×42\n\n​≈336\n​≈18.3\n\n📌 Назначение параметра:\nОтображается в характеристиках товара, влияет на восприятие прибора как пригодного для сумерек и слабого освещения.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Относительная яркость',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Десятичное число через точку, пример: 17.6',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Описание:\nОтносительная яркость характеризует количество света, проходящего через оптику. Вычисляется как квадрат диаметра выходного зрачка:\nОтносительная яркость=(диаметр выходного зрачка)2\nОтносительная яркость=(диаметр выходного зрачка)2\nРекомендации по заполнению:\n\n    ✅ Формат значения:\n    Только десятичные числа через точку (например, 27.6, 14.1, 4.0)\n\n    🚫 Запрещены:\n\n        Диапазоны (9,61–1 → ошибка)\n\n        Даты (например, 2025-06-27 00:00:00 — удалить)\n\n        Повторы (дублирующиеся значения — удалить)\n\n    ⚠️ Если значение отсутствует:\n    Рассчитать на основе диаметра выходного зрачка.\n    Пример:\n    Если выходной зрачок = 5.25 мм:\n    5.252=27.6\n    5.252=27.6\n\n    📌 Назначение параметра:\n    Используется как дополнительный показатель светосилы и пригодности прибора для наблюдений в условиях плохой освещённости.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Разрешающая способность, угл. секунд',
+      'Синонимы': 'Разрешающая способность; Разрешение',
+      'Допустимые значения (enum)': 'Целое или десятичное число; пример: 6 или 6.5',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Описание:\nХарактеризует способность оптического прибора различать мелкие детали на расстоянии. Измеряется в угловых секундах. Меньшее значение означает более высокую чёткость изображения.\nРекомендации по заполнению:\n\n    ✅ Формат значения:\n    Только десятичные числа с точкой: 3.6, 5.0, 8.0.\n\n    ⚠️ Обязательно уточнять источник:\n    Значение берётся только с официального сайта поставщика или технической документации.\n\n    🚫 Не допускать:\n\n        Диапазонов или формата "от...до"\n\n        Вставки символов, кроме цифр и точки\n\n        Значений выше 10.0 — неинформативно\n\n    📌 Назначение параметра:\n    Используется в описании прибора для оценки его чёткости и пригодности к наблюдению удалённых объектов (например, прицеливания, охоты, наблюдений за деталями природы).'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Наглазники окуляров',
+      'Синонимы': 'Наглазники окуляров; Наглазник',
+      'Допустимые значения (enum)': 'Поворотно-выдвижные; Складные; Резиновые съемные; 4-позиционные; Поворотные',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Назначение: Указывает конструктивные особенности окулярных наглазников, влияющих на комфорт наблюдения, особенно для пользователей с очками.\nДопустимые значения:\n\n    Поворотно-выдвижные\n\n    Складные\n\n    Резиновые съемные\n\n    4-позиционные (если конструкция фиксируется по щелчкам)\n\n    Поворотные (если без выдвижения)\n\nРекомендации по заполнению:\n\n    ✅ Использовать унифицированные формулировки:\n\n        только с заглавной буквы\n\n        без дублирующих форматов (резиновый, резиновые, съёмный резиновый объединяем → «Резиновые съемные»)\n\n    ⚠️ Не допускать:\n\n        Повторов (поворотно-выдвижной, поворотно-выдвижные)\n\n        Перемешивания стилей написания (Twist-Up → заменить на русскую версию)\n\n    🚫 Исключить:\n\n        Значения с ошибками или в нижнем регистре\n\n        Варианты, не раскрывающие конструктив (например, просто «выдвижные» — заменить на «Поворотно-выдвижные»)'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Дополнительно',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Список через точку с запятой, пример: Поворотные наглазники; Защита от влаги',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Формат заполнения:\n– Значения перечисляются через запятую\n– Только уникальные, фактические особенности, которые:\n\n    не отражены напрямую в других параметрах,\n\n    не повторяются (например, если уже есть параметр «Особенности» или «Совместимость»).\n\n📋 Допустимые примеры значений:\n\n    Возможность установки на штатив\n\n    Встроенные компас и дальномер\n\n    Стабилизация изображения\n\n    Совместим с подставкой Kenko Micro Lens Stand\n\n    Призмы с фазовой коррекцией\n\n    Макронасадка M25x0,75\n\n❗ Что не рекомендуется:\n\n    Повторять значения, уже отражённые в других параметрах («Водонепроницаемый», «Газозаполнение» и т.д.)\n\n    Указывать абстрактные или рекламные формулировки\n\n    Добавлять описания, не относящиеся к характеристикам (например: «оптимален для туризма»)'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Крепление к штативу',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Есть; Нет',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Формат значений:\n– Использовать строго унифицированные формулировки.\n– Допустимые значения:\n\n    Стандартное крепление 1/4" — если есть возможность установки на штатив\n\n    Нет — если крепление отсутствует\n\n📋 Что нужно исключить:\n\n    Значения «да», «есть» — заменять на «Стандартное крепление 1/4"»\n\n    Повторы типа «1/4"» без пояснений — заменить на полную формулировку\n\n    Другие нестандартизированные ответы'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Чехол',
+      'Синонимы': 'Чехол в комплекте',
+      'Допустимые значения (enum)': 'Мягкий тканевый чехол; Жёсткий кейс',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Допустимые значения: Мягкий тканевый чехол, Жёсткий кейс, Нет. Не использовать значения \'да\', \'есть\'. Все варианты унифицируются, первая буква — заглавная.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Размер',
+      'Синонимы': 'Размер; Размеры',
+      'Допустимые значения (enum)': 'Компактный; Полноразмерный',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Допустимые значения:\n\n    Компактный – модели с небольшими габаритами, которые легко помещаются в карман или ладонь.\n\n    Классический – модели средних размеров, универсальные по применению.\n\n    Полноразмерный – крупные приборы, часто предназначенные для стационарного наблюдения или установки на штатив.\n\n✅ Требования к оформлению:\n\n    Писать с заглавной буквы: Компактный, Классический, Полноразмерный.\n\n    Указывать только одно значение.\n\n    Не дублировать эту информацию в других параметрах (например, в «Особенности» или «Чехол»).'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: google_product_category',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '5282.0',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Для оптических монокуляров использовать код:\n5282 (или 5282.0 в зависимости от формата системы).\n\nУказывать в числовом формате без текста — только значение.\n\nНе оставлять поле пустым, так как оно используется при интеграции с фидами Google и может повлиять на модерацию товара в Merchant Center.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Наличие измерительной сетки',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Есть; Нет',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Допустимые значения: Есть / Нет. Указывается только если в приборе встроена шкала или сетка, используемая для измерения или наведения. Подтверждается визуально или из документации.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Стабилизация изображения',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Есть; Нет',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Допустимые значения: Есть / Нет. Применимо только к приборам с активной или оптической стабилизацией. Указывать при наличии соответствующей функции.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Низкодисперсионные линзы',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'ED;  Есть;  Нет',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Допустимые значения: ED / Есть / Нет. Указывается, если применяются ED-линзы. Значение \'Есть\' допускается при отсутствии точной маркировки, но при наличии упоминания низкодисперсионной оптики.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Компас',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Есть; Нет',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Допустимые значения: Есть / Нет. Указывается, если в прибор встроен компас. Подтверждается по фото или описанию производителя.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Дальномер',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Есть; Нет',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': '"Указывать только в моделях, где дальномер встроен в конструкцию, с указанием типа (например, Лазерный)."'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Межзрачковое расстояние, мм',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': ''
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Цвет',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Чёрный; Зелёный; Коричневый; Камуфляжный; Серый; Бежевый; Синий; Красный; Жёлтый; Розовый; Оранжевый; Белый; Фиолетовый',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Единый регистр — каждое значение пишется с заглавной буквы.\n\nСложные цвета (например, «серый/чёрный») лучше исключить или разносить в другие параметры, такие как «Оформление» или «Дополнительно», если требуется.\n\nНе использовать:\n\n    Повторы одного цвета в разной форме (черный, Чёрный, черный цвет)\n\n    Цветовые обозначения, не являющиеся названием (камуфляж, тёмный, светлый — только как часть уточняющего параметра, если есть потребность).\n\nЕсли камуфляж — использовать «Камуфляжный» (не просто «камуфляж» и не «мультикам»).\n\nЕсли параметр Цвет используется как уточнение других свойств (например: "тёмный", "камуфляжный"), не нормализуй его как самостоятельный параметр, если не предусмотрено явно.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Страна производитель',
+      'Синонимы': 'Страна',
+      'Допустимые значения (enum)': 'Название страны, пример: Китай',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Указывается одна страна. Все формы \'КНР\', \'China\', \'PRC\' и т.п. унифицируются до \'Китай\'. Писать с заглавной буквы, без сокращений и пояснений.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Гарантия',
+      'Синонимы': '',
+      'Допустимые значения (enum)': '1 год; 10 лет; 24 месяца; 25 лет; 3 года; 30 лет; 5 лет; 6 мес; Пожизненная',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Допускаются значения в формате "число + единица времени" (например: 3 года, 10 лет, 6 месяцев). Использовать только полные формы: "лет", "месяцев", "год", "года". Значение "Пожизненная" писать с заглавной буквы, без сокращений.'
+    },
+    {
+      'Параметр (эталонное название)': 'Габариты',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Три числа через \'x\', пример: 14.5x5.2x4.3',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Формат: Ш×Г×В в сантиметрах, через латинскую \'x\', без единиц измерения и пробелов.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Габариты, мм',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Формат: Длина×Ширина×Высота, пример: 142x51x51',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Габариты, мм: значения должны быть в формате Д×Ш×В в миллиметрах, где:\n\n    используется латинская "x" как разделитель (не "×", "х" или "Х");\n\n    всегда три числовых значения;\n\n    запрещены пробелы между числами и "x";\n\n    пример корректного значения: 114x53x39.'
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Размер упаковки (ДхШхВ)',
+      'Синонимы': 'Размер упаковки',
+      'Допустимые значения (enum)': '',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': ''
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Вес упаковки',
+      'Синонимы': 'Вес в упаковке',
+      'Допустимые значения (enum)': '',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': ''
+    },
+    {
+      'Параметр (эталонное название)': 'Параметр: Вес, г',
+      'Синонимы': 'Вес',
+      'Допустимые значения (enum)': 'Число без пробелов и единиц, пример: 470',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Вес, г: указывать только числовое значение без единиц измерения и без лишних знаков (например, 150, 320, 580)'
+    },
+    {
+      'Параметр (эталонное название)': 'Вес',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Число без пробелов и единиц. Пример: 0.304 (для 304 г)',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Указывается в килограммах с точкой в качестве десятичного разделителя. Без единиц измерения, пробелов или запятых.'
+    },
+    {
+      'Параметр (эталонное название)': 'Дополнительное поле: Комплект поставки',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Перечень комплекта поставки в виде маркированного списка в формате HTML',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Комплект поставки: содержимое указывается в виде нумерованного списка с HTML-разметкой:\n\n    Обязательно используйте теги <ol> и <li>;\n\n    Для каждого пункта — только один тег <li> без вложенных <span>;\n\n    Не использовать стили, теги <span>, пробелы/переносы после <li>;\n\n    Пример корректного оформления:\n    <ol><li>Монокуляр</li><li>Футляр</li><li>Салфетка</li></ol>\n\n    Не дублировать названия модели в составе комплекта.'
+    },
+    {
+      'Параметр (эталонное название)': 'Дополнительное поле: Преимущества товара',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Перечень преимуществ в виде маркированного списка в формате HTML',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Преимущества товара: содержимое указывается в виде нумерованного списка с HTML-разметкой:\n\n    Обязательно используйте теги <ol> и <li>;\n\n    Для каждого пункта — только один тег <li> без вложенных <span>;\n\n    Не использовать стили, теги <span>, пробелы/переносы после <li>;\n\n    Пример корректного оформления:\n    <ol><li>Ударопрочный корпус</li><li>Азотное заполнение</li><li>Чехол в комплекте</li></ol>\n\n   '
+    },
+    {
+      'Параметр (эталонное название)': 'Дополнительное поле: Изображение комплекта поставки',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Ссылка на изображение (URL), заканчивается на .jpg; .webp и т.п.',
+      'Тип поля': 'enum',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Изображение комплекта поставки: вставляется в формате HTML-тега <img>, обёрнутого в <p>:\n\n    Атрибут src должен содержать прямую ссылку на изображение комплекта поставки;\n\n    Обязателен атрибут alt с описанием: название модели + «– фото комплекта» (без повторов «фото 5» и т. п.);\n\n    Размеры width и height можно указывать, но не обязательно;\n\n    Пример корректного оформления:\n    <p><img src="https://site.ru/images/69372-kit.jpg" alt="Монокуляр Bresser Topas 10x25 Blue – фото комплекта" /></p>\n\n    Не вставлять более одного изображения в одну ячейку.'
+    },
+    {
+      'Параметр (эталонное название)': 'Дополнительное поле: H2 для Особенностей',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Текст в формате: "особенности монокуляра [Модель]"',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': 'Поле «H2 для Особенностей» используется для автоматической генерации подзаголовка к блоку с преимуществами товара. Чтобы оно работало корректно, вставьте в ячейку строку по шаблону:\n\nособенности монокуляра [Модель]\nПример правильного оформления:\n\n    особенности монокуляра Bresser Black Mamba 7x32\n\n    особенности монокуляра Bresser Topas 10x25 Blue\n\n⚠️ Важно:\n\n    Только строчные буквы в начале;\n\n    Не ставить кавычки, лишние запятые или точки;\n\n    Не повторять слово «монокуляр» дважды;\n\n    Не добавлять HTML‑тегов.'
+    },
+    {
+      'Параметр (эталонное название)': 'Дополнительное поле: Аналогичные',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Текст по шаблоне, например: монокуляру Bresser Borken 10x42',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': '    Указывать полное название товара в дательном падеже (кому? чему?) — например:\n    монокуляру Bresser Borken 10x42, телескопу Levenhuk Blitz 76 PLUS, биноклю Veber Sport 10x25 BR.\n\nФормат:\n\n    Через запятую\n\n    Без кавычек\n\n    С маленькой буквы\n\n    Без дополнительных слов (например, не писать «аналог», «похож на» и т.п.)'
+    },
+    {
+      'Параметр (эталонное название)': 'Дополнительное поле: Сопутствующие',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Текст по шаблоне, например: Bresser Black Mamba 7x32',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': '    Указывать названия товаров в именительном падеже, без кавычек, без артиклей и лишних уточнений.\n    Пример: Bresser Black Mamba 7x32, Discovery Gator 10x42, Eschenbach 4.2x12мм\n\nФормат:\n\n    Через запятую\n\n    Только названия моделей, как они отображаются на сайте\n\n    Без повторов\n\n    Начинать с заглавной буквы\n\n    Не включать слов типа "монокуляр", "бинокль", "аксессуар", если они не входят в официальное имя товара'
+    },
+    {
+      'Параметр (эталонное название)': 'Дополнительное поле: Ссылка на инструкцию',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Прямая ссылка (URL) на PDF-файл или страницу',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': ''
+    },
+    {
+      'Параметр (эталонное название)': 'Ссылка на видео',
+      'Синонимы': '',
+      'Допустимые значения (enum)': 'Прямая ссылка на YouTube или видеохостинг',
+      'Тип поля': 'формат',
+      'Источник значения': '',
+      'Обязательное поле': '',
+      'Комментарий': ''
+    }
+  ]
+};
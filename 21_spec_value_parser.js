@@ -0,0 +1,411 @@
+/**
+ * ========================================
+ * МОДУЛЬ 21: РАЗБОР ЗНАЧЕНИЙ ХАРАКТЕРИСТИК
+ * ========================================
+ *
+ * Значения поставщиков приходят в любом виде: "0,58 кг", "20-60x80",
+ * "114 м / 1000 м", "-15...+40 °C". Здесь строка разбирается на форму
+ * (число, диапазон, произведение, отношение) и единицу измерения, а затем
+ * переводится в единицу, которую объявляет параметр справочника:
+ * "Вес, г" → граммы, "Диаметр объектива, мм" → миллиметры,
+ * "Диапазон рабочих температур, °С" → –15…+40
+ *
+ * Значение без единицы считается уже записанным в единице параметра.
+ * Исходная строка всегда возвращается вместе с результатом (original)
+ */
+
+// =============================================================================
+// ЕДИНИЦЫ ИЗМЕРЕНИЯ
+// =============================================================================
+
+/**
+ * ЕДИНИЦЫ ПО ВЕЛИЧИНАМ
+ *
+ * Значение в базовой единице величины = value * factor + (offset || 0).
+ * Базовые: г, мм, °, °С, крат, м на 1000 м
+ *
+ * Однобуквенные "с" и "f" не считаются температурой: "3 с" - это секунды,
+ * поэтому Цельсий и Фаренгейт только со знаком градуса или словом "град"
+ */
+const SPEC_UNITS = {
+  'г': { dimension: 'mass', factor: 1, aliases: ['г', 'гр', 'грамм', 'грамма', 'граммов', 'g', 'gr'] },
+  'кг': { dimension: 'mass', factor: 1000, aliases: ['кг', 'kg'] },
+  'мг': { dimension: 'mass', factor: 0.001, aliases: ['мг', 'mg'] },
+  'oz': { dimension: 'mass', factor: 28.3495, aliases: ['oz', 'унц', 'унция', 'унции', 'унций'] },
+  'lb': { dimension: 'mass', factor: 453.592, aliases: ['lb', 'lbs', 'фунт', 'фунта', 'фунтов'] },
+
+  'мм': { dimension: 'length', factor: 1, aliases: ['мм', 'mm'] },
+  'см': { dimension: 'length', factor: 10, aliases: ['см', 'cm'] },
+  'м': { dimension: 'length', factor: 1000, aliases: ['м', 'm', 'метр', 'метра', 'метров'] },
+  'км': { dimension: 'length', factor: 1000000, aliases: ['км', 'km'] },
+  'дюйм': { dimension: 'length', factor: 25.4, aliases: ['дюйм', 'дюйма', 'дюймов', 'in', 'inch', '"'] },
+  'фут': { dimension: 'length', factor: 304.8, aliases: ['фут', 'фута', 'футов', 'ft'] },
+  'ярд': { dimension: 'length', factor: 914.4, aliases: ['ярд', 'ярда', 'ярдов', 'yd'] },
+
+  '°': { dimension: 'angle', factor: 1, aliases: ['°', 'град', 'градус', 'градуса', 'градусов', 'deg'] },
+  'угл. мин': { dimension: 'angle', factor: 1 / 60, aliases: ["'", '′', 'угл. мин', 'угл. минут', 'arcmin'] },
+  'угл. сек': { dimension: 'angle', factor: 1 / 3600, aliases: ['″', 'угл. сек', 'угл. секунд', 'arcsec'] },
+
+  '°С': { dimension: 'temperature', factor: 1, aliases: ['°с', '°c', '° с', '° c', 'град. с', 'градусов цельсия'] },
+  '°F': { dimension: 'temperature', factor: 5 / 9, offset: -32 * 5 / 9, aliases: ['°f', '° f'] },
+
+  'крат': { dimension: 'magnification', factor: 1, aliases: ['крат', 'x', 'раз'] },
+
+  'м/1000 м': { dimension: 'field', factor: 1, aliases: ['м/1000 м', 'м на 1000 м'] }
+};
+
+/**
+ * ЕДИНИЦЫ ПАРАМЕТРОВ, В НАЗВАНИИ КОТОРЫХ ЕДИНИЦЫ НЕТ
+ *
+ * Остальные берут единицу из хвоста названия после запятой ("Вес, г")
+ */
+const SPEC_PARAMETER_UNITS = {
+  'Параметр: Поле зрения на 1000 метров': 'м/1000 м',
+  'Параметр: Удаление выходного зрачка': 'мм',
+  'Параметр: Вес упаковки': 'г',
+  'Вес': 'кг',
+  'Габариты': 'см',
+  'Габариты варианта': 'см'
+};
+
+const SPEC_VALUE_PARSER_SETTINGS = {
+  DECIMALS: 3,                     // Нецелые значения округляются до тысячных (вес в кг: 0.304)
+  TEMPERATURE_MINUS: '–',          // Справочник требует длинное тире: –15…+40
+  TEMPERATURE_RANGE: '…'
+};
+
+const SPEC_NUMBER = '[+-]?\\d+(?:\\.\\d+)?';
+const SPEC_UNIT = "[a-zа-яё°'\"′″./ ]*?";
+
+// =============================================================================
+// РАЗБОР СТРОКИ
+// =============================================================================
+
+/**
+ * ЕДИНИЦА ПО НАПИСАНИЮ
+ *
+ * @returns {string|null} Ключ SPEC_UNITS
+ */
+function resolveSpecUnit(text) {
+  const unit = String(text || '').trim().toLowerCase()
+    .replace(/\.$/, '')
+    .replace(/\s+/g, ' ');
+
+  if (!unit) {
+    return null;
+  }
+
+  for (const [key, config] of Object.entries(SPEC_UNITS)) {
+    if (config.aliases.indexOf(unit) !== -1) {
+      return key;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * ПРИВЕДЕНИЕ ЗАПИСИ: десятичная запятая, тире, знаки умножения, многоточие
+ */
+function prepareSpecValueText(raw) {
+  return String(raw).trim().toLowerCase()
+    .replace(/(\d),(\d)/g, '$1.$2')
+    .replace(/[–—−]/g, '-')
+    .replace(/…|\.{2,}/g, '..')
+    .replace(/(\d|\s)[×х*](?=\s*[\d+-]|\s*$)/g, '$1x')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * РАЗБОР ЗНАЧЕНИЯ
+ *
+ * Формы:
+ * - number:  "0,58 кг", "6°30'"             → values [0.58], unit 'кг'
+ * - range:   "-15...+40 °C", "от 56 до 74"  → values [-15, 40]
+ * - product: "10x42", "20-60x80", "142x51x51 мм", "8x" → factors [[10], [42]],
+ *            у множителя-диапазона два числа
+ * - ratio:   "114 м / 1000 м", "342 ft/1000 yd" → values [114, 1000], units ['м', 'м']
+ * - text:    остальное; values - первое число в строке (если есть)
+ *
+ * @param {string} raw - Значение поставщика
+ * @returns {Object} { original, form, values, unit, factors, units }
+ */
+function parseSpecValue(raw) {
+  const original = String(raw === null || raw === undefined ? '' : raw).trim();
+  const text = prepareSpecValueText(original);
+  const parsed = { original: original, form: 'text', values: [], unit: null };
+
+  const degreesMinutes = text.match(new RegExp(`^(${SPEC_NUMBER})\\s*°\\s*(\\d+(?:\\.\\d+)?)\\s*['′]$`));
+  if (degreesMinutes) {
+    return Object.assign(parsed, {
+      form: 'number',
+      values: [parseFloat(degreesMinutes[1]) + parseFloat(degreesMinutes[2]) / 60],
+      unit: '°'
+    });
+  }
+
+  const number = text.match(new RegExp(`^(${SPEC_NUMBER})\\s*(${SPEC_UNIT})$`));
+  if (number && (!number[2].trim() || resolveSpecUnit(number[2]))) {
+    return Object.assign(parsed, {
+      form: 'number',
+      values: [parseFloat(number[1])],
+      unit: resolveSpecUnit(number[2])
+    });
+  }
+
+  const range = text.match(new RegExp(
+    `^(?:от\\s*)?(${SPEC_NUMBER})\\s*(${SPEC_UNIT})\\s*(?:\\.\\.|-|до)\\s*(${SPEC_NUMBER})\\s*(${SPEC_UNIT})$`));
+  if (range && (!range[2].trim() || resolveSpecUnit(range[2])) && (!range[4].trim() || resolveSpecUnit(range[4]))) {
+    return Object.assign(parsed, {
+      form: 'range',
+      values: [parseFloat(range[1]), parseFloat(range[3])],
+      unit: resolveSpecUnit(range[4]) || resolveSpecUnit(range[2])
+    });
+  }
+
+  const factor = `\\d+(?:\\.\\d+)?(?:\\s*-\\s*\\d+(?:\\.\\d+)?)?`;
+  const product = text.match(new RegExp(`^(${factor}(?:\\s*x\\s*${factor})*)\\s*(x?)\\s*(${SPEC_UNIT})$`));
+  if (product && (/x/.test(product[1]) || product[2]) && (!product[3].trim() || resolveSpecUnit(product[3]))) {
+    return Object.assign(parsed, {
+      form: 'product',
+      factors: product[1].split('x').map(item => item.split('-').map(value => parseFloat(value))),
+      unit: product[2] ? 'крат' : resolveSpecUnit(product[3])
+    });
+  }
+
+  const ratio = text.match(new RegExp(`^(${SPEC_NUMBER})\\s*([a-zа-яё]*)\\s*(?:/|на)\\s*(${SPEC_NUMBER})\\s*([a-zа-яё]*)$`));
+  if (ratio && resolveSpecUnit(ratio[2] || ratio[4]) && resolveSpecUnit(ratio[4] || ratio[2])) {
+    return Object.assign(parsed, {
+      form: 'ratio',
+      values: [parseFloat(ratio[1]), parseFloat(ratio[3])],
+      units: [resolveSpecUnit(ratio[2] || ratio[4]), resolveSpecUnit(ratio[4] || ratio[2])]
+    });
+  }
+
+  const first = text.match(new RegExp(`(${SPEC_NUMBER})\\s*([a-zа-яё°]*)`));
+  if (first) {
+    parsed.values = [parseFloat(first[1])];
+    parsed.unit = resolveSpecUnit(first[2]);
+  }
+
+  return parsed;
+}
+
+// =============================================================================
+// ПЕРЕВОД В ЕДИНИЦУ ПАРАМЕТРА
+// =============================================================================
+
+/**
+ * ЕДИНИЦА ПАРАМЕТРА СПРАВОЧНИКА
+ *
+ * @returns {string|null} Ключ SPEC_UNITS или null, если параметр не числовой
+ */
+function getSpecParameterUnit(param) {
+  if (SPEC_PARAMETER_UNITS[param]) {
+    return SPEC_PARAMETER_UNITS[param];
+  }
+
+  const suffix = String(param).match(/,\s*([^,]+)$/);
+  return suffix ? resolveSpecUnit(suffix[1]) : null;
+}
+
+/**
+ * ЗНАЧЕНИЕ В ЕДИНИЦЕ ПАРАМЕТРА
+ *
+ * Для полей "Кратность" и "Диаметр объектива" из записи 10x42 берется
+ * свой множитель, для габаритов - все три.
+ * number - то же значение до округления по справочнику (8,5x50 → value "9",
+ * number 8.5), чтобы расчеты не брали округленное; null для диапазонов и габаритов
+ *
+ * @param {string} raw - Значение поставщика
+ * @param {string} param - Параметр справочника
+ * @returns {Object|null} { value, number, original, note, warning } или null, если у параметра
+ *                        нет единицы измерения (значение не числовое)
+ */
+function convertSpecValue(raw, param) {
+  const targetUnit = getSpecParameterUnit(param);
+  if (!targetUnit) {
+    return null;
+  }
+
+  const parsed = parseSpecValue(raw);
+  const target = SPEC_UNITS[targetUnit];
+  const result = { value: parsed.original, number: null, original: parsed.original, note: '', warning: '' };
+
+  try {
+    let value = null;
+    let number = null;
+
+    if (parsed.form === 'ratio') {
+      if (target.dimension === 'field') {
+        number = convertFromSpecUnit(parsed.values[0], parsed.units[0], 'мм') /
+          convertFromSpecUnit(parsed.values[1], parsed.units[1], 'мм') * 1000;
+        value = formatSpecNumber(param, number);
+      }
+
+    } else if (parsed.form === 'product') {
+      const product = convertSpecProduct(parsed, param, targetUnit);
+      if (product) {
+        value = product.value;
+        number = product.number;
+      }
+
+    } else if (parsed.form === 'range') {
+      const [from, to] = parsed.values.map(item => convertSpecNumber(item, parsed.unit, targetUnit));
+      value = target.dimension === 'temperature'
+        ? formatSpecTemperature(from) + SPEC_VALUE_PARSER_SETTINGS.TEMPERATURE_RANGE + formatSpecTemperature(to)
+        : `${formatSpecNumber(param, from)}-${formatSpecNumber(param, to)}`;
+
+    } else if (parsed.values.length > 0) {
+      number = convertSpecNumber(parsed.values[0], parsed.unit, targetUnit);
+      value = formatSpecNumber(param, number);
+      if (parsed.form === 'text') {
+        result.warning = `из текста взято первое число: ${parsed.original}`;
+      }
+    }
+
+    if (value === null) {
+      result.warning = `не удалось перевести в ${targetUnit}: ${parsed.original}`;
+      return result;
+    }
+
+    result.value = value;
+    result.number = number;
+    if (isSpecValueConverted(parsed, value, targetUnit)) {
+      result.note = `${parsed.original} → ${value} ${targetUnit}`;
+    }
+
+  } catch (error) {
+    result.warning = `${error.message}: ${parsed.original}`;
+  }
+
+  return result;
+}
+
+/**
+ * ЗНАЧЕНИЕ ИЛИ ЕДИНИЦА ИЗМЕНИЛИСЬ
+ *
+ * "580 г" → 580 в поле "Вес, г" и "0,58" → 0.58 - то же значение, без примечания.
+ * Выбор множителя из 10x42 - всегда изменение. Число из текста не переводится
+ * ("3 с" в поле "Вес, г" - не 3 г), о нем говорит только предупреждение
+ */
+function isSpecValueConverted(parsed, value, targetUnit) {
+  if (parsed.form === 'text') {
+    return false;
+  }
+
+  if (parsed.form !== 'number' && parsed.form !== 'range') {
+    return true;
+  }
+
+  if (parsed.unit && parsed.unit !== targetUnit) {
+    return true;
+  }
+
+  // Знак не сравнивается: у температуры он пишется отдельно ("–15…+40")
+  const numbers = String(value).match(/\d+(?:\.\d+)?/g) || [];
+  return numbers.length !== parsed.values.length ||
+    numbers.some((number, index) => parseFloat(number) !== Math.abs(parsed.values[index]));
+}
+
+/**
+ * ЗАПИСЬ 10x42 / 20-60x80 / 142x51x51
+ *
+ * @returns {Object|null} { value, number: множитель до округления или null для диапазона и габаритов }
+ */
+function convertSpecProduct(parsed, param, targetUnit) {
+  const dimension = SPEC_UNITS[targetUnit].dimension;
+  const formatFactor = factor => ({
+    value: factor.map(item => formatSpecNumber(param, item)).join('-'),
+    number: factor.length === 1 ? factor[0] : null
+  });
+
+  if (dimension === 'magnification') {
+    return formatFactor(parsed.factors[0]);
+  }
+
+  if (dimension !== 'length') {
+    return null;
+  }
+
+  // "10x42" в поле длины - диаметр объектива бинокля
+  if (parsed.factors.length === 2 && (!parsed.unit || parsed.unit === 'крат')) {
+    return formatFactor(parsed.factors[1]);
+  }
+
+  return {
+    value: parsed.factors
+      .map(factor => factor.map(item => formatSpecNumber(param, convertSpecNumber(item, parsed.unit, targetUnit))).join('-'))
+      .join('x'),
+    number: null
+  };
+}
+
+/**
+ * ЧИСЛО ИЗ ЕДИНИЦЫ ЗНАЧЕНИЯ В ЕДИНИЦУ ПАРАМЕТРА
+ *
+ * Без единицы - значение уже в единице параметра. Угол в поле зрения
+ * переводится в ширину поля на 1000 м
+ */
+function convertSpecNumber(value, fromUnit, targetUnit) {
+  if (!fromUnit || fromUnit === targetUnit) {
+    return value;
+  }
+
+  const from = SPEC_UNITS[fromUnit];
+  const target = SPEC_UNITS[targetUnit];
+
+  if (target.dimension === 'field') {
+    if (from.dimension === 'angle') {
+      const radians = value * from.factor * Math.PI / 180;
+      return 2000 * Math.tan(radians / 2);
+    }
+    if (from.dimension === 'length') {
+      return value; // "114 м" в поле на 1000 м
+    }
+  }
+
+  // "°" в температурном поле - градусы Цельсия
+  if (target.dimension === 'temperature' && fromUnit === '°') {
+    return value;
+  }
+
+  if (from.dimension !== target.dimension) {
+    throw new Error(`единица ${fromUnit} не переводится в ${targetUnit}`);
+  }
+
+  return convertFromSpecUnit(value, fromUnit, targetUnit);
+}
+
+function convertFromSpecUnit(value, fromUnit, targetUnit) {
+  const from = SPEC_UNITS[fromUnit];
+  const target = SPEC_UNITS[targetUnit];
+  const base = value * from.factor + (from.offset || 0);
+  return (base - (target.offset || 0)) / target.factor;
+}
+
+// =============================================================================
+// ФОРМАТ РЕЗУЛЬТАТА
+// =============================================================================
+
+/**
+ * ЧИСЛО В ФОРМАТЕ СПРАВОЧНИКА
+ *
+ * Целое, если справочник требует целое число, иначе до тысячных с точкой
+ */
+function formatSpecNumber(param, value) {
+  const reference = loadSpecificationReference().byName[normalizeReferenceText(param)];
+  const integer = reference && /^целое число/i.test(String(reference['Допустимые значения (enum)']).trim());
+
+  if (integer) {
+    return String(Math.round(value));
+  }
+
+  return String(parseFloat(value.toFixed(SPEC_VALUE_PARSER_SETTINGS.DECIMALS)));
+}
+
+function formatSpecTemperature(value) {
+  const rounded = Math.round(value);
+  if (rounded < 0) return SPEC_VALUE_PARSER_SETTINGS.TEMPERATURE_MINUS + Math.abs(rounded);
+  return rounded > 0 ? `+${rounded}` : '0';
+}
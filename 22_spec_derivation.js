@@ -0,0 +1,245 @@
+/**
+ * ========================================
+ * МОДУЛЬ 22: РАСЧЕТНЫЕ ОПТИЧЕСКИЕ ПАРАМЕТРЫ
+ * ========================================
+ *
+ * Этап после normalizeSpecifications: параметры, которые справочник велит
+ * рассчитывать по кратности и диаметру объектива, заполняются по формулам,
+ * если поставщик их не указал. Поле зрения на 1000 м и угол обзора
+ * пересчитываются друг в друга
+ *
+ * Рассчитанное значение помечается в результате (derived, matches[...].derived).
+ * Если значение поставщика расходится с формулой больше допуска - оно
+ * остается, но попадает в conflicts. Пометки и расхождения сохраняются
+ * в колонку "Расчет характеристик" рядом с нормализованным JSON
+ * (serializeSpecDerivation)
+ */
+
+// =============================================================================
+// ФОРМУЛЫ
+// =============================================================================
+
+const SPEC_DERIVATION_PARAMS = {
+  MAGNIFICATION: 'Параметр: Кратность увеличения, крат',
+  OBJECTIVE: 'Параметр: Диаметр объектива, мм',
+  EXIT_PUPIL: 'Параметр: Выходной зрачок, мм',
+  TWILIGHT: 'Параметр: Сумеречный фактор',
+  BRIGHTNESS: 'Параметр: Относительная яркость',
+  ZOOM_TYPE: 'Параметр: Тип кратности',
+  FIELD: 'Параметр: Поле зрения на 1000 метров',
+  ANGLE: 'Параметр: Угол обзора, °'
+};
+
+/**
+ * РАСЧЕТНЫЕ ПАРАМЕТРЫ В ПОРЯДКЕ РАСЧЕТА
+ *
+ * compute получает числа входных параметров (raw - строки как есть; если вход
+ * не число, например кратность-диапазон, параметр не считается) и возвращает
+ * число, строку или null, если считать не из чего.
+ * decimals - знаков после точки по справочнику, tolerance - допустимое
+ * относительное расхождение со значением поставщика
+ */
+const SPEC_DERIVATIONS = [
+  {
+    param: SPEC_DERIVATION_PARAMS.EXIT_PUPIL,
+    formula: 'объектив ÷ кратность',
+    inputs: [SPEC_DERIVATION_PARAMS.OBJECTIVE, SPEC_DERIVATION_PARAMS.MAGNIFICATION],
+    decimals: 2,
+    tolerance: 0.05,
+    compute: (objective, magnification) => objective / magnification
+  },
+  {
+    param: SPEC_DERIVATION_PARAMS.TWILIGHT,
+    formula: '√(кратность × объектив)',
+    inputs: [SPEC_DERIVATION_PARAMS.MAGNIFICATION, SPEC_DERIVATION_PARAMS.OBJECTIVE],
+    decimals: 1,
+    tolerance: 0.05,
+    compute: (magnification, objective) => Math.sqrt(magnification * objective)
+  },
+  {
+    param: SPEC_DERIVATION_PARAMS.BRIGHTNESS,
+    formula: 'выходной зрачок²',
+    inputs: [SPEC_DERIVATION_PARAMS.EXIT_PUPIL],
+    decimals: 1,
+    tolerance: 0.1,
+    compute: exitPupil => exitPupil * exitPupil
+  },
+  {
+    param: SPEC_DERIVATION_PARAMS.ZOOM_TYPE,
+    formula: 'кратность диапазоном → zoom, иначе фиксированная',
+    inputs: [SPEC_DERIVATION_PARAMS.MAGNIFICATION],
+    raw: true,
+    compute: magnification => /^\d+(\.\d+)?$/.test(magnification) ? 'Фиксированная' :
+      (/^\d+(\.\d+)?-\d+(\.\d+)?$/.test(magnification) ? 'Переменная (zoom)' : null)
+  },
+  {
+    param: SPEC_DERIVATION_PARAMS.FIELD,
+    formula: '2000 × tg(угол ÷ 2)',
+    inputs: [SPEC_DERIVATION_PARAMS.ANGLE],
+    decimals: 0,
+    tolerance: 0.05,
+    compute: angle => convertSpecNumber(angle, '°', 'м/1000 м')
+  },
+  {
+    param: SPEC_DERIVATION_PARAMS.ANGLE,
+    formula: '2 × arctg(поле зрения ÷ 2000)',
+    inputs: [SPEC_DERIVATION_PARAMS.FIELD],
+    decimals: 1,
+    tolerance: 0.05,
+    compute: field => 2 * Math.atan(field / 2000) * 180 / Math.PI
+  }
+];
+
+// =============================================================================
+// РАСЧЕТ
+// =============================================================================
+
+/**
+ * РАСЧЕТНЫЕ ПАРАМЕТРЫ ДЛЯ РЕЗУЛЬТАТА НОРМАЛИЗАЦИИ
+ *
+ * Входы берутся из уже заполненных параметров, в том числе рассчитанных
+ * раньше (яркость - из рассчитанного выходного зрачка), и до округления
+ * по справочнику: кратность 8,5 записывается как "9", а считается как 8.5
+ * (matches[...].number). Если значение поставщика расходится с формулой,
+ * следующие расчеты берут расчетное (10x42 с зрачком "5 мм": яркость
+ * считается от 4.2 и проверяется по нему). Округляется только записываемое.
+ * Значение, рассчитанное из другого расчетного, не используется для проверки
+ * исходного (угол ↔ поле)
+ *
+ * @param {Object} result - Результат normalizeSpecifications (дополняется и возвращается)
+ * @returns {Object} result + { derived: параметр → формула,
+ *                   conflicts: [{ param, inputs, supplied, computed, message }] }
+ */
+function deriveSpecifications(result) {
+  const specs = result.normalized;
+  const matches = result.matches || (result.matches = {});
+  const derived = {};
+  const conflicts = [];
+
+  // Параметр → число до округления: из разбора значения, расчета или исправленного расхождения
+  const exact = {};
+  Object.keys(matches).forEach(param => {
+    if (typeof matches[param].number === 'number') {
+      exact[param] = matches[param].number;
+    }
+  });
+
+  SPEC_DERIVATIONS.forEach(derivation => {
+    const inputs = derivation.inputs.map(param => specs[param]);
+
+    if (inputs.some(value => value === undefined || value === '') ||
+        derivation.inputs.some(param => derived[param] && derived[param].source === derivation.param)) {
+      return;
+    }
+
+    const values = derivation.raw
+      ? inputs.map(value => String(value).trim())
+      : derivation.inputs.map((param, index) => exact[param] !== undefined ? exact[param] : readDerivationNumber(inputs[index]));
+    if (values.some(value => value === null)) {
+      return;
+    }
+
+    const computed = derivation.compute.apply(null, values);
+    if (computed === null || (typeof computed === 'number' && !isFinite(computed))) {
+      return;
+    }
+
+    const value = typeof computed === 'number'
+      ? String(parseFloat(computed.toFixed(derivation.decimals)))
+      : computed;
+    const supplied = specs[derivation.param];
+
+    if (supplied === undefined || supplied === '') {
+      specs[derivation.param] = value;
+      if (typeof computed === 'number') {
+        exact[derivation.param] = computed;
+      }
+      derived[derivation.param] = { formula: derivation.formula, source: derivation.inputs[0] };
+      matches[derivation.param] = {
+        rawKey: '',
+        original: '',
+        rule: 'расчет',
+        match: 'расчет',
+        transform: derivation.formula,
+        conversion: '',
+        number: typeof computed === 'number' ? computed : null,
+        derived: true
+      };
+      logInfo(`   🧮 ${derivation.param} = ${value} (${derivation.formula})`);
+      return;
+    }
+
+    // Угол и поле зрения проверяют друг друга - расхождение пары показывается один раз
+    const reported = conflicts.some(conflict =>
+      derivation.inputs.indexOf(conflict.param) !== -1 && conflict.inputs.indexOf(derivation.param) !== -1);
+
+    if (!reported && !isDerivationAgreement(supplied, computed, derivation)) {
+      if (typeof computed === 'number') {
+        exact[derivation.param] = computed;
+      }
+
+      const message = `${derivation.param}: у поставщика ${supplied}, по формуле ${derivation.formula} - ${value}`;
+      conflicts.push({
+        param: derivation.param,
+        inputs: derivation.inputs,
+        supplied: supplied,
+        computed: value,
+        message: message
+      });
+      if (matches[derivation.param]) {
+        matches[derivation.param].conflict = message;
+      }
+      logWarning(`⚠️ Расхождение с расчетом: ${message}`);
+    }
+  });
+
+  result.derived = {};
+  Object.keys(derived).forEach(param => {
+    result.derived[param] = derived[param].formula;
+  });
+  result.conflicts = conflicts;
+  return result;
+}
+
+/**
+ * РАСЧЕТ ДЛЯ ЗАПИСИ В ЛИСТ
+ *
+ * @param {Object} result - Результат deriveSpecifications
+ * @returns {string} JSON { derived: параметр → формула, conflicts: [сообщения] }
+ *                   или пустая строка, если нечего записывать
+ */
+function serializeSpecDerivation(result) {
+  const derived = result.derived || {};
+  const conflicts = (result.conflicts || []).map(conflict => conflict.message);
+
+  if (Object.keys(derived).length === 0 && conflicts.length === 0) {
+    return '';
+  }
+
+  return JSON.stringify({ derived: derived, conflicts: conflicts });
+}
+
+function readDerivationNumber(value) {
+  const text = String(value).trim();
+  return /^\d+(\.\d+)?$/.test(text) ? parseFloat(text) : null;
+}
+
+/**
+ * ЗНАЧЕНИЕ ПОСТАВЩИКА СОВПАДАЕТ С РАСЧЕТОМ
+ *
+ * Нечисловое значение поставщика для числовой формулы - тоже расхождение
+ */
+function isDerivationAgreement(supplied, computed, derivation) {
+  if (typeof computed !== 'number') {
+    return normalizeReferenceText(supplied) === normalizeReferenceText(computed);
+  }
+
+  const number = readDerivationNumber(supplied);
+  if (number === null) {
+    return false;
+  }
+
+  // Округление справочника не считается расхождением
+  const rounding = derivation.decimals === 0 ? 0.5 : Math.pow(10, -derivation.decimals) / 2;
+  return Math.abs(number - computed) <= Math.max(Math.abs(computed) * derivation.tolerance, rounding);
+}
@@ -0,0 +1,230 @@
+/**
+ * ========================================
+ * МОДУЛЬ 23: РАЗБОР НАЗВАНИЯ ТОВАРА
+ * ========================================
+ *
+ * Название "Зрительная труба Veber Snipe 20-60x80 GR Zoom" раскладывается
+ * на части в порядке, принятом в магазине:
+ *
+ *   тип (typePrefix)  бренд  серия   модель
+ *   Зрительная труба  Veber  Snipe   20-60x80 GR Zoom
+ *
+ * Из модели берутся кратность и диаметр объектива в единицах справочника
+ * (convertSpecValue, модуль 21). Части хранят написание из названия,
+ * а buildProductTitle собирает название из частей (тесты - модуль 24)
+ *
+ * Результат заполняет колонки "Бренд" и "Серия" и идет в normalizeSpecifications
+ * как источник с самым низким приоритетом - характеристики поставщика важнее
+ */
+
+// =============================================================================
+// СЛОВАРИ
+// =============================================================================
+
+/**
+ * БРЕНДЫ: написание по справочнику → варианты в названиях
+ */
+const TITLE_BRANDS = {
+  'Veber': ['veber', 'вебер'],
+  'Sturman': ['sturman', 'штурман'],
+  'Levenhuk': ['levenhuk', 'левенгук'],
+  'Bresser': ['bresser', 'брессер'],
+  'Bushnell': ['bushnell'],
+  'Nikon': ['nikon', 'никон'],
+  'Celestron': ['celestron'],
+  'Sky-Watcher': ['sky-watcher', 'skywatcher'],
+  'Yukon': ['yukon', 'юкон'],
+  'Pulsar': ['pulsar'],
+  'Konus': ['konus'],
+  'Steiner': ['steiner'],
+  'Leupold': ['leupold'],
+  'Vortex': ['vortex'],
+  'Hawke': ['hawke'],
+  'Swarovski': ['swarovski'],
+  'Zeiss': ['zeiss', 'carl zeiss'],
+  'Leica': ['leica'],
+  'Minox': ['minox'],
+  'Fujinon': ['fujinon'],
+  'Canon': ['canon'],
+  'Olympus': ['olympus'],
+  'Kowa': ['kowa'],
+  'Vanguard': ['vanguard'],
+  'Gauss': ['gauss'],
+  'Discovery': ['discovery'],
+  'Arsenal': ['arsenal', 'арсенал']
+};
+
+/**
+ * ТИПЫ ТОВАРА В НАЧАЛЕ НАЗВАНИЯ
+ *
+ * Из подходящих фраз берется самая длинная ("Цифровой монокуляр", а не "Монокуляр").
+ * productType - значение enum "Параметр: Тип товара", если оно есть для этого типа
+ */
+const TITLE_TYPE_PREFIXES = [
+  { words: ['цифровой монокуляр', 'монокуляр ночного видения', 'тепловизионный монокуляр'],
+    typePrefix: 'Монокуляр', productType: 'Цифровой монокуляр' },
+  { words: ['монокуляр'], typePrefix: 'Монокуляр', productType: 'Оптический монокуляр' },
+  { words: ['зрительная труба', 'труба зрительная'], typePrefix: 'Зрительная труба' },
+  { words: ['бинокль'], typePrefix: 'Бинокль' },
+  { words: ['телескоп'], typePrefix: 'Телескоп' },
+  { words: ['микроскоп'], typePrefix: 'Микроскоп' },
+  { words: ['лазерный дальномер', 'дальномер'], typePrefix: 'Дальномер' },
+  { words: ['оптический прицел', 'прицел'], typePrefix: 'Прицел' },
+  { words: ['тепловизор'], typePrefix: 'Тепловизор' },
+  { words: ['прибор ночного видения'], typePrefix: 'Прибор ночного видения' },
+  { words: ['лупа'], typePrefix: 'Лупа' }
+];
+
+const TITLE_SPEC_PARAMS = {
+  PRODUCT_TYPE: 'Параметр: Тип товара',
+  BRAND: 'Параметр: Бренд',
+  SERIES: 'Параметр: Серия',
+  TYPE_PREFIX: 'Параметр: typePrefix',
+  MODEL: 'Параметр: model',
+  MAGNIFICATION: 'Параметр: Кратность увеличения, крат',
+  OBJECTIVE: 'Параметр: Диаметр объектива, мм'
+};
+
+// Кратность с объективом: 10x42, 8,5x50, 20-60x80, 10–25x42; или одна кратность: 8x
+const TITLE_OPTICS_PATTERN = /^(\d+(?:[.,]\d+)?(?:[-–]\d+(?:[.,]\d+)?)?)[xх×](\d+(?:[.,]\d+)?)?$/i;
+
+// =============================================================================
+// РАЗБОР
+// =============================================================================
+
+/**
+ * РАЗБОР НАЗВАНИЯ
+ *
+ * Серия - слова латиницей между брендом и первым словом с цифрами (или кириллицей),
+ * модель - все остальное после серии. Слова между типом и брендом
+ * ("Бинокль детский Levenhuk") остаются в части типа. Без известного бренда
+ * границу серии не определить: "Opticron Explorer WA" - это бренд и серия,
+ * поэтому серия остается пустой, а все после типа считается моделью
+ *
+ * @param {string} title - Название товара
+ * @returns {Object} { title, parts: { typeText, brandText, series, model },
+ *                     typePrefix, productType, brand, series, model,
+ *                     magnification, objective, specs: параметр справочника → значение,
+ *                     numbers: параметр → кратность и объектив до округления }
+ */
+function parseProductTitle(title) {
+  const text = String(title || '').trim().replace(/\s+/g, ' ');
+  const words = text ? text.split(' ') : [];
+  const result = {
+    title: text,
+    parts: { typeText: '', brandText: '', series: '', model: '' },
+    typePrefix: '', productType: '', brand: '', series: '', model: '',
+    magnification: '', objective: '',
+    specs: {},
+    numbers: {}
+  };
+
+  const brands = Object.keys(TITLE_BRANDS).map(name => ({
+    words: [name.toLowerCase()].concat(TITLE_BRANDS[name]),
+    value: name
+  }));
+  const types = TITLE_TYPE_PREFIXES.map(item => ({ words: item.words, value: item }));
+
+  // Бренд - первое слово из словаря, тип - первая фраза из списка до бренда
+  let brand = null;
+  for (let index = 0; index < words.length && !brand; index++) {
+    brand = findTitlePhrase(words, index, brands);
+  }
+
+  const typeLimit = brand ? brand.start : 1;
+  let type = null;
+  for (let index = 0; index < typeLimit && !type; index++) {
+    type = findTitlePhrase(words, index, types);
+  }
+
+  if (type) {
+    result.typePrefix = type.value.typePrefix;
+    result.productType = type.value.productType || '';
+  }
+
+  let position = type ? type.end : 0;
+  if (brand) {
+    result.brand = brand.value;
+    result.parts.brandText = words.slice(brand.start, brand.end).join(' ');
+    position = brand.end;
+  }
+  result.parts.typeText = words.slice(0, brand ? brand.start : position).join(' ');
+
+  let seriesEnd = position;
+  if (brand) {
+    while (seriesEnd < words.length && /^[a-z][a-z'&+-]*$/i.test(words[seriesEnd])) {
+      seriesEnd++;
+    }
+  }
+
+  result.series = result.parts.series = words.slice(position, seriesEnd).join(' ');
+  result.model = result.parts.model = words.slice(seriesEnd).join(' ');
+
+  // Кратность и объектив переводятся так же, как значения поставщика (8,5х50 → 9 и 50)
+  const optics = words.slice(seriesEnd).find(word => TITLE_OPTICS_PATTERN.test(word));
+  if (optics) {
+    const magnification = convertSpecValue(optics, TITLE_SPEC_PARAMS.MAGNIFICATION);
+    result.magnification = magnification.warning ? '' : magnification.value;
+    if (result.magnification && magnification.number !== null) {
+      result.numbers[TITLE_SPEC_PARAMS.MAGNIFICATION] = magnification.number;
+    }
+
+    if (TITLE_OPTICS_PATTERN.exec(optics)[2]) {
+      const objective = convertSpecValue(optics, TITLE_SPEC_PARAMS.OBJECTIVE);
+      result.objective = objective.warning ? '' : objective.value;
+      if (result.objective && objective.number !== null) {
+        result.numbers[TITLE_SPEC_PARAMS.OBJECTIVE] = objective.number;
+      }
+    }
+  }
+
+  const specs = result.specs;
+  const set = (param, value) => {
+    if (value) specs[param] = value;
+  };
+  set(TITLE_SPEC_PARAMS.PRODUCT_TYPE, result.productType);
+  set(TITLE_SPEC_PARAMS.TYPE_PREFIX, result.typePrefix);
+  set(TITLE_SPEC_PARAMS.BRAND, result.brand);
+  set(TITLE_SPEC_PARAMS.SERIES, result.series);
+  set(TITLE_SPEC_PARAMS.MODEL, result.model);
+  set(TITLE_SPEC_PARAMS.MAGNIFICATION, result.magnification);
+  set(TITLE_SPEC_PARAMS.OBJECTIVE, result.objective);
+
+  return result;
+}
+
+/**
+ * СБОРКА НАЗВАНИЯ ИЗ ЧАСТЕЙ (обратная операция к parseProductTitle)
+ *
+ * @param {Object} parts - { typeText, brandText, series, model }
+ * @returns {string}
+ */
+function buildProductTitle(parts) {
+  return [parts.typeText, parts.brandText, parts.series, parts.model]
+    .filter(part => part)
+    .join(' ');
+}
+
+/**
+ * ФРАЗА ИЗ СЛОВАРЯ, НАЧИНАЮЩАЯСЯ СО СЛОВА start
+ *
+ * @param {Array<string>} words - Слова названия
+ * @param {Array<Object>} entries - { words: [варианты в нижнем регистре], value }
+ * @returns {Object|null} { value, start, end } - самая длинная подходящая фраза
+ */
+function findTitlePhrase(words, start, entries) {
+  let best = null;
+
+  entries.forEach(entry => {
+    entry.words.forEach(phrase => {
+      const length = phrase.split(' ').length;
+      const candidate = words.slice(start, start + length).join(' ').toLowerCase().replace(/ё/g, 'е');
+
+      if (candidate === phrase && (!best || length > best.end - best.start)) {
+        best = { value: entry.value, start: start, end: start + length };
+      }
+    });
+  });
+
+  return best;
+}
@@ -0,0 +1,166 @@
+/**
+ * ========================================
+ * МОДУЛЬ 24: ТЕСТЫ РАЗБОРА НАЗВАНИЙ
+ * ========================================
+ *
+ * Проверяет parseProductTitle на типичных названиях магазина и поставщиков:
+ * извлеченные части совпадают с ожидаемыми, части в написании названия
+ * (parts) собираются обратно в исходное название, а название, собранное из
+ * нормализованных типа и бренда (buildProductTitle), разбирается в те же
+ * тип, бренд, серию, модель и оптику
+ *
+ * Новое название, которое разбирается неправильно: добавь его в
+ * TITLE_PARSER_CASES, запусти runTitleParserTests() и поправь словари
+ * модуля 23 до зеленого результата
+ */
+
+// =============================================================================
+// ОЖИДАЕМЫЕ РЕЗУЛЬТАТЫ
+// =============================================================================
+
+const TITLE_PARSER_CASES = [
+  {
+    title: 'Зрительная труба Veber Snipe 20-60x80 GR Zoom',
+    expected: {
+      typePrefix: 'Зрительная труба', productType: '', brand: 'Veber', series: 'Snipe',
+      model: '20-60x80 GR Zoom', magnification: '20-60', objective: '80'
+    }
+  },
+  {
+    // Кириллическое обозначение - уже модель, а не серия
+    title: 'Бинокль Veber Ultrasport БГЦ 10x42 WP',
+    expected: {
+      typePrefix: 'Бинокль', productType: '', brand: 'Veber', series: 'Ultrasport',
+      model: 'БГЦ 10x42 WP', magnification: '10', objective: '42'
+    }
+  },
+  {
+    title: 'Бинокль Sturman 8x42 WP',
+    expected: {
+      typePrefix: 'Бинокль', productType: '', brand: 'Sturman', series: '',
+      model: '8x42 WP', magnification: '8', objective: '42'
+    }
+  },
+  {
+    title: 'Монокуляр Levenhuk Wise Plus 10x42',
+    expected: {
+      typePrefix: 'Монокуляр', productType: 'Оптический монокуляр', brand: 'Levenhuk', series: 'Wise Plus',
+      model: '10x42', magnification: '10', objective: '42'
+    }
+  },
+  {
+    // Кириллическая "х" и десятичная запятая в кратности
+    title: 'Бинокль Bresser Hunter 8,5х50',
+    expected: {
+      typePrefix: 'Бинокль', productType: '', brand: 'Bresser', series: 'Hunter',
+      model: '8,5х50', magnification: '9', objective: '50'
+    }
+  },
+  {
+    title: 'Цифровой монокуляр Yukon Photon RT 4.6x42 S',
+    expected: {
+      typePrefix: 'Монокуляр', productType: 'Цифровой монокуляр', brand: 'Yukon', series: 'Photon RT',
+      model: '4.6x42 S', magnification: '5', objective: '42'
+    }
+  },
+  {
+    // Слово между типом и брендом остается в части типа
+    title: 'Бинокль детский Levenhuk LabZZ WP10',
+    expected: {
+      typePrefix: 'Бинокль', productType: '', brand: 'Levenhuk', series: 'LabZZ',
+      model: 'WP10', magnification: '', objective: ''
+    }
+  },
+  {
+    // Двухсловный бренд
+    title: 'Бинокль Carl Zeiss Terra ED 10x42 черный',
+    expected: {
+      typePrefix: 'Бинокль', productType: '', brand: 'Zeiss', series: 'Terra ED',
+      model: '10x42 черный', magnification: '10', objective: '42'
+    }
+  },
+  {
+    // Бренд без типа в начале
+    title: 'Sky-Watcher BK 705AZ2',
+    expected: {
+      typePrefix: '', productType: '', brand: 'Sky-Watcher', series: 'BK',
+      model: '705AZ2', magnification: '', objective: ''
+    }
+  },
+  {
+    // Неизвестный бренд: серию не отделить от бренда - все после типа модель
+    title: 'Монокуляр Bushnel Legend 10–25x42',
+    expected: {
+      typePrefix: 'Монокуляр', productType: 'Оптический монокуляр', brand: '', series: '',
+      model: 'Bushnel Legend 10–25x42', magnification: '10-25', objective: '42'
+    }
+  },
+  {
+    title: 'Бинокль Opticron Explorer WA 8x42',
+    expected: {
+      typePrefix: 'Бинокль', productType: '', brand: '', series: '',
+      model: 'Opticron Explorer WA 8x42', magnification: '8', objective: '42'
+    }
+  },
+  {
+    // Ни типа, ни бренда - все название модель
+    title: 'Trophy XLT 8x32',
+    expected: {
+      typePrefix: '', productType: '', brand: '', series: '',
+      model: 'Trophy XLT 8x32', magnification: '8', objective: '32'
+    }
+  }
+];
+
+// =============================================================================
+// ЗАПУСК ТЕСТОВ
+// =============================================================================
+
+/**
+ * ПРОГОН ВСЕХ НАЗВАНИЙ (runTestCases, модуль 09)
+ *
+ * @returns {Object} { passed, failed, failures: [строки с описанием расхождений] }
+ */
+function runTitleParserTests() {
+  return runTestCases('🧪 Тесты разбора названий товаров', TITLE_PARSER_CASES,
+    runTitleParserCase, testCase => testCase.title);
+}
+
+/**
+ * ОДНО НАЗВАНИЕ: разбор, сравнение с ожиданием, обратная сборка и повторный
+ * разбор названия из нормализованных частей ("Бинокль Carl Zeiss" → "Бинокль Zeiss")
+ *
+ * @returns {Array<string>} Расхождения (пустой массив - тест пройден)
+ */
+function runTitleParserCase(testCase) {
+  const failures = [];
+
+  try {
+    const parsed = parseProductTitle(testCase.title);
+
+    Object.keys(testCase.expected).forEach(field => {
+      assertFixtureEqual(failures, field, parsed[field], testCase.expected[field]);
+    });
+
+    // Части в написании названия ничего не теряют ("детский", "Carl Zeiss")
+    assertFixtureEqual(failures, 'сборка из parts', buildProductTitle(parsed.parts), testCase.title);
+
+    // Бренд и тип из словарей должны снова распознаваться, а серия и модель - не сдвигаться
+    const rebuilt = buildProductTitle({
+      typeText: parsed.typePrefix,
+      brandText: parsed.brand,
+      series: parsed.series,
+      model: parsed.model
+    });
+    const reparsed = parseProductTitle(rebuilt);
+
+    ['typePrefix', 'brand', 'series', 'model', 'magnification', 'objective'].forEach(field => {
+      assertFixtureEqual(failures, `повторный разбор "${rebuilt}", ${field}`, reparsed[field], parsed[field]);
+    });
+
+  } catch (error) {
+    failures.push(`исключение: ${error.message}`);
+  }
+
+  return failures;
+}
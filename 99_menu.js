@@ -37,20 +37,35 @@ function onOpen() {
 
      // НОВЫЙ ФУНКЦИОНАЛ: Импорт полных карточек
      .addItem('🆕 Импорт товаров от поставщиков', 'showFullProductImportDialog')
+     .addItem('📦 Обновить из фидов поставщиков', 'updateProductsFromSupplierFeeds')
+     .addItem('📑 Импорт прайс-листа', 'showPriceListImportDialog')
      .addSeparator()
 
      .addItem('🤖 Обработать изображения', 'showImageSelectionForProcessing')
      .addItem('🤖 Выбрать модель', 'configureReplicateModel')
      .addItem('🎛️ Настроить качество улучшения', 'configureReplicateScale')
+     .addItem('🤍 Отступ белого фона', 'configureBackgroundPadding')
+     .addItem('🖼️ Кадр галереи', 'configureGalleryFraming')
+     .addItem('🗄️ Хранилище фото', 'configureImageStorage')
+     .addItem('♻️ Очистить кэш обработки', 'clearProcessingCache')
+     .addItem('💰 Расходы API', 'showApiUsageReport')
+     .addItem('💰 Лимиты расходов API', 'configureApiBudget')
      .addSeparator()
      .addItem('📤 Отправить в InSales', 'sendProcessedImagesToInSales')
      .addItem('🏷️ Прописать Alt-теги', 'createAltTagCopyHelper')
+     .addItem('⏳ Фоновые задачи', 'showProcessingProgress')
+     .addItem('⏹️ Остановить фоновые задачи', 'cancelPendingJobs')
      .addSeparator()
   
    // ========================================
    // СЕРВИСНЫЙ БЛОК - техническое обслуживание
    // ========================================
      .addItem('⚙️ Проверить настройки API', 'validateConfig')
+     .addItem('🔑 Доступы поставщиков', 'showSupplierCredentialsDialog')
+     .addItem('📚 Справочник характеристик', 'configureSpecificationReference')
+     .addItem('🔗 Сопоставление характеристик', 'openSpecMappingSheet')
+     .addItem('📈 Включить мониторинг цен', 'installPriceMonitorTrigger')
+     .addItem('⏹️ Отключить мониторинг цен', 'disablePriceMonitor')
      .addItem('🔄 Обновить товары из InSales', 'updateProductsFromInSales')
      .addItem('🧹 Очистить статусы обработки', 'clearProcessingStatuses')
      .addSeparator()
@@ -223,7 +238,18 @@ function showHelpDialog() {
      'НАСТРОЙКИ API:\n' +
      '• InSales: API Key, Password, Shop\n' +
      '• OpenAI: API Key, Assistant ID\n' +
-     '• Дополнительно: Replicate, TinyPNG, ImgBB\n\n' +
+     '• Дополнительно: Replicate, TinyPNG\n' +
+     '• Хранилище обработанных фото (ImgBB, Worker, Google Drive, S3, InSales): меню "🗄️ Хранилище фото"\n' +
+     '• Оптовые порталы: меню "🔑 Доступы поставщиков"\n' +
+     '• Мониторинг цен: меню "📈 Включить мониторинг цен", изменения - на листе "Изменения цен"\n' +
+     '• Прайс-листы CSV/XLSX: меню "📑 Импорт прайс-листа", сопоставление колонок запоминается для поставщика\n' +
+     '• Характеристики проверяются по справочнику (встроенному или JSON-файлу на Drive): меню "📚 Справочник характеристик"\n' +
+     '• Параметры поставщиков сопоставляются по синонимам справочника, свои правила - меню "🔗 Сопоставление характеристик"\n' +
+     '• Обработка фото и парсинг идут в фоне порциями: прогресс - меню "⏳ Фоновые задачи"\n' +
+     '• Белый фон: галочка в окне выбора фото (удаление фона на Replicate), отступ - меню "🤍 Отступ белого фона"\n' +
+     '• Все фото приводятся к одному кадру (по умолчанию 1:1, товар по центру): меню "🖼️ Кадр галереи"\n' +
+     '• Уже обработанные фото (то же фото и настройки) берутся из кэша без затрат на API: меню "♻️ Очистить кэш обработки"\n' +
+     '• Расходы на OpenAI, Replicate и TinyPNG по месяцам и запускам: меню "💰 Расходы API", лимиты - "💰 Лимиты расходов API"\n\n' +
     
      'КОЛОНКИ:\n' +
      '• A: Выбор товаров\n' +
@@ -467,6 +493,7 @@ function clearAllProcessingStatuses() {
       sheet.getRange(rowIndex, IMAGES_COLUMNS.PROCESSED_IMAGES).setValue('');
       sheet.getRange(rowIndex, IMAGES_COLUMNS.ALT_TAGS).setValue('');
       sheet.getRange(rowIndex, IMAGES_COLUMNS.SEO_FILENAMES).setValue('');
+      sheet.getRange(rowIndex, IMAGES_COLUMNS.PROCESSED_DIMENSIONS).setValue('');
       
       // Сбрасываем статусы
       sheet.getRange(rowIndex, IMAGES_COLUMNS.PROCESSING_STATUS)
@@ -735,7 +762,7 @@ function createExternalServicesMenu() {
   const ui = SpreadsheetApp.getUi();
   
   const externalMenu = ui.createMenu('🌐 Внешние сервисы')
-    .addItem('📤 Загрузить на ImgBB', 'uploadToImgBB')
+    .addItem('🗄️ Хранилище фото', 'configureImageStorage')
     .addItem('🗜️ Сжать через TinyPNG', 'compressWithTinyPNG')
     .addItem('🎨 Улучшить через Replicate', 'enhanceWithReplicate')
     .addSeparator()
@@ -1060,7 +1087,10 @@ function showProcessingSettings() {
       `   OpenAI: ${settings.openaiApiKey ? '✅ Настроен' : '❌ Не настроен'}\n` +
       `   Replicate: ${settings.replicateToken ? '✅ Настроен' : '❌ Не настроен'}\n` +
       `   TinyPNG: ${settings.tinypngKey ? '✅ Настроен' : '❌ Не настроен'}\n` +
-      `   ImgBB: ${settings.imgbbKey ? '✅ Настроен' : '❌ Не настроен'}\n\n` +
+      `   Хранилище фото: ${describeImageStorage(settings).label} ` +
+      `${isImageStorageConfigured(settings) ? '✅ Настроено' : '❌ Не настроено'}\n\n` +
+      `🖼️ Кадр галереи: ${settings.frameMode === 'off' ? 'выключен' :
+        `${settings.frameMode}, ${settings.frameAspectRatio}, ${settings.frameSize}px, поле ${settings.frameMargin}%`}\n\n` +
       'Для изменения используйте:\n' +
       '• "Настроить качество улучшения" - смена Scale\n' +
       '• Script Properties - API ключи';
@@ -1195,6 +1225,11 @@ function showFullProductImportDialog() {
   try {
     const ui = SpreadsheetApp.getUi();
 
+    // Поставщики, для которых описаны правила полной карточки (parsing.fields или фид)
+    const supplierOptions = getFullImportSuppliers()
+      .map(s => `<option value="${s.key}">${s.name}</option>`)
+      .join('\n        ');
+
     const htmlContent = `
 <!DOCTYPE html>
 <html>
@@ -1308,8 +1343,7 @@ STURMAN-8x32
     <div class="input-group">
       <label>Поставщик:</label>
       <select id="supplier" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
-        <option value="veber">Veber.ru</option>
-        <option value="sturman">Sturman.ru</option>
+        ${supplierOptions}
       </select>
     </div>
 
@@ -1412,7 +1446,7 @@ STURMAN-8x32
  * ВЫПОЛНЕНИЕ ПОЛНОГО ИМПОРТА ТОВАРОВ
  *
  * @param {Array<string>} articles - Список артикулов
- * @param {string} supplier - Поставщик (veber, sturman)
+ * @param {string} supplier - Поставщик (veber, sturman, glaza_4, levenhuk_opt)
  * @returns {Object} Результат импорта
  */
 function executeFullProductImport(articles, supplier) {
@@ -1429,23 +1463,24 @@ function executeFullProductImport(articles, supplier) {
       try {
         logInfo(`[${i + 1}/${articles.length}] Импорт ${article}`);
 
-        // 1. Парсинг полной карточки
-        let productData;
-        if (supplier === 'veber') {
-          productData = parseVeberFullProduct(article);
-        } else if (supplier === 'sturman') {
-          productData = parseSturmanFullProduct(article);
-        } else {
+        // 1. Парсинг полной карточки по описанию поставщика
+        const supplierKey = String(supplier).toUpperCase();
+        const supplierConfig = SUPPLIERS_CONFIG[supplierKey];
+        if (!supplierConfig || !((supplierConfig.parsing && supplierConfig.parsing.fields) || supplierConfig.feed)) {
           throw new Error(`Неизвестный поставщик: ${supplier}`);
         }
 
+        // Артикул магазина: сохраненная ссылка из реестра используется без поиска
+        const productData = parseSupplierFullProduct(supplierKey, article, { article: article });
+
         if (!productData) {
           throw new Error('Не удалось спарсить товар');
         }
 
-        // 2. Нормализация характеристик
+        // 2. Нормализация характеристик и расчетные параметры
         const specsRaw = JSON.parse(productData.specifications || '{}');
-        const normalized = normalizeSpecifications(specsRaw, supplier);
+        const titleParts = parseProductTitle(productData.title);
+        const normalized = deriveSpecifications(normalizeSpecifications(specsRaw, supplier, { parsedTitle: titleParts }));
 
         // 3. AI-рерайт описания
         const aiResult = generateProductDescription({
@@ -1453,7 +1488,7 @@ function executeFullProductImport(articles, supplier) {
           productName: productData.title,
           description: productData.description,
           specifications: normalized.normalized,
-          brand: productData.brand,
+          brand: productData.brand || titleParts.brand,
           categories: productData.categories
         });
 
@@ -1469,14 +1504,19 @@ function executeFullProductImport(articles, supplier) {
           shortDescription: aiResult.shortDescription,
           specificationsRaw: productData.specifications,
           specificationsNormalized: JSON.stringify(normalized.normalized),
+          specificationsDerived: serializeSpecDerivation(normalized),
           price: productData.price,
           stock: productData.stock,
           categories: productData.categories,
-          brand: productData.brand,
-          supplierImages: productData.images.join('\n'),
+          brand: productData.brand || titleParts.brand,
+          series: titleParts.series,
+          supplierImages: rejectSupplierThumbnails(productData.images.split('\n').filter(url => url), supplierConfig).join('\n'),
           matchStatus: matchResult.matchStatus,
           matchConfidence: matchResult.confidence,
-          importStatus: 'Импортирован, требует проверки'
+          importStatus: (productData.match.lowConfidence ?
+            `Проверьте товар: неуверенный выбор в поиске (${productData.match.score}%)` :
+            'Импортирован, требует проверки') +
+            normalized.conflicts.map(conflict => `\n⚠️ ${conflict.message}`).join('')
         });
 
         logInfo(`✅ [${i + 1}/${articles.length}] ${article}: успешно импортирован`);